@@ -0,0 +1,99 @@
+/**
+ * Sorties de la ligne de commande : texte, JSON, CSV et Markdown
+ * Pour les combinaisons générées comme pour un historique exporté du site
+ * @module cli/formats
+ */
+
+import { HistoryExport } from '../js/HistoryExport.js';
+import { HistoryFile, formatCSV } from '../js/HistoryFile.js';
+import { I18n } from '../js/I18n.js';
+
+export const OUTPUT_FORMATS = Object.freeze({
+  TEXT: 'text',
+  JSON: 'json',
+  CSV: 'csv',
+  MARKDOWN: 'markdown'
+});
+
+/**
+ * Citation Markdown : chaque vers sur sa ligne
+ */
+const toBlockquote = (text) => text.split('\n').map(line => `> ${line}`).join('  \n');
+
+/**
+ * Colonnes CSV dans la langue des messages
+ * L'historique garde les colonnes du site (HistoryFile.toCSV) : HistoryFile.parse doit pouvoir le relire
+ * @param {string} key - Clé I18n des en-têtes, séparés par des virgules
+ * @param {Array<Function>} readers - Lecture de chaque colonne, dans l'ordre des en-têtes
+ * @returns {Array<Array>} Colonnes pour formatCSV
+ */
+export const localizedColumns = (key, readers) => I18n.t(key).split(',').map((label, index) => [label, readers[index]]);
+
+const COMBINATION_READERS = [
+  (item, index) => index + 1,
+  item => item.combination,
+  item => item.seed,
+  item => item.combinationIndex,
+  item => item.wordCount,
+  item => item.lineLengths ? item.lineLengths.length : 1,
+  item => item.syllableCounts.join(' / '),
+  item => item.metricForm || 'free',
+  item => item.generationMode,
+  item => item.formatMode
+];
+
+/**
+ * @param {Array<Object>} items - Combinaisons { combination, ...PoemEngine.describe() }
+ * @param {string} format - Voir OUTPUT_FORMATS
+ * @returns {string}
+ */
+export const formatCombinations = (items, format) => {
+  switch (format) {
+    case OUTPUT_FORMATS.JSON:
+      return JSON.stringify(items, null, 2) + '\n';
+    case OUTPUT_FORMATS.CSV:
+      return formatCSV(localizedColumns('CLI.COMBINATION_COLUMNS', COMBINATION_READERS), items);
+    case OUTPUT_FORMATS.MARKDOWN:
+      return items.map((item, index) => [
+        `## ${index + 1}`,
+        '',
+        toBlockquote(item.combination),
+        '',
+        I18n.t('CLI.SEED_LINE', { seed: item.seed, index: item.combinationIndex })
+      ].join('\n')).join('\n\n') + '\n';
+    default:
+      return items.map(item => item.combination).join('\n\n') + '\n';
+  }
+};
+
+/**
+ * @param {Array<Object>} history - Entrées valides { text, note, timestamp?, ... }
+ * @param {string} format - Voir OUTPUT_FORMATS
+ * @param {Object} [filter] - Critères qui ont retenu ces entrées, repris dans le JSON (HistoryFilter.toJSON())
+ * @returns {string}
+ */
+export const formatHistory = (history, format, filter) => {
+  switch (format) {
+    case OUTPUT_FORMATS.JSON:
+      return HistoryFile.toJSON(history, { filter });
+    case OUTPUT_FORMATS.CSV:
+      return HistoryFile.toCSV(history);
+    case OUTPUT_FORMATS.MARKDOWN: {
+      const stats = HistoryExport.calculateStatistics(history);
+      return [
+        `# ${I18n.t('HISTORY.TEXT_TITLE')}`,
+        '',
+        I18n.t('CLI.HISTORY_TOTAL', { count: stats.total }),
+        I18n.t('CLI.HISTORY_AVERAGE', { average: stats.average }),
+        I18n.t('CLI.HISTORY_BEST', { best: stats.best }),
+        I18n.t('CLI.HISTORY_WORST', { worst: stats.worst }),
+        '',
+        ...history.map((entry, index) => `${I18n.t('CLI.HISTORY_ENTRY', { number: index + 1, note: entry.note })}\n\n${toBlockquote(entry.text)}\n`),
+        '---',
+        '© Les éditions Philopitre'
+      ].join('\n') + '\n';
+    }
+    default:
+      return HistoryExport.toText(history) + '\n';
+  }
+};
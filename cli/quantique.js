@@ -0,0 +1,421 @@
+#!/usr/bin/env node
+/**
+ * Ligne de commande de La Poésie Quantique
+ * S'appuie sur le même cœur que le site (PoemEngine) : même lexique, mêmes ordinations, même mise en forme,
+ * si bien qu'une graine tirée ici se rejoue à l'identique sur la page (mêmes mots et mêmes réglages)
+ * --lexicon lit un fichier de lexique (export du site ou traduction du poème), --lang (ou --locale) choisit la langue
+ * des messages et des colonnes CSV
+ * @module cli/quantique
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+
+import { CONFIG } from '../js/config.js';
+import { PoemEngine, GenerationError, GENERATION_MODES, DEFAULT_SETTINGS } from '../js/PoemEngine.js';
+import { SeededRandom } from '../js/SeededRandom.js';
+import { Combinatorics } from '../js/Combinatorics.js';
+import { PreferenceModel } from '../js/PreferenceModel.js';
+import { FORMAT_MODES } from '../js/FrenchFormatter.js';
+import { METRIC_FORMS } from '../js/SyllableCounter.js';
+import { ORDINATIONS, WORD_GRAMMAR, GROUPS } from '../js/Lexicon.js';
+import { LexiconFile } from '../js/LexiconFile.js';
+import { DEFAULT_LEXICON_LANGUAGE } from '../js/LexiconStore.js';
+import { I18n } from '../js/I18n.js';
+import { WordGroups } from '../js/WordGroups.js';
+import { HistorySchema } from '../js/HistorySchema.js';
+import { HistoryFilter } from '../js/HistoryFilter.js';
+import { formatCSV } from '../js/HistoryFile.js';
+import { OUTPUT_FORMATS, formatCombinations, formatHistory, localizedColumns } from './formats.js';
+
+const MAX_COUNT = 10000;
+const UINT32_RANGE = 2 ** 32;
+
+const usage = () => I18n.t('CLI.USAGE', {
+  languages: I18n.languages().map(({ code }) => code).join(', '),
+  maxCount: MAX_COUNT,
+  defaultLength: DEFAULT_SETTINGS.wordCount,
+  maxLines: CONFIG.POEM.MAX_LINES,
+  metricForms: Object.values(METRIC_FORMS).join(', '),
+  modes: Object.values(GENERATION_MODES).join(', '),
+  ordinations: Object.keys(ORDINATIONS).join(' | ')
+});
+
+const OPTIONS = {
+  format: { type: 'string', default: OUTPUT_FORMATS.TEXT },
+  output: { type: 'string' },
+  lexicon: { type: 'string' },
+  lang: { type: 'string' },
+  locale: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+  count: { type: 'string' },
+  seed: { type: 'string' },
+  words: { type: 'string' },
+  length: { type: 'string' },
+  lines: { type: 'string' },
+  metric: { type: 'string' },
+  mode: { type: 'string' },
+  strength: { type: 'string' },
+  history: { type: 'string' },
+  filter: { type: 'string' },
+  raw: { type: 'boolean' },
+  include: { type: 'string' },
+  exclude: { type: 'string' },
+  first: { type: 'string' },
+  last: { type: 'string' },
+  positions: { type: 'string' },
+  groups: { type: 'string' },
+  index: { type: 'string' },
+  ordination: { type: 'string', default: 'original' }
+};
+
+/**
+ * Rattache à son option une valeur négative donnée à part (« --seed -5 » devient « --seed=-5 ») :
+ * parseArgs la prendrait pour une option et refuserait la commande
+ * @param {Array<string>} argv
+ * @returns {Array<string>}
+ */
+const attachNegativeValues = (argv) => argv.reduce((args, arg) => {
+  const previous = args[args.length - 1];
+  const option = previous && previous.startsWith('--') && !previous.includes('=') ? OPTIONS[previous.slice(2)] : null;
+
+  if (option && option.type === 'string' && /^-\d/.test(arg)) {
+    args[args.length - 1] = `${previous}=${arg}`;
+  } else {
+    args.push(arg);
+  }
+  return args;
+}, []);
+
+/**
+ * Erreur de saisie : message affiché tel quel, suivi d'un rappel de l'aide
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const splitList = (value) => String(value).split(',').map(word => word.trim()).filter(Boolean);
+
+const parseInteger = (value, name, min, max) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new UsageError(I18n.t('CLI.INTEGER_EXPECTED', { name, min, max, value }));
+  }
+  return number;
+};
+
+const requireChoice = (value, name, choices) => {
+  if (!choices.includes(value)) {
+    throw new UsageError(I18n.t('CLI.CHOICE_EXPECTED', { name, choices: choices.join(', '), value }));
+  }
+  return value;
+};
+
+/**
+ * Mots disponibles, ramenés à la graphie et à l'ordre du lexique
+ */
+const readPool = (engine, value) => {
+  if (value === undefined) return engine.getLexicon();
+
+  const lexicon = engine.getLexicon();
+  const byLowerCase = new Map(lexicon.map(word => [word.toLowerCase(), word]));
+  const words = splitList(value);
+  const unknown = words.filter(word => !byLowerCase.has(word.toLowerCase()));
+
+  if (unknown.length > 0) {
+    throw new UsageError(I18n.t('CLI.UNKNOWN_WORDS', { words: unknown.join(', ') }));
+  }
+  if (words.length < CONFIG.LIMITS.MIN_WORDS_FOR_GENERATION) {
+    throw new UsageError(I18n.t('CLI.NO_WORDS'));
+  }
+  return engine.orderPool(words.map(word => byLowerCase.get(word.toLowerCase())));
+};
+
+const readWordCount = (value, lexiconSize = CONFIG.WORDS.length) => {
+  if (value === undefined) return DEFAULT_SETTINGS.wordCount;
+  if (value === 'max' || value === 'surprise') return value;
+  return parseInteger(value, 'length', 1, lexiconSize);
+};
+
+const readStrength = (value) => {
+  const strength = Number(value);
+  if (value.trim() === '' || !(strength >= 0 && strength <= 1)) {
+    throw new UsageError(I18n.t('CLI.STRENGTH_EXPECTED', { value }));
+  }
+  return strength;
+};
+
+/**
+ * Historique au format du site : tableau d'entrées ou export JSON { history, ... }
+ * Les entrées d'anciennes versions sont migrées, celles qui ne peuvent l'être écartées (voir HistorySchema)
+ */
+const readHistoryFile = (path) => {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new UsageError(I18n.t('CLI.HISTORY_UNREADABLE', { path, reason: error.message }));
+  }
+
+  const entries = Array.isArray(data) ? data : data && Array.isArray(data.history) ? data.history : null;
+  if (!entries) {
+    throw new UsageError(I18n.t('CLI.NOT_A_HISTORY', { path }));
+  }
+
+  const { entries: history, quarantined } = HistorySchema.migrateEntries(entries);
+  if (quarantined.length > 0) {
+    console.warn(I18n.t('CLI.ENTRIES_IGNORED', { count: quarantined.length }));
+  }
+  return history;
+};
+
+/**
+ * Lexique au format d'échange du site (voir LexiconFile), vérifié comme à l'import sur la page
+ * @returns {Object|null} null sans --lexicon : le poème original
+ */
+const readLexiconFile = (path) => {
+  if (path === undefined) return null;
+
+  let text;
+  try {
+    text = readFileSync(path, 'utf8');
+  } catch (error) {
+    throw new UsageError(I18n.t('CLI.LEXICON_UNREADABLE', { path, reason: error.message }));
+  }
+
+  const parsed = LexiconFile.parse(text);
+  if (!parsed.isValid) {
+    throw new UsageError(I18n.t('CLI.LEXICON_INVALID', { path, reasons: parsed.errors.join(' ; ') }));
+  }
+  return parsed.lexicon;
+};
+
+/**
+ * Options du moteur pour un lexique lu par readLexiconFile (mots, groupes, grammaire, langue)
+ */
+const lexiconOptions = (lexicon) => {
+  const byText = new Map(lexicon.words.map(word => [word.text, word]));
+  const isFrench = lexicon.language === DEFAULT_LEXICON_LANGUAGE;
+
+  return {
+    lexicon: lexicon.words.map(word => word.text),
+    getWordGroup: (word) => byText.get(word)?.group ?? null,
+    getGroups: () => lexicon.groups,
+    getLanguage: () => lexicon.language,
+    getWordMetadata: (word) => {
+      const grammar = byText.get(word)?.grammar || (isFrench ? WORD_GRAMMAR[word] : null);
+      if (!grammar || !grammar.pos) return null;
+
+      const { pos, gender = null, number = null, person = null, determined = false } = grammar;
+      return { pos, gender, number, person, determined };
+    }
+  };
+};
+
+const createEngine = (values) => {
+  const lexicon = readLexiconFile(values.lexicon);
+  const options = lexicon ? lexiconOptions(lexicon) : {};
+  if (values.history === undefined) return new PoemEngine(options);
+
+  const preferenceModel = new PreferenceModel({ minRating: CONFIG.LIMITS.MIN_RATING, maxRating: CONFIG.LIMITS.MAX_RATING });
+  preferenceModel.train(readHistoryFile(values.history), options.lexicon || CONFIG.WORDS);
+  return new PoemEngine({ ...options, getPreferenceModel: () => preferenceModel });
+};
+
+const readSettings = (values, lexiconSize) => ({
+  wordCount: readWordCount(values.length, lexiconSize),
+  lineCount: values.lines === undefined ? DEFAULT_SETTINGS.lineCount : parseInteger(values.lines, 'lines', 1, CONFIG.POEM.MAX_LINES),
+  metricForm: values.metric === undefined ? DEFAULT_SETTINGS.metricForm : requireChoice(values.metric, 'metric', Object.values(METRIC_FORMS)),
+  generationMode: values.mode === undefined ? DEFAULT_SETTINGS.generationMode : requireChoice(values.mode, 'mode', Object.values(GENERATION_MODES)),
+  learningStrength: values.strength === undefined ? DEFAULT_SETTINGS.learningStrength : readStrength(values.strength),
+  formatMode: values.raw ? FORMAT_MODES.RAW : FORMAT_MODES.STRICT,
+  constraints: {
+    include: values.include,
+    exclude: values.exclude,
+    first: values.first,
+    last: values.last,
+    positions: values.positions
+  },
+  groupPattern: values.groups ?? null
+});
+
+/**
+ * Combinaisons distinctes tirées avec des graines consécutives
+ * Chaque combinaison garde sa propre graine, rejouable sur le site
+ */
+const generate = (values) => {
+  const engine = createEngine(values);
+  const count = values.count === undefined ? 1 : parseInteger(values.count, 'count', 1, MAX_COUNT);
+
+  if (values.index !== undefined) {
+    const total = Combinatorics.countAllArrangements(engine.getLexicon().length);
+    const number = Combinatorics.parseIndex(values.index);
+    if (number === null || number < 1n || number > total) {
+      throw new UsageError(I18n.t('CLI.INDEX_OUT_OF_RANGE', { max: total.toString(), value: values.index }));
+    }
+
+    const result = engine.generate(undefined, { formatMode: values.raw ? FORMAT_MODES.RAW : FORMAT_MODES.STRICT }, { index: number - 1n });
+    return formatCombinations([{ combination: result.combination, ...engine.describe(result) }], values.format);
+  }
+
+  const pool = readPool(engine, values.words);
+  const plan = engine.plan(pool, readSettings(values, engine.getLexicon().length));
+  const firstSeed = values.seed === undefined ? SeededRandom.createSeed() : SeededRandom.parseSeed(values.seed);
+  const seen = new Set();
+  const items = [];
+
+  for (let offset = 0; items.length < count && offset < count * CONFIG.LIMITS.BATCH_ATTEMPTS_PER_ITEM; offset++) {
+    const result = engine.draw(pool, (firstSeed + offset) % UINT32_RANGE, plan);
+    if (seen.has(result.combination)) continue;
+
+    seen.add(result.combination);
+    items.push({ combination: result.combination, ...engine.describe(result) });
+  }
+
+  if (items.length < count) {
+    console.warn(I18n.t('MESSAGES.BATCH_INCOMPLETE', { count: items.length, requested: count }));
+  }
+
+  return formatCombinations(items, values.format);
+};
+
+const space = (values) => {
+  const engine = createEngine(values);
+  const pool = readPool(engine, values.words);
+  const setting = readWordCount(values.length, engine.getLexicon().length);
+  // Comme PoemEngine.determineWordCount : pas plus de mots que le réservoir n'en contient
+  const wordCount = setting === 'max' || setting === 'surprise' ? setting : Math.min(parseInt(setting, 10), pool.length);
+  const summary = {
+    poolSize: pool.length,
+    wordCount,
+    space: Combinatorics.countSpace(pool.length, wordCount).toString(),
+    allLengths: Combinatorics.countAllArrangements(pool.length).toString()
+  };
+
+  switch (values.format) {
+    case OUTPUT_FORMATS.JSON:
+      return JSON.stringify(summary, null, 2) + '\n';
+    case OUTPUT_FORMATS.CSV:
+      return formatCSV(localizedColumns('CLI.SPACE_COLUMNS', [
+        row => row.poolSize, row => row.wordCount, row => row.space, row => row.allLengths
+      ]), [summary]);
+    case OUTPUT_FORMATS.MARKDOWN:
+      return `${I18n.t('CLI.SPACE_HEADER')}\n|---|---|---|---|\n` +
+        `| ${summary.poolSize} | ${summary.wordCount} | ${summary.space} | ${summary.allLengths} |\n`;
+    default:
+      return I18n.t('CLI.SPACE_TEXT', summary) + '\n';
+  }
+};
+
+/**
+ * Ordinations d'un lexique lu par readLexiconFile, sous les clés du poème original (comme sur la page)
+ */
+const lexiconOrdinations = (lexicon) => {
+  const byText = new Map(lexicon.words.map(word => [word.text, word]));
+  const ordinations = lexicon.ordinations.length > 0
+    ? lexicon.ordinations.slice(0, 2).map(({ name, order }) => ({ name, words: order.map(text => byText.get(text)) }))
+    : [{ name: lexicon.name, words: lexicon.words }];
+  return Object.fromEntries(ordinations.map((ordination, index) => [index === 0 ? 'original' : 'alternative', ordination]));
+};
+
+const words = (values) => {
+  const lexicon = readLexiconFile(values.lexicon);
+  const ordinations = lexicon ? lexiconOrdinations(lexicon) : ORDINATIONS;
+  const groups = lexicon ? lexicon.groups : GROUPS;
+  const isFrench = !lexicon || lexicon.language === DEFAULT_LEXICON_LANGUAGE;
+  const ordination = ordinations[requireChoice(values.ordination, 'ordination', Object.keys(ordinations))];
+  const entries = ordination.words.map((word, index) => {
+    const value = word.dataWord || word.text;
+    const grammar = word.grammar || (isFrench ? WORD_GRAMMAR[value] : null) || {};
+    const groupName = WordGroups.appearance(groups, word.group).name;
+    return { position: index + 1, text: word.text, value, group: word.group, groupName, pos: grammar.pos || null };
+  });
+
+  switch (values.format) {
+    case OUTPUT_FORMATS.JSON:
+      return JSON.stringify({ name: ordination.name, words: entries }, null, 2) + '\n';
+    case OUTPUT_FORMATS.CSV:
+      return formatCSV(localizedColumns('CLI.WORDS_COLUMNS', [
+        entry => entry.position, entry => entry.text, entry => entry.value, entry => entry.group, entry => entry.groupName, entry => entry.pos ?? ''
+      ]), entries);
+    case OUTPUT_FORMATS.MARKDOWN:
+      return `# ${ordination.name}\n\n${I18n.t('CLI.WORDS_HEADER')}\n|---|---|---|---|\n` +
+        entries.map(entry => `| ${entry.position} | ${entry.text} | ${entry.groupName} | ${entry.pos ?? ''} |`).join('\n') + '\n';
+    default:
+      return `${ordination.name}\n` + entries.map(entry => `${String(entry.position).padStart(2)}. ${entry.text} (${entry.groupName})`).join('\n') + '\n';
+  }
+};
+
+/**
+ * Filtre de l'historique : paramètres d'un lien copié sur la page (« recherche=amour&note_min=7 »), ou le lien entier
+ */
+const readFilter = (value) => {
+  if (value === undefined) return new HistoryFilter();
+
+  const query = value.includes('?') ? value.slice(value.indexOf('?') + 1) : value;
+  const filter = HistoryFilter.fromQuery(query.split('#')[0]);
+  const { errors } = filter.validate();
+  if (errors.length > 0) throw new UsageError(I18n.t('CLI.FILTER_INVALID', { errors: errors.join(' ') }));
+  return filter;
+};
+
+const history = (values, positionals) => {
+  const path = positionals[1];
+  if (!path) throw new UsageError(I18n.t('CLI.HISTORY_FILE_REQUIRED'));
+
+  const filter = readFilter(values.filter);
+  const entries = readHistoryFile(path);
+  if (entries.length === 0) throw new GenerationError(CONFIG.MESSAGES.HISTORY_EMPTY);
+
+  const filtered = filter.apply(entries);
+  if (filtered.length === 0) throw new GenerationError(I18n.t('HISTORY_FILTER.NO_MATCH'));
+
+  return formatHistory(filtered, values.format, filter.isEmpty() ? undefined : filter.toJSON());
+};
+
+const COMMANDS = { generate, space, words, history };
+
+const main = (argv) => {
+  const { values, positionals } = parseArgs({ args: attachNegativeValues(argv), options: OPTIONS, allowPositionals: true });
+  const command = positionals[0];
+
+  const language = values.lang ?? values.locale;
+  if (language !== undefined) {
+    requireChoice(language, values.lang === undefined ? 'locale' : 'lang', I18n.languages().map(({ code }) => code));
+    I18n.setLocale(language);
+  }
+
+  if (values.help || !command) {
+    process.stdout.write(usage());
+    return;
+  }
+  if (!COMMANDS[command]) throw new UsageError(I18n.t('CLI.UNKNOWN_COMMAND', { command }));
+
+  requireChoice(values.format, 'format', Object.values(OUTPUT_FORMATS));
+  const output = COMMANDS[command](values, positionals);
+
+  if (values.output) {
+    writeFileSync(values.output, output, 'utf8');
+  } else {
+    process.stdout.write(output);
+  }
+};
+
+// Langue des messages d'après l'environnement, comme les autres outils en ligne de commande ; --lang l'emporte
+I18n.setLocale(process.env.LC_ALL || process.env.LC_MESSAGES || process.env.LANG);
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  if (error instanceof UsageError || error instanceof GenerationError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+    console.error(`quantique : ${error.message}`);
+    if (!(error instanceof GenerationError)) console.error(I18n.t('CLI.HELP_HINT'));
+    process.exitCode = error instanceof GenerationError ? 1 : 2;
+  } else {
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,298 @@
+/**
+ * Gestionnaire de l'analyse par mot
+ * Affiche, à partir de l'historique, un tableau par mot
+ * et deux cartes de chaleur : note moyenne selon la position, paires des combinaisons les mieux notées
+ * Le calcul (HistoryAnalytics) n'a lieu que panneau ouvert
+ * @module AnalyticsManager
+ */
+
+import { CONFIG } from './config.js';
+import { HistoryAnalytics } from './HistoryAnalytics.js';
+import { I18n } from './I18n.js';
+
+const EMPTY_CELL = '—';
+
+export class AnalyticsManager {
+  constructor(historyManager, wordManager) {
+    if (!historyManager) throw new Error('HistoryManager requis');
+    if (!wordManager) throw new Error('WordManager requis');
+
+    this.historyManager = historyManager;
+    this.wordManager = wordManager;
+    this.panel = null;
+    this.container = null;
+    this.historyUnsubscribe = null;
+    this.refreshHandler = () => this.refresh();
+
+    this.init();
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log('AnalyticsManager initialisé');
+    }
+  }
+
+  init() {
+    this.panel = document.getElementById(CONFIG.DOM_ELEMENTS.ANALYTICS_PANEL);
+    this.container = document.getElementById(CONFIG.DOM_ELEMENTS.HISTORY_ANALYTICS);
+
+    if (this.panel) this.panel.addEventListener('toggle', this.refreshHandler);
+    this.historyUnsubscribe = this.historyManager.addObserver(this.refreshHandler);
+    document.addEventListener(CONFIG.EVENTS.LEXICON_CHANGED, this.refreshHandler);
+    document.addEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.refreshHandler);
+  }
+
+  isOpen() {
+    return !!this.panel && this.panel.open;
+  }
+
+  /**
+   * Réaffiche l'analyse si le panneau est ouvert ; sinon elle sera calculée à l'ouverture
+   */
+  refresh() {
+    if (this.isOpen()) this.render();
+  }
+
+  /**
+   * @returns {{words: Object, pairs: Object}} Voir HistoryAnalytics.wordStatistics et pairStatistics
+   */
+  getAnalytics() {
+    const history = this.historyManager.history;
+    const lexicon = this.wordManager.getAllWords();
+    return {
+      words: HistoryAnalytics.wordStatistics(history, lexicon),
+      pairs: HistoryAnalytics.pairStatistics(history, lexicon)
+    };
+  }
+
+  render() {
+    if (!this.container) return;
+
+    this.container.innerHTML = '';
+    if (this.historyManager.history.length === 0) {
+      this.container.appendChild(this.createNote(I18n.t('ANALYTICS.EMPTY')));
+      return;
+    }
+
+    const { words, pairs } = this.getAnalytics();
+
+    if (words.skipped > 0) {
+      this.container.appendChild(this.createNote(I18n.t('ANALYTICS.SKIPPED', { count: words.skipped })));
+    }
+    if (words.analysed > 0) {
+      this.container.append(this.createWordTable(words), this.createPositionHeatmap(words));
+    }
+
+    this.container.appendChild(this.createNote(pairs.combinations === 0
+      ? I18n.t('ANALYTICS.NO_PAIRS', { minRating: pairs.minRating })
+      : I18n.t('ANALYTICS.PAIRS_SUMMARY', { count: pairs.combinations, minRating: pairs.minRating })));
+    if (pairs.pairs.length > 0) {
+      this.container.append(this.createPairTable(pairs), this.createPairHeatmap(pairs));
+    }
+  }
+
+  /**
+   * @private
+   */
+  formatRating(value) {
+    return value === null ? EMPTY_CELL : I18n.formatNumber(value, { maximumFractionDigits: 1 });
+  }
+
+  /**
+   * Intensité d'une note dans les cartes de chaleur, de 0 (note minimale) à 1 (note maximale)
+   * @private
+   */
+  ratingHeat(average) {
+    return (average - CONFIG.LIMITS.MIN_RATING) / (CONFIG.LIMITS.MAX_RATING - CONFIG.LIMITS.MIN_RATING);
+  }
+
+  /**
+   * @private
+   */
+  createNote(text) {
+    const note = document.createElement('p');
+    note.className = 'analytics-note';
+    note.textContent = text;
+    return note;
+  }
+
+  /**
+   * @private
+   * @param {string} caption
+   * @param {Array<string>} headers - En-têtes de colonnes ; le premier est celui des lignes
+   * @param {string} [className]
+   */
+  createTable(caption, headers, className = 'analytics-table') {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'analytics-scroll';
+
+    const table = document.createElement('table');
+    table.className = className;
+    table.createCaption().textContent = caption;
+
+    const row = table.createTHead().insertRow();
+    headers.forEach(text => {
+      const cell = document.createElement('th');
+      cell.scope = 'col';
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    table.createTBody();
+
+    wrapper.appendChild(table);
+    return wrapper;
+  }
+
+  /**
+   * @private
+   */
+  addRow(table, header, cells) {
+    const row = table.tBodies[0].insertRow();
+    const th = document.createElement('th');
+    th.scope = 'row';
+    th.textContent = header;
+    row.appendChild(th);
+
+    cells.forEach(cell => row.appendChild(cell));
+    return row;
+  }
+
+  /**
+   * @private
+   */
+  createCell(text, title = '') {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    if (title) cell.title = title;
+    return cell;
+  }
+
+  /**
+   * Case de carte de chaleur ; vide quand heat est null
+   * @private
+   */
+  createHeatCell(text, heat, title) {
+    const cell = this.createCell(heat === null ? '' : text, title);
+    cell.className = heat === null ? 'heat-cell heat-empty' : 'heat-cell';
+    if (heat !== null) cell.style.setProperty('--heat', heat.toFixed(3));
+    return cell;
+  }
+
+  /**
+   * @private
+   */
+  createWordTable({ words }) {
+    const wrapper = this.createTable(I18n.t('ANALYTICS.WORDS_CAPTION'), [
+      I18n.t('ANALYTICS.WORD_HEADER'),
+      I18n.t('ANALYTICS.COMBINATIONS_HEADER'),
+      I18n.t('ANALYTICS.AVERAGE_HEADER'),
+      I18n.t('ANALYTICS.BEST_POSITION_HEADER')
+    ]);
+    const table = wrapper.querySelector('table');
+
+    words.forEach(word => this.addRow(table, word.word, [
+      this.createCell(I18n.t('ANALYTICS.COMBINATIONS_CELL', {
+        count: word.combinations,
+        share: I18n.formatNumber(word.share, { style: 'percent' })
+      })),
+      this.createCell(this.formatRating(word.average)),
+      this.createCell(word.bestPosition === null ? EMPTY_CELL : String(word.bestPosition + 1))
+    ]));
+    return wrapper;
+  }
+
+  /**
+   * Mots en lignes, positions en colonnes, note moyenne dans chaque case
+   * @private
+   */
+  createPositionHeatmap({ words, positions }) {
+    const headers = Array.from({ length: positions }, (_, position) => String(position + 1));
+    const wrapper = this.createTable(I18n.t('ANALYTICS.POSITIONS_CAPTION'), [I18n.t('ANALYTICS.WORD_HEADER'), ...headers], 'heatmap');
+    const table = wrapper.querySelector('table');
+
+    words.forEach(({ word, positions: cells }) => this.addRow(table, word, cells.map((cell, position) =>
+      cell.count === 0
+        ? this.createHeatCell('', null, '')
+        : this.createHeatCell(this.formatRating(cell.average), this.ratingHeat(cell.average), I18n.t('ANALYTICS.POSITION_TITLE', {
+            word,
+            position: position + 1,
+            count: cell.count,
+            average: this.formatRating(cell.average)
+          }))
+    )));
+    return wrapper;
+  }
+
+  /**
+   * @private
+   */
+  createPairTable({ pairs }) {
+    const wrapper = this.createTable(I18n.t('ANALYTICS.PAIRS_CAPTION'), [
+      I18n.t('ANALYTICS.PAIR_HEADER'),
+      I18n.t('ANALYTICS.TOGETHER_HEADER'),
+      I18n.t('ANALYTICS.AVERAGE_HEADER')
+    ]);
+    const table = wrapper.querySelector('table');
+
+    pairs.slice(0, CONFIG.LIMITS.MAX_ANALYTICS_PAIRS).forEach(({ words: [first, second], count, average }) => {
+      this.addRow(table, I18n.t('ANALYTICS.PAIR', { first, second }), [
+        this.createCell(String(count)),
+        this.createCell(this.formatRating(average))
+      ]);
+    });
+    return wrapper;
+  }
+
+  /**
+   * Matrice symétrique des paires : plus une case est foncée, plus les deux mots ont été réunis
+   * @private
+   */
+  createPairHeatmap({ words, pairs }) {
+    const byKey = new Map(pairs.map(pair => [pair.words.join('\u0000'), pair]));
+    const highest = Math.max(...pairs.map(pair => pair.count));
+    const wrapper = this.createTable(I18n.t('ANALYTICS.PAIR_MAP_CAPTION'), [I18n.t('ANALYTICS.WORD_HEADER'), ...words], 'heatmap');
+    const table = wrapper.querySelector('table');
+
+    words.forEach((first, row) => this.addRow(table, first, words.map((second, column) => {
+      const pair = row === column ? null : byKey.get(row < column ? `${first}\u0000${second}` : `${second}\u0000${first}`);
+      return pair
+        ? this.createHeatCell(String(pair.count), pair.count / highest, I18n.t('ANALYTICS.PAIR_TITLE', {
+            first: pair.words[0],
+            second: pair.words[1],
+            count: pair.count,
+            average: this.formatRating(pair.average)
+          }))
+        : this.createHeatCell('', null, '');
+    })));
+    return wrapper;
+  }
+
+  validate() {
+    const issues = [];
+    const warnings = [];
+    if (!this.panel) warnings.push('Panneau d\'analyse introuvable');
+    if (!this.container) issues.push('Conteneur d\'analyse introuvable');
+
+    return { isValid: issues.length === 0, issues, warnings };
+  }
+
+  getDebugInfo() {
+    return {
+      open: this.isOpen(),
+      validation: this.validate()
+    };
+  }
+
+  cleanup() {
+    if (this.panel) this.panel.removeEventListener('toggle', this.refreshHandler);
+    if (this.historyUnsubscribe) this.historyUnsubscribe();
+    this.historyUnsubscribe = null;
+    document.removeEventListener(CONFIG.EVENTS.LEXICON_CHANGED, this.refreshHandler);
+    document.removeEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.refreshHandler);
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log('AnalyticsManager: Nettoyage effectué');
+    }
+  }
+}
+
+export default AnalyticsManager;
@@ -6,6 +6,7 @@
 
 import { CONFIG, safeLocalStorageGet, safeLocalStorageSet } from './config.js';
 import { NotificationManager } from './NotificationManager.js';
+import { I18n } from './I18n.js';
 
 export class AudioManager {
   constructor() {
@@ -69,6 +70,9 @@ export class AudioManager {
     window.addEventListener('blur', () => this.pauseAllSounds());
     
     document.addEventListener('click', () => this.resumeAudioContext(), { once: true });
+
+    this.localeChangedHandler = () => this.updateButtonDisplay();
+    document.addEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.localeChangedHandler);
   }
   
   async resumeAudioContext() {
@@ -116,14 +120,14 @@ export class AudioManager {
     if (!button) return;
     
     if (this.soundEnabled) {
-      button.textContent = '🔊 Son activé';
+      button.textContent = `🔊 ${I18n.t('AUDIO.ENABLED')}`;
       button.className = `secondary ${CONFIG.CSS_CLASSES.SOUND_ENABLED}`;
-      button.setAttribute('aria-label', 'Désactiver le son');
+      button.setAttribute('aria-label', I18n.t('AUDIO.DISABLE_LABEL'));
       button.setAttribute('aria-pressed', 'true');
     } else {
-      button.textContent = '🔇 Son désactivé';
+      button.textContent = `🔇 ${I18n.t('AUDIO.DISABLED')}`;
       button.className = `secondary ${CONFIG.CSS_CLASSES.SOUND_DISABLED}`;
-      button.setAttribute('aria-label', 'Activer le son');
+      button.setAttribute('aria-label', I18n.t('AUDIO.ENABLE_LABEL'));
       button.setAttribute('aria-pressed', 'false');
     }
   }
@@ -248,6 +252,7 @@ export class AudioManager {
   
   cleanup() {
     this.pauseAllSounds();
+    document.removeEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.localeChangedHandler);
     
     if (this.audioContext && this.audioContext.state !== 'closed') {
       this.audioContext.close();
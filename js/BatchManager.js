@@ -0,0 +1,276 @@
+/**
+ * Gestionnaire de génération en série
+ * Produit plusieurs combinaisons d'un coup, sans animation, et les présente en grille
+ * pour les comparer : chacune peut être notée, étoilée, copiée, puis envoyée dans l'historique
+ * @module BatchManager
+ */
+
+import { CONFIG } from './config.js';
+import { NotificationManager } from './NotificationManager.js';
+import { I18n } from './I18n.js';
+
+export class BatchManager {
+  constructor(combinationGenerator, historyManager) {
+    if (!combinationGenerator) throw new Error('CombinationGenerator requis');
+    if (!historyManager) throw new Error('HistoryManager requis');
+
+    this.combinationGenerator = combinationGenerator;
+    this.historyManager = historyManager;
+    this.items = [];
+    this.nextId = 1;
+    this.grid = null;
+    this.gridHandlers = null;
+
+    this.init();
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log('BatchManager initialisé');
+    }
+  }
+
+  init() {
+    this.grid = document.getElementById(CONFIG.DOM_ELEMENTS.BATCH_GRID);
+    this.localeChangeHandler = () => this.render();
+    document.addEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.localeChangeHandler);
+    this.setupEventListeners();
+    this.render();
+  }
+
+  /**
+   * Délégation : les cartes sont recréées à chaque rendu
+   * @private
+   */
+  setupEventListeners() {
+    if (!this.grid) return;
+
+    const onClick = (event) => {
+      const button = event.target.closest('button[data-action]');
+      const card = event.target.closest('[data-batch-id]');
+      if (!button || !card) return;
+
+      const id = Number(card.dataset.batchId);
+      if (button.dataset.action === 'star') this.toggleStar(id);
+      if (button.dataset.action === 'copy') this.copyItem(id);
+    };
+
+    const onChange = (event) => {
+      const card = event.target.closest('[data-batch-id]');
+      if (!card || !event.target.matches('select[data-action="rate"]')) return;
+
+      this.setRating(Number(card.dataset.batchId), event.target.value);
+    };
+
+    this.grid.addEventListener('click', onClick);
+    this.grid.addEventListener('change', onChange);
+    this.gridHandlers = { onClick, onChange };
+  }
+
+  /**
+   * Remplace la série affichée par une nouvelle
+   * Indépendant de la génération animée : la combinaison courante n'est pas touchée
+   * @param {boolean} [useSelectedOnly] - Utiliser uniquement les mots sélectionnés
+   * @param {number} [count] - Taille de la série (à défaut, celle du sélecteur)
+   * @returns {number} Nombre de combinaisons obtenues
+   */
+  generateBatch(useSelectedOnly = false, count = this.readBatchCount()) {
+    const batch = this.combinationGenerator.generateBatch(count, useSelectedOnly);
+    if (batch.length === 0) return 0;
+
+    this.items = batch.map(({ combination, metadata }) => ({
+      id: this.nextId++,
+      combination,
+      metadata,
+      rating: null,
+      starred: false
+    }));
+    this.render();
+
+    NotificationManager.info(CONFIG.MESSAGES.BATCH_GENERATED.replace('{count}', this.items.length));
+    return this.items.length;
+  }
+
+  readBatchCount() {
+    const select = document.getElementById(CONFIG.DOM_ELEMENTS.BATCH_COUNT_SELECT);
+    const count = select ? parseInt(select.value, 10) : NaN;
+    return Number.isInteger(count) && count > 0 ? count : 10;
+  }
+
+  findItem(id) {
+    return this.items.find(item => item.id === id) || null;
+  }
+
+  toggleStar(id) {
+    const item = this.findItem(id);
+    if (!item) return;
+
+    item.starred = !item.starred;
+    this.render();
+  }
+
+  /**
+   * @param {number} id - Identifiant de la carte
+   * @param {string|number|null} value - Note, ou vide pour l'effacer
+   */
+  setRating(id, value) {
+    const item = this.findItem(id);
+    if (!item) return;
+
+    const rating = parseInt(value, 10);
+    item.rating = Number.isInteger(rating) && rating >= CONFIG.LIMITS.MIN_RATING && rating <= CONFIG.LIMITS.MAX_RATING
+      ? rating
+      : null;
+  }
+
+  copyItem(id) {
+    const item = this.findItem(id);
+    if (item) this.writeToClipboard(item.combination, CONFIG.MESSAGES.COMBINATION_COPIED);
+  }
+
+  /**
+   * Copie les combinaisons étoilées, séparées par une ligne vide
+   */
+  copyStarred() {
+    const starred = this.items.filter(item => item.starred);
+    if (starred.length === 0) {
+      NotificationManager.warning(CONFIG.MESSAGES.BATCH_NOTHING_STARRED);
+      return;
+    }
+
+    this.writeToClipboard(
+      starred.map(item => item.combination).join('\n\n'),
+      I18n.t('MESSAGES.BATCH_COPIED', { count: starred.length })
+    );
+  }
+
+  /**
+   * @private
+   */
+  writeToClipboard(text, successMessage) {
+    if (!navigator.clipboard) {
+      NotificationManager.error(CONFIG.MESSAGES.COPY_UNSUPPORTED);
+      return;
+    }
+
+    navigator.clipboard.writeText(text)
+      .then(() => NotificationManager.success(successMessage))
+      .catch(() => NotificationManager.error(CONFIG.MESSAGES.COPY_ERROR));
+  }
+
+  /**
+   * Ajoute à l'historique toutes les combinaisons notées, puis les retire de la grille
+   * @returns {number} Nombre d'entrées ajoutées
+   */
+  sendRatedToHistory() {
+    const rated = this.items.filter(item => item.rating !== null);
+    if (rated.length === 0) {
+      NotificationManager.warning(CONFIG.MESSAGES.BATCH_NOTHING_RATED);
+      return 0;
+    }
+
+    rated.forEach(item => this.historyManager.addEntry(item.combination, item.rating, item.metadata));
+    this.items = this.items.filter(item => item.rating === null);
+    this.render();
+
+    NotificationManager.success(I18n.t('MESSAGES.BATCH_SENT', { count: rated.length }));
+    return rated.length;
+  }
+
+  clear() {
+    this.items = [];
+    this.render();
+  }
+
+  render() {
+    if (!this.grid) return;
+
+    this.grid.innerHTML = '';
+    this.grid.setAttribute('aria-label', this.items.length === 0
+      ? I18n.t('BATCH.EMPTY_LABEL')
+      : I18n.t('BATCH.GRID_LABEL', { count: this.items.length }));
+
+    if (this.items.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'batch-empty';
+      empty.textContent = I18n.t('BATCH.EMPTY');
+      this.grid.appendChild(empty);
+      return;
+    }
+
+    this.items.forEach((item, index) => this.grid.appendChild(this.createCard(item, index)));
+  }
+
+  /**
+   * @private
+   */
+  createCard(item, index) {
+    const card = document.createElement('div');
+    card.className = item.starred ? 'batch-card starred' : 'batch-card';
+    card.dataset.batchId = String(item.id);
+    card.setAttribute('role', 'listitem');
+
+    const text = document.createElement('p');
+    text.className = 'batch-text';
+    text.textContent = item.combination;
+    if (Number.isInteger(item.metadata.seed)) text.title = I18n.t('BATCH.SEED_TITLE', { seed: item.metadata.seed });
+
+    const actions = document.createElement('div');
+    actions.className = 'batch-actions';
+
+    const rating = document.createElement('select');
+    rating.dataset.action = 'rate';
+    rating.setAttribute('aria-label', I18n.t('BATCH.RATE_LABEL', { number: index + 1 }));
+    rating.appendChild(new Option('—', ''));
+    for (let note = CONFIG.LIMITS.MIN_RATING; note <= CONFIG.LIMITS.MAX_RATING; note++) {
+      rating.appendChild(new Option(`${note}/10`, String(note), false, item.rating === note));
+    }
+
+    const star = document.createElement('button');
+    star.type = 'button';
+    star.dataset.action = 'star';
+    star.textContent = item.starred ? '★' : '☆';
+    star.setAttribute('aria-pressed', String(item.starred));
+    star.setAttribute('aria-label', I18n.t('BATCH.STAR_LABEL', { number: index + 1 }));
+
+    const copy = document.createElement('button');
+    copy.type = 'button';
+    copy.dataset.action = 'copy';
+    copy.textContent = '📋';
+    copy.setAttribute('aria-label', I18n.t('BATCH.COPY_LABEL', { number: index + 1 }));
+
+    actions.append(rating, star, copy);
+    card.append(text, actions);
+    return card;
+  }
+
+  validate() {
+    const issues = [];
+    if (!this.grid) issues.push('Grille de série introuvable');
+
+    return { isValid: issues.length === 0, issues, itemCount: this.items.length };
+  }
+
+  getDebugInfo() {
+    return {
+      items: this.items.length,
+      rated: this.items.filter(item => item.rating !== null).length,
+      starred: this.items.filter(item => item.starred).length,
+      validation: this.validate()
+    };
+  }
+
+  cleanup() {
+    document.removeEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.localeChangeHandler);
+    if (this.grid && this.gridHandlers) {
+      this.grid.removeEventListener('click', this.gridHandlers.onClick);
+      this.grid.removeEventListener('change', this.gridHandlers.onChange);
+    }
+    this.gridHandlers = null;
+    this.items = [];
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log('BatchManager: Nettoyage effectué');
+    }
+  }
+}
+
+export default BatchManager;
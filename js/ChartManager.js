@@ -0,0 +1,318 @@
+/**
+ * Gestionnaire des statistiques descriptives et des graphiques de la section #statistics
+ * Dessine en SVG, sans bibliothèque : évolution des notes (par jour ou par séance, avec moyenne mobile)
+ * et répartition des notes ; se redessine à chaque changement de l'historique (HistoryManager.addObserver)
+ * @module ChartManager
+ */
+
+import { CONFIG } from './config.js';
+import { HistoryAnalytics } from './HistoryAnalytics.js';
+import { I18n } from './I18n.js';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 220;
+const MARGIN = Object.freeze({ top: 15, right: 15, bottom: 30, left: 30 });
+const RATING_TICK_STEP = 3;
+const MAX_DATE_LABELS = 6;
+const EMPTY_VALUE = '—';
+
+/**
+ * Élément SVG avec ses attributs
+ */
+const createSvgElement = (tag, attributes = {}, text = '') => {
+  const element = document.createElementNS(SVG_NAMESPACE, tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, String(value)));
+  if (text) element.textContent = text;
+  return element;
+};
+
+export class ChartManager {
+  constructor(historyManager) {
+    if (!historyManager) throw new Error('HistoryManager requis');
+
+    this.historyManager = historyManager;
+    this.elements = {};
+    this.historyUnsubscribe = null;
+    this.renderHandler = () => this.render();
+
+    this.init();
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log('ChartManager initialisé');
+    }
+  }
+
+  init() {
+    this.elements = {
+      descriptive: document.getElementById(CONFIG.DOM_ELEMENTS.DESCRIPTIVE_STATISTICS),
+      period: document.getElementById(CONFIG.DOM_ELEMENTS.TREND_PERIOD_SELECT),
+      trend: document.getElementById(CONFIG.DOM_ELEMENTS.RATING_TREND_CHART),
+      distribution: document.getElementById(CONFIG.DOM_ELEMENTS.RATING_DISTRIBUTION_CHART)
+    };
+
+    this.historyUnsubscribe = this.historyManager.addObserver(this.renderHandler);
+    if (this.elements.period) this.elements.period.addEventListener('change', this.renderHandler);
+    document.addEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.renderHandler);
+
+    this.render();
+  }
+
+  /**
+   * @returns {string} 'day' ou 'session'
+   */
+  getPeriod() {
+    return this.elements.period && this.elements.period.value === 'session' ? 'session' : 'day';
+  }
+
+  render() {
+    const history = this.historyManager.history;
+    const statistics = HistoryAnalytics.ratingStatistics(history);
+
+    this.renderDescriptiveStatistics(history.length > 0 ? statistics : null);
+    this.renderTrend(HistoryAnalytics.ratingTrend(history, { period: this.getPeriod() }));
+    this.renderDistribution(statistics.distribution);
+  }
+
+  /**
+   * @private
+   */
+  formatRating(value) {
+    return I18n.formatNumber(value, { maximumFractionDigits: 2 });
+  }
+
+  /**
+   * @private
+   * @param {Object|null} statistics - Voir HistoryAnalytics.ratingStatistics, null pour un historique vide
+   */
+  renderDescriptiveStatistics(statistics) {
+    const list = this.elements.descriptive;
+    if (!list) return;
+
+    const value = (read) => statistics ? read(statistics) : EMPTY_VALUE;
+    const items = [
+      ['STATISTICS.MEDIAN', value(({ median }) => this.formatRating(median))],
+      ['STATISTICS.MODE', value(({ mode }) => String(mode))],
+      ['STATISTICS.STANDARD_DEVIATION', value(({ standardDeviation }) => this.formatRating(standardDeviation))],
+      ['STATISTICS.QUARTILES', value(({ firstQuartile, thirdQuartile }) => I18n.t('STATISTICS.QUARTILES_VALUE', {
+        first: this.formatRating(firstQuartile),
+        third: this.formatRating(thirdQuartile)
+      }))]
+    ];
+
+    list.innerHTML = '';
+    items.forEach(([key, text]) => {
+      const item = document.createElement('div');
+      item.className = 'descriptive-statistic';
+      const term = document.createElement('dt');
+      term.textContent = I18n.t(key);
+      const definition = document.createElement('dd');
+      definition.textContent = text;
+      item.append(term, definition);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * @private
+   */
+  createSvg(label) {
+    const svg = createSvgElement('svg', {
+      viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+      role: 'img',
+      'aria-label': label,
+      class: 'chart'
+    });
+    svg.appendChild(createSvgElement('title', {}, label));
+    return svg;
+  }
+
+  /**
+   * Ordonnée d'une note : de MIN_RATING en bas à MAX_RATING en haut
+   * @private
+   */
+  ratingY(value) {
+    const { MIN_RATING, MAX_RATING } = CONFIG.LIMITS;
+    return MARGIN.top + (CHART_HEIGHT - MARGIN.top - MARGIN.bottom) * (MAX_RATING - value) / (MAX_RATING - MIN_RATING);
+  }
+
+  /**
+   * Lignes horizontales et graduations des notes
+   * @private
+   */
+  appendRatingAxis(svg) {
+    for (let note = CONFIG.LIMITS.MIN_RATING; note <= CONFIG.LIMITS.MAX_RATING; note += RATING_TICK_STEP) {
+      const y = this.ratingY(note);
+      svg.appendChild(createSvgElement('line', { x1: MARGIN.left, x2: CHART_WIDTH - MARGIN.right, y1: y, y2: y, class: 'chart-grid' }));
+      svg.appendChild(createSvgElement('text', { x: MARGIN.left - 6, y: y + 4, 'text-anchor': 'end', class: 'chart-label' }, String(note)));
+    }
+  }
+
+  /**
+   * @private
+   * @param {HTMLElement} figure
+   * @param {SVGElement|null} svg - Graphique, ou null si rien à dessiner
+   * @param {Array<string|HTMLElement>} caption
+   */
+  fillFigure(figure, svg, caption) {
+    figure.innerHTML = '';
+    if (svg) figure.appendChild(svg);
+
+    const figcaption = document.createElement('figcaption');
+    figcaption.append(...caption);
+    figure.appendChild(figcaption);
+  }
+
+  /**
+   * @private
+   */
+  createLegend(className, text) {
+    const legend = document.createElement('span');
+    legend.className = `chart-legend ${className}`;
+    legend.textContent = text;
+    return legend;
+  }
+
+  /**
+   * @private
+   * @param {Array<Object>} allPoints - Voir HistoryAnalytics.ratingTrend
+   */
+  renderTrend(allPoints) {
+    const figure = this.elements.trend;
+    if (!figure) return;
+
+    const period = this.getPeriod();
+    const caption = I18n.t(period === 'session' ? 'STATISTICS.TREND_CAPTION_SESSION' : 'STATISTICS.TREND_CAPTION_DAY', {
+      count: CONFIG.STATISTICS.MOVING_AVERAGE_WINDOW
+    });
+    if (allPoints.length === 0) {
+      this.fillFigure(figure, null, [I18n.t('STATISTICS.TREND_EMPTY')]);
+      return;
+    }
+
+    const points = allPoints.slice(-CONFIG.STATISTICS.MAX_TREND_POINTS);
+    const plotWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+    const x = (index) => MARGIN.left + (points.length === 1 ? plotWidth / 2 : plotWidth * index / (points.length - 1));
+    const dateOptions = period === 'session'
+      ? { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }
+      : { day: 'numeric', month: 'short', year: 'numeric' };
+
+    const svg = this.createSvg(caption);
+    this.appendRatingAxis(svg);
+
+    const polyline = (read, className) => createSvgElement('polyline', {
+      points: points.map((point, index) => `${x(index).toFixed(1)},${this.ratingY(read(point)).toFixed(1)}`).join(' '),
+      class: className
+    });
+    svg.appendChild(polyline(point => point.average, 'chart-line'));
+    svg.appendChild(polyline(point => point.movingAverage, 'chart-moving'));
+
+    const labelStep = Math.ceil(points.length / MAX_DATE_LABELS);
+    points.forEach((point, index) => {
+      const circle = createSvgElement('circle', { cx: x(index), cy: this.ratingY(point.average), r: 4, class: 'chart-point' });
+      circle.appendChild(createSvgElement('title', {}, I18n.t('STATISTICS.TREND_POINT', {
+        date: I18n.formatDate(point.start, dateOptions),
+        count: point.count,
+        average: this.formatRating(point.average),
+        moving: this.formatRating(point.movingAverage)
+      })));
+      svg.appendChild(circle);
+
+      if (index % labelStep === 0) {
+        svg.appendChild(createSvgElement('text', {
+          x: x(index),
+          y: CHART_HEIGHT - MARGIN.bottom + 18,
+          'text-anchor': 'middle',
+          class: 'chart-label'
+        }, I18n.formatDate(point.start, { day: 'numeric', month: 'short' })));
+      }
+    });
+
+    const legend = [
+      caption,
+      ' ',
+      this.createLegend('legend-average', I18n.t('STATISTICS.LEGEND_AVERAGE')),
+      ' ',
+      this.createLegend('legend-moving', I18n.t('STATISTICS.LEGEND_MOVING_AVERAGE'))
+    ];
+    if (allPoints.length > points.length) {
+      legend.push(' ', I18n.t('STATISTICS.TREND_TRUNCATED', { count: points.length, total: allPoints.length }));
+    }
+    this.fillFigure(figure, svg, legend);
+  }
+
+  /**
+   * @private
+   * @param {Object<number, number>} distribution - Nombre de combinaisons par note
+   */
+  renderDistribution(distribution) {
+    const figure = this.elements.distribution;
+    if (!figure) return;
+
+    const caption = I18n.t('STATISTICS.DISTRIBUTION_CAPTION');
+    const notes = Object.keys(distribution).map(Number);
+    const highest = Math.max(0, ...Object.values(distribution));
+    if (highest === 0) {
+      this.fillFigure(figure, null, [caption]);
+      return;
+    }
+
+    const plotWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+    const plotHeight = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+    const slot = plotWidth / notes.length;
+    const svg = this.createSvg(caption);
+
+    notes.forEach((note, index) => {
+      const count = distribution[note];
+      const height = plotHeight * count / highest;
+      const left = MARGIN.left + slot * index;
+      const top = MARGIN.top + plotHeight - height;
+
+      const bar = createSvgElement('rect', { x: left + slot * 0.15, y: top, width: slot * 0.7, height, class: 'chart-bar' });
+      bar.appendChild(createSvgElement('title', {}, I18n.t('STATISTICS.DISTRIBUTION_BAR', { note, count })));
+      svg.appendChild(bar);
+
+      if (count > 0) {
+        svg.appendChild(createSvgElement('text', { x: left + slot / 2, y: top - 4, 'text-anchor': 'middle', class: 'chart-label' }, String(count)));
+      }
+      svg.appendChild(createSvgElement('text', {
+        x: left + slot / 2,
+        y: CHART_HEIGHT - MARGIN.bottom + 18,
+        'text-anchor': 'middle',
+        class: 'chart-label'
+      }, String(note)));
+    });
+
+    this.fillFigure(figure, svg, [caption]);
+  }
+
+  validate() {
+    const issues = [];
+    const warnings = [];
+    Object.entries(this.elements).forEach(([name, element]) => {
+      if (!element) warnings.push(`Élément de statistiques introuvable : ${name}`);
+    });
+
+    return { isValid: issues.length === 0, issues, warnings };
+  }
+
+  getDebugInfo() {
+    return {
+      period: this.getPeriod(),
+      validation: this.validate()
+    };
+  }
+
+  cleanup() {
+    if (this.historyUnsubscribe) this.historyUnsubscribe();
+    this.historyUnsubscribe = null;
+    if (this.elements.period) this.elements.period.removeEventListener('change', this.renderHandler);
+    document.removeEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.renderHandler);
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log('ChartManager: Nettoyage effectué');
+    }
+  }
+}
+
+export default ChartManager;
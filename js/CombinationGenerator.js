@@ -1,11 +1,27 @@
 /**
  * Générateur de combinaisons poétiques (VERSION OPTIMISÉE)
  * Gère la génération, l'animation et la validation des combinaisons de mots
+ * Lit les réglages de la page et délègue le tirage au cœur sans DOM (PoemEngine)
  * @module CombinationGenerator
  */
 
 import { CONFIG } from './config.js';
 import { NotificationManager } from './NotificationManager.js';
+import { SeededRandom } from './SeededRandom.js';
+import { Combinatorics } from './Combinatorics.js';
+import { FORMAT_MODES } from './FrenchFormatter.js';
+import { PreferenceModel } from './PreferenceModel.js';
+import { SeenCombinations } from './SeenCombinations.js';
+import { METRIC_FORMS } from './SyllableCounter.js';
+import { PoemEngine, GENERATION_MODES, DEFAULT_SETTINGS, GenerationError } from './PoemEngine.js';
+import { GroupPattern, GROUP_PATTERN_MODES } from './GroupPattern.js';
+import { WordGroups } from './WordGroups.js';
+import { DEFAULT_LEXICON_LANGUAGE } from './LexiconStore.js';
+import { I18n } from './I18n.js';
+
+export { GENERATION_MODES, GenerationError };
+
+const DEFAULT_LEARNING_STRENGTH = 0.5;
 
 export class CombinationGenerator {
   constructor(wordManager, audioManager) {
@@ -15,8 +31,42 @@ export class CombinationGenerator {
     this.wordManager = wordManager;
     this.audioManager = audioManager;
     this.ratingManager = null;
+    this.ordinationManager = null;
+    this.historyManager = null;
+    this.historyUnsubscribe = null;
+    this.engine = new PoemEngine({
+      lexicon: () => this.wordManager.getAllWords(),
+      getWordMetadata: (word) => this.getWordMetadata(word),
+      getWordGroup: (word) => this.getWordGroup(word),
+      getGroups: () => this.getGroups(),
+      getLanguage: () => this.getLexiconLanguage(),
+      getPreferenceModel: () => this.getPreferenceModel()
+    });
+    this.preferenceModel = new PreferenceModel({ minRating: CONFIG.LIMITS.MIN_RATING, maxRating: CONFIG.LIMITS.MAX_RATING });
+    this.isPreferenceModelStale = true;
+    this.seenCombinations = new SeenCombinations({
+      onSaveError: (count) => NotificationManager.warning(I18n.t('MESSAGES.SEEN_COMBINATIONS_NOT_SAVED', { count }))
+    });
+    this.visibilityHandler = () => {
+      if (document.hidden) this.seenCombinations.flush();
+    };
     
     this.currentCombination = '';
+    this.currentFormatting = null;
+    this.currentWords = [];
+    this.currentSeed = null;
+    this.currentIndex = null;
+    this.currentWordCount = 0;
+    this.currentUseSelectedOnly = false;
+    this.currentGenerationMode = null;
+    this.currentLearningStrength = null;
+    this.currentConstraints = null;
+    this.currentGroupPattern = null;
+    this.currentLineLengths = null;
+    this.currentMetricForm = null;
+    this.currentSyllableCounts = [];
+    this.currentWordCountSetting = null;
+    this.currentLineCount = null;
     this.isCombinationGenerated = false;
     this.isAnimationComplete = false;
     this.isGenerating = false;
@@ -25,50 +75,210 @@ export class CombinationGenerator {
     this.recentCombinations = new Set();
     this.maxRecentCombinations = CONFIG.LIMITS.MAX_RECENT_COMBINATIONS;
     
+    this.init();
+    
     if (CONFIG.DEBUG.ENABLED) {
       console.log('CombinationGenerator initialized');
     }
   }
   
+  init() {
+    this.setupEventListeners();
+    this.syncWithLexicon();
+    this.updateSpaceDisplay();
+  }
+  
+  setupEventListeners() {
+    this.spaceUpdateHandler = () => this.updateSpaceDisplay();
+    this.lexiconChangeHandler = () => {
+      this.syncWithLexicon();
+      this.renderGroupQuotas();
+      this.updateSpaceDisplay();
+    };
+    
+    this.localeChangeHandler = () => {
+      this.syncWithLexicon();
+      this.renderGroupQuotas();
+      this.updateSpaceDisplay();
+      this.updateGenerationInfo();
+    };
+    
+    document.addEventListener(CONFIG.EVENTS.SELECTION_CHANGED, this.spaceUpdateHandler);
+    document.addEventListener(CONFIG.EVENTS.LEXICON_CHANGED, this.lexiconChangeHandler);
+    document.addEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.localeChangeHandler);
+    
+    this.replayHandler = (e) => this.replayEntry(e.detail.entry);
+    document.addEventListener(CONFIG.EVENTS.REPLAY_REQUESTED, this.replayHandler);
+    document.addEventListener('visibilitychange', this.visibilityHandler);
+    
+    const selectElement = document.getElementById(CONFIG.DOM_ELEMENTS.WORD_COUNT_SELECT);
+    if (selectElement) selectElement.addEventListener('change', this.spaceUpdateHandler);
+    
+    const groupPatternSelect = document.getElementById(CONFIG.DOM_ELEMENTS.GROUP_PATTERN_SELECT);
+    if (groupPatternSelect) groupPatternSelect.addEventListener('change', () => this.renderGroupQuotas());
+    
+    const neverRepeatCheckbox = document.getElementById(CONFIG.DOM_ELEMENTS.NEVER_REPEAT_CHECKBOX);
+    if (neverRepeatCheckbox) {
+      neverRepeatCheckbox.checked = this.seenCombinations.neverRepeat;
+      neverRepeatCheckbox.addEventListener('change', () => this.seenCombinations.setNeverRepeat(neverRepeatCheckbox.checked));
+    }
+  }
+  
+  /**
+   * Adapte les réglages de longueur à la taille du lexique actif :
+   * choix de 1 à n - 1 mots (puis « Maximum ») et bornes des contraintes de longueur
+   */
+  syncWithLexicon() {
+    const total = this.wordManager.getAllWords().length;
+    const selectElement = document.getElementById(CONFIG.DOM_ELEMENTS.WORD_COUNT_SELECT);
+    
+    if (selectElement) {
+      const current = selectElement.value;
+      const maxOption = selectElement.querySelector('option[value="max"]');
+      
+      selectElement.querySelectorAll('option').forEach(option => {
+        if (/^\d+$/.test(option.value)) option.remove();
+      });
+      for (let count = 1; count < total; count++) {
+        selectElement.insertBefore(new Option(I18n.t('GENERATION.WORD_COUNT_OPTION', { count }), String(count)), maxOption);
+      }
+      selectElement.value = [...selectElement.options].some(option => option.value === current) ? current : 'max';
+    }
+    
+    ['CONSTRAINT_MIN_LENGTH_INPUT', 'CONSTRAINT_MAX_LENGTH_INPUT'].forEach(key => {
+      const input = document.getElementById(CONFIG.DOM_ELEMENTS[key]);
+      if (input) input.max = String(total);
+    });
+  }
+  
   setRatingManager(ratingManager) {
     this.ratingManager = ratingManager;
   }
   
+  /**
+   * Source des métadonnées grammaticales des mots (mode grammatical)
+   * @param {OrdinationManager} ordinationManager
+   */
+  setOrdinationManager(ordinationManager) {
+    this.ordinationManager = ordinationManager;
+    this.renderGroupQuotas();
+  }
+  
+  /**
+   * Source des notes dont le mode appris tire ses préférences
+   * Le modèle est réentraîné à la génération suivante dès que l'historique change,
+   * et les combinaisons notées rejoignent celles déjà vues
+   * @param {HistoryManager} historyManager
+   */
+  setHistoryManager(historyManager) {
+    if (this.historyUnsubscribe) this.historyUnsubscribe();
+    
+    this.historyManager = historyManager;
+    this.isPreferenceModelStale = true;
+    this.historyUnsubscribe = historyManager
+      ? historyManager.addObserver(() => {
+          this.isPreferenceModelStale = true;
+          this.importRatedCombinations();
+        })
+      : null;
+    this.importRatedCombinations();
+  }
+  
+  /**
+   * @private
+   */
+  importRatedCombinations() {
+    if (!this.historyManager) return;
+    
+    if (this.seenCombinations.importHistory(this.historyManager.history, this.wordManager.getAllWords()) > 0) {
+      this.updateSpaceDisplay();
+    }
+  }
+  
+  /**
+   * Remplace le générateur pseudo-aléatoire (doit exposer next(), nextInt() et seed)
+   * @param {Function} factory - (seed) => PRNG
+   */
+  setRandomFactory(factory) {
+    this.engine.setRandomFactory(factory);
+  }
+  
+  /**
+   * Génère une combinaison et lance son animation
+   * @param {boolean|Object} [useSelectedOnly] - Utiliser uniquement les mots sélectionnés, ou directement l'objet d'options
+   * @param {Object} [options]
+   * @param {number|string} [options.seed] - Graine à rejouer
+   * @param {bigint} [options.index] - Rang global 0-indexé de la combinaison voulue
+   * @param {Object} [options.constraints] - Contraintes (voir GenerationConstraints) ; à défaut, celles du panneau
+   * @param {Object} [options.settings] - Réglages complets (voir readSettings) à la place de ceux du panneau
+   * @param {Array<string>} [options.expectedWords] - Mots attendus d'une graine rejouée, pour signaler un écart
+   */
   generate(useSelectedOnly = false, options = {}) {
-    const config = { avoidRecent: true, maxAttempts: 5, ...options };
+    if (useSelectedOnly !== null && typeof useSelectedOnly === 'object') {
+      return this.generate(!!useSelectedOnly.useSelectedOnly, useSelectedOnly);
+    }
+    
+    const config = { avoidRecent: true, maxAttempts: 5, seed: null, index: null, constraints: null, settings: null, expectedWords: null, ...options };
     
     if (this.isGenerating) {
       console.warn('Génération déjà en cours');
       return;
     }
     
-    const words = useSelectedOnly ? this.wordManager.getSelectedWords() : this.wordManager.getAllWords();
+    const words = this.getOrderedPool(useSelectedOnly);
     
     if (!this.validateWordsForGeneration(words, useSelectedOnly)) return;
     
+    if (config.seed === null && config.index === null) config.seed = this.consumeSeedInput();
+    if (config.index === null && !config.settings) config.constraints = this.resolveConstraints(config.constraints);
+    
     try {
       this.isGenerating = true;
       this.resetCombinationState();
       
       if (this.ratingManager) this.ratingManager.disableRating();
       
-      const wordCount = this.determineWordCount(words, useSelectedOnly);
-      const combination = this.createCombination(words, wordCount, config);
+      const result = this.createCombination(words, useSelectedOnly, config);
       
-      if (!combination) throw new Error('Impossible de générer une combinaison unique');
+      if (!result) throw new Error('Impossible de générer une combinaison unique');
       
+      const { combination, words: combinationWords, seed, formatting, generationMode } = result;
       this.currentCombination = combination;
+      this.currentFormatting = formatting;
+      this.currentWords = combinationWords;
+      this.currentSeed = seed;
+      this.currentIndex = Combinatorics.rankAcrossLengths(this.wordManager.getAllWords(), combinationWords);
+      this.currentWordCount = combinationWords.length;
+      this.currentUseSelectedOnly = useSelectedOnly;
+      this.currentGenerationMode = generationMode;
+      this.currentLearningStrength = result.learningStrength ?? null;
+      this.currentConstraints = result.constraints ?? null;
+      this.currentGroupPattern = result.groupPattern ?? null;
+      this.currentLineLengths = result.lineLengths ?? null;
+      this.currentMetricForm = result.metricForm ?? null;
+      this.currentSyllableCounts = result.syllableCounts;
+      this.currentWordCountSetting = result.wordCountSetting ?? null;
+      this.currentLineCount = result.lineCount ?? null;
+      this.seenCombinations.add(combinationWords);
+      this.updateSpaceDisplay();
+      this.updateGenerationInfo();
       this.animateResult(combination);
       
-      if (useSelectedOnly) {
-        NotificationManager.info(CONFIG.MESSAGES.SELECTED_WORDS_GENERATION.replace('{count}', words.length));
+      if (config.index !== null) {
+        NotificationManager.info(CONFIG.MESSAGES.INDEX_REACHED.replace('{index}', this.formatBigNumber(config.index + 1n)));
+      } else if (config.expectedWords && config.expectedWords.join(' ') !== combinationWords.join(' ')) {
+        NotificationManager.warning(I18n.t('MESSAGES.REPLAY_DIFFERS', { seed }));
+      } else if (config.seed !== null) {
+        NotificationManager.info(CONFIG.MESSAGES.SEED_REPLAYED.replace('{seed}', seed));
+      } else if (useSelectedOnly) {
+        NotificationManager.info(I18n.t('MESSAGES.SELECTED_WORDS_GENERATION', { count: words.length }));
       }
       
       this.dispatchGenerationEvent(combination, useSelectedOnly, words.length);
       
     } catch (error) {
       console.error('Erreur lors de la génération:', error);
-      NotificationManager.error('Erreur lors de la génération de la combinaison');
+      NotificationManager.error(error instanceof GenerationError ? error.message : I18n.t('GENERATION.ERROR'));
       this.isGenerating = false;
     }
   }
@@ -80,90 +290,370 @@ export class CombinationGenerator {
     }
     
     if (words.length === 1 && !useSelectedOnly) {
-      NotificationManager.warning('Au moins 2 mots sont nécessaires pour une génération variée');
+      NotificationManager.warning(I18n.t('GENERATION.NEED_TWO_WORDS'));
     }
     
     return true;
   }
   
-  determineWordCount(words, useSelectedOnly) {
-    if (useSelectedOnly) return words.length;
+  /**
+   * Retourne le réservoir de mots dans l'ordre du lexique
+   */
+  getOrderedPool(useSelectedOnly) {
+    return this.engine.orderPool(useSelectedOnly ? this.wordManager.getSelectedWords() : undefined);
+  }
+  
+  /**
+   * Génère directement la combinaison n° N saisie par l'utilisateur
+   * La numérotation couvre tout le lexique, indépendamment de la sélection courante
+   */
+  jumpToIndex() {
+    const input = document.getElementById(CONFIG.DOM_ELEMENTS.COMBINATION_INDEX_INPUT);
+    if (!input) return;
+    
+    const total = Combinatorics.countAllArrangements(this.wordManager.getAllWords().length);
+    const number = Combinatorics.parseIndex(input.value);
     
+    if (number === null || number < 1n || number > total) {
+      NotificationManager.warning(CONFIG.MESSAGES.INDEX_OUT_OF_RANGE.replace('{max}', this.formatBigNumber(total)));
+      return;
+    }
+    
+    this.generate(false, { index: number - 1n });
+  }
+  
+  /**
+   * Rejoue une entrée de l'historique : sa graine, avec les réglages enregistrés avec elle et remis dans le panneau
+   * La graine seule, lue avec les réglages du moment, ne redonnerait ni les mêmes mots ni leur nombre
+   * @param {Object} entry - Entrée de l'historique portant une graine
+   */
+  replayEntry(entry) {
+    if (!entry || !Number.isInteger(entry.seed)) return;
+    
+    const settings = this.entrySettings(entry);
+    this.writeSettings(settings);
+    this.generate(!!entry.useSelectedOnly, { seed: entry.seed, settings, expectedWords: entry.words ?? null });
+  }
+  
+  /**
+   * Réglages d'une entrée de l'historique, sous la forme de readSettings
+   * Les entrées antérieures au réglage enregistré reprennent le nombre de mots tiré et de vers obtenus
+   * @param {Object} entry
+   * @returns {Object}
+   */
+  entrySettings(entry) {
+    const wordCount = entry.useSelectedOnly ? 'max' : String(entry.wordCount ?? DEFAULT_SETTINGS.wordCount);
+    
+    return {
+      wordCount: entry.wordCountSetting ?? wordCount,
+      lineCount: entry.lineCount ?? (entry.lineLengths ? entry.lineLengths.length : 1),
+      metricForm: entry.metricForm || METRIC_FORMS.FREE,
+      generationMode: entry.generationMode || GENERATION_MODES.RANDOM,
+      learningStrength: entry.learningStrength ?? DEFAULT_LEARNING_STRENGTH,
+      formatMode: entry.formatMode || FORMAT_MODES.STRICT,
+      constraints: entry.constraints ?? null,
+      groupPattern: entry.groupPattern ?? null
+    };
+  }
+  
+  /**
+   * Remet des réglages dans les listes et le curseur du panneau ; contraintes et groupes ne sont passés qu'au tirage
+   * @param {Object} settings - Réglages de entrySettings
+   */
+  writeSettings(settings) {
+    const fields = [
+      [CONFIG.DOM_ELEMENTS.WORD_COUNT_SELECT, settings.wordCount, 'change'],
+      [CONFIG.DOM_ELEMENTS.LINE_COUNT_SELECT, settings.lineCount, 'change'],
+      [CONFIG.DOM_ELEMENTS.METRIC_FORM_SELECT, settings.metricForm, 'change'],
+      [CONFIG.DOM_ELEMENTS.GENERATION_MODE_SELECT, settings.generationMode, 'change'],
+      [CONFIG.DOM_ELEMENTS.LEARNING_STRENGTH_SLIDER, Math.round(settings.learningStrength * 100), 'input'],
+      [CONFIG.DOM_ELEMENTS.FORMAT_MODE_SELECT, settings.formatMode, 'change']
+    ];
+    
+    fields.forEach(([id, value, eventType]) => {
+      const element = document.getElementById(id);
+      if (!element || element.value === String(value)) return;
+      if (element.options && ![...element.options].some(option => option.value === String(value))) return;
+      
+      element.value = String(value);
+      element.dispatchEvent(new Event(eventType, { bubbles: true }));
+    });
+  }
+  
+  /**
+   * Lit puis vide le champ de graine : la génération suivante redevient aléatoire
+   * @returns {number|null} Graine saisie ou null
+   */
+  consumeSeedInput() {
+    const input = document.getElementById(CONFIG.DOM_ELEMENTS.SEED_INPUT);
+    if (!input) return null;
+    
+    const seed = SeededRandom.parseSeed(input.value);
+    input.value = '';
+    return seed;
+  }
+  
+  readWordCountSetting() {
     const selectElement = document.getElementById(CONFIG.DOM_ELEMENTS.WORD_COUNT_SELECT);
-    if (!selectElement) return Math.min(3, words.length);
+    return selectElement ? selectElement.value : '3';
+  }
+  
+  /**
+   * Contraintes passées à generate() ou, à défaut, saisies dans le panneau
+   * @returns {GenerationConstraints|null} null si aucune contrainte
+   */
+  resolveConstraints(rawConstraints) {
+    return this.engine.resolveConstraints(rawConstraints || this.readConstraintsPanel());
+  }
+  
+  readConstraintsPanel() {
+    const read = (key) => {
+      const element = document.getElementById(CONFIG.DOM_ELEMENTS[key]);
+      return element ? element.value : '';
+    };
     
-    const selectedValue = selectElement.value;
+    return {
+      include: read('CONSTRAINT_INCLUDE_INPUT'),
+      exclude: read('CONSTRAINT_EXCLUDE_INPUT'),
+      first: read('CONSTRAINT_FIRST_INPUT'),
+      last: read('CONSTRAINT_LAST_INPUT'),
+      positions: read('CONSTRAINT_POSITIONS_INPUT'),
+      minLength: read('CONSTRAINT_MIN_LENGTH_INPUT'),
+      maxLength: read('CONSTRAINT_MAX_LENGTH_INPUT')
+    };
+  }
+  
+  /**
+   * Répartition par groupes choisie dans le panneau
+   * @returns {Object|null} { mode, quotas? } ou null pour un tirage libre
+   */
+  readGroupPattern() {
+    const select = document.getElementById(CONFIG.DOM_ELEMENTS.GROUP_PATTERN_SELECT);
+    const mode = select ? select.value : '';
+    if (!mode) return null;
+    if (mode !== GROUP_PATTERN_MODES.QUOTAS) return { mode };
     
-    switch (selectedValue) {
-      case 'surprise': return Math.floor(Math.random() * words.length) + 1;
-      case 'max': return words.length;
-      default: {
-        const count = parseInt(selectedValue);
-        return isNaN(count) ? 3 : Math.min(count, words.length);
-      }
-    }
+    const quotas = {};
+    document.querySelectorAll(`#${CONFIG.DOM_ELEMENTS.GROUP_QUOTAS} input[data-group]`).forEach(input => {
+      const count = parseInt(input.value, 10);
+      if (count > 0) quotas[input.dataset.group] = count;
+    });
+    return { mode, quotas };
   }
   
-  createCombination(words, count, config) {
-    let attempts = 0;
-    let combination = null;
+  /**
+   * Un champ « nombre de mots » par groupe du lexique actif, visible en mode quotas
+   * Les valeurs saisies sont gardées pour les groupes qui restent
+   */
+  renderGroupQuotas() {
+    const container = document.getElementById(CONFIG.DOM_ELEMENTS.GROUP_QUOTAS);
+    const select = document.getElementById(CONFIG.DOM_ELEMENTS.GROUP_PATTERN_SELECT);
+    if (!container) return;
     
-    while (attempts < config.maxAttempts && !combination) {
-      const selectedWords = this.selectRandomWords(words, count);
-      const formattedCombination = this.formatCombination(selectedWords);
+    const previous = new Map([...container.querySelectorAll('input[data-group]')].map(input => [input.dataset.group, input.value]));
+    const groups = this.getGroups();
+    const words = this.wordManager.getAllWords();
+    
+    container.innerHTML = '';
+    groups.forEach(group => {
+      const id = `groupQuota${group.id}`;
+      const available = words.filter(word => this.getWordGroup(word) === group.id).length;
       
-      if (!config.avoidRecent || !this.recentCombinations.has(formattedCombination)) {
-        combination = formattedCombination;
-        break;
-      }
+      const label = document.createElement('label');
+      label.htmlFor = id;
+      label.className = 'control-label group-quota-label';
+      label.textContent = `${group.name} :`;
+      WordGroups.decorate(label, groups, group.id);
       
-      attempts++;
-    }
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.id = id;
+      input.className = 'seed-input';
+      input.min = '0';
+      input.max = String(available);
+      input.placeholder = '0';
+      input.value = previous.get(String(group.id)) ?? '';
+      WordGroups.decorate(input, groups, group.id);
+      input.setAttribute('aria-label', I18n.t('GENERATION.GROUP_QUOTA_LABEL', { name: group.name, count: available }));
+      
+      container.append(label, input);
+    });
     
-    if (!combination && attempts >= config.maxAttempts) {
-      const selectedWords = this.selectRandomWords(words, count);
-      combination = this.formatCombination(selectedWords);
-    }
+    container.hidden = !select || select.value !== GROUP_PATTERN_MODES.QUOTAS;
+  }
+  
+  clearConstraintsPanel() {
+    ['CONSTRAINT_INCLUDE_INPUT', 'CONSTRAINT_EXCLUDE_INPUT', 'CONSTRAINT_FIRST_INPUT', 'CONSTRAINT_LAST_INPUT',
+      'CONSTRAINT_POSITIONS_INPUT', 'CONSTRAINT_MIN_LENGTH_INPUT', 'CONSTRAINT_MAX_LENGTH_INPUT'].forEach(key => {
+      const element = document.getElementById(CONFIG.DOM_ELEMENTS[key]);
+      if (element) element.value = '';
+    });
+    NotificationManager.info(CONFIG.MESSAGES.CONSTRAINTS_CLEARED);
+  }
+  
+  /**
+   * Crée une combinaison à partir des réglages de la page
+   * En mode « jamais deux fois », les combinaisons déjà vues sont retirées ; sinon seules les plus récentes
+   * Si les tirages au hasard ne donnent que des combinaisons vues, les rangs de l'espace sont parcourus (findUnseen)
+   * @returns {Object} Résultat du cœur de génération
+   */
+  createCombination(words, useSelectedOnly, config) {
+    const settings = config.settings
+      ? { ...config.settings, constraints: this.engine.resolveConstraints(config.settings.constraints) }
+      : this.readSettings(useSelectedOnly, config.constraints);
+    if (config.index !== null) return this.engine.generate(words, settings, { index: config.index });
     
-    if (combination) this.addToRecentCombinations(combination);
+    const forcedSeed = config.seed !== null;
+    const avoidSeen = !forcedSeed && this.seenCombinations.neverRepeat;
+    const result = this.engine.generate(words, settings, {
+      seed: config.seed,
+      maxAttempts: avoidSeen ? CONFIG.LIMITS.NEVER_REPEAT_MAX_ATTEMPTS : config.maxAttempts + 1,
+      reject: (candidate) => avoidSeen
+        ? this.seenCombinations.has(candidate.words)
+        : config.avoidRecent && this.recentCombinations.has(candidate.combination)
+    });
     
-    return combination;
+    if (avoidSeen && this.seenCombinations.has(result.words)) {
+      const unseen = this.canWalkSpace(settings)
+        ? this.seenCombinations.findUnseen(words, settings.wordCount, BigInt(SeededRandom.createSeed()))
+        : null;
+      if (!unseen) {
+        throw new GenerationError(CONFIG.MESSAGES.NO_UNSEEN_COMBINATION.replace('{attempts}', CONFIG.LIMITS.NEVER_REPEAT_MAX_ATTEMPTS));
+      }
+      return this.engine.generate(undefined, settings, { index: Combinatorics.rankAcrossLengths(this.engine.getLexicon(), unseen) });
+    }
+    
+    this.addToRecentCombinations(result.combination);
+    return result;
+  }
+  
+  /**
+   * Le parcours des rangs ne connaît que les mots et leur nombre : ni contraintes, ni groupes, ni vers, ni grammaire
+   * @param {Object} settings - Réglages lus par readSettings
+   * @returns {boolean}
+   */
+  canWalkSpace(settings) {
+    return !settings.constraints && !settings.groupPattern && parseInt(settings.lineCount, 10) === 1 &&
+      settings.metricForm === METRIC_FORMS.FREE && settings.generationMode !== GENERATION_MODES.GRAMMAR;
+  }
+  
+  /**
+   * Réglages de la page, sous la forme attendue par PoemEngine
+   * @param {boolean} useSelectedOnly - Tous les mots sélectionnés sont alors utilisés
+   * @param {GenerationConstraints|null} constraints
+   * @returns {Object}
+   */
+  readSettings(useSelectedOnly, constraints = null) {
+    return {
+      wordCount: useSelectedOnly ? 'max' : this.readWordCountSetting(),
+      lineCount: this.readLineCount(),
+      metricForm: this.readMetricForm(),
+      generationMode: this.readGenerationMode(),
+      learningStrength: this.readLearningStrength(),
+      formatMode: this.readFormatMode(),
+      constraints,
+      groupPattern: this.readGroupPattern()
+    };
   }
   
-  selectRandomWords(words, count) {
-    const wordsCopy = [...words];
-    const selectedWords = [];
+  /**
+   * Produit plusieurs combinaisons distinctes d'un coup, sans animation ni changement de la combinaison courante
+   * @param {number} count - Nombre de combinaisons voulues
+   * @param {boolean} [useSelectedOnly] - Utiliser uniquement les mots sélectionnés
+   * @param {Object} [options]
+   * @param {Object} [options.constraints] - Contraintes (à défaut, celles du panneau)
+   * @returns {Array<{combination: string, metadata: Object}>} Combinaisons produites (vide en cas d'erreur)
+   */
+  generateBatch(count, useSelectedOnly = false, options = {}) {
+    const size = Math.min(Math.max(parseInt(count, 10) || 0, 1), CONFIG.LIMITS.MAX_BATCH_SIZE);
+    const words = this.getOrderedPool(useSelectedOnly);
     
-    for (let i = 0; i < count && wordsCopy.length > 0; i++) {
-      const randomIndex = Math.floor(Math.random() * wordsCopy.length);
-      selectedWords.push(wordsCopy[randomIndex]);
-      wordsCopy.splice(randomIndex, 1);
-    }
+    if (!this.validateWordsForGeneration(words, useSelectedOnly)) return [];
     
-    return this.shuffleArray(selectedWords);
+    try {
+      const settings = this.readSettings(useSelectedOnly, this.resolveConstraints(options.constraints ?? null));
+      const results = this.engine.generateBatch(words, settings, size, {
+        reject: (result) => this.seenCombinations.neverRepeat && this.seenCombinations.has(result.words)
+      });
+      const batch = results.map(result => ({ combination: result.combination, metadata: this.describeResult(result, useSelectedOnly) }));
+      
+      this.seenCombinations.addAll(results.map(result => result.words));
+      this.updateSpaceDisplay();
+      
+      if (batch.length < size) {
+        NotificationManager.warning(I18n.t('MESSAGES.BATCH_INCOMPLETE', { count: batch.length, requested: size }));
+      }
+      return batch;
+      
+    } catch (error) {
+      console.error('Erreur lors de la génération en série:', error);
+      NotificationManager.error(error instanceof GenerationError ? error.message : I18n.t('GENERATION.BATCH_ERROR'));
+      return [];
+    }
+  }
+  
+  readMetricForm() {
+    const selectElement = document.getElementById(CONFIG.DOM_ELEMENTS.METRIC_FORM_SELECT);
+    return selectElement ? selectElement.value : METRIC_FORMS.FREE;
+  }
+  
+  readLineCount() {
+    const selectElement = document.getElementById(CONFIG.DOM_ELEMENTS.LINE_COUNT_SELECT);
+    return selectElement ? selectElement.value : 1;
+  }
+  
+  readGenerationMode() {
+    const selectElement = document.getElementById(CONFIG.DOM_ELEMENTS.GENERATION_MODE_SELECT);
+    return selectElement ? selectElement.value : GENERATION_MODES.RANDOM;
+  }
+  
+  /**
+   * Lit le curseur « hasard pur → entièrement appris »
+   * @returns {number} Intensité entre 0 et 1
+   */
+  readLearningStrength() {
+    const slider = document.getElementById(CONFIG.DOM_ELEMENTS.LEARNING_STRENGTH_SLIDER);
+    const value = slider ? parseInt(slider.value, 10) : NaN;
+    return isNaN(value) ? DEFAULT_LEARNING_STRENGTH : Math.min(Math.max(value, 0), 100) / 100;
   }
   
-  shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  getPreferenceModel() {
+    if (this.isPreferenceModelStale) {
+      const history = this.historyManager ? this.historyManager.history : [];
+      this.preferenceModel.train(history, this.wordManager.getAllWords());
+      this.isPreferenceModelStale = false;
     }
-    return shuffled;
+    return this.preferenceModel;
   }
   
-  formatCombination(words) {
-    const formattedWords = words.map((word, index) => {
-      if (index === 0) {
-        return word.charAt(0).toUpperCase() + word.slice(1);
-      } else if (word === "Je") {
-        return "je";
-      } else {
-        return word;
-      }
-    });
-    
-    return formattedWords.join(' ') + '.';
+  getWordMetadata(word) {
+    return this.ordinationManager ? this.ordinationManager.getWordMetadata(word) : null;
+  }
+  
+  /**
+   * Groupe d'un mot dans l'ordination affichée (répartition par groupes)
+   * @param {string} word
+   * @returns {number|null}
+   */
+  getWordGroup(word) {
+    return this.ordinationManager ? this.ordinationManager.getWordGroup(word) : null;
+  }
+  
+  getGroups() {
+    return this.ordinationManager ? this.ordinationManager.getGroups() : WordGroups.defaults();
+  }
+  
+  /**
+   * Langue des mots du lexique actif (typographie, grammaire et métrique ne valent que pour le français)
+   * @returns {string}
+   */
+  getLexiconLanguage() {
+    return this.ordinationManager ? this.ordinationManager.getLanguage() : DEFAULT_LEXICON_LANGUAGE;
+  }
+  
+  readFormatMode() {
+    const selectElement = document.getElementById(CONFIG.DOM_ELEMENTS.FORMAT_MODE_SELECT);
+    return selectElement ? selectElement.value : FORMAT_MODES.STRICT;
   }
   
   addToRecentCombinations(combination) {
@@ -213,7 +703,7 @@ export class CombinationGenerator {
     textSpan.textContent += character;
     
     // Audio uniquement pour les caractères visibles
-    if (character !== ' ') {
+    if (character !== ' ' && character !== '\n') {
       this.audioManager.playSound({
         ...audioConfigBase,
         playbackRate: 1 + Math.random() * 0.2 - 0.1
@@ -261,6 +751,140 @@ export class CombinationGenerator {
     return this.currentCombination;
   }
   
+  /**
+   * Paramètres permettant de rejouer la combinaison courante
+   * @returns {Object} Graine, numéro, mots, texte brut et retouches typographiques
+   */
+  getGenerationMetadata() {
+    const formatting = this.currentFormatting;
+    
+    return {
+      rawText: formatting ? formatting.rawText : null,
+      formatMode: formatting ? formatting.mode : null,
+      rewrites: formatting ? formatting.rewrites.map(rewrite => ({ ...rewrite })) : [],
+      seed: this.currentSeed,
+      combinationIndex: this.currentIndex === null ? null : (this.currentIndex + 1n).toString(),
+      words: [...this.currentWords],
+      wordCount: this.currentWordCount,
+      useSelectedOnly: this.currentUseSelectedOnly,
+      generationMode: this.currentGenerationMode,
+      learningStrength: this.currentLearningStrength,
+      constraints: this.currentConstraints,
+      groupPattern: this.currentGroupPattern,
+      lineLengths: this.currentLineLengths,
+      metricForm: this.currentMetricForm,
+      syllableCounts: [...this.currentSyllableCounts],
+      wordCountSetting: this.currentWordCountSetting,
+      lineCount: this.currentLineCount
+    };
+  }
+  
+  /**
+   * Mêmes paramètres que getGenerationMetadata(), pour un résultat qui n'est pas la combinaison courante
+   * @param {Object} result - Résultat du cœur de génération
+   * @param {boolean} useSelectedOnly
+   * @returns {Object}
+   */
+  describeResult(result, useSelectedOnly) {
+    return { ...this.engine.describe(result), useSelectedOnly };
+  }
+  
+  formatBigNumber(value) {
+    return I18n.formatNumber(value);
+  }
+  
+  updateGenerationInfo() {
+    const infoElement = document.getElementById(CONFIG.DOM_ELEMENTS.GENERATION_INFO);
+    if (!infoElement) return;
+    
+    const parts = [];
+    if (this.currentSeed !== null) parts.push(I18n.t('GENERATION.INFO_SEED', { seed: this.currentSeed }));
+    if (this.currentIndex !== null) parts.push(I18n.t('GENERATION.INFO_INDEX', { index: this.formatBigNumber(this.currentIndex + 1n) }));
+    if (this.currentGenerationMode === GENERATION_MODES.GRAMMAR) parts.push(I18n.t('GENERATION.INFO_GRAMMAR'));
+    if (this.currentMetricForm) {
+      parts.push(I18n.t(`GENERATION.METRIC_FORMS.${this.currentMetricForm}`));
+    } else if (this.currentLineLengths) {
+      parts.push(I18n.t('GENERATION.INFO_LINES', { count: this.currentLineLengths.length }));
+    }
+    if (this.currentSyllableCounts.length > 0) {
+      parts.push(I18n.t('GENERATION.INFO_SYLLABLES', { counts: this.currentSyllableCounts.join(' / ') }));
+    }
+    if (this.currentConstraints) parts.push(I18n.t('GENERATION.INFO_CONSTRAINTS'));
+    if (this.currentGroupPattern) {
+      parts.push(new GroupPattern(this.currentGroupPattern).resolveAgainst([], () => null, this.getGroups()).summary());
+    }
+    if (this.currentGenerationMode === GENERATION_MODES.LEARNED) {
+      parts.push(I18n.t('GENERATION.INFO_LEARNED', {
+        strength: I18n.formatNumber(this.currentLearningStrength, { style: 'percent' }),
+        count: this.preferenceModel.entryCount
+      }));
+    }
+    
+    const rewrites = this.currentFormatting ? this.currentFormatting.rewrites : [];
+    if (rewrites.length > 0) {
+      parts.push(I18n.t('GENERATION.INFO_REWRITES', { count: rewrites.length }));
+    }
+    
+    const tooltip = rewrites.map(rewrite => `${rewrite.rule} : ${rewrite.from} → ${rewrite.to}`);
+    if (this.currentFormatting && this.currentFormatting.rawText !== this.currentCombination) {
+      tooltip.unshift(I18n.t('GENERATION.INFO_RAW_TEXT', { text: this.currentFormatting.rawText }));
+    }
+    
+    infoElement.textContent = parts.join(' · ');
+    infoElement.setAttribute('title', tooltip.join('\n'));
+  }
+  
+  /**
+   * Affiche la taille de l'espace pour la sélection et le nombre de mots courants
+   */
+  updateSpaceDisplay() {
+    const spaceElement = document.getElementById(CONFIG.DOM_ELEMENTS.SPACE_SIZE);
+    if (!spaceElement) return;
+    
+    const selectedCount = this.wordManager.getSelectedWordsCount();
+    const space = Combinatorics.countSpace(selectedCount, this.readWordCountSetting());
+    const total = Combinatorics.countAllArrangements(this.wordManager.getAllWords().length);
+    
+    const explored = this.seenCombinations.countWithin(this.wordManager.getSelectedWords(), this.readWordCountSetting());
+    
+    spaceElement.textContent = I18n.t('GENERATION.SPACE', { space: this.formatBigNumber(space), selected: selectedCount }) +
+      (space > 0n ? ` · ${I18n.t('GENERATION.SPACE_EXPLORED', {
+        ratio: this.formatExploredRatio(BigInt(explored), space),
+        count: explored,
+        seen: I18n.formatNumber(explored)
+      })}` : '');
+    spaceElement.setAttribute('title', I18n.t('GENERATION.SPACE_TITLE', {
+      total: this.formatBigNumber(total),
+      seen: I18n.formatNumber(this.seenCombinations.size)
+    }));
+  }
+  
+  /**
+   * Part explorée en pourcentage ; les espaces immenses donnent des parts infimes, affichées comme telles
+   * @param {bigint} explored
+   * @param {bigint} space
+   * @returns {string}
+   */
+  formatExploredRatio(explored, space) {
+    if (explored === 0n) return I18n.formatNumber(0, { style: 'percent' });
+    if (explored >= space) return I18n.formatNumber(1, { style: 'percent' });
+    
+    const ratio = Number(explored * 10n ** 12n / space) / 1e12;
+    if (ratio < 1e-6) return `< ${I18n.formatNumber(1e-6, { style: 'percent', maximumSignificantDigits: 1 })}`;
+    return I18n.formatNumber(ratio, { style: 'percent', maximumSignificantDigits: 3 });
+  }
+  
+  /**
+   * Oublie toutes les combinaisons déjà vues (le mode « jamais deux fois » repart de zéro)
+   */
+  forgetSeenCombinations() {
+    if (!confirm(I18n.t('GENERATION.FORGET_SEEN_CONFIRM'))) return;
+    
+    this.seenCombinations.clear();
+    this.updateSpaceDisplay();
+    NotificationManager.success(CONFIG.MESSAGES.SEEN_COMBINATIONS_FORGOTTEN);
+  }
+  
   isCombinationReady() {
     return this.isCombinationGenerated && this.isAnimationComplete;
   }
@@ -276,9 +900,24 @@ export class CombinationGenerator {
   resetCombinationState() {
     this.stopCurrentAnimation();
     this.currentCombination = '';
+    this.currentFormatting = null;
+    this.currentWords = [];
+    this.currentSeed = null;
+    this.currentIndex = null;
+    this.currentWordCount = 0;
+    this.currentGenerationMode = null;
+    this.currentLearningStrength = null;
+    this.currentConstraints = null;
+    this.currentGroupPattern = null;
+    this.currentLineLengths = null;
+    this.currentMetricForm = null;
+    this.currentSyllableCounts = [];
+    this.currentWordCountSetting = null;
+    this.currentLineCount = null;
     this.isCombinationGenerated = false;
     this.isAnimationComplete = false;
     this.isGenerating = false;
+    this.updateGenerationInfo();
     
     const resultElement = document.getElementById(CONFIG.DOM_ELEMENTS.RESULT);
     if (resultElement) {
@@ -289,7 +928,7 @@ export class CombinationGenerator {
   
   dispatchGenerationEvent(combination, useSelectedOnly, totalWords) {
     document.dispatchEvent(new CustomEvent(CONFIG.EVENTS.COMBINATION_GENERATED, {
-      detail: { combination, useSelectedOnly, totalWords, timestamp: Date.now(), generator: 'CombinationGenerator' }
+      detail: { combination, useSelectedOnly, totalWords, seed: this.currentSeed, combinationIndex: this.getGenerationMetadata().combinationIndex, wordCount: this.currentWordCount, timestamp: Date.now(), generator: 'CombinationGenerator' }
     }));
   }
   
@@ -303,7 +942,8 @@ export class CombinationGenerator {
       managers: {
         wordManager: !!this.wordManager,
         audioManager: !!this.audioManager,
-        ratingManager: !!this.ratingManager
+        ratingManager: !!this.ratingManager,
+        ordinationManager: !!this.ordinationManager
       },
       timestamp: Date.now()
     };
@@ -312,10 +952,14 @@ export class CombinationGenerator {
   getDebugInfo() {
     return {
       currentCombination: this.currentCombination,
+      currentSeed: this.currentSeed,
+      currentIndex: this.currentIndex === null ? null : this.currentIndex.toString(),
       isCombinationGenerated: this.isCombinationGenerated,
       isAnimationComplete: this.isAnimationComplete,
       isGenerating: this.isGenerating,
       recentCombinationsCount: this.recentCombinations.size,
+      seenCombinationsCount: this.seenCombinations.size,
+      neverRepeat: this.seenCombinations.neverRepeat,
       managers: {
         wordManager: !!this.wordManager,
         audioManager: !!this.audioManager,
@@ -327,6 +971,13 @@ export class CombinationGenerator {
   
   cleanup() {
     this.stopCurrentAnimation();
+    document.removeEventListener(CONFIG.EVENTS.SELECTION_CHANGED, this.spaceUpdateHandler);
+    document.removeEventListener(CONFIG.EVENTS.LEXICON_CHANGED, this.lexiconChangeHandler);
+    document.removeEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.localeChangeHandler);
+    document.removeEventListener(CONFIG.EVENTS.REPLAY_REQUESTED, this.replayHandler);
+    document.removeEventListener('visibilitychange', this.visibilityHandler);
+    if (this.historyUnsubscribe) this.historyUnsubscribe();
+    this.seenCombinations.flush();
     this.recentCombinations.clear();
     this.resetCombinationState();
     
@@ -0,0 +1,155 @@
+/**
+ * Combinatoire de l'espace « quantique » des arrangements
+ * Numérote chaque suite ordonnée de mots distincts d'un lexique (classement / déclassement)
+ * Les calculs sont faits en BigInt : 20 mots donnent déjà plus de 6 × 10^18 arrangements
+ * @module Combinatorics
+ */
+
+/**
+ * Ordre de numérotation : d'abord par longueur croissante,
+ * puis lexicographique selon la position des mots dans le lexique
+ */
+export class Combinatorics {
+
+  /**
+   * Nombre d'arrangements de k mots distincts parmi n (n! / (n-k)!)
+   * @param {number} n - Taille du réservoir
+   * @param {number} k - Longueur de la combinaison
+   * @returns {bigint}
+   */
+  static countArrangements(n, k) {
+    if (!Number.isInteger(n) || !Number.isInteger(k) || k < 0 || k > n) return 0n;
+
+    let count = 1n;
+    for (let i = 0; i < k; i++) {
+      count *= BigInt(n - i);
+    }
+    return count;
+  }
+
+  /**
+   * Nombre total d'arrangements de 1 à n mots
+   * @param {number} n - Taille du réservoir
+   * @returns {bigint}
+   */
+  static countAllArrangements(n) {
+    let total = 0n;
+    for (let k = 1; k <= n; k++) {
+      total += Combinatorics.countArrangements(n, k);
+    }
+    return total;
+  }
+
+  /**
+   * Taille de l'espace pour un réglage du nombre de mots
+   * @param {number} n - Taille du réservoir
+   * @param {number|string} wordCount - Nombre de mots, 'max' ou 'surprise'
+   * @returns {bigint}
+   */
+  static countSpace(n, wordCount) {
+    if (wordCount === 'surprise') return Combinatorics.countAllArrangements(n);
+    if (wordCount === 'max') return Combinatorics.countArrangements(n, n);
+
+    const k = Math.min(parseInt(wordCount, 10), n);
+    return Number.isNaN(k) ? 0n : Combinatorics.countArrangements(n, k);
+  }
+
+  /**
+   * Rang (0-indexé) d'un arrangement parmi ceux de même longueur
+   * @param {Array<string>} pool - Lexique de référence, dans son ordre
+   * @param {Array<string>} words - Arrangement à classer
+   * @returns {bigint}
+   */
+  static rank(pool, words) {
+    const remaining = [...pool];
+    const n = pool.length;
+    const k = words.length;
+    let index = 0n;
+
+    words.forEach((word, i) => {
+      const position = remaining.indexOf(word);
+      if (position === -1) {
+        throw new Error(`Mot absent du lexique ou répété : "${word}"`);
+      }
+      index += BigInt(position) * Combinatorics.countArrangements(n - 1 - i, k - 1 - i);
+      remaining.splice(position, 1);
+    });
+
+    return index;
+  }
+
+  /**
+   * Arrangement de longueur k correspondant à un rang
+   * @param {Array<string>} pool - Lexique de référence
+   * @param {number} k - Longueur voulue
+   * @param {bigint|number} index - Rang 0-indexé
+   * @returns {Array<string>}
+   */
+  static unrank(pool, k, index) {
+    let rest = BigInt(index);
+    const n = pool.length;
+    const total = Combinatorics.countArrangements(n, k);
+
+    if (rest < 0n || rest >= total) {
+      throw new RangeError(`Rang ${rest} hors de l'espace (${total} arrangements de ${k} mots)`);
+    }
+
+    const remaining = [...pool];
+    const words = [];
+
+    for (let i = 0; i < k; i++) {
+      const block = Combinatorics.countArrangements(n - 1 - i, k - 1 - i);
+      const position = Number(rest / block);
+      rest %= block;
+      words.push(remaining.splice(position, 1)[0]);
+    }
+
+    return words;
+  }
+
+  /**
+   * Rang global (0-indexé) parmi tous les arrangements de 1 à n mots
+   * @param {Array<string>} pool - Lexique de référence
+   * @param {Array<string>} words - Arrangement à classer
+   * @returns {bigint}
+   */
+  static rankAcrossLengths(pool, words) {
+    let offset = 0n;
+    for (let k = 1; k < words.length; k++) {
+      offset += Combinatorics.countArrangements(pool.length, k);
+    }
+    return offset + Combinatorics.rank(pool, words);
+  }
+
+  /**
+   * Arrangement correspondant à un rang global
+   * @param {Array<string>} pool - Lexique de référence
+   * @param {bigint|number} index - Rang global 0-indexé
+   * @returns {Array<string>}
+   */
+  static unrankAcrossLengths(pool, index) {
+    let rest = BigInt(index);
+
+    if (rest >= 0n) {
+      for (let k = 1; k <= pool.length; k++) {
+        const count = Combinatorics.countArrangements(pool.length, k);
+        if (rest < count) return Combinatorics.unrank(pool, k, rest);
+        rest -= count;
+      }
+    }
+
+    throw new RangeError(`Rang ${index} hors de l'espace (${Combinatorics.countAllArrangements(pool.length)} arrangements)`);
+  }
+
+  /**
+   * Lit un numéro saisi par l'utilisateur (séparateurs de milliers tolérés)
+   * @param {string} input - Texte saisi
+   * @returns {bigint|null} Numéro ou null si la saisie n'est pas un entier positif
+   */
+  static parseIndex(input) {
+    const text = String(input ?? '').replace(/[\s.,'_]/g, '');
+    return /^\d+$/.test(text) ? BigInt(text) : null;
+  }
+}
+
+export default Combinatorics;
@@ -0,0 +1,373 @@
+/**
+ * Moteur de mise en forme du français
+ * Applique élisions, contractions, casse, traits d'union et espacement aux combinaisons,
+ * et consigne chaque retouche pour que l'historique conserve le texte brut et le texte poli
+ * Pour des mots dans une autre langue (lexique traduit), seuls l'espacement, la casse et la ponctuation finale s'appliquent
+ * @module FrenchFormatter
+ */
+
+import { PARTS_OF_SPEECH as POS } from './FrenchGrammar.js';
+import { WORD_GRAMMAR } from './Lexicon.js';
+
+export const FORMAT_MODES = Object.freeze({
+  STRICT: 'strict',
+  RAW: 'raw'
+});
+
+export const REWRITE_RULES = Object.freeze({
+  SPACING: 'espacement',
+  CASE: 'casse',
+  DUPLICATE: 'doublon',
+  CONTRACTION: 'contraction',
+  ELISION: 'élision',
+  CAPITALIZATION: 'majuscule'
+});
+
+// Mots qui perdent leur voyelle finale devant une voyelle ou un h muet
+const ELISIONS = {
+  je: "j'",
+  me: "m'",
+  te: "t'",
+  se: "s'",
+  le: "l'",
+  la: "l'",
+  de: "d'",
+  ne: "n'",
+  que: "qu'",
+  jusque: "jusqu'",
+  lorsque: "lorsqu'",
+  puisque: "puisqu'"
+};
+
+// « ce » ne s'élide que devant les formes du verbe être commençant par e (c'est, c'était)
+const CE_ELISION_PATTERN = /^(e|é)/;
+
+// Nature du mot suivant qui permet l'élision, quand elle est connue : un pronom devant son verbe (« je est » reste
+// tel quel, comme chez Rimbaud), un article devant un nom ou un adjectif (pas « l'en »), « de » devant un déterminant
+// ou un pronom (d'un, d'elle, mais « de intelligence », sans déterminant) ; que, lorsque... s'élident devant tout mot
+const ELISION_CONTEXTS = {
+  je: { pos: [POS.VERB], person: 1, number: 's' },
+  me: { pos: [POS.VERB] },
+  te: { pos: [POS.VERB] },
+  se: { pos: [POS.VERB] },
+  ne: { pos: [POS.VERB] },
+  ce: { pos: [POS.VERB], person: 3 },
+  le: { pos: [POS.NOUN, POS.ADJECTIVE] },
+  la: { pos: [POS.NOUN, POS.ADJECTIVE] },
+  de: { pos: [POS.DETERMINER, POS.TONIC_PRONOUN] }
+};
+
+const CONTRACTIONS = {
+  'de le': 'du',
+  'de les': 'des',
+  'à le': 'au',
+  'à les': 'aux'
+};
+
+// Déterminants qui font doublon devant un nom déjà élidé (« la l'erreur ») ; seul un déterminant est retiré :
+// « de l'erreur » est correct, et « je l'erreur » garde son pronom
+const DUPLICATED_BEFORE_ELIDED = new Set([
+  'le', 'la', 'les', 'un', 'une', 'ce', 'cet', 'cette', 'ces',
+  'mon', 'ma', 'mes', 'ton', 'ta', 'tes', 'son', 'sa', 'ses'
+]);
+
+const ELIDED_ARTICLE_PATTERN = /^l['’]/i;
+
+const VOWEL_PATTERN = /^[aeiouyàâäéèêëîïôöùûüœæ]/i;
+
+// Mots commençant par un h aspiré : pas d'élision (« la haine », pas « l'haine »)
+const ASPIRATED_H = new Set([
+  'hache', 'haine', 'hameau', 'hanche', 'hasard', 'haut', 'hauteur', 'héros',
+  'hêtre', 'hibou', 'honte', 'hors', 'houle', 'huit', 'hurlement'
+]);
+
+const FINAL_PUNCTUATION_PATTERN = /[.!?…]$/;
+
+// Ponctuations doubles précédées d'une espace fine insécable en typographie française
+const SPACED_PUNCTUATION = new Set([';', ':', '!', '?']);
+const NARROW_NO_BREAK_SPACE = '\u202F';
+
+const FRENCH = 'fr';
+
+export class FrenchFormatter {
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.mode] - Mode par défaut ('strict' ou 'raw')
+   * @param {string} [options.language] - Langue des mots (« fr » par défaut)
+   * @param {Function} [options.getWordMetadata] - (mot) => { pos, person, number... } ou null ; lexique original par défaut
+   */
+  constructor(options = {}) {
+    this.mode = FrenchFormatter.isValidMode(options.mode) ? options.mode : FORMAT_MODES.STRICT;
+    this.language = options.language || FRENCH;
+    this.wordMetadataSource = options.getWordMetadata || null;
+  }
+
+  /**
+   * @param {string} word - Mot tel que tiré (valeur data-word)
+   * @returns {Object|null} Métadonnées grammaticales, null si le mot est inconnu
+   */
+  getWordMetadata(word) {
+    if (this.wordMetadataSource) return this.wordMetadataSource(word) || null;
+    return WORD_GRAMMAR[word] || null;
+  }
+
+  /**
+   * @param {string} language - Langue des mots à mettre en forme
+   */
+  setLanguage(language) {
+    this.language = language || FRENCH;
+  }
+
+  isFrench() {
+    return this.language === FRENCH;
+  }
+
+  static isValidMode(mode) {
+    return Object.values(FORMAT_MODES).includes(mode);
+  }
+
+  /**
+   * Met en forme une suite de mots
+   * @param {Array<string>} words - Mots dans l'ordre tiré
+   * @param {string} [mode] - 'strict' applique toutes les règles, 'raw' se contente de joindre les mots
+   * @returns {{text: string, rawText: string, mode: string, rewrites: Array<{rule: string, from: string, to: string, index: number}>}}
+   */
+  format(words, mode = this.mode) {
+    const effectiveMode = FrenchFormatter.isValidMode(mode) ? mode : this.mode;
+    const rawText = this.joinRaw(words);
+
+    if (effectiveMode === FORMAT_MODES.RAW) {
+      return { text: rawText, rawText, mode: effectiveMode, rewrites: [] };
+    }
+
+    const rewrites = [];
+    const tokens = this.applyRules(words, 0, rewrites);
+
+    return { text: this.join(tokens), rawText, mode: effectiveMode, rewrites };
+  }
+
+  /**
+   * Met en forme un poème vers par vers : chaque vers prend une majuscule et sa propre ponctuation
+   * @param {Array<Array<string>>} lines - Mots de chaque vers
+   * @param {Array<string>} endings - Ponctuation de fin de chaque vers ('' pour aucune)
+   * @param {string} [mode] - 'strict' ou 'raw'
+   * @returns {{text: string, rawText: string, mode: string, rewrites: Array}} Vers séparés par des retours à la ligne
+   */
+  formatLines(lines, endings, mode = this.mode) {
+    const effectiveMode = FrenchFormatter.isValidMode(mode) ? mode : this.mode;
+    const rewrites = [];
+    const rawLines = [];
+    const textLines = [];
+    let offset = 0;
+
+    lines.forEach((words, lineIndex) => {
+      const ending = endings[lineIndex] ?? '';
+      rawLines.push(this.punctuate(words.join(' '), ending, FORMAT_MODES.RAW));
+
+      if (effectiveMode === FORMAT_MODES.STRICT) {
+        const tokens = this.applyRules(words, offset, rewrites);
+        textLines.push(this.punctuate(this.joinTokens(tokens), ending, effectiveMode));
+      }
+      offset += words.length;
+    });
+
+    const rawText = rawLines.join('\n');
+    const text = effectiveMode === FORMAT_MODES.RAW ? rawText : textLines.join('\n');
+    return { text, rawText, mode: effectiveMode, rewrites };
+  }
+
+  /**
+   * @private
+   */
+  applyRules(words, offset, rewrites) {
+    let tokens = words.map((word, index) => ({ text: word, index: offset + index, attached: false, metadata: this.getWordMetadata(word) }));
+
+    tokens = this.normalizeSpacing(tokens, rewrites);
+    tokens = this.normalizeCase(tokens, rewrites);
+    if (this.isFrench()) {
+      tokens = this.removeDuplicates(tokens, rewrites);
+      tokens = this.applyContractions(tokens, rewrites);
+      tokens = this.applyElisions(tokens, rewrites);
+    }
+    return this.capitalizeFirst(tokens, rewrites);
+  }
+
+  joinRaw(words) {
+    return this.punctuate(words.join(' '), '.', FORMAT_MODES.RAW);
+  }
+
+  join(tokens) {
+    return this.punctuate(this.joinTokens(tokens), '.', FORMAT_MODES.RAW);
+  }
+
+  joinTokens(tokens) {
+    return tokens.reduce((result, token, index) => {
+      if (index === 0) return token.text;
+      return result + (tokens[index - 1].attached ? '' : ' ') + token.text;
+    }, '');
+  }
+
+  /**
+   * Ajoute la ponctuation finale, sauf si le texte en porte déjà une
+   * En mode strict et en français, « ; : ! ? » sont précédés d'une espace fine insécable
+   */
+  punctuate(text, ending, mode) {
+    if (!ending || FINAL_PUNCTUATION_PATTERN.test(text)) return text;
+    const spaced = mode === FORMAT_MODES.STRICT && this.isFrench() && SPACED_PUNCTUATION.has(ending);
+    const space = spaced ? NARROW_NO_BREAK_SPACE : '';
+    return text + space + ending;
+  }
+
+  /**
+   * Espaces superflus, espaces autour des traits d'union et après les apostrophes
+   * @private
+   */
+  normalizeSpacing(tokens, rewrites) {
+    return tokens.map(token => {
+      const normalized = token.text
+        .trim()
+        .replace(/\s+/g, ' ')
+        .replace(/\s*-\s*/g, '-')
+        .replace(/['’]\s+/g, "'");
+
+      if (normalized !== token.text) {
+        rewrites.push({ rule: REWRITE_RULES.SPACING, from: token.text, to: normalized, index: token.index });
+      }
+      return { ...token, text: normalized };
+    });
+  }
+
+  /**
+   * Minuscule en milieu de phrase (« Je » → « je »), sigles épargnés
+   * @private
+   */
+  normalizeCase(tokens, rewrites) {
+    return tokens.map((token, position) => {
+      if (position === 0 || token.text.length < 2 || token.text === token.text.toUpperCase()) return token;
+
+      const lowered = token.text.charAt(0).toLowerCase() + token.text.slice(1);
+      if (lowered !== token.text) {
+        rewrites.push({ rule: REWRITE_RULES.CASE, from: token.text, to: lowered, index: token.index });
+      }
+      return { ...token, text: lowered };
+    });
+  }
+
+  /**
+   * la l'erreur → l'erreur : le mot déjà élidé porte son article ; un mot qui n'est pas un déterminant reste
+   * @private
+   */
+  removeDuplicates(tokens, rewrites) {
+    return tokens.filter((token, position) => {
+      const next = tokens[position + 1];
+      if (!next || !ELIDED_ARTICLE_PATTERN.test(next.text) || !DUPLICATED_BEFORE_ELIDED.has(token.text.toLowerCase())) return true;
+      if (token.metadata && token.metadata.pos !== POS.DETERMINER) return true;
+
+      rewrites.push({ rule: REWRITE_RULES.DUPLICATE, from: `${token.text} ${next.text}`, to: next.text, index: token.index });
+      return false;
+    });
+  }
+
+  /**
+   * de le → du, à les → aux...
+   * L'élision passe avant : « de le homme » donne « de l'homme », pas « du homme »
+   * @private
+   */
+  applyContractions(tokens, rewrites) {
+    const result = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const next = tokens[i + 1];
+      const after = tokens[i + 2];
+      const pair = next ? `${tokens[i].text.toLowerCase()} ${next.text.toLowerCase()}` : null;
+      const elides = after && this.elides(next.text, after.text, after.metadata);
+
+      if (pair && CONTRACTIONS[pair] && !elides) {
+        const contracted = this.matchCase(tokens[i].text, CONTRACTIONS[pair]);
+        rewrites.push({ rule: REWRITE_RULES.CONTRACTION, from: `${tokens[i].text} ${next.text}`, to: contracted, index: tokens[i].index });
+        result.push({ ...tokens[i], text: contracted });
+        i++;
+      } else {
+        result.push(tokens[i]);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * la intelligence → l'intelligence, je aime → j'aime ; la en, je est restent tels quels
+   * @private
+   */
+  applyElisions(tokens, rewrites) {
+    return tokens.map((token, position) => {
+      const next = tokens[position + 1];
+      if (!next || !this.elides(token.text, next.text, next.metadata)) return token;
+
+      const lower = token.text.toLowerCase();
+
+      const elided = lower === 'ce' ? "c'" : ELISIONS[lower];
+
+      const text = this.matchCase(token.text, elided);
+      rewrites.push({ rule: REWRITE_RULES.ELISION, from: `${token.text} ${next.text}`, to: `${text}${next.text}`, index: token.index });
+      return { ...token, text, attached: true };
+    });
+  }
+
+  /**
+   * @private
+   */
+  capitalizeFirst(tokens, rewrites) {
+    if (tokens.length === 0) return tokens;
+
+    const [first, ...rest] = tokens;
+    const capitalized = first.text.charAt(0).toUpperCase() + first.text.slice(1);
+
+    if (capitalized !== first.text) {
+      rewrites.push({ rule: REWRITE_RULES.CAPITALIZATION, from: first.text, to: capitalized, index: first.index });
+    }
+    return [{ ...first, text: capitalized }, ...rest];
+  }
+
+  /**
+   * Indique si le mot perd sa voyelle devant le mot suivant (la, je, que... ; ce devant « est »)
+   */
+  isElidable(word, next) {
+    const lower = word.toLowerCase();
+    if (lower === 'ce') return CE_ELISION_PATTERN.test(next.toLowerCase());
+    return Object.prototype.hasOwnProperty.call(ELISIONS, lower);
+  }
+
+  /**
+   * Indique si le mot s'élide devant le suivant : voyelle ou h muet, et nature du suivant compatible (ELISION_CONTEXTS)
+   * @param {string} word
+   * @param {string} next
+   * @param {Object|null} [nextMetadata] - Métadonnées du mot suivant ; inconnues, seule la prononciation compte
+   * @returns {boolean}
+   */
+  elides(word, next, nextMetadata = this.getWordMetadata(next)) {
+    if (!this.isElidable(word, next) || !this.startsWithVowelSound(next)) return false;
+
+    const context = ELISION_CONTEXTS[word.toLowerCase()];
+    if (!context || !nextMetadata || !nextMetadata.pos) return true;
+    return context.pos.includes(nextMetadata.pos) &&
+      ['person', 'number'].every(field => context[field] === undefined || nextMetadata[field] == null || nextMetadata[field] === context[field]);
+  }
+
+  startsWithVowelSound(word) {
+    const lower = word.toLowerCase();
+    if (VOWEL_PATTERN.test(lower)) return true;
+    if (!lower.startsWith('h')) return false;
+
+    const stem = lower.split(/[-']/)[0];
+    return !ASPIRATED_H.has(stem);
+  }
+
+  matchCase(source, replacement) {
+    const isCapitalized = source.charAt(0) !== source.charAt(0).toLowerCase();
+    return isCapitalized ? replacement.charAt(0).toUpperCase() + replacement.slice(1) : replacement;
+  }
+}
+
+export default FrenchFormatter;
@@ -0,0 +1,346 @@
+/**
+ * Petite grammaire du français pour les combinaisons « réalistes »
+ * Vérifie une suite de mots annotés (nature, genre, nombre, personne)
+ * et cherche au hasard une suite qui respecte toutes les règles
+ * @module FrenchGrammar
+ */
+
+export const PARTS_OF_SPEECH = Object.freeze({
+  SUBJECT_PRONOUN: 'subject-pronoun',
+  TONIC_PRONOUN: 'tonic-pronoun',
+  VERB: 'verb',
+  NOUN: 'noun',
+  ADJECTIVE: 'adjective',
+  DETERMINER: 'determiner',
+  PREPOSITION: 'preposition'
+});
+
+const POS = PARTS_OF_SPEECH;
+
+export const GRAMMAR_RULES = Object.freeze({
+  DETERMINER_HEAD: 'déterminant-suivi',
+  NOUN_DETERMINER: 'nom-déterminé',
+  AGREEMENT: 'accord',
+  ADJECTIVE_PLACEMENT: 'place-adjectif',
+  SUBJECT_VERB: 'sujet-verbe',
+  PRONOUN_VERB: 'pronom-verbe',
+  PREPOSITION_OBJECT: 'préposition-complément',
+  TONIC_PRONOUN: 'pronom-tonique',
+  MAIN_VERB: 'verbe-principal',
+  SINGLE_SUBJECT: 'sujet-unique'
+});
+
+const DEFAULT_MAX_STEPS = 20000;
+
+/**
+ * Deux mots s'accordent si aucun trait connu ne diverge
+ */
+const agrees = (a, b) =>
+  (!a.gender || !b.gender || a.gender === b.gender) &&
+  (!a.number || !b.number || a.number === b.number);
+
+const isNominal = (token) => token && (token.pos === POS.NOUN || token.pos === POS.TONIC_PRONOUN);
+
+export class FrenchGrammar {
+
+  /**
+   * Vérifie une suite de mots annotés
+   * @param {Array<Object>} tokens - Mots avec { text, pos, gender, number, person, determined }
+   * @param {Object} [options]
+   * @param {boolean} [options.partial] - Préfixe en construction : le dernier mot peut encore attendre sa suite,
+   * un groupe nominal son nom, la phrase son verbe
+   * @param {boolean} [options.requireVerb] - Suite complète : la phrase doit avoir un verbe (oui par défaut ;
+   * non pour un vers d'un poème dont un autre vers porte le verbe)
+   * @returns {{isValid: boolean, violations: Array<{rule: string, index: number, message: string}>}}
+   */
+  check(tokens, options = {}) {
+    const partial = !!options.partial;
+    const requireVerb = options.requireVerb !== false;
+    const violations = [];
+    const report = (rule, index, message) => violations.push({ rule, index, message });
+
+    tokens.forEach((token, index) => {
+      const previous = tokens[index - 1];
+      const next = tokens[index + 1];
+      const awaitingNext = partial && index === tokens.length - 1;
+
+      switch (token.pos) {
+        case POS.DETERMINER:
+          if (next) {
+            const noun = tokens[this.skipAdjectives(tokens, index + 1)];
+            if ((next.pos !== POS.NOUN && next.pos !== POS.ADJECTIVE) || next.determined) {
+              report(GRAMMAR_RULES.DETERMINER_HEAD, index, `« ${token.text} » doit précéder un nom`);
+            } else if (!agrees(token, next)) {
+              report(GRAMMAR_RULES.AGREEMENT, index, `« ${token.text} » ne s'accorde pas avec « ${next.text} »`);
+            } else if (noun ? noun.pos !== POS.NOUN || noun.determined : !partial) {
+              report(GRAMMAR_RULES.DETERMINER_HEAD, index, `« ${token.text} » n'introduit aucun nom`);
+            }
+          } else if (!awaitingNext) {
+            report(GRAMMAR_RULES.DETERMINER_HEAD, index, `« ${token.text} » ne peut pas finir la phrase`);
+          }
+          break;
+
+        case POS.NOUN:
+          if (!token.determined) {
+            const determiner = this.findDeterminer(tokens, index);
+            if (!determiner) {
+              report(GRAMMAR_RULES.NOUN_DETERMINER, index, `« ${token.text} » a besoin d'un déterminant`);
+            } else if (!agrees(determiner, token)) {
+              report(GRAMMAR_RULES.AGREEMENT, index, `« ${determiner.text} » ne s'accorde pas avec « ${token.text} »`);
+            }
+          }
+          break;
+
+        case POS.ADJECTIVE:
+          this.checkAdjective(tokens, index, awaitingNext, report);
+          break;
+
+        case POS.VERB:
+          this.checkVerb(tokens, index, report);
+          break;
+
+        case POS.SUBJECT_PRONOUN:
+          if (next) {
+            if (next.pos !== POS.VERB || next.person !== token.person) {
+              report(GRAMMAR_RULES.PRONOUN_VERB, index, `« ${token.text} » doit être suivi d'un verbe conjugué à la même personne`);
+            }
+          } else if (!awaitingNext) {
+            report(GRAMMAR_RULES.PRONOUN_VERB, index, `« ${token.text} » attend un verbe`);
+          }
+          break;
+
+        case POS.TONIC_PRONOUN:
+          if (!previous || previous.pos !== POS.PREPOSITION) {
+            report(GRAMMAR_RULES.TONIC_PRONOUN, index, `« ${token.text} » doit suivre une préposition`);
+          }
+          break;
+
+        case POS.PREPOSITION:
+          if (next) {
+            const isObject = next.pos === POS.DETERMINER || next.pos === POS.TONIC_PRONOUN || (next.pos === POS.NOUN && next.determined);
+            if (!isObject) {
+              report(GRAMMAR_RULES.PREPOSITION_OBJECT, index, `« ${token.text} » doit introduire un groupe nominal`);
+            }
+          } else if (!awaitingNext) {
+            report(GRAMMAR_RULES.PREPOSITION_OBJECT, index, `« ${token.text} » ne peut pas finir la phrase`);
+          }
+          break;
+
+        default:
+          break;
+      }
+    });
+
+    if (!partial && requireVerb && tokens.length > 0 && !tokens.some(token => token.pos === POS.VERB)) {
+      report(GRAMMAR_RULES.MAIN_VERB, tokens.length - 1, `La phrase n'a pas de verbe`);
+    }
+
+    return { isValid: violations.length === 0, violations };
+  }
+
+  /**
+   * Position du premier mot qui n'est pas un adjectif à partir de start (tokens.length si la suite s'arrête avant)
+   * @private
+   */
+  skipAdjectives(tokens, start) {
+    let index = start;
+    while (index < tokens.length && tokens[index].pos === POS.ADJECTIVE) index++;
+    return index;
+  }
+
+  /**
+   * Déterminant d'un nom, en sautant les adjectifs antéposés (« la souveraine intelligence »)
+   * @private
+   */
+  findDeterminer(tokens, index) {
+    for (let i = index - 1; i >= 0; i--) {
+      if (tokens[i].pos === POS.DETERMINER) return tokens[i];
+      if (tokens[i].pos !== POS.ADJECTIVE) return null;
+    }
+    return null;
+  }
+
+  /**
+   * Un adjectif s'accorde avec le nom voisin, ou sert d'attribut après un verbe
+   * @private
+   */
+  checkAdjective(tokens, index, awaitingNext, report) {
+    const token = tokens[index];
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+
+    const head = this.findHead(tokens, index);
+    if (head && !agrees(head, token)) {
+      report(GRAMMAR_RULES.AGREEMENT, index, `« ${token.text} » ne s'accorde pas avec « ${head.text} »`);
+      return;
+    }
+
+    if (next && next.pos === POS.NOUN && next.determined) {
+      report(GRAMMAR_RULES.ADJECTIVE_PLACEMENT, index, `« ${token.text} » ne peut pas précéder « ${next.text} »`);
+      return;
+    }
+
+    if (next && next.pos === POS.NOUN && !agrees(token, next)) {
+      report(GRAMMAR_RULES.AGREEMENT, index, `« ${token.text} » ne s'accorde pas avec « ${next.text} »`);
+      return;
+    }
+
+    if (previous && previous.pos === POS.VERB) {
+      const subject = this.findSubject(tokens, index - 1);
+      if (subject && subject.pos === POS.NOUN && !agrees(subject, token)) {
+        report(GRAMMAR_RULES.AGREEMENT, index, `« ${token.text} » ne s'accorde pas avec le sujet « ${subject.text} »`);
+      }
+      return;
+    }
+
+    const attached = previous && [POS.NOUN, POS.DETERMINER, POS.ADJECTIVE].includes(previous.pos);
+    const announcesNoun = next ? next.pos === POS.NOUN && !next.determined : awaitingNext;
+
+    if (!attached && !announcesNoun) {
+      report(GRAMMAR_RULES.ADJECTIVE_PLACEMENT, index, `« ${token.text} » doit accompagner un nom ou suivre un verbe`);
+    }
+  }
+
+  /**
+   * Nom (ou déterminant) qualifié par un adjectif, en sautant les adjectifs qui l'en séparent
+   * @private
+   */
+  findHead(tokens, index) {
+    for (let i = index - 1; i >= 0; i--) {
+      if (isNominal(tokens[i]) || tokens[i].pos === POS.DETERMINER) return tokens[i];
+      if (tokens[i].pos !== POS.ADJECTIVE) return null;
+    }
+    return null;
+  }
+
+  /**
+   * Un verbe conjugué a besoin d'un sujet juste avant lui, à la même personne
+   * Devant le premier verbe, ce sujet est le seul groupe nominal : les autres sont introduits par une préposition
+   * (« dans mon métier l'erreur est »), sinon ils s'empilent (« mon genre l'erreur est »)
+   * @private
+   */
+  checkVerb(tokens, index, report) {
+    const verb = tokens[index];
+    const subjectIndex = this.findSubjectIndex(tokens, index);
+    const subject = tokens[subjectIndex];
+
+    if (!subject) {
+      report(GRAMMAR_RULES.SUBJECT_VERB, index, `« ${verb.text} » n'a pas de sujet`);
+      return;
+    }
+    if ((subject.person || 3) !== verb.person || !agrees({ number: subject.number }, { number: verb.number })) {
+      report(GRAMMAR_RULES.SUBJECT_VERB, index, `« ${subject.text} » ne s'accorde pas avec « ${verb.text} »`);
+    }
+
+    if (tokens.slice(0, index).some(token => token.pos === POS.VERB)) return;
+
+    const subjectStart = this.findPhraseStart(tokens, subjectIndex);
+    for (let i = 0; i < subjectStart; i = this.skipPrepositionalPhrase(tokens, i)) {
+      if (tokens[i].pos !== POS.PREPOSITION) {
+        report(GRAMMAR_RULES.SINGLE_SUBJECT, i, `« ${tokens[i].text} » précède le sujet « ${subject.text} » sans préposition`);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Sujet d'un verbe : pronom sujet ou nom, éventuellement suivi d'adjectifs
+   * @private
+   */
+  findSubject(tokens, verbIndex) {
+    return tokens[this.findSubjectIndex(tokens, verbIndex)] || null;
+  }
+
+  /**
+   * @private
+   * @returns {number} Position du sujet, -1 sans sujet
+   */
+  findSubjectIndex(tokens, verbIndex) {
+    for (let i = verbIndex - 1; i >= 0; i--) {
+      const token = tokens[i];
+      if (token.pos === POS.SUBJECT_PRONOUN || token.pos === POS.NOUN) return i;
+      if (token.pos !== POS.ADJECTIVE) return -1;
+    }
+    return -1;
+  }
+
+  /**
+   * Premier mot du groupe d'un nom : son déterminant et les adjectifs antéposés (« la souveraine intelligence »)
+   * @private
+   */
+  findPhraseStart(tokens, index) {
+    if (tokens[index].pos !== POS.NOUN || tokens[index].determined) return index;
+
+    let start = index;
+    while (start > 0 && tokens[start - 1].pos === POS.ADJECTIVE) start--;
+    return start > 0 && tokens[start - 1].pos === POS.DETERMINER ? start - 1 : start;
+  }
+
+  /**
+   * Position qui suit une préposition et son complément (pronom tonique, ou groupe nominal et ses adjectifs)
+   * Un complément mal formé est signalé par la règle de la préposition : on s'arrête où il cesse
+   * @private
+   */
+  skipPrepositionalPhrase(tokens, start) {
+    let index = start + 1;
+    if (tokens[index] && tokens[index].pos === POS.TONIC_PRONOUN) return index + 1;
+    if (tokens[index] && tokens[index].pos === POS.DETERMINER) index++;
+
+    index = this.skipAdjectives(tokens, index);
+    if (tokens[index] && tokens[index].pos === POS.NOUN) index = this.skipAdjectives(tokens, index + 1);
+    return index;
+  }
+
+  /**
+   * Cherche au hasard une suite grammaticale de la longueur voulue
+   * Parcours en profondeur dont l'ordre d'essai est tiré par le générateur fourni :
+   * une même graine donne donc la même phrase
+   * @param {Array<Object>} pool - Mots annotés disponibles
+   * @param {number} length - Nombre de mots voulu
+   * @param {{nextInt: Function}} random - Générateur pseudo-aléatoire
+   * @param {Object} [options]
+   * @param {number} [options.maxSteps] - Budget d'essais avant abandon
+   * @param {Function} [options.accept] - Filtre supplémentaire sur chaque début de suite (contraintes de l'utilisateur)
+   * @returns {Array<Object>|null} Mots retenus ou null si aucune suite trouvée
+   */
+  findSequence(pool, length, random, options = {}) {
+    const maxSteps = options.maxSteps || DEFAULT_MAX_STEPS;
+    const accept = options.accept || (() => true);
+    let steps = 0;
+
+    const search = (sequence, remaining) => {
+      if (sequence.length === length) {
+        return this.check(sequence).isValid ? sequence : null;
+      }
+
+      const candidates = this.shuffle(remaining, random);
+      for (const candidate of candidates) {
+        if (++steps > maxSteps) return null;
+
+        const attempt = [...sequence, candidate];
+        if (!accept(attempt) || !this.check(attempt, { partial: true }).isValid) continue;
+
+        const found = search(attempt, remaining.filter(token => token !== candidate));
+        if (found) return found;
+        if (steps > maxSteps) return null;
+      }
+      return null;
+    };
+
+    return length > 0 && length <= pool.length ? search([], pool) : null;
+  }
+
+  /**
+   * @private
+   */
+  shuffle(items, random) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = random.nextInt(i + 1);
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+}
+
+export default FrenchGrammar;
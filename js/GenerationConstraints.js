@@ -0,0 +1,264 @@
+/**
+ * Contraintes de génération : mots imposés ou interdits, premier et dernier mot,
+ * positions fixes et bornes de longueur
+ * Sert à bâtir une combinaison autour d'un mot-clé choisi
+ * @module GenerationConstraints
+ */
+
+import { I18n } from './I18n.js';
+
+const LIST_SEPARATOR = /[,;\n]/;
+const POSITION_ENTRY_PATTERN = /^(\d+)\s*[:=]\s*(.+)$/;
+
+const cleanWord = (value) => typeof value === 'string' ? value.trim() : '';
+
+const toList = (value) => {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(LIST_SEPARATOR);
+  return [...new Set(items.map(cleanWord).filter(Boolean))];
+};
+
+const toLength = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const length = Number(value);
+  return Number.isInteger(length) ? length : NaN;
+};
+
+export class GenerationConstraints {
+
+  /**
+   * @param {Object} [raw]
+   * @param {Array<string>|string} [raw.include] - Mots qui doivent apparaître
+   * @param {Array<string>|string} [raw.exclude] - Mots interdits
+   * @param {string} [raw.first] - Premier mot imposé
+   * @param {string} [raw.last] - Dernier mot imposé
+   * @param {Object<number, string>|string} [raw.positions] - Mots à position fixe, 1-indexée ({ 2: 'rêveur' } ou "2:rêveur, 4:est")
+   * @param {number} [raw.minLength] - Nombre de mots minimal
+   * @param {number} [raw.maxLength] - Nombre de mots maximal
+   */
+  constructor(raw = {}) {
+    this.include = toList(raw.include);
+    this.exclude = toList(raw.exclude);
+    this.first = cleanWord(raw.first) || null;
+    this.last = cleanWord(raw.last) || null;
+    this.minLength = toLength(raw.minLength);
+    this.maxLength = toLength(raw.maxLength);
+    this.malformedPositions = [];
+    this.positions = this.parsePositions(raw.positions);
+  }
+
+  /**
+   * @private
+   */
+  parsePositions(value) {
+    const positions = new Map();
+    if (!value) return positions;
+
+    const entries = typeof value === 'string'
+      ? value.split(LIST_SEPARATOR).map(entry => entry.trim()).filter(Boolean).map(entry => {
+          const match = entry.match(POSITION_ENTRY_PATTERN);
+          if (!match) this.malformedPositions.push(entry);
+          return match ? [match[1], match[2]] : null;
+        }).filter(Boolean)
+      : Object.entries(value);
+
+    entries.forEach(([position, word]) => {
+      const index = Number(position);
+      const text = cleanWord(word);
+      if (!Number.isInteger(index) || index < 1 || !text) {
+        this.malformedPositions.push(`${position}:${word}`);
+      } else if (positions.has(index) && positions.get(index) !== text) {
+        this.malformedPositions.push(`${position}:${word}`);
+      } else {
+        positions.set(index, text);
+      }
+    });
+
+    return positions;
+  }
+
+  /**
+   * Ramène chaque mot saisi à sa graphie dans le lexique (« je » → « Je »)
+   * Les mots inconnus sont gardés tels quels et signalés par validate()
+   * @param {Array<string>} lexicon - Mots connus
+   * @returns {GenerationConstraints}
+   */
+  resolveAgainst(lexicon) {
+    const byLowerCase = new Map(lexicon.map(word => [word.toLowerCase(), word]));
+    const resolve = (word) => word === null ? null : (byLowerCase.get(word.toLowerCase()) || word);
+
+    this.include = [...new Set(this.include.map(resolve))];
+    this.exclude = [...new Set(this.exclude.map(resolve))];
+    this.first = resolve(this.first);
+    this.last = resolve(this.last);
+    this.positions = new Map([...this.positions].map(([index, word]) => [index, resolve(word)]));
+    return this;
+  }
+
+  isEmpty() {
+    return this.include.length === 0 && this.exclude.length === 0 && !this.first && !this.last &&
+      this.positions.size === 0 && this.minLength === null && this.maxLength === null &&
+      this.malformedPositions.length === 0;
+  }
+
+  /**
+   * Seuls des mots interdits sont demandés (pas de placement ni de longueur)
+   */
+  isExclusionOnly() {
+    return this.include.length === 0 && !this.first && !this.last && this.positions.size === 0 &&
+      this.minLength === null && this.maxLength === null && this.malformedPositions.length === 0;
+  }
+
+  /**
+   * Mots placés d'office (imposés ou à position fixe)
+   * @returns {Set<string>}
+   */
+  requiredWords() {
+    return new Set([...this.include, ...this.positions.values(), this.first, this.last].filter(Boolean));
+  }
+
+  /**
+   * Vérifie que les contraintes peuvent toutes être satisfaites avec ce réservoir
+   * @param {Array<string>} pool - Mots disponibles
+   * @returns {{errors: Array<string>, warnings: Array<string>, isValid: boolean, minLength: number, maxLength: number}}
+   */
+  validate(pool) {
+    const errors = [];
+    const warnings = [];
+    const available = new Set(pool);
+    const excluded = new Set(this.exclude);
+    const required = this.requiredWords();
+
+    this.malformedPositions.forEach(entry => {
+      errors.push(I18n.t('VALIDATION.POSITION_UNREADABLE', { entry }));
+    });
+
+    required.forEach(word => {
+      if (excluded.has(word)) {
+        errors.push(I18n.t('VALIDATION.WORD_REQUIRED_AND_FORBIDDEN', { word }));
+      } else if (!available.has(word)) {
+        errors.push(I18n.t('VALIDATION.WORD_UNAVAILABLE', { word }));
+      }
+    });
+
+    this.exclude.filter(word => !available.has(word)).forEach(word => {
+      warnings.push(I18n.t('VALIDATION.FORBIDDEN_WORD_UNAVAILABLE', { word }));
+    });
+
+    const fixedPlaces = [this.first, ...this.positions.values(), this.last].filter(Boolean);
+    new Set(fixedPlaces.filter((word, index) => fixedPlaces.indexOf(word) !== index)).forEach(word => {
+      errors.push(I18n.t('VALIDATION.WORD_TWO_PLACES', { word }));
+    });
+
+    if (this.first && this.positions.has(1) && this.positions.get(1) !== this.first) {
+      errors.push(I18n.t('VALIDATION.FIRST_PLACE_CONFLICT', { first: this.first, other: this.positions.get(1) }));
+    }
+
+    [['MIN_LENGTH_INVALID', this.minLength], ['MAX_LENGTH_INVALID', this.maxLength]].forEach(([key, length]) => {
+      if (length !== null && !(length >= 1)) errors.push(I18n.t(`VALIDATION.${key}`));
+    });
+
+    if (this.minLength >= 1 && this.maxLength >= 1 && this.minLength > this.maxLength) {
+      errors.push(I18n.t('VALIDATION.LENGTH_RANGE', { min: this.minLength, max: this.maxLength }));
+    }
+
+    const lastFixedPosition = Math.max(this.first ? 1 : 0, ...this.positions.keys());
+    const minLength = Math.max(this.minLength >= 1 ? this.minLength : 1, required.size, lastFixedPosition + (this.last ? 1 : 0));
+    const usableWords = pool.filter(word => !excluded.has(word)).length;
+    const maxLength = Math.min(this.maxLength >= 1 ? this.maxLength : Infinity, usableWords);
+
+    if (errors.length === 0 && minLength > maxLength) {
+      errors.push(I18n.t('VALIDATION.LENGTH_IMPOSSIBLE', { min: minLength, max: maxLength }));
+    }
+
+    return { errors, warnings, isValid: errors.length === 0, minLength, maxLength };
+  }
+
+  /**
+   * Places fixées pour une longueur donnée
+   * @param {number} length - Nombre de mots de la combinaison
+   * @returns {Map<number, string>} Position 0-indexée → mot
+   */
+  fixedWordsFor(length) {
+    const fixed = new Map();
+    if (this.first) fixed.set(0, this.first);
+    this.positions.forEach((word, position) => fixed.set(position - 1, word));
+    if (this.last) fixed.set(length - 1, this.last);
+    return fixed;
+  }
+
+  /**
+   * Indique si un début de combinaison peut encore aboutir à une combinaison valide
+   * @param {Array<string>} words - Début de combinaison
+   * @param {number} length - Longueur visée
+   * @returns {boolean}
+   */
+  acceptsPrefix(words, length) {
+    const fixed = this.fixedWordsFor(length);
+    const fixedWords = new Set(fixed.values());
+
+    const placesRespected = words.every((word, index) =>
+      fixed.has(index) ? fixed.get(index) === word : !fixedWords.has(word) && !this.exclude.includes(word));
+    if (!placesRespected) return false;
+
+    const missing = this.include.filter(word => !fixedWords.has(word) && !words.includes(word)).length;
+    let freePlaces = 0;
+    for (let index = words.length; index < length; index++) {
+      if (!fixed.has(index)) freePlaces++;
+    }
+    return missing <= freePlaces;
+  }
+
+  /**
+   * Construit une combinaison qui respecte les contraintes
+   * Les places libres sont remplies par choose(), les mots imposés restants étant forcés quand la place manque
+   * @param {Array<string>} pool - Mots disponibles
+   * @param {number} length - Longueur visée (compatible avec validate())
+   * @param {Function} choose - (candidats, début de combinaison, position) => mot retenu
+   * @returns {Array<string>}
+   */
+  arrange(pool, length, choose) {
+    const fixed = this.fixedWordsFor(length);
+    const placed = new Set(fixed.values());
+    let pending = this.include.filter(word => !placed.has(word));
+    let free = pool.filter(word => !placed.has(word) && !pending.includes(word) && !this.exclude.includes(word));
+    const words = [];
+
+    for (let index = 0; index < length; index++) {
+      if (fixed.has(index)) {
+        words.push(fixed.get(index));
+        continue;
+      }
+
+      let freePlaces = 0;
+      for (let rest = index; rest < length; rest++) {
+        if (!fixed.has(rest)) freePlaces++;
+      }
+
+      const candidates = pending.length >= freePlaces ? pending : [...pending, ...free];
+      const word = choose(candidates, words, index);
+      words.push(word);
+      pending = pending.filter(candidate => candidate !== word);
+      free = free.filter(candidate => candidate !== word);
+    }
+
+    return words;
+  }
+
+  /**
+   * Forme sérialisable, pour l'historique et la relecture d'une graine
+   * @returns {Object}
+   */
+  toJSON() {
+    const json = {};
+    if (this.include.length > 0) json.include = [...this.include];
+    if (this.exclude.length > 0) json.exclude = [...this.exclude];
+    if (this.first) json.first = this.first;
+    if (this.last) json.last = this.last;
+    if (this.positions.size > 0) json.positions = Object.fromEntries(this.positions);
+    if (this.minLength !== null) json.minLength = this.minLength;
+    if (this.maxLength !== null) json.maxLength = this.maxLength;
+    return json;
+  }
+}
+
+export default GenerationConstraints;
@@ -0,0 +1,236 @@
+/**
+ * Répartition des mots tirés entre les groupes stylistiques :
+ * alternance des groupes, ou nombre exact de mots pris dans chaque groupe (« 3 du groupe A, 2 du groupe B »)
+ * Se rattache au réservoir par resolveAgainst(), puis s'utilise comme GenerationConstraints (validate, acceptsPrefix, arrange)
+ * @module GroupPattern
+ */
+
+import { I18n } from './I18n.js';
+
+export const GROUP_PATTERN_MODES = Object.freeze({
+  ALTERNATE: 'alternate',
+  QUOTAS: 'quotas'
+});
+
+const LIST_SEPARATOR = /[,;\n]/;
+const QUOTA_ENTRY_PATTERN = /^(\d+)\s*[:=]\s*(\d+)$/;
+
+export class GroupPattern {
+
+  /**
+   * @param {Object|string} [raw] - { mode, quotas } ; en texte, « alternate » ou des quotas (« 1:3, 2:2 »)
+   * @param {string} [raw.mode] - Voir GROUP_PATTERN_MODES
+   * @param {Object<number, number>|string} [raw.quotas] - Nombre de mots par id de groupe ({ 1: 3, 2: 2 } ou "1:3, 2:2")
+   */
+  constructor(raw = {}) {
+    const spec = typeof raw === 'string'
+      ? GroupPattern.parse(raw)
+      : raw || {};
+
+    this.malformed = [];
+    this.mode = Object.values(GROUP_PATTERN_MODES).includes(spec.mode) ? spec.mode : null;
+    if (spec.mode && !this.mode) this.malformed.push(String(spec.mode));
+    this.quotas = this.mode === GROUP_PATTERN_MODES.QUOTAS ? this.parseQuotas(spec.quotas) : new Map();
+
+    this.groupOf = () => null;
+    this.labels = new Map();
+    this.order = [];
+    this.available = new Map();
+  }
+
+  /**
+   * @private
+   */
+  static parse(text) {
+    const value = text.trim();
+    if (!value) return {};
+    return value === GROUP_PATTERN_MODES.ALTERNATE
+      ? { mode: GROUP_PATTERN_MODES.ALTERNATE }
+      : { mode: GROUP_PATTERN_MODES.QUOTAS, quotas: value };
+  }
+
+  /**
+   * @private
+   */
+  parseQuotas(value) {
+    const quotas = new Map();
+    if (!value) return quotas;
+
+    const entries = typeof value === 'string'
+      ? value.split(LIST_SEPARATOR).map(entry => entry.trim()).filter(Boolean).map(entry => {
+          const match = entry.match(QUOTA_ENTRY_PATTERN);
+          if (!match) this.malformed.push(entry);
+          return match ? [match[1], match[2]] : null;
+        }).filter(Boolean)
+      : Object.entries(value);
+
+    entries.forEach(([group, count]) => {
+      const id = Number(group);
+      const number = Number(count);
+      if (!Number.isInteger(id) || id < 1 || !Number.isInteger(number) || number < 0 || quotas.has(id)) {
+        this.malformed.push(`${group}:${count}`);
+      } else if (number > 0) {
+        quotas.set(id, number);
+      }
+    });
+
+    return quotas;
+  }
+
+  isEmpty() {
+    return this.mode === null && this.malformed.length === 0;
+  }
+
+  /**
+   * Rattache la répartition à un réservoir : groupe de chaque mot et ordre d'alternance
+   * @param {Array<string>} pool - Mots disponibles
+   * @param {Function} groupOf - (mot) => id du groupe ou null
+   * @param {Array<{id: number, name: string}>} [groups] - Groupes du lexique, dans l'ordre d'alternance
+   * @returns {GroupPattern}
+   */
+  resolveAgainst(pool, groupOf, groups = []) {
+    this.groupOf = groupOf;
+    this.labels = new Map(groups.map(group => [group.id, group.name]));
+    this.available = new Map();
+    pool.forEach(word => {
+      const group = groupOf(word);
+      if (group !== null && group !== undefined) this.available.set(group, (this.available.get(group) || 0) + 1);
+    });
+
+    const known = groups.map(group => group.id).filter(id => this.available.has(id));
+    const others = [...this.available.keys()].filter(id => !known.includes(id)).sort((a, b) => a - b);
+    this.order = [...known, ...others];
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  label(id) {
+    return this.labels.get(id) || I18n.t('VALIDATION.QUOTA_GROUP', { id });
+  }
+
+  /**
+   * Longueur la plus grande d'une alternance qui commence par le groupe order[start]
+   * @private
+   */
+  alternationLength(start) {
+    const used = this.order.map(() => 0);
+    let length = 0;
+
+    for (;;) {
+      const position = (start + length) % this.order.length;
+      if (used[position] >= this.available.get(this.order[position])) return length;
+      used[position]++;
+      length++;
+    }
+  }
+
+  /**
+   * Vérifie que la répartition peut être respectée avec le réservoir de resolveAgainst()
+   * @returns {{errors: Array<string>, warnings: Array<string>, isValid: boolean, minLength: number, maxLength: number}}
+   */
+  validate() {
+    const errors = [];
+    const warnings = [];
+    let minLength = 1;
+    let maxLength = [...this.available.values()].reduce((sum, count) => sum + count, 0);
+
+    this.malformed.forEach(entry => {
+      errors.push(I18n.t('VALIDATION.QUOTA_UNREADABLE', { entry }));
+    });
+
+    if (this.mode === GROUP_PATTERN_MODES.ALTERNATE) {
+      if (this.order.length < 2) {
+        errors.push(I18n.t('VALIDATION.ALTERNATE_NEEDS_TWO_GROUPS'));
+      } else {
+        maxLength = Math.max(...this.order.map((_, start) => this.alternationLength(start)));
+      }
+    }
+
+    if (this.mode === GROUP_PATTERN_MODES.QUOTAS) {
+      if (this.quotas.size === 0 && this.malformed.length === 0) {
+        errors.push(I18n.t('VALIDATION.QUOTA_REQUIRED'));
+      }
+      this.quotas.forEach((count, id) => {
+        const available = this.available.get(id) || 0;
+        if (count > available) {
+          errors.push(I18n.t('VALIDATION.QUOTA_TOO_HIGH', { requested: count, group: this.label(id), count: available }));
+        }
+      });
+      minLength = maxLength = [...this.quotas.values()].reduce((sum, count) => sum + count, 0);
+    }
+
+    return { errors, warnings, isValid: errors.length === 0, minLength, maxLength };
+  }
+
+  /**
+   * Indique si un début de combinaison peut encore aboutir à une combinaison qui respecte la répartition
+   * @param {Array<string>} words - Début de combinaison
+   * @param {number} length - Longueur visée
+   * @returns {boolean}
+   */
+  acceptsPrefix(words, length) {
+    if (this.mode === GROUP_PATTERN_MODES.ALTERNATE) {
+      if (words.length === 0) return true;
+
+      const start = this.order.indexOf(this.groupOf(words[0]));
+      return start !== -1 && this.alternationLength(start) >= length &&
+        words.every((word, index) => this.groupOf(word) === this.order[(start + index) % this.order.length]);
+    }
+
+    if (this.mode === GROUP_PATTERN_MODES.QUOTAS) {
+      const used = new Map();
+      return words.every(word => {
+        const group = this.groupOf(word);
+        used.set(group, (used.get(group) || 0) + 1);
+        return used.get(group) <= (this.quotas.get(group) || 0);
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Construit une combinaison qui respecte la répartition
+   * @param {Array<string>} pool - Mots disponibles
+   * @param {number} length - Longueur visée (compatible avec validate())
+   * @param {Function} choose - (candidats, début de combinaison, position) => mot retenu
+   * @returns {Array<string>}
+   */
+  arrange(pool, length, choose) {
+    const words = [];
+    let free = [...pool];
+
+    for (let index = 0; index < length; index++) {
+      const candidates = free.filter(word => this.acceptsPrefix([...words, word], length));
+      const word = choose(candidates, words, index);
+      words.push(word);
+      free = free.filter(candidate => candidate !== word);
+    }
+
+    return words;
+  }
+
+  /**
+   * Résumé lisible (« Groupes alternés », « Groupe 1 × 3, Groupe 2 × 2 »)
+   * @returns {string}
+   */
+  summary() {
+    if (this.mode === GROUP_PATTERN_MODES.ALTERNATE) return I18n.t('VALIDATION.ALTERNATE_SUMMARY');
+    return [...this.quotas].map(([id, count]) => `${this.label(id)} × ${count}`).join(', ');
+  }
+
+  /**
+   * Forme sérialisable, pour l'historique et la relecture d'une graine
+   * @returns {Object}
+   */
+  toJSON() {
+    if (this.mode === GROUP_PATTERN_MODES.QUOTAS) {
+      return { mode: this.mode, quotas: Object.fromEntries(this.quotas) };
+    }
+    return this.mode ? { mode: this.mode } : {};
+  }
+}
+
+export default GroupPattern;
@@ -0,0 +1,245 @@
+/**
+ * Analyse des notes de l'historique, sans DOM : répartition et évolution des notes, mots, positions et paires de mots
+ * Les entrées sans liste de mots (anciennes versions) sont découpées avec PreferenceModel.tokenize ;
+ * celles dont le texte ne se découpe pas en mots du lexique sont comptées à part (skipped)
+ * @module HistoryAnalytics
+ */
+
+import { CONFIG } from './config.js';
+import { PreferenceModel } from './PreferenceModel.js';
+
+export class HistoryAnalytics {
+
+  /**
+   * @param {Object} entry - Entrée valide { text, note, words? }
+   * @param {Array<string>} lexicon - Mots connus, pour les entrées sans liste de mots
+   * @returns {Array<string>|null}
+   */
+  static entryWords(entry, lexicon) {
+    return Array.isArray(entry.words) && entry.words.length > 0
+      ? entry.words
+      : PreferenceModel.tokenize(entry.text, lexicon);
+  }
+
+  /**
+   * Quantile par interpolation linéaire entre les deux valeurs voisines
+   * @param {Array<number>} sorted - Valeurs triées, au moins une
+   * @param {number} p - Entre 0 et 1 (0.5 : médiane)
+   * @returns {number}
+   */
+  static quantile(sorted, p) {
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  /**
+   * Répartition des notes et indicateurs de dispersion
+   * @param {Array<Object>} history - Entrées valides
+   * @returns {{distribution: Object<number, number>, median: number, mode: number|null, standardDeviation: number, firstQuartile: number, thirdQuartile: number}}
+   *   mode : note la plus fréquente ; en cas d'égalité, la plus haute l'emporte (une note sur deux à 3 et à 8 donne 8),
+   *   quel que soit l'ordre de l'historique. Écart type de population
+   */
+  static ratingStatistics(history) {
+    const distribution = {};
+    for (let note = CONFIG.LIMITS.MIN_RATING; note <= CONFIG.LIMITS.MAX_RATING; note++) {
+      distribution[note] = 0;
+    }
+    if (history.length === 0) {
+      return { distribution, median: 0, mode: null, standardDeviation: 0, firstQuartile: 0, thirdQuartile: 0 };
+    }
+
+    const notes = history.map(entry => entry.note).sort((a, b) => a - b);
+    notes.forEach(note => {
+      distribution[note] = (distribution[note] || 0) + 1;
+    });
+
+    const median = HistoryAnalytics.quantile(notes, 0.5);
+
+    const mode = Object.entries(distribution)
+      .map(([note, count]) => ({ note: Number(note), count }))
+      .reduce((best, candidate) => (
+        candidate.count > best.count || (candidate.count === best.count && candidate.note > best.note) ? candidate : best
+      ), { note: null, count: 0 })
+      .note;
+
+    const mean = notes.reduce((sum, note) => sum + note, 0) / notes.length;
+    const variance = notes.reduce((sum, note) => sum + (note - mean) ** 2, 0) / notes.length;
+
+    return {
+      distribution,
+      median,
+      mode,
+      standardDeviation: Number(Math.sqrt(variance).toFixed(2)),
+      firstQuartile: HistoryAnalytics.quantile(notes, 0.25),
+      thirdQuartile: HistoryAnalytics.quantile(notes, 0.75)
+    };
+  }
+
+  /**
+   * Évolution des notes dans le temps, par jour (date locale) ou par séance
+   * Une séance s'arrête quand deux notes sont séparées de plus de CONFIG.STATISTICS.SESSION_GAP ;
+   * les entrées sans date sont ignorées
+   * @param {Array<Object>} history - Entrées valides
+   * @param {Object} [options]
+   * @param {string} [options.period] - 'day' ou 'session'
+   * @param {number} [options.window] - Nombre de périodes de la moyenne mobile
+   * @param {number} [options.sessionGap] - Écart maximal entre deux notes d'une même séance (ms)
+   * @returns {Array<{start: number, end: number, count: number, average: number, movingAverage: number}>}
+   *   Du plus ancien au plus récent ; la moyenne mobile pondère chaque période par son nombre de notes
+   */
+  static ratingTrend(history, options = {}) {
+    const period = options.period === 'session' ? 'session' : 'day';
+    const window = options.window ?? CONFIG.STATISTICS.MOVING_AVERAGE_WINDOW;
+    const sessionGap = options.sessionGap ?? CONFIG.STATISTICS.SESSION_GAP;
+    const dayKey = (timestamp) => new Date(timestamp).toDateString();
+
+    const dated = history
+      .filter(entry => Number.isFinite(entry.timestamp))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    const points = [];
+    dated.forEach(entry => {
+      const last = points[points.length - 1];
+      const sameGroup = last && (period === 'day'
+        ? dayKey(last.end) === dayKey(entry.timestamp)
+        : entry.timestamp - last.end <= sessionGap);
+
+      if (sameGroup) {
+        last.end = entry.timestamp;
+        last.count++;
+        last.notes += entry.note;
+      } else {
+        points.push({ start: entry.timestamp, end: entry.timestamp, count: 1, notes: entry.note });
+      }
+    });
+
+    return points.map((point, index) => {
+      const recent = points.slice(Math.max(0, index - window + 1), index + 1);
+      const count = recent.reduce((sum, { count }) => sum + count, 0);
+      const notes = recent.reduce((sum, { notes }) => sum + notes, 0);
+      return {
+        start: point.start,
+        end: point.end,
+        count: point.count,
+        average: point.notes / point.count,
+        movingAverage: notes / count
+      };
+    });
+  }
+
+  /**
+   * Pour chaque mot : combinaisons où il apparaît, note moyenne, et note moyenne à chaque position
+   * Les mots du lexique viennent d'abord, dans son ordre, puis ceux d'autres lexiques dans l'ordre où ils apparaissent
+   * @param {Array<Object>} history - Entrées valides
+   * @param {Array<string>} lexicon - Mots du lexique actif
+   * @returns {{analysed: number, skipped: number, positions: number, words: Array<Object>}}
+   *   words : { word, combinations, share, average, bestPosition, positions: Array<{count, average}> }, positions 0-indexées
+   */
+  static wordStatistics(history, lexicon) {
+    const totals = new Map(lexicon.map(word => [word, { combinations: 0, notes: 0, positions: [] }]));
+    let analysed = 0;
+    let positions = 0;
+
+    history.forEach(entry => {
+      const words = HistoryAnalytics.entryWords(entry, lexicon);
+      if (!words) return;
+
+      analysed++;
+      positions = Math.max(positions, words.length);
+      new Set(words).forEach(word => {
+        if (!totals.has(word)) totals.set(word, { combinations: 0, notes: 0, positions: [] });
+        const total = totals.get(word);
+        total.combinations++;
+        total.notes += entry.note;
+      });
+      words.forEach((word, position) => {
+        const cells = totals.get(word).positions;
+        cells[position] = cells[position] || { count: 0, notes: 0 };
+        cells[position].count++;
+        cells[position].notes += entry.note;
+      });
+    });
+
+    const words = [...totals.entries()]
+      .filter(([word, total]) => total.combinations > 0 || lexicon.includes(word))
+      .map(([word, total]) => {
+        const cells = Array.from({ length: positions }, (_, position) => {
+          const cell = total.positions[position];
+          return cell ? { count: cell.count, average: cell.notes / cell.count } : { count: 0, average: null };
+        });
+        const best = cells.reduce((found, cell, position) =>
+          cell.count > 0 && (found === null || cell.average > cells[found].average) ? position : found, null);
+
+        return {
+          word,
+          combinations: total.combinations,
+          share: analysed > 0 ? total.combinations / analysed : 0,
+          average: total.combinations > 0 ? total.notes / total.combinations : null,
+          bestPosition: best,
+          positions: cells
+        };
+      });
+
+    return { analysed, skipped: history.length - analysed, positions, words };
+  }
+
+  /**
+   * Paires de mots réunies dans les combinaisons les mieux notées
+   * @param {Array<Object>} history - Entrées valides
+   * @param {Array<string>} lexicon - Mots du lexique actif
+   * @param {Object} [options]
+   * @param {number} [options.minRating] - Note à partir de laquelle une combinaison compte (CONFIG.RATING_THRESHOLDS.HIGH)
+   * @returns {{minRating: number, combinations: number, words: Array<string>, pairs: Array<{words: Array<string>, count: number, average: number}>}}
+   *   words : mots présents dans au moins une paire (ordre du lexique), pairs : de la plus fréquente à la plus rare
+   */
+  static pairStatistics(history, lexicon, options = {}) {
+    const minRating = options.minRating ?? CONFIG.RATING_THRESHOLDS.HIGH;
+    const order = new Map(lexicon.map((word, index) => [word, index]));
+    const rank = (word) => order.has(word) ? order.get(word) : order.size;
+    const pairs = new Map();
+    let combinations = 0;
+
+    history.forEach(entry => {
+      if (entry.note < minRating) return;
+      const words = HistoryAnalytics.entryWords(entry, lexicon);
+      if (!words) return;
+
+      combinations++;
+      const present = [...new Set(words)].sort((a, b) => rank(a) - rank(b));
+      present.forEach((first, index) => {
+        present.slice(index + 1).forEach(second => {
+          const key = `${first}\u0000${second}`;
+          const pair = pairs.get(key) || { words: [first, second], count: 0, notes: 0 };
+          pair.count++;
+          pair.notes += entry.note;
+          pairs.set(key, pair);
+        });
+      });
+    });
+
+    const sorted = [...pairs.values()]
+      .map(({ words, count, notes }) => ({ words, count, average: notes / count }))
+      .sort((a, b) => b.count - a.count || b.average - a.average);
+    const words = [...new Set(sorted.flatMap(pair => pair.words))].sort((a, b) => rank(a) - rank(b));
+
+    return { minRating, combinations, words, pairs: sorted };
+  }
+
+  /**
+   * @param {Array<Object>} history - Entrées valides
+   * @param {Array<string>} lexicon - Mots du lexique actif
+   * @param {Object} [options] - Voir pairStatistics
+   * @returns {{ratings: Object, words: Object, pairs: Object}}
+   */
+  static analyse(history, lexicon, options = {}) {
+    return {
+      ratings: HistoryAnalytics.ratingStatistics(history),
+      words: HistoryAnalytics.wordStatistics(history, lexicon),
+      pairs: HistoryAnalytics.pairStatistics(history, lexicon, options)
+    };
+  }
+}
+
+export default HistoryAnalytics;
@@ -0,0 +1,109 @@
+/**
+ * Validation, statistiques et export texte de l'historique, sans DOM
+ * Partagés par HistoryManager et la ligne de commande (cli/quantique.js)
+ * @module HistoryExport
+ */
+
+import { CONFIG } from './config.js';
+import { I18n } from './I18n.js';
+
+export class HistoryExport {
+
+  /**
+   * @param {Object} entry - Entrée { text, note, ... }
+   * @returns {boolean}
+   */
+  static isValidEntry(entry) {
+    return !!entry &&
+          typeof entry === 'object' &&
+          typeof entry.text === 'string' &&
+          entry.text.length > 0 &&
+          typeof entry.note === 'number' &&
+          entry.note >= CONFIG.LIMITS.MIN_RATING &&
+          entry.note <= CONFIG.LIMITS.MAX_RATING;
+  }
+
+  /**
+   * @param {Array<Object>} history - Entrées valides
+   * @returns {{total: number, average: string, best: number|string, worst: number|string}}
+   */
+  static calculateStatistics(history) {
+    const total = history.length;
+
+    if (total === 0) {
+      return { total: 0, average: '-', best: '-', worst: '-' };
+    }
+
+    const notes = history.map(entry => entry.note);
+    const sum = notes.reduce((a, b) => a + b, 0);
+    const average = (sum / total).toFixed(2);
+    const best = Math.max(...notes);
+    const worst = Math.min(...notes);
+
+    return { total, average, best, worst };
+  }
+
+  /**
+   * Répartition des mots notés entre les groupes stylistiques
+   * Les entrées sans liste de mots (anciennes versions) sont découpées sur les espaces
+   * @param {Array<Object>} history - Entrées valides
+   * @param {Array<{id: number, name: string, color: string}>} groups - Groupes du lexique
+   * @param {Function} groupOf - (mot) => id du groupe ou null pour un mot hors du lexique
+   * @returns {Array<{id: number, name: string, color: string, words: number, share: string, combinations: number, average: string}>}
+   */
+  static calculateGroupStatistics(history, groups, groupOf) {
+    const totals = new Map(groups.map(group => [group.id, { words: 0, combinations: 0, notes: 0 }]));
+    let counted = 0;
+
+    history.forEach(entry => {
+      const words = Array.isArray(entry.words) ? entry.words : entry.text.split(/\s+/).filter(Boolean);
+      const present = new Set();
+
+      words.forEach(word => {
+        const total = totals.get(groupOf(word));
+        if (!total) return;
+        total.words++;
+        counted++;
+        present.add(total);
+      });
+
+      present.forEach(total => {
+        total.combinations++;
+        total.notes += entry.note;
+      });
+    });
+
+    return groups.map(({ id, name, color }) => {
+      const { words, combinations, notes } = totals.get(id);
+      return {
+        id,
+        name,
+        color,
+        words,
+        share: counted > 0 ? (words / counted * 100).toFixed(1) : '0.0',
+        combinations,
+        average: combinations > 0 ? (notes / combinations).toFixed(2) : '-'
+      };
+    });
+  }
+
+  /**
+   * Export texte, celui du bouton « TXT », dans la langue de l'interface
+   * @param {Array<Object>} history - Entrées valides
+   * @param {Date} [date] - Date de génération affichée en tête
+   * @returns {string}
+   */
+  static toText(history, date = new Date()) {
+    const header = `${I18n.t('HISTORY.TEXT_TITLE')}\n${I18n.t('HISTORY.TEXT_GENERATED_ON', { date: I18n.formatDate(date) })}\n\n`;
+    const stats = HistoryExport.calculateStatistics(history);
+    const statsSection = `${I18n.t('HISTORY.TEXT_STATISTICS', stats)}\n\n`;
+    const entriesSection = `${I18n.t('HISTORY.TEXT_COMBINATIONS')}\n` + history.map((entry, index) =>
+      `${index + 1}. ${entry.text.replace(/\n/g, '\n   ')} ${I18n.t('HISTORY.TEXT_NOTE', { note: entry.note })}`
+    ).join('\n');
+    const footer = `\n\n---\n© Les éditions Philopitre`;
+
+    return header + statsSection + entriesSection + footer;
+  }
+}
+
+export default HistoryExport;
@@ -0,0 +1,389 @@
+/**
+ * Fichiers d'export de l'historique, sans DOM : JSON, XML et CSV
+ * JSON et XML reprennent toutes les entrées telles qu'enregistrées (tous leurs champs) et les statistiques ;
+ * le CSV met un champ par colonne, les champs structurés (contraintes, répartition des groupes...) en JSON
+ * Les fichiers JSON et CSV se relisent (parse) : chaque entrée est migrée et vérifiée (HistorySchema)
+ * Partagés par HistoryManager, HistoryImportManager et la ligne de commande (cli/quantique.js)
+ * @module HistoryFile
+ */
+
+import { HistoryExport } from './HistoryExport.js';
+import { HistoryAnalytics } from './HistoryAnalytics.js';
+import { HistorySchema, HISTORY_SCHEMA_VERSION } from './HistorySchema.js';
+import { I18n } from './I18n.js';
+
+export const HISTORY_FILE_FORMAT = 'quantique-historique';
+
+const CSV_SEPARATOR = ',';
+const CSV_SEPARATORS = [',', ';'];
+const BYTE_ORDER_MARK = '\uFEFF';
+const XML_INDENT = '  ';
+const XML_NAME = /^[A-Za-z_][\w.-]*$/;
+
+/**
+ * Champ CSV (RFC 4180) : entre guillemets dès qu'il contient un séparateur (virgule ou point-virgule,
+ * celui des tableurs français), un guillemet, une apostrophe (« l'erreur ») ou un retour à la ligne
+ * Les poèmes de plusieurs vers restent ainsi dans une seule cellule
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeCSV = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",;'’\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array<[string, Function]>} columns - [en-tête, (ligne, rang) => valeur]
+ * @param {Array<Object>} rows
+ * @returns {string}
+ */
+export const formatCSV = (columns, rows) => [
+  columns.map(([label]) => escapeCSV(label)).join(CSV_SEPARATOR),
+  ...rows.map((row, index) => columns.map(([, read]) => escapeCSV(read(row, index))).join(CSV_SEPARATOR))
+].join('\n') + '\n';
+
+const json = (value) => value === undefined ? '' : JSON.stringify(value);
+
+const HISTORY_COLUMNS = [
+  ['rang', (entry, index) => index + 1],
+  ['combinaison', entry => entry.text],
+  ['note', entry => entry.note],
+  ['date', entry => Number.isFinite(entry.timestamp) ? new Date(entry.timestamp).toISOString() : ''],
+  ['graine', entry => entry.seed],
+  ['numero', entry => entry.combinationIndex],
+  ['mode', entry => entry.generationMode],
+  ['id', entry => entry.id],
+  ['version', entry => entry.schemaVersion],
+  ['mots', entry => Array.isArray(entry.words) ? entry.words.join(' ') : ''],
+  ['nombre_de_mots', entry => entry.wordCount],
+  ['selection_seule', entry => entry.useSelectedOnly],
+  ['texte_brut', entry => entry.rawText],
+  ['mise_en_forme', entry => entry.formatMode],
+  ['forme', entry => entry.metricForm],
+  ['vers', entry => Array.isArray(entry.lineLengths) ? entry.lineLengths.join(' / ') : ''],
+  ['syllabes', entry => Array.isArray(entry.syllableCounts) ? entry.syllableCounts.join(' / ') : ''],
+  ['apprentissage', entry => entry.learningStrength],
+  ['contraintes', entry => json(entry.constraints)],
+  ['groupes', entry => json(entry.groupPattern)],
+  ['reecritures', entry => json(entry.rewrites)],
+  ['etiquettes', entry => Array.isArray(entry.tags) ? entry.tags.join(', ') : '']
+];
+
+/**
+ * Lecture des colonnes du CSV : champ de l'entrée et conversion de la cellule (non vide)
+ * La colonne version est ignorée : les lignes sont migrées comme des entrées sans numéro
+ */
+const readJSON = (cell) => {
+  try {
+    return JSON.parse(cell);
+  } catch (error) {
+    return undefined;
+  }
+};
+const readNumber = (cell) => Number(cell.replace(',', '.'));
+const readList = (cell) => cell.split('/').map(item => Number(item.trim()));
+
+const CSV_FIELDS = Object.freeze({
+  combinaison: ['text', cell => cell],
+  note: ['note', readNumber],
+  date: ['timestamp', cell => cell],
+  graine: ['seed', readNumber],
+  numero: ['combinationIndex', cell => cell],
+  mode: ['generationMode', cell => cell],
+  id: ['id', cell => cell],
+  mots: ['words', cell => cell.split(' ').filter(Boolean)],
+  nombre_de_mots: ['wordCount', readNumber],
+  selection_seule: ['useSelectedOnly', cell => cell === 'true'],
+  texte_brut: ['rawText', cell => cell],
+  mise_en_forme: ['formatMode', cell => cell],
+  forme: ['metricForm', cell => cell],
+  vers: ['lineLengths', readList],
+  syllabes: ['syllableCounts', readList],
+  apprentissage: ['learningStrength', readNumber],
+  contraintes: ['constraints', readJSON],
+  groupes: ['groupPattern', readJSON],
+  reecritures: ['rewrites', readJSON],
+  etiquettes: ['tags', cell => cell.split(',')]
+});
+
+const REQUIRED_CSV_COLUMNS = ['combinaison', 'note'];
+
+/**
+ * Lignes d'un CSV (RFC 4180) : guillemets doublés, retours à la ligne dans une cellule entre guillemets
+ * @param {string} text
+ * @param {string} separator
+ * @returns {Array<Array<string>>} Sans les lignes vides
+ */
+const parseCSV = (text, separator) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value !== ''));
+};
+
+/**
+ * Identifiant d'une entrée importée qui n'en a pas : les identifiants dérivés du rang (legacyEntryId)
+ * se confondraient avec ceux de l'historique en place
+ * @returns {string}
+ */
+const importedEntryId = () => `entry_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Clés de doublon d'une entrée : son id, et son texte à sa date
+ * @param {Object} entry
+ * @returns {Array<string>}
+ */
+const duplicateKeys = (entry) => [
+  `id\u0000${entry.id}`,
+  `text\u0000${Number.isFinite(entry.timestamp) ? entry.timestamp : ''}\u0000${entry.text}`
+];
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeXML = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Élément XML d'une valeur JSON : texte pour une valeur simple, un <item> par élément de tableau,
+ * un élément par clé d'objet (<item key="..."> quand la clé n'est pas un nom XML, une position par exemple)
+ * @param {string} name
+ * @param {*} value
+ * @param {string} indent
+ * @param {string} [attributes]
+ * @returns {string}
+ */
+const toXMLElement = (name, value, indent, attributes = '') => {
+  const [tag, keyAttribute] = XML_NAME.test(name) ? [name, ''] : ['item', ` key="${escapeXML(name)}"`];
+  const open = `${indent}<${tag}${keyAttribute}${attributes}`;
+
+  if (value === null || value === undefined) return `${open}/>`;
+  if (typeof value !== 'object') return `${open}>${escapeXML(value)}</${tag}>`;
+
+  const children = Array.isArray(value)
+    ? value.map(item => toXMLElement('item', item, indent + XML_INDENT))
+    : Object.entries(value).map(([key, item]) => toXMLElement(key, item, indent + XML_INDENT));
+  return children.length === 0 ? `${open}/>` : [`${open}>`, ...children, `${indent}</${tag}>`].join('\n');
+};
+
+export class HistoryFile {
+
+  /**
+   * Statistiques d'un historique : totaux et moyenne, dispersion et répartition des notes
+   * @param {Array<Object>} history - Entrées valides
+   * @returns {Object}
+   */
+  static statistics(history) {
+    return { ...HistoryExport.calculateStatistics(history), ...HistoryAnalytics.ratingStatistics(history) };
+  }
+
+  /**
+   * Contenu du fichier JSON :
+   * { format: 'quantique-historique', version, exportedAt, filter?, statistics, history: [entrées telles qu'enregistrées] }
+   * version est celle du schéma des entrées (HISTORY_SCHEMA_VERSION)
+   * @param {Array<Object>} history - Entrées valides
+   * @param {Object} [options]
+   * @param {Date} [options.date]
+   * @param {Object} [options.statistics] - Statistiques déjà calculées (avec celles des groupes, par exemple)
+   * @param {Object} [options.filter] - Critères du filtre qui a retenu ces entrées (HistoryFilter.toJSON())
+   * @returns {Object}
+   */
+  static fromHistory(history, { date = new Date(), statistics = HistoryFile.statistics(history), filter } = {}) {
+    return {
+      format: HISTORY_FILE_FORMAT,
+      version: HISTORY_SCHEMA_VERSION,
+      exportedAt: date.toISOString(),
+      ...(filter ? { filter } : {}),
+      statistics,
+      history: history.map(entry => ({ ...entry }))
+    };
+  }
+
+  /**
+   * @param {Array<Object>} history
+   * @param {Object} [options] - Voir fromHistory
+   * @returns {string} JSON indenté
+   */
+  static toJSON(history, options = {}) {
+    return JSON.stringify(HistoryFile.fromHistory(history, options), null, 2) + '\n';
+  }
+
+  /**
+   * Même contenu que le JSON :
+   * <history format version exportedAt><filter/>?<statistics>...</statistics><entries><entry id>...</entry></entries></history>
+   * La répartition des notes devient une liste de <rating note="n">nombre</rating>
+   * @param {Array<Object>} history
+   * @param {Object} [options] - Voir fromHistory
+   * @returns {string}
+   */
+  static toXML(history, options = {}) {
+    const { format, version, exportedAt, filter, statistics, history: entries } = HistoryFile.fromHistory(history, options);
+    const { distribution = {}, ...totals } = statistics;
+    const level = (depth) => XML_INDENT.repeat(depth);
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<history format="${format}" version="${version}" exportedAt="${exportedAt}">`,
+      ...(filter ? [toXMLElement('filter', filter, level(1))] : []),
+      `${level(1)}<statistics>`,
+      ...Object.entries(totals).map(([key, value]) => toXMLElement(key, value, level(2))),
+      `${level(2)}<distribution>`,
+      ...Object.entries(distribution).map(([note, count]) => `${level(3)}<rating note="${escapeXML(note)}">${count}</rating>`),
+      `${level(2)}</distribution>`,
+      `${level(1)}</statistics>`,
+      `${level(1)}<entries>`,
+      ...entries.map(({ id, ...fields }) => toXMLElement('entry', fields, level(2), id ? ` id="${escapeXML(id)}"` : '')),
+      `${level(1)}</entries>`,
+      '</history>'
+    ].join('\n') + '\n';
+  }
+
+  /**
+   * Une ligne par entrée, un champ par colonne
+   * @param {Array<Object>} history - Entrées valides
+   * @returns {string}
+   */
+  static toCSV(history) {
+    return formatCSV(HISTORY_COLUMNS, history);
+  }
+
+  /**
+   * Lit un fichier d'historique : export JSON (ou simple tableau d'entrées) ou export CSV
+   * Les entrées d'anciennes versions sont migrées ; celles qui ne peuvent l'être sont écartées avec un avertissement
+   * @param {string} text - Contenu du fichier
+   * @param {string} [fileName] - Son extension (.json, .csv) désigne le format ; sinon le contenu
+   * @returns {{errors: Array<string>, warnings: Array<string>, isValid: boolean, entries: Array<Object>}}
+   *   entries : entrées de la version courante, dans l'ordre du fichier
+   */
+  static parse(text, fileName = '') {
+    const content = text.startsWith(BYTE_ORDER_MARK) ? text.slice(1) : text;
+    const extension = (fileName.match(/\.([^.]+)$/) || [])[1]?.toLowerCase();
+    const isJSON = extension ? extension === 'json' : /^\s*[[{]/.test(content);
+
+    const read = isJSON ? HistoryFile.readJSON(content) : HistoryFile.readCSV(content);
+    if (read.errors.length > 0) return { errors: read.errors, warnings: [], isValid: false, entries: [] };
+
+    const { entries, quarantined } = HistorySchema.migrateEntries(read.entries.map(entry =>
+      entry && typeof entry === 'object' && !Array.isArray(entry) && !(typeof entry.id === 'string' && entry.id)
+        ? { ...entry, id: importedEntryId() }
+        : entry));
+    const warnings = quarantined.map(({ index, reason }) => I18n.t('HISTORY_IMPORT.ENTRY_SKIPPED', {
+      number: index + 1,
+      reason: I18n.t(`HISTORY_IMPORT.REASON_${reason.toUpperCase().replace(/-/g, '_')}`)
+    }));
+    const errors = entries.length === 0 ? [I18n.t('HISTORY_IMPORT.NO_VALID_ENTRY')] : [];
+
+    return { errors, warnings, isValid: errors.length === 0, entries };
+  }
+
+  /**
+   * @private
+   * @returns {{errors: Array<string>, entries: Array<*>}}
+   */
+  static readJSON(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      return { errors: [I18n.t('HISTORY_IMPORT.NOT_JSON', { reason: error.message })], entries: [] };
+    }
+
+    const entries = Array.isArray(data) ? data : data && Array.isArray(data.history) ? data.history : null;
+    if (!entries) return { errors: [I18n.t('HISTORY_IMPORT.NOT_A_HISTORY')], entries: [] };
+    if (!Array.isArray(data) && data.format !== undefined && data.format !== HISTORY_FILE_FORMAT) {
+      return { errors: [I18n.t('HISTORY_IMPORT.WRONG_FORMAT', { format: String(data.format), expected: HISTORY_FILE_FORMAT })], entries: [] };
+    }
+    if (!Array.isArray(data) && Number.isInteger(data.version) && data.version > HISTORY_SCHEMA_VERSION) {
+      return { errors: [I18n.t('HISTORY_IMPORT.NEWER_VERSION', { version: data.version, supported: HISTORY_SCHEMA_VERSION })], entries: [] };
+    }
+    return { errors: [], entries };
+  }
+
+  /**
+   * Le séparateur est celui de la ligne d'en-tête : virgule, ou point-virgule d'un tableur français
+   * @private
+   * @returns {{errors: Array<string>, entries: Array<Object>}}
+   */
+  static readCSV(content) {
+    const header = content.split(/\r?\n/, 1)[0];
+    const separator = CSV_SEPARATORS.find(candidate => header.includes(candidate)) || CSV_SEPARATOR;
+    const [columns = [], ...rows] = parseCSV(content, separator);
+    const names = columns.map(name => name.trim().toLowerCase());
+
+    const missing = REQUIRED_CSV_COLUMNS.filter(name => !names.includes(name));
+    if (missing.length > 0) {
+      return { errors: [I18n.t('HISTORY_IMPORT.CSV_COLUMNS_MISSING', { columns: missing.join(', ') })], entries: [] };
+    }
+
+    const entries = rows.map(cells => {
+      const entry = {};
+      names.forEach((name, column) => {
+        const cell = (cells[column] ?? '').trim();
+        if (!cell || !CSV_FIELDS[name]) return;
+        const [field, read] = CSV_FIELDS[name];
+        const value = read(cell);
+        if (value !== undefined) entry[field] = value;
+      });
+      return entry;
+    });
+    return { errors: [], entries };
+  }
+
+  /**
+   * Entrées importées absentes d'un historique : sont écartées celles qui y figurent déjà (même id,
+   * ou même texte à la même date) et les doublons du fichier lui-même
+   * @param {Array<Object>} current - Historique actuel (vide pour un remplacement)
+   * @param {Array<Object>} imported - Entrées lues par parse
+   * @returns {{added: Array<Object>, duplicates: number}}
+   */
+  static newEntries(current, imported) {
+    const known = new Set(current.flatMap(duplicateKeys));
+    const added = imported.filter(entry => {
+      const keys = duplicateKeys(entry);
+      if (keys.some(key => known.has(key))) return false;
+      keys.forEach(key => known.add(key));
+      return true;
+    });
+    return { added, duplicates: imported.length - added.length };
+  }
+}
+
+export default HistoryFile;
@@ -0,0 +1,257 @@
+/**
+ * Filtre de l'historique, sans DOM : recherche dans le texte des combinaisons, bornes de note, de date
+ * et de nombre de mots, mots contenus et étiquettes ; une entrée doit respecter tous les critères donnés
+ * Un filtre s'écrit en paramètres d'URL (toQuery, fromQuery) : il se partage par un lien vers la page,
+ * ou se passe à la ligne de commande (quantique history --filter)
+ * @module HistoryFilter
+ */
+
+import { CONFIG } from './config.js';
+import { HistorySchema } from './HistorySchema.js';
+import { I18n } from './I18n.js';
+
+/**
+ * Paramètre d'URL de chaque critère ; mot et etiquette peuvent se répéter (?mot=erreur&mot=moi)
+ */
+export const FILTER_PARAMETERS = Object.freeze({
+  search: 'recherche',
+  minNote: 'note_min',
+  maxNote: 'note_max',
+  from: 'du',
+  to: 'au',
+  minWords: 'mots_min',
+  maxWords: 'mots_max',
+  words: 'mot',
+  tags: 'etiquette'
+});
+
+const LIST_FIELDS = ['words', 'tags'];
+const LIST_SEPARATOR = /[,;\n]/;
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const SEARCH_TERM_PATTERN = /"([^"]+)"|(\S+)/g;
+
+/**
+ * Forme de comparaison : minuscules, sans accents, apostrophe droite (« Rêveur » et « reveur » se valent)
+ * @param {string} text
+ * @returns {string}
+ */
+const fold = (text) => String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[’`]/g, '\'').toLowerCase();
+
+const toList = (value) => {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(LIST_SEPARATOR);
+  return [...new Set(items.map(item => typeof item === 'string' ? item.trim() : '').filter(Boolean))];
+};
+
+const toInteger = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+};
+
+const toDay = (value) => {
+  if (value === null || value === undefined) return null;
+  return String(value).trim() || null;
+};
+
+/**
+ * Début d'un jour en heure locale
+ * @param {string} day - AAAA-MM-JJ
+ * @param {number} [offset] - Jours à ajouter (1 : début du lendemain, même un jour de changement d'heure)
+ * @returns {number} NaN pour une date illisible ou qui n'existe pas (2024-02-31)
+ */
+const dayStart = (day, offset = 0) => {
+  const match = day.match(DAY_PATTERN);
+  if (!match) return NaN;
+
+  const [year, month, date] = match.slice(1).map(Number);
+  const start = new Date(year, month - 1, date);
+  if (start.getFullYear() !== year || start.getMonth() !== month - 1 || start.getDate() !== date) return NaN;
+  return new Date(year, month - 1, date + offset).getTime();
+};
+
+/**
+ * Mots d'une entrée : ceux de la génération, sinon ceux du texte (entrées anciennes, CSV sans colonne mots)
+ * @param {Object} entry
+ * @returns {Array<string>}
+ */
+const entryWords = (entry) => Array.isArray(entry.words)
+  ? entry.words
+  : entry.text.split(/\s+/).map(word => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')).filter(Boolean);
+
+const isValidNote = (note) => Number.isInteger(note) && note >= CONFIG.LIMITS.MIN_RATING && note <= CONFIG.LIMITS.MAX_RATING;
+
+export class HistoryFilter {
+
+  /**
+   * @param {Object} [raw]
+   * @param {string} [raw.search] - Termes cherchés dans le texte, tous requis ("entre guillemets" pour une expression)
+   * @param {number|string} [raw.minNote] - Note minimale
+   * @param {number|string} [raw.maxNote] - Note maximale
+   * @param {string} [raw.from] - Premier jour (AAAA-MM-JJ, heure locale), inclus
+   * @param {string} [raw.to] - Dernier jour, inclus
+   * @param {number|string} [raw.minWords] - Nombre de mots minimal
+   * @param {number|string} [raw.maxWords] - Nombre de mots maximal
+   * @param {Array<string>|string} [raw.words] - Mots que la combinaison doit tous contenir
+   * @param {Array<string>|string} [raw.tags] - Étiquettes que l'entrée doit toutes porter
+   */
+  constructor(raw = {}) {
+    this.search = typeof raw.search === 'string' ? raw.search.trim() : '';
+    this.minNote = toInteger(raw.minNote);
+    this.maxNote = toInteger(raw.maxNote);
+    this.from = toDay(raw.from);
+    this.to = toDay(raw.to);
+    this.minWords = toInteger(raw.minWords);
+    this.maxWords = toInteger(raw.maxWords);
+    this.words = toList(raw.words);
+    this.tags = HistorySchema.normalizeTags(raw.tags ?? []);
+  }
+
+  /**
+   * Lit un filtre dans des paramètres d'URL (voir FILTER_PARAMETERS) ; les autres paramètres sont ignorés
+   * @param {string|URLSearchParams} query - « ?recherche=amour&note_min=7 » ou sans le point d'interrogation
+   * @returns {HistoryFilter}
+   */
+  static fromQuery(query) {
+    const params = query instanceof URLSearchParams ? query : new URLSearchParams(query);
+    const raw = {};
+    Object.entries(FILTER_PARAMETERS).forEach(([field, name]) => {
+      const values = params.getAll(name);
+      if (values.length === 0) return;
+      raw[field] = LIST_FIELDS.includes(field) ? values.join(',') : values[values.length - 1];
+    });
+    return new HistoryFilter(raw);
+  }
+
+  isEmpty() {
+    return this.search === '' && this.minNote === null && this.maxNote === null && this.from === null && this.to === null &&
+      this.minWords === null && this.maxWords === null && this.words.length === 0 && this.tags.length === 0;
+  }
+
+  /**
+   * Vérifie les bornes ; un critère invalide est ignoré par matches()
+   * @returns {{errors: Array<string>, isValid: boolean}}
+   */
+  validate() {
+    const errors = new Set();
+    const { MIN_RATING: min, MAX_RATING: max } = CONFIG.LIMITS;
+
+    [this.minNote, this.maxNote].forEach(note => {
+      if (note !== null && !isValidNote(note)) errors.add(I18n.t('HISTORY_FILTER.NOTE_INVALID', { min, max }));
+    });
+    if (isValidNote(this.minNote) && isValidNote(this.maxNote) && this.minNote > this.maxNote) {
+      errors.add(I18n.t('HISTORY_FILTER.NOTE_RANGE', { min: this.minNote, max: this.maxNote }));
+    }
+
+    [this.from, this.to].forEach(day => {
+      if (day !== null && Number.isNaN(dayStart(day))) errors.add(I18n.t('HISTORY_FILTER.DATE_INVALID', { value: day }));
+    });
+    if (this.from !== null && this.to !== null && dayStart(this.from) > dayStart(this.to)) {
+      errors.add(I18n.t('HISTORY_FILTER.DATE_RANGE', { from: this.from, to: this.to }));
+    }
+
+    [this.minWords, this.maxWords].forEach(count => {
+      if (count !== null && !(count >= 1)) errors.add(I18n.t('HISTORY_FILTER.WORD_COUNT_INVALID'));
+    });
+    if (this.minWords >= 1 && this.maxWords >= 1 && this.minWords > this.maxWords) {
+      errors.add(I18n.t('HISTORY_FILTER.WORD_COUNT_RANGE', { min: this.minWords, max: this.maxWords }));
+    }
+
+    return { errors: [...errors], isValid: errors.size === 0 };
+  }
+
+  /**
+   * Critères lisibles, sous forme de test : les termes et bornes sont préparés une fois pour tout l'historique
+   * @private
+   * @returns {Function} (entry) => boolean
+   */
+  compile() {
+    const terms = [...this.search.matchAll(SEARCH_TERM_PATTERN)].map(([, phrase, word]) => fold(phrase ?? word));
+    const minNote = isValidNote(this.minNote) ? this.minNote : -Infinity;
+    const maxNote = isValidNote(this.maxNote) ? this.maxNote : Infinity;
+    const from = this.from === null ? NaN : dayStart(this.from);
+    const to = this.to === null ? NaN : dayStart(this.to, 1);
+    const hasDates = Number.isFinite(from) || Number.isFinite(to);
+    const minWords = this.minWords >= 1 ? this.minWords : 0;
+    const maxWords = this.maxWords >= 1 ? this.maxWords : Infinity;
+    const words = this.words.map(fold);
+
+    return (entry) => {
+      if (entry.note < minNote || entry.note > maxNote) return false;
+
+      if (hasDates) {
+        if (!Number.isFinite(entry.timestamp)) return false;
+        if (entry.timestamp < from || entry.timestamp >= to) return false;
+      }
+
+      if (terms.length > 0) {
+        const text = fold(entry.text);
+        if (!terms.every(term => text.includes(term))) return false;
+      }
+
+      if (minWords > 0 || maxWords < Infinity || words.length > 0) {
+        const entryWordList = entryWords(entry);
+        if (entryWordList.length < minWords || entryWordList.length > maxWords) return false;
+        const folded = new Set(entryWordList.map(fold));
+        if (!words.every(word => folded.has(word))) return false;
+      }
+
+      const tags = Array.isArray(entry.tags) ? entry.tags : [];
+      return this.tags.every(tag => tags.includes(tag));
+    };
+  }
+
+  /**
+   * @param {Object} entry - Entrée valide de l'historique
+   * @returns {boolean}
+   */
+  matches(entry) {
+    return this.compile()(entry);
+  }
+
+  /**
+   * @param {Array<Object>} history
+   * @returns {Array<Object>} Entrées retenues, dans l'ordre de l'historique
+   */
+  apply(history) {
+    if (this.isEmpty()) return [...history];
+    return history.filter(this.compile());
+  }
+
+  /**
+   * Copie du filtre avec certains critères remplacés
+   * @param {Object} changes - Mêmes champs que le constructeur
+   * @returns {HistoryFilter}
+   */
+  with(changes) {
+    return new HistoryFilter({ ...this.toJSON(), ...changes });
+  }
+
+  /**
+   * Forme sérialisable : seulement les critères donnés (pour les exports)
+   * @returns {Object}
+   */
+  toJSON() {
+    const json = {};
+    if (this.search) json.search = this.search;
+    ['minNote', 'maxNote', 'from', 'to', 'minWords', 'maxWords'].forEach(field => {
+      if (this[field] !== null) json[field] = this[field];
+    });
+    if (this.words.length > 0) json.words = [...this.words];
+    if (this.tags.length > 0) json.tags = [...this.tags];
+    return json;
+  }
+
+  /**
+   * Paramètres d'URL du filtre (sans point d'interrogation), relus par fromQuery
+   * @returns {string}
+   */
+  toQuery() {
+    const params = new URLSearchParams();
+    Object.entries(this.toJSON()).forEach(([field, value]) => {
+      (Array.isArray(value) ? value : [value]).forEach(item => params.append(FILTER_PARAMETERS[field], item));
+    });
+    return params.toString();
+  }
+}
+
+export default HistoryFilter;
@@ -0,0 +1,227 @@
+/**
+ * Gestionnaire du panneau « Rechercher et filtrer » de l'historique
+ * Relie le formulaire au filtre d'HistoryManager et à l'adresse de la page : le filtre actif est écrit
+ * dans les paramètres de l'URL (HistoryFilter.toQuery), si bien qu'un lien copié rouvre la page filtrée
+ * @module HistoryFilterManager
+ */
+
+import { CONFIG } from './config.js';
+import { HistoryFilter, FILTER_PARAMETERS } from './HistoryFilter.js';
+import { NotificationManager } from './NotificationManager.js';
+import { I18n } from './I18n.js';
+
+/** Champs du formulaire : leur attribut name est celui du critère de HistoryFilter */
+const FILTER_FIELDS = Object.keys(FILTER_PARAMETERS);
+
+export class HistoryFilterManager {
+  constructor(historyManager) {
+    if (!historyManager) throw new Error('HistoryManager requis');
+
+    this.historyManager = historyManager;
+    this.elements = {};
+    /** @type {HistoryFilter|null} Dernier filtre venu du formulaire, qu'il ne faut pas y réécrire */
+    this.formFilter = null;
+    this.inputTimer = null;
+    this.historyUnsubscribe = null;
+    this.inputHandler = () => {
+      clearTimeout(this.inputTimer);
+      this.inputTimer = setTimeout(() => this.applyForm(), CONFIG.PERFORMANCE.DEBOUNCE_DELAY);
+    };
+    this.submitHandler = (e) => {
+      e.preventDefault();
+      this.applyForm();
+    };
+    this.filterChangeHandler = (e) => this.onFilterChanged(e.detail.filter);
+    this.summaryHandler = () => this.updateSummary();
+
+    this.init();
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log('HistoryFilterManager initialisé');
+    }
+  }
+
+  init() {
+    this.elements = {
+      panel: document.getElementById(CONFIG.DOM_ELEMENTS.HISTORY_FILTER_PANEL),
+      form: document.getElementById(CONFIG.DOM_ELEMENTS.HISTORY_FILTER),
+      summary: document.getElementById(CONFIG.DOM_ELEMENTS.HISTORY_FILTER_SUMMARY),
+      tagList: document.getElementById(CONFIG.DOM_ELEMENTS.HISTORY_TAG_LIST)
+    };
+
+    if (this.elements.form) {
+      this.elements.form.addEventListener('input', this.inputHandler);
+      this.elements.form.addEventListener('submit', this.submitHandler);
+    }
+    document.addEventListener(CONFIG.EVENTS.HISTORY_FILTER_CHANGED, this.filterChangeHandler);
+    document.addEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.summaryHandler);
+    this.historyUnsubscribe = this.historyManager.addObserver(() => {
+      this.updateSummary();
+      this.updateTagList();
+    });
+
+    this.applyQuery(window.location.search);
+  }
+
+  /**
+   * Applique le filtre d'un lien partagé
+   * @param {string} query - Paramètres de l'URL
+   */
+  applyQuery(query) {
+    const filter = HistoryFilter.fromQuery(query);
+    if (filter.isEmpty()) return;
+
+    const { errors } = filter.validate();
+    if (errors.length > 0) {
+      NotificationManager.warning(I18n.t('HISTORY_FILTER.LINK_INVALID', { errors: errors.join(' ; ') }));
+    }
+    if (this.elements.panel) this.elements.panel.open = true;
+    this.historyManager.setFilter(filter);
+  }
+
+  /**
+   * @returns {HistoryFilter} Filtre saisi dans le formulaire
+   */
+  readForm() {
+    const { form } = this.elements;
+    if (!form) return new HistoryFilter();
+
+    return new HistoryFilter(Object.fromEntries(FILTER_FIELDS.map(field => [field, form.elements.namedItem(field)?.value ?? ''])));
+  }
+
+  /**
+   * @param {HistoryFilter} filter
+   */
+  writeForm(filter) {
+    const { form } = this.elements;
+    if (!form) return;
+
+    FILTER_FIELDS.forEach(field => {
+      const input = form.elements.namedItem(field);
+      if (!input) return;
+      const value = Array.isArray(filter[field]) ? filter[field].join(', ') : filter[field] ?? '';
+      if (input.value !== String(value)) input.value = value;
+    });
+  }
+
+  applyForm() {
+    clearTimeout(this.inputTimer);
+    this.inputTimer = null;
+    this.formFilter = this.readForm();
+    this.historyManager.setFilter(this.formFilter);
+  }
+
+  /**
+   * @param {HistoryFilter} filter - Nouveau filtre d'HistoryManager (formulaire, étiquette cliquée, lien)
+   */
+  onFilterChanged(filter) {
+    if (filter !== this.formFilter) this.writeForm(filter);
+    this.formFilter = null;
+    this.updateSummary();
+
+    try {
+      window.history.replaceState(window.history.state, '', this.getShareURL());
+    } catch (error) {
+      console.warn('Adresse de la page non mise à jour:', error);
+    }
+  }
+
+  updateSummary() {
+    const { summary } = this.elements;
+    if (!summary) return;
+
+    const { filter, history } = this.historyManager;
+    if (filter.isEmpty()) {
+      summary.textContent = '';
+      return;
+    }
+
+    const sentences = [I18n.t('HISTORY_FILTER.SUMMARY', { count: this.historyManager.getFilteredHistory().length, total: history.length })];
+    sentences.push(...filter.validate().errors);
+    summary.textContent = sentences.join(' ');
+  }
+
+  /**
+   * Suggestions du champ des étiquettes : celles déjà employées
+   */
+  updateTagList() {
+    const { tagList } = this.elements;
+    if (!tagList) return;
+
+    tagList.innerHTML = '';
+    this.historyManager.getTags().forEach(({ tag, count }) => {
+      const option = document.createElement('option');
+      option.value = tag;
+      option.label = I18n.t('HISTORY_FILTER.TAG_OPTION', { tag, count });
+      tagList.appendChild(option);
+    });
+  }
+
+  /**
+   * Adresse de la page avec le filtre actif ; les autres paramètres de l'URL sont gardés
+   * @returns {string}
+   */
+  getShareURL() {
+    const url = new URL(window.location.href);
+    Object.values(FILTER_PARAMETERS).forEach(name => url.searchParams.delete(name));
+    new URLSearchParams(this.historyManager.filter.toQuery()).forEach((value, name) => url.searchParams.append(name, value));
+    return url.toString();
+  }
+
+  reset() {
+    this.historyManager.setFilter(new HistoryFilter());
+  }
+
+  /**
+   * Copie le lien de la page filtrée
+   */
+  share() {
+    if (typeof navigator.clipboard === 'undefined') {
+      NotificationManager.error(CONFIG.MESSAGES.COPY_UNSUPPORTED);
+      return;
+    }
+
+    navigator.clipboard.writeText(this.getShareURL())
+      .then(() => NotificationManager.success(I18n.t('HISTORY_FILTER.LINK_COPIED')))
+      .catch(() => NotificationManager.error(CONFIG.MESSAGES.COPY_ERROR));
+  }
+
+  validate() {
+    const issues = [];
+    const warnings = [];
+    Object.entries(this.elements).forEach(([name, element]) => {
+      if (!element) warnings.push(`Élément du filtre de l'historique introuvable : ${name}`);
+    });
+    warnings.push(...this.historyManager.filter.validate().errors);
+
+    return { isValid: issues.length === 0, issues, warnings };
+  }
+
+  getDebugInfo() {
+    return {
+      filter: this.historyManager.filter.toJSON(),
+      query: this.historyManager.filter.toQuery(),
+      matches: this.historyManager.getFilteredHistory().length,
+      validation: this.validate()
+    };
+  }
+
+  cleanup() {
+    clearTimeout(this.inputTimer);
+    this.inputTimer = null;
+    if (this.elements.form) {
+      this.elements.form.removeEventListener('input', this.inputHandler);
+      this.elements.form.removeEventListener('submit', this.submitHandler);
+    }
+    document.removeEventListener(CONFIG.EVENTS.HISTORY_FILTER_CHANGED, this.filterChangeHandler);
+    document.removeEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.summaryHandler);
+    if (this.historyUnsubscribe) this.historyUnsubscribe();
+    this.historyUnsubscribe = null;
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log('HistoryFilterManager: Nettoyage effectué');
+    }
+  }
+}
+
+export default HistoryFilterManager;
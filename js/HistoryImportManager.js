@@ -0,0 +1,236 @@
+/**
+ * Gestionnaire de l'import d'un historique exporté (JSON ou CSV)
+ * Le fichier est lu et vérifié (HistoryFile.parse), puis un aperçu montre ce qui sera ajouté
+ * ou remplacé ; rien n'atteint HistoryManager avant la confirmation
+ * @module HistoryImportManager
+ */
+
+import { CONFIG } from './config.js';
+import { HistoryFile } from './HistoryFile.js';
+import { NotificationManager } from './NotificationManager.js';
+import { I18n } from './I18n.js';
+
+const IMPORT_MODES = Object.freeze({
+  MERGE: 'merge',
+  REPLACE: 'replace'
+});
+
+const MAX_REPORTED_WARNINGS = 3;
+
+export class HistoryImportManager {
+  constructor(historyManager) {
+    if (!historyManager) throw new Error('HistoryManager requis');
+
+    this.historyManager = historyManager;
+    this.elements = {};
+    /** @type {{fileName: string, entries: Array<Object>}|null} Fichier lu, en attente de confirmation */
+    this.pending = null;
+    this.historyUnsubscribe = null;
+    this.renderHandler = () => this.renderPreview();
+    this.fileHandler = () => {
+      const [file] = this.elements.input.files;
+      this.elements.input.value = '';
+      if (file) this.importFile(file);
+    };
+
+    this.init();
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log('HistoryImportManager initialisé');
+    }
+  }
+
+  init() {
+    this.elements = {
+      input: document.getElementById(CONFIG.DOM_ELEMENTS.HISTORY_IMPORT_INPUT),
+      preview: document.getElementById(CONFIG.DOM_ELEMENTS.HISTORY_IMPORT_PREVIEW),
+      mode: document.getElementById(CONFIG.DOM_ELEMENTS.HISTORY_IMPORT_MODE),
+      summary: document.getElementById(CONFIG.DOM_ELEMENTS.HISTORY_IMPORT_SUMMARY),
+      list: document.getElementById(CONFIG.DOM_ELEMENTS.HISTORY_IMPORT_LIST),
+      confirmButton: document.getElementById(CONFIG.DOM_ELEMENTS.HISTORY_IMPORT_CONFIRM)
+    };
+
+    if (this.elements.input) this.elements.input.addEventListener('change', this.fileHandler);
+    if (this.elements.mode) this.elements.mode.addEventListener('change', this.renderHandler);
+    this.historyUnsubscribe = this.historyManager.addObserver(this.renderHandler);
+    document.addEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.renderHandler);
+  }
+
+  /**
+   * Ouvre le sélecteur de fichier ; l'import se poursuit dans importFile
+   */
+  openImport() {
+    this.elements.input?.click();
+  }
+
+  /**
+   * Lit un fichier d'historique choisi par l'utilisateur ; la suite dans preview
+   * @param {File|Blob} file
+   * @returns {Promise<boolean>}
+   */
+  async importFile(file) {
+    const maxSize = CONFIG.LIMITS.MAX_HISTORY_FILE_SIZE;
+    if (file.size > maxSize) {
+      NotificationManager.error(I18n.t('HISTORY_IMPORT.FILE_TOO_LARGE', { size: Math.round(maxSize / 1000000) }));
+      return false;
+    }
+
+    let text;
+    try {
+      text = await file.text();
+    } catch (error) {
+      console.error('Erreur de lecture du fichier d\'historique:', error);
+      NotificationManager.error(I18n.t('HISTORY_IMPORT.INVALID', { reasons: I18n.t('HISTORY_IMPORT.FILE_UNREADABLE') }));
+      return false;
+    }
+
+    return this.preview(text, file.name || '');
+  }
+
+  /**
+   * Vérifie le contenu d'un fichier et affiche l'aperçu de l'import
+   * @param {string} text
+   * @param {string} [fileName]
+   * @returns {boolean} Faux si le fichier est refusé
+   */
+  preview(text, fileName = '') {
+    const parsed = HistoryFile.parse(text, fileName);
+    if (!parsed.isValid) {
+      console.warn('Fichier d\'historique refusé:', parsed.errors);
+      NotificationManager.error(I18n.t('HISTORY_IMPORT.INVALID', { reasons: parsed.errors.join(' ; ') }));
+      return false;
+    }
+
+    if (parsed.warnings.length > 0) {
+      console.warn('Import de l\'historique:', parsed.warnings);
+      const shown = parsed.warnings.slice(0, MAX_REPORTED_WARNINGS);
+      const hidden = parsed.warnings.length - shown.length;
+      if (hidden > 0) shown.push(I18n.t('HISTORY_IMPORT.MORE_WARNINGS', { count: hidden }));
+      NotificationManager.warning(I18n.t('HISTORY_IMPORT.WARNINGS', { warnings: shown.join(' ; ') }));
+    }
+
+    this.pending = { fileName, entries: parsed.entries };
+    if (this.elements.preview) this.elements.preview.hidden = false;
+    this.renderPreview();
+    this.elements.preview?.focus();
+    return true;
+  }
+
+  /**
+   * @returns {string} Voir IMPORT_MODES
+   */
+  getMode() {
+    const checked = this.elements.mode?.querySelector('input[type="radio"]:checked');
+    return checked && checked.value === IMPORT_MODES.REPLACE ? IMPORT_MODES.REPLACE : IMPORT_MODES.MERGE;
+  }
+
+  /**
+   * Entrées que l'import ajouterait, selon le mode choisi
+   * @returns {{mode: string, added: Array<Object>, duplicates: number}|null}
+   */
+  getPlan() {
+    if (!this.pending) return null;
+
+    const mode = this.getMode();
+    const current = mode === IMPORT_MODES.REPLACE ? [] : this.historyManager.history;
+    return { mode, ...HistoryFile.newEntries(current, this.pending.entries) };
+  }
+
+  renderPreview() {
+    const plan = this.getPlan();
+    const { summary, list, confirmButton } = this.elements;
+    if (!plan || !summary || !list) return;
+
+    const file = this.pending.fileName;
+    const count = plan.added.length;
+    const sentences = [count === 0 && plan.mode === IMPORT_MODES.MERGE
+      ? I18n.t('HISTORY_IMPORT.NOTHING_TO_ADD', { file })
+      : plan.mode === IMPORT_MODES.REPLACE
+        ? I18n.t('HISTORY_IMPORT.SUMMARY_REPLACE', { count, file, current: this.historyManager.history.length })
+        : I18n.t('HISTORY_IMPORT.SUMMARY_MERGE', { count, file })];
+    if (plan.duplicates > 0) sentences.push(I18n.t('HISTORY_IMPORT.SUMMARY_DUPLICATES', { count: plan.duplicates }));
+    summary.textContent = sentences.join(' ');
+
+    list.innerHTML = '';
+    const shown = plan.added.slice(0, CONFIG.LIMITS.MAX_HISTORY_IMPORT_PREVIEW);
+    shown.forEach(entry => {
+      const item = document.createElement('li');
+      item.textContent = I18n.t('HISTORY_IMPORT.PREVIEW_ENTRY', { text: entry.text, note: entry.note });
+      if (Number.isFinite(entry.timestamp)) {
+        item.title = I18n.t('HISTORY.ENTRY_CREATED', { date: I18n.formatDate(entry.timestamp, CONFIG.DATE_FORMAT.OPTIONS) });
+      }
+      list.appendChild(item);
+    });
+    if (count > shown.length) {
+      const more = document.createElement('li');
+      more.className = 'history-import-more';
+      more.textContent = I18n.t('HISTORY_IMPORT.PREVIEW_MORE', { count: count - shown.length });
+      list.appendChild(more);
+    }
+
+    if (confirmButton) confirmButton.disabled = count === 0;
+  }
+
+  /**
+   * Ajoute les entrées de l'aperçu à l'historique, ou le remplace par elles
+   * @returns {Promise<boolean>}
+   */
+  async commit() {
+    const plan = this.getPlan();
+    if (!plan || plan.added.length === 0) return false;
+
+    const replace = plan.mode === IMPORT_MODES.REPLACE;
+    const current = this.historyManager.history.length;
+    if (replace && current > 0 && !confirm(I18n.t('HISTORY_IMPORT.REPLACE_CONFIRM', { count: current }))) {
+      return false;
+    }
+
+    this.cancel();
+    if (!(await this.historyManager.importEntries(plan.added, replace))) return false;
+    NotificationManager.success(I18n.t(replace ? 'HISTORY_IMPORT.REPLACED' : 'HISTORY_IMPORT.MERGED', { count: plan.added.length }));
+    return true;
+  }
+
+  /**
+   * Abandonne l'import en attente et ferme l'aperçu
+   */
+  cancel() {
+    this.pending = null;
+    if (this.elements.preview) this.elements.preview.hidden = true;
+    if (this.elements.list) this.elements.list.innerHTML = '';
+    if (this.elements.summary) this.elements.summary.textContent = '';
+  }
+
+  validate() {
+    const issues = [];
+    const warnings = [];
+    Object.entries(this.elements).forEach(([name, element]) => {
+      if (!element) warnings.push(`Élément d'import de l'historique introuvable : ${name}`);
+    });
+
+    return { isValid: issues.length === 0, issues, warnings };
+  }
+
+  getDebugInfo() {
+    return {
+      pending: this.pending ? { fileName: this.pending.fileName, entries: this.pending.entries.length } : null,
+      mode: this.getMode(),
+      validation: this.validate()
+    };
+  }
+
+  cleanup() {
+    if (this.elements.input) this.elements.input.removeEventListener('change', this.fileHandler);
+    if (this.elements.mode) this.elements.mode.removeEventListener('change', this.renderHandler);
+    if (this.historyUnsubscribe) this.historyUnsubscribe();
+    this.historyUnsubscribe = null;
+    document.removeEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.renderHandler);
+    this.pending = null;
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log('HistoryImportManager: Nettoyage effectué');
+    }
+  }
+}
+
+export default HistoryImportManager;
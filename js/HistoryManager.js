@@ -1,89 +1,167 @@
 /**
  * Gestionnaire d'historique et de statistiques (VERSION OPTIMISÉE)
  * Gère la persistance, l'affichage et l'export de l'historique des combinaisons
+ * La persistance passe par HistoryStore (IndexedDB, localStorage en repli) : l'historique se charge
+ * de façon asynchrone, les observateurs sont prévenus quand il est disponible (voir ready)
+ * Le filtre (HistoryFilter) restreint la liste affichée et les exports ; les statistiques portent sur tout l'historique
  * @module HistoryManager
  */
 
-import { CONFIG, safeLocalStorageGet, safeLocalStorageSet } from './config.js';
+import { CONFIG } from './config.js';
 import { NotificationManager } from './NotificationManager.js';
+import { HistoryStore } from './HistoryStore.js';
+import { HistorySchema, HISTORY_SCHEMA_VERSION } from './HistorySchema.js';
+import { HistoryExport } from './HistoryExport.js';
+import { HistoryFile } from './HistoryFile.js';
+import { HistoryAnalytics } from './HistoryAnalytics.js';
+import { HistoryFilter } from './HistoryFilter.js';
+import { I18n } from './I18n.js';
 
 
 export class HistoryManager {
   constructor() {
-    this.history = this.loadHistory();
+    this.history = [];
+    this.store = null;
+    /** Vrai une fois l'historique enregistré chargé : jusque-là, rien ne le remplace ni ne le vide */
+    this.loaded = false;
+    this.quarantined = 0;
+    this.filter = new HistoryFilter();
+    this.writes = Promise.resolve();
     this.observers = [];
     this.autoSaveTimer = null;
+    this.groupSource = null;
+    this.groupChangeHandler = () => this.updateGroupStatistics();
+    this.localeChangeHandler = () => this.updateDisplay();
     
     this.init();
     
     if (CONFIG.DEBUG.ENABLED) {
-      console.log('HistoryManager initialized with', this.history.length, 'entries');
+      console.log('HistoryManager initialisé, chargement de l\'historique en cours');
     }
   }
   
   init() {
-    this.validateHistoryData();
     this.updateDisplay();
     this.setupEventListeners();
+    /** @type {Promise<void>} Résolue une fois l'historique enregistré chargé */
+    this.ready = this.loadHistory();
   }
   
-  loadHistory() {
-    const data = safeLocalStorageGet(CONFIG.STORAGE.HISTORY_KEY, []);
-    const validated = Array.isArray(data) ? data.filter(this.isValidHistoryEntry) : [];
+  /**
+   * Ouvre le stockage et charge l'historique enregistré, migré à la version courante du schéma
+   * Les entrées migrées sont réenregistrées, celles qui ne peuvent l'être passent en quarantaine
+   * Les combinaisons notées pendant le chargement sont conservées après celles du stockage
+   * Après un échec, l'historique affiché est incomplet : les nouvelles entrées sont encore enregistrées,
+   * mais remplacer ou vider le stockage est refusé (voir persist) pour ne pas effacer celui qui n'a pas été lu
+   */
+  async loadHistory() {
+    try {
+      this.store = await HistoryStore.open();
+      const { entries, upgraded, quarantined } = HistorySchema.migrateEntries(await this.store.load());
+      this.history = [...entries, ...this.history];
+      this.loaded = true;
+      
+      if (upgraded > 0 || quarantined.length > 0) {
+        await this.store.quarantine(quarantined);
+        await this.store.replace(this.history);
+        this.reportMigration(upgraded, quarantined);
+      }
+    } catch (error) {
+      console.error('Erreur lors du chargement de l\'historique:', error);
+      NotificationManager.error(I18n.t('HISTORY.LOAD_ERROR'));
+    }
     
     if (CONFIG.DEBUG.ENABLED && CONFIG.DEBUG.LOG_STORAGE) {
-      console.log('Historique chargé:', { validated: validated.length });
+      console.log('Historique chargé:', { backend: this.store && this.store.name, entries: this.history.length });
     }
     
-    return validated;
+    this.updateDisplay();
+    this.notifyObservers();
   }
   
-  isValidHistoryEntry(entry) {
-    return entry &&
-          typeof entry === 'object' &&
-          typeof entry.text === 'string' &&
-          entry.text.length > 0 &&
-          typeof entry.note === 'number' &&
-          entry.note >= CONFIG.LIMITS.MIN_RATING &&
-          entry.note <= CONFIG.LIMITS.MAX_RATING;
-  }
-  
-  validateHistoryData() {
-    const originalLength = this.history.length;
-    this.history = this.history.filter(this.isValidHistoryEntry);
-    
-    if (this.history.length > CONFIG.LIMITS.MAX_HISTORY_ENTRIES) {
-      this.history = this.history.slice(-CONFIG.LIMITS.MAX_HISTORY_ENTRIES);
-      this.saveHistory();
+  /**
+   * @private
+   * @param {number} upgraded - Entrées amenées à la version courante
+   * @param {Array<Object>} quarantined - Voir HistorySchema.migrateEntries
+   */
+  reportMigration(upgraded, quarantined) {
+    this.quarantined += quarantined.length;
+    
+    if (quarantined.length > 0) {
+      console.warn(`${quarantined.length} entrées d'historique mises en quarantaine:`, quarantined.map(item => item.reason));
+      NotificationManager.warning(I18n.t('HISTORY.QUARANTINED', { count: quarantined.length }));
     }
-    
-    if (originalLength !== this.history.length) {
-      console.warn(`${originalLength - this.history.length} entrées invalides supprimées`);
+    if (CONFIG.DEBUG.ENABLED && CONFIG.DEBUG.LOG_STORAGE) {
+      console.log('Historique migré:', { version: HISTORY_SCHEMA_VERSION, upgraded, quarantined: quarantined.length });
     }
   }
   
+  isValidHistoryEntry(entry) {
+    return HistorySchema.isCurrent(entry);
+  }
+  
+  /**
+   * Enchaîne une écriture après les précédentes, une fois le stockage ouvert
+   * @private
+   * @param {Function} operation - (store) => Promise
+   * @returns {Promise<void>}
+   */
+  persist(operation) {
+    this.writes = this.writes
+      .then(() => this.ready)
+      .then(() => this.store && operation(this.store))
+      .catch(error => {
+        console.error('Erreur lors de la sauvegarde de l\'historique:', error);
+        NotificationManager.error(I18n.t('HISTORY.SAVE_ERROR'));
+      });
+    return this.writes;
+  }
+  
+  /**
+   * Attend la fin du chargement ; refuse de remplacer ou de vider un historique enregistré qui n'a pas pu être lu
+   * @private
+   * @returns {Promise<boolean>}
+   */
+  async canOverwrite() {
+    await this.ready;
+    if (!this.loaded) NotificationManager.error(I18n.t('HISTORY.WRITE_REFUSED'));
+    return this.loaded;
+  }
+  
+  /**
+   * Chaque entrée est enregistrée dès qu'elle est notée : il ne reste qu'à attendre les écritures en cours
+   * @returns {Promise<void>}
+   */
   saveHistory() {
-    const success = safeLocalStorageSet(CONFIG.STORAGE.HISTORY_KEY, this.history);
-    
-    if (!success) {
-      NotificationManager.error('Erreur lors de la sauvegarde de l\'historique');
-      return;
-    }
-    
-    if (CONFIG.DEBUG.ENABLED && CONFIG.DEBUG.LOG_STORAGE) {
-      console.log('Historique sauvegardé:', { entries: this.history.length });
-    }
+    return this.writes.then(() => {
+      if (CONFIG.DEBUG.ENABLED && CONFIG.DEBUG.LOG_STORAGE) {
+        console.log('Historique sauvegardé:', { backend: this.store && this.store.name, entries: this.history.length });
+      }
+    });
   }
   
   setupEventListeners() {
-    document.addEventListener('visibilitychange', () => {
-      if (document.hidden) this.saveHistory();
-    });
-    
-    window.addEventListener('beforeunload', () => this.saveHistory());
+    document.addEventListener(CONFIG.EVENTS.LEXICON_CHANGED, this.groupChangeHandler);
+    document.addEventListener(CONFIG.EVENTS.ORDINATION_CHANGED, this.groupChangeHandler);
+    document.addEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.localeChangeHandler);
   }
   
-  addEntry(combination, rating) {
+  /**
+   * Source des groupes stylistiques pour les statistiques par groupe
+   * @param {OrdinationManager} source - Fournit getGroups() et getWordGroup(mot)
+   */
+  setGroupSource(source) {
+    this.groupSource = source;
+    this.updateGroupStatistics();
+  }
+  
+  /**
+   * Ajoute une combinaison notée
+   * @param {string} combination - Texte de la combinaison
+   * @param {number} rating - Note attribuée
+   * @param {Object} [metadata] - Paramètres de génération (seed, wordCount...)
+   */
+  addEntry(combination, rating, metadata = {}) {
     if (!combination || typeof combination !== 'string') {
       console.error('Combinaison invalide');
       return;
@@ -95,24 +173,107 @@ export class HistoryManager {
     }
     
     const entry = {
+      schemaVersion: HISTORY_SCHEMA_VERSION,
       text: combination,
       note: rating,
       timestamp: Date.now(),
-      id: this.generateEntryId()
+      id: this.generateEntryId(),
+      ...this.sanitizeEntryMetadata(metadata)
     };
     
     this.history.push(entry);
     
-    if (this.history.length > CONFIG.LIMITS.MAX_HISTORY_ENTRIES) {
-      this.history.shift();
-    }
-    
-    this.saveHistory();
+    this.persist(store => store.put(entry));
     this.updateDisplay();
     this.notifyObservers();
     this.dispatchHistoryUpdateEvent(entry);
   }
   
+  /**
+   * Ajoute des entrées importées, ou remplace tout l'historique par elles
+   * @param {Array<Object>} entries - Entrées de la version courante, déjà dédoublonnées (voir HistoryFile.parse et newEntries)
+   * @param {boolean} [replace]
+   * @returns {Promise<boolean>} Résolue une fois l'historique enregistré ; false si le remplacement est refusé (voir canOverwrite)
+   */
+  async importEntries(entries, replace = false) {
+    if (replace && !(await this.canOverwrite())) return false;
+    
+    this.history = replace ? [...entries] : [...this.history, ...entries];
+    const snapshot = [...this.history];
+    const added = [...entries];
+    // Une fusion n'écrit que les entrées ajoutées : l'historique affiché peut être incomplet (voir loadHistory)
+    const saved = replace
+      ? this.persist(store => store.replace(snapshot))
+      : this.persist(store => store.putAll(added));
+    
+    this.updateDisplay();
+    this.notifyObservers();
+    await saved;
+    return true;
+  }
+  
+  /**
+   * Remplace les étiquettes d'une entrée
+   * @param {string} id
+   * @param {Array<string>|string} tags - Liste, ou texte séparé par des virgules (voir HistorySchema.normalizeTags)
+   * @returns {Promise<void>|null} Résolue une fois l'entrée enregistrée ; null si l'entrée n'existe pas
+   */
+  setEntryTags(id, tags) {
+    const index = this.history.findIndex(entry => entry.id === id);
+    if (index === -1) return null;
+    
+    const entry = { ...this.history[index] };
+    const normalized = HistorySchema.normalizeTags(tags);
+    if (normalized.length > 0) {
+      entry.tags = normalized;
+    } else {
+      delete entry.tags;
+    }
+    this.history[index] = entry;
+    const saved = this.persist(store => store.put(entry));
+    
+    this.updateHistoryList();
+    this.notifyObservers();
+    return saved;
+  }
+  
+  editEntryTags(entry) {
+    const value = prompt(I18n.t('HISTORY_FILTER.TAGS_PROMPT', { text: entry.text }), (entry.tags || []).join(', '));
+    if (value !== null) this.setEntryTags(entry.id, value);
+  }
+  
+  /**
+   * @returns {Array<{tag: string, count: number}>} Étiquettes de l'historique, les plus employées d'abord
+   */
+  getTags() {
+    const counts = new Map();
+    this.history.forEach(entry => (entry.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+    return [...counts]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+  
+  /**
+   * Filtre la liste affichée et les exports
+   * @param {HistoryFilter} filter
+   */
+  setFilter(filter) {
+    this.filter = filter;
+    this.updateHistoryList();
+    document.dispatchEvent(new CustomEvent(CONFIG.EVENTS.HISTORY_FILTER_CHANGED, { detail: { filter } }));
+  }
+  
+  /**
+   * @returns {Array<Object>} Entrées retenues par le filtre, dans l'ordre de l'historique
+   */
+  getFilteredHistory() {
+    return this.filter.apply(this.history);
+  }
+  
+  sanitizeEntryMetadata(metadata) {
+    return HistorySchema.sanitizeMetadata(metadata);
+  }
+  
   generateEntryId() {
     return `entry_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
@@ -126,29 +287,48 @@ export class HistoryManager {
     const stats = this.calculateStatistics();
     
     this.animateStatistic(CONFIG.DOM_ELEMENTS.TOTAL_COMBINATIONS, 
-      `Total des combinaisons notées : ${stats.total}`);
+      I18n.t('HISTORY.STAT_TOTAL', stats));
     this.animateStatistic(CONFIG.DOM_ELEMENTS.AVERAGE_NOTE, 
-      `Note moyenne : ${stats.average}`);
+      I18n.t('HISTORY.STAT_AVERAGE', stats));
     this.animateStatistic(CONFIG.DOM_ELEMENTS.BEST_NOTE, 
-      `Meilleure note : ${stats.best}`);
+      I18n.t('HISTORY.STAT_BEST', stats));
     this.animateStatistic(CONFIG.DOM_ELEMENTS.WORST_NOTE, 
-      `Pire note : ${stats.worst}`);
+      I18n.t('HISTORY.STAT_WORST', stats));
+    this.updateGroupStatistics();
   }
   
   calculateStatistics() {
-    const total = this.history.length;
-    
-    if (total === 0) {
-      return { total: 0, average: '-', best: '-', worst: '-' };
-    }
-    
-    const notes = this.history.map(entry => entry.note);
-    const sum = notes.reduce((a, b) => a + b, 0);
-    const average = (sum / total).toFixed(2);
-    const best = Math.max(...notes);
-    const worst = Math.min(...notes);
-    
-    return { total, average, best, worst };
+    return HistoryExport.calculateStatistics(this.history);
+  }
+  
+  /**
+   * @returns {Array<Object>} Vide tant qu'aucune source de groupes n'est branchée
+   */
+  calculateGroupStatistics(history = this.history) {
+    if (!this.groupSource) return [];
+    return HistoryExport.calculateGroupStatistics(history, this.groupSource.getGroups(), word => this.groupSource.getWordGroup(word));
+  }
+  
+  updateGroupStatistics() {
+    const list = document.getElementById(CONFIG.DOM_ELEMENTS.GROUP_STATISTICS);
+    if (!list) return;
+    
+    const groups = this.calculateGroupStatistics();
+    list.innerHTML = '';
+    if (this.history.length === 0) return;
+    
+    groups.forEach(group => {
+      const item = document.createElement('li');
+      item.className = 'group-statistic';
+      item.style.setProperty('--group-color', group.color);
+      item.textContent = I18n.t('HISTORY.GROUP_STATISTIC', {
+        name: group.name,
+        count: group.words,
+        share: I18n.formatNumber(Number(group.share) / 100, { style: 'percent', minimumFractionDigits: 1 }),
+        average: group.average
+      });
+      list.appendChild(item);
+    });
   }
   
   animateStatistic(elementId, text) {
@@ -188,12 +368,13 @@ export class HistoryManager {
   }
   
   renderHistoryEntries(container, header, controls) {
-    if (this.history.length === 0) {
+    const entries = this.getFilteredHistory();
+    if (entries.length === 0) {
       this.renderEmptyState(container, controls);
       return;
     }
     
-    this.history.forEach((entry, index) => {
+    entries.forEach((entry, index) => {
       const entryElement = this.createHistoryEntryElement(entry, index);
       
       if (controls) {
@@ -210,33 +391,103 @@ export class HistoryManager {
     div.setAttribute('data-entry-id', entry.id || `entry-${index}`);
     
     const entryNumber = index + 1;
-    div.textContent = `${entryNumber}. ${entry.text} (Note : ${entry.note}/10)`;
+    div.textContent = `${entryNumber}. ${entry.text} ${I18n.t('HISTORY.ENTRY_NOTE', { note: entry.note })}`;
     
     div.setAttribute('role', 'listitem');
-    div.setAttribute('aria-label', `Entrée ${entryNumber}: ${entry.text}, notée ${entry.note} sur 10`);
+    div.setAttribute('aria-label', I18n.t('HISTORY.ENTRY_LABEL', { number: entryNumber, text: entry.text, note: entry.note }));
     
+    const details = [];
     if (entry.timestamp) {
       const date = new Date(entry.timestamp);
       const dateStr = date.toLocaleDateString(CONFIG.DATE_FORMAT.LOCALE, CONFIG.DATE_FORMAT.OPTIONS);
-      div.setAttribute('title', `Créé le ${dateStr}`);
+      details.push(I18n.t('HISTORY.ENTRY_CREATED', { date: dateStr }));
+    }
+    if (Number.isInteger(entry.seed)) {
+      details.push(I18n.t('HISTORY.ENTRY_SEED', { seed: entry.seed }));
+    }
+    if (entry.combinationIndex) {
+      details.push(I18n.t('GENERATION.INFO_INDEX', { index: I18n.formatNumber(BigInt(entry.combinationIndex)) }));
+    }
+    if (entry.rawText && entry.rawText !== entry.text) {
+      details.push(I18n.t('GENERATION.INFO_RAW_TEXT', { text: entry.rawText }));
+    }
+    if (details.length > 0) {
+      div.setAttribute('title', details.join(' · '));
     }
     
+    div.appendChild(this.createEntryTagsElement(entry, entryNumber));
+    if (Number.isInteger(entry.seed)) div.appendChild(this.createEntryReplayButton(entry, entryNumber));
     this.addEntryInteractions(div, entry);
     
     return div;
   }
   
+  /**
+   * Étiquettes d'une entrée (un clic filtre l'historique sur l'étiquette) et bouton pour les modifier
+   * @private
+   */
+  createEntryTagsElement(entry, entryNumber) {
+    const tags = document.createElement('span');
+    tags.className = 'history-tags';
+    
+    (entry.tags || []).forEach(tag => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'history-tag';
+      button.textContent = `#${tag}`;
+      button.setAttribute('aria-label', I18n.t('HISTORY_FILTER.TAG_FILTER_LABEL', { tag }));
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (!this.filter.tags.includes(tag)) this.setFilter(this.filter.with({ tags: [...this.filter.tags, tag] }));
+      });
+      tags.appendChild(button);
+    });
+    
+    const edit = document.createElement('button');
+    edit.type = 'button';
+    edit.className = 'history-tag-edit';
+    edit.textContent = '🏷️';
+    edit.setAttribute('aria-label', I18n.t('HISTORY_FILTER.EDIT_TAGS_LABEL', { number: entryNumber }));
+    edit.title = I18n.t('HISTORY_FILTER.EDIT_TAGS_LABEL', { number: entryNumber });
+    edit.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.editEntryTags(entry);
+    });
+    tags.appendChild(edit);
+    
+    return tags;
+  }
+  
+  /**
+   * Rejoue la graine de l'entrée avec ses réglages (CombinationGenerator écoute REPLAY_REQUESTED)
+   * @private
+   */
+  createEntryReplayButton(entry, entryNumber) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'history-replay';
+    button.textContent = '↻';
+    button.setAttribute('aria-label', I18n.t('HISTORY.REPLAY_LABEL', { number: entryNumber, seed: entry.seed }));
+    button.title = I18n.t('HISTORY.REPLAY_LABEL', { number: entryNumber, seed: entry.seed });
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      document.dispatchEvent(new CustomEvent(CONFIG.EVENTS.REPLAY_REQUESTED, { detail: { entry } }));
+    });
+    return button;
+  }
+  
   addEntryInteractions(element, entry) {
     element.addEventListener('click', () => {
       if (navigator.clipboard) {
         navigator.clipboard.writeText(entry.text)
-          .then(() => NotificationManager.success('Combinaison copiée !'))
-          .catch(() => NotificationManager.error('Erreur lors de la copie'));
+          .then(() => NotificationManager.success(I18n.t('HISTORY.ENTRY_COPIED')))
+          .catch(() => NotificationManager.error(CONFIG.MESSAGES.COPY_ERROR));
       }
     });
     
     element.setAttribute('tabindex', '0');
     element.addEventListener('keydown', (e) => {
+      if (e.target !== element) return;
       if (e.key === 'Enter' || e.key === ' ') {
         e.preventDefault();
         element.click();
@@ -247,7 +498,7 @@ export class HistoryManager {
   renderEmptyState(container, controls) {
     const emptyDiv = document.createElement('div');
     emptyDiv.className = 'history-empty';
-    emptyDiv.textContent = 'Aucune combinaison notée pour le moment.';
+    emptyDiv.textContent = I18n.t(this.history.length === 0 ? 'HISTORY.EMPTY' : 'HISTORY_FILTER.NO_MATCH');
     emptyDiv.style.fontStyle = 'italic';
     emptyDiv.style.color = '#666';
     emptyDiv.style.textAlign = 'center';
@@ -262,9 +513,12 @@ export class HistoryManager {
   
   updateHistoryAccessibility(container) {
     container.setAttribute('role', 'list');
-    container.setAttribute('aria-label', 
-      this.history.length === 0 ? 'Historique vide' : `Historique avec ${this.history.length} combinaisons`
-    );
+    const label = this.history.length === 0
+      ? I18n.t('HISTORY.EMPTY_LABEL')
+      : this.filter.isEmpty()
+        ? I18n.t('HISTORY.LIST_LABEL', { count: this.history.length })
+        : I18n.t('HISTORY_FILTER.LIST_LABEL', { count: this.getFilteredHistory().length, total: this.history.length });
+    container.setAttribute('aria-label', label);
   }
   
   sortByRating(ascending = true) {
@@ -272,7 +526,7 @@ export class HistoryManager {
     this.updateHistoryList();
     this.notifyObservers();
     
-    NotificationManager.info(`Historique trié par note ${ascending ? 'croissant' : 'décroissant'}`);
+    NotificationManager.info(I18n.t(ascending ? 'HISTORY.SORTED_ASCENDING' : 'HISTORY.SORTED_DESCENDING'));
   }
   
   randomSort() {
@@ -283,41 +537,85 @@ export class HistoryManager {
     
     this.updateHistoryList();
     this.notifyObservers();
-    NotificationManager.info('Historique mélangé aléatoirement');
+    NotificationManager.info(I18n.t('HISTORY.SHUFFLED'));
   }
   
   exportTXT() {
+    this.exportFile('TXT', history => this.generateTextContent(history), 'text/plain;charset=utf-8');
+  }
+  
+  /**
+   * CSV précédé d'une marque d'ordre des octets, pour que les tableurs lisent les accents en UTF-8
+   */
+  exportCSV() {
+    this.exportFile('CSV', history => '\uFEFF' + HistoryFile.toCSV(history), 'text/csv;charset=utf-8');
+  }
+  
+  exportJSON() {
+    this.exportFile('JSON', history => HistoryFile.toJSON(history, this.getExportOptions(history)), 'application/json;charset=utf-8');
+  }
+  
+  exportXML() {
+    this.exportFile('XML', history => HistoryFile.toXML(history, this.getExportOptions(history)), 'application/xml;charset=utf-8');
+  }
+  
+  /**
+   * Exporte les entrées retenues par le filtre
+   * @private
+   * @param {string} format - Clé de CONFIG.EXPORT_FILE_NAMES
+   * @param {Function} generate - (entrées) => contenu du fichier
+   * @param {string} type - Type MIME
+   */
+  exportFile(format, generate, type) {
     if (!this.validateHistoryForExport()) return;
     
     try {
-      const content = this.generateTextContent();
-      const blob = new Blob([content], { type: 'text/plain;charset=utf-8' });
-      this.downloadFile(blob, CONFIG.EXPORT_FILE_NAMES.TXT);
-      NotificationManager.success('Export TXT téléchargé avec succès');
+      const history = this.getFilteredHistory();
+      const blob = new Blob([generate(history)], { type });
+      this.downloadFile(blob, CONFIG.EXPORT_FILE_NAMES[format]);
+      NotificationManager.success(this.getExportDoneMessage(format, history));
     } catch (error) {
-      console.error('Erreur lors de l\'export TXT:', error);
-      NotificationManager.error('Erreur lors de l\'export TXT');
+      console.error(`Erreur lors de l'export ${format}:`, error);
+      NotificationManager.error(I18n.t('HISTORY.EXPORT_ERROR', { format }));
     }
   }
   
+  /**
+   * Options des fichiers JSON et XML : statistiques de HistoryFile avec la part de chaque groupe,
+   * et critères du filtre actif
+   * @private
+   * @param {Array<Object>} history - Entrées exportées
+   */
+  getExportOptions(history) {
+    return {
+      statistics: { ...HistoryFile.statistics(history), groups: this.calculateGroupStatistics(history) },
+      filter: this.filter.isEmpty() ? undefined : this.filter.toJSON()
+    };
+  }
+  
+  /**
+   * @private
+   */
+  getExportDoneMessage(format, history) {
+    return this.filter.isEmpty()
+      ? I18n.t('HISTORY.EXPORT_DONE', { format })
+      : I18n.t('HISTORY_FILTER.EXPORT_DONE', { format, count: history.length, total: this.history.length });
+  }
+  
   validateHistoryForExport() {
     if (this.history.length === 0) {
       NotificationManager.warning(CONFIG.MESSAGES.HISTORY_EMPTY);
       return false;
     }
+    if (this.getFilteredHistory().length === 0) {
+      NotificationManager.warning(I18n.t('HISTORY_FILTER.NOTHING_TO_EXPORT'));
+      return false;
+    }
     return true;
   }
   
-  generateTextContent() {
-    const header = `Historique des Combinaisons Poétiques\nGénéré le ${new Date().toLocaleString(CONFIG.DATE_FORMAT.LOCALE)}\n\n`;
-    const stats = this.calculateStatistics();
-    const statsSection = `Statistiques:\n- Total: ${stats.total} combinaisons\n- Note moyenne: ${stats.average}\n- Meilleure note: ${stats.best}\n- Pire note: ${stats.worst}\n\n`;
-    const entriesSection = 'Combinaisons:\n' + this.history.map((entry, index) => 
-      `${index + 1}. ${entry.text} (Note: ${entry.note}/10)`
-    ).join('\n');
-    const footer = `\n\n---\n© Les éditions Philopitre`;
-    
-    return header + statsSection + entriesSection + footer;
+  generateTextContent(history = this.history) {
+    return HistoryExport.toText(history);
   }
   
   exportPDF() {
@@ -329,10 +627,11 @@ export class HistoryManager {
         return;
       }
       
+      const history = this.getFilteredHistory();
       const doc = this.createPDFDocument();
-      this.addPDFContent(doc);
+      this.addPDFContent(doc, history);
       doc.save(CONFIG.EXPORT_FILE_NAMES.PDF);
-      NotificationManager.success('Export PDF téléchargé avec succès');
+      NotificationManager.success(this.getExportDoneMessage('PDF', history));
     } catch (error) {
       console.error('Erreur lors de l\'export PDF:', error);
       NotificationManager.error(CONFIG.MESSAGES.PDF_GENERATION_ERROR);
@@ -351,16 +650,16 @@ export class HistoryManager {
     return doc;
   }
   
-  addPDFContent(doc) {
+  addPDFContent(doc, history = this.history) {
     let y = CONFIG.PDF_CONFIG.HEADER_Y;
     
-    doc.text('La poésie quantique - Les éditions Philopitre', CONFIG.PDF_CONFIG.MARGIN_LEFT, y);
+    doc.text(I18n.t('HISTORY.PDF_TITLE'), CONFIG.PDF_CONFIG.MARGIN_LEFT, y);
     y += 10;
-    doc.text('Historique des combinaisons notées :', CONFIG.PDF_CONFIG.MARGIN_LEFT, y);
+    doc.text(I18n.t('HISTORY.PDF_SUBTITLE'), CONFIG.PDF_CONFIG.MARGIN_LEFT, y);
     y = CONFIG.PDF_CONFIG.CONTENT_START_Y;
     
-    this.history.forEach((entry, index) => {
-      const entryText = `${index + 1}. ${entry.text} (Note : ${entry.note}/10)`;
+    history.forEach((entry, index) => {
+      const entryText = `${index + 1}. ${entry.text} ${I18n.t('HISTORY.ENTRY_NOTE', { note: entry.note })}`;
       const splitText = doc.splitTextToSize(entryText, CONFIG.PDF_CONFIG.MAX_WIDTH);
       
       if (y + (splitText.length * CONFIG.PDF_CONFIG.LINE_HEIGHT) > CONFIG.PDF_CONFIG.PAGE_BREAK_Y) {
@@ -383,20 +682,22 @@ export class HistoryManager {
     setTimeout(() => URL.revokeObjectURL(link.href), 100);
   }
   
-  reset() {
-    if (confirm(CONFIG.MESSAGES.CACHE_RESET_CONFIRM)) {
-      this.history = [];
-      
-      try {
-        localStorage.removeItem(CONFIG.STORAGE.HISTORY_KEY);
-        this.updateDisplay();
-        this.notifyObservers();
-        NotificationManager.success(CONFIG.MESSAGES.CACHE_RESET_SUCCESS);
-      } catch (error) {
+  async reset() {
+    if (!confirm(CONFIG.MESSAGES.CACHE_RESET_CONFIRM)) return;
+    if (!(await this.canOverwrite())) return;
+    
+    this.history = [];
+    this.updateDisplay();
+    this.notifyObservers();
+    
+    this.writes = this.writes
+      .then(() => this.ready)
+      .then(() => this.store && this.store.clear())
+      .then(() => NotificationManager.success(CONFIG.MESSAGES.CACHE_RESET_SUCCESS))
+      .catch(error => {
         console.error('Erreur lors de la réinitialisation:', error);
-        NotificationManager.error('Erreur lors de la réinitialisation');
-      }
-    }
+        NotificationManager.error(I18n.t('HISTORY.RESET_ERROR'));
+      });
   }
   
   addObserver(callback) {
@@ -433,18 +734,11 @@ export class HistoryManager {
   }
   
   getDetailedStatistics() {
-    const basic = this.calculateStatistics();
-    if (this.history.length === 0) {
-      return { ...basic, distribution: {}, median: 0, mode: null, standardDeviation: 0 };
-    }
-    
-    const notes = this.history.map(entry => entry.note);
-    const distribution = {};
-    for (let i = CONFIG.LIMITS.MIN_RATING; i <= CONFIG.LIMITS.MAX_RATING; i++) {
-      distribution[i] = notes.filter(note => note === i).length;
-    }
-    
-    return { ...basic, distribution };
+    return {
+      ...this.calculateStatistics(),
+      ...HistoryAnalytics.ratingStatistics(this.history),
+      groups: this.calculateGroupStatistics()
+    };
   }
   
   validate() {
@@ -457,8 +751,8 @@ export class HistoryManager {
       }
     });
     
-    if (this.history.length > CONFIG.LIMITS.MAX_HISTORY_ENTRIES) {
-      warnings.push(`Historique trop volumineux: ${this.history.length} > ${CONFIG.LIMITS.MAX_HISTORY_ENTRIES}`);
+    if (!this.store) {
+      warnings.push('Stockage de l\'historique non ouvert');
     }
     
     return { isValid: issues.length === 0, issues, warnings, historyLength: this.history.length };
@@ -467,6 +761,11 @@ export class HistoryManager {
   getDebugInfo() {
     return {
       historyLength: this.history.length,
+      storage: this.store ? this.store.name : null,
+      schemaVersion: HISTORY_SCHEMA_VERSION,
+      quarantined: this.quarantined,
+      filter: this.filter.toJSON(),
+      filteredLength: this.getFilteredHistory().length,
       observers: this.observers.length,
       statistics: this.getDetailedStatistics(),
       validation: this.validate()
@@ -474,12 +773,19 @@ export class HistoryManager {
   }
   
   cleanup() {
-    this.saveHistory();
     if (this.autoSaveTimer) {
       clearInterval(this.autoSaveTimer);
       this.autoSaveTimer = null;
     }
     this.observers = [];
+    document.removeEventListener(CONFIG.EVENTS.LEXICON_CHANGED, this.groupChangeHandler);
+    document.removeEventListener(CONFIG.EVENTS.ORDINATION_CHANGED, this.groupChangeHandler);
+    document.removeEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.localeChangeHandler);
+    this.groupSource = null;
+    this.writes.then(() => {
+      if (this.store) this.store.close();
+      this.store = null;
+    });
     
     if (CONFIG.DEBUG.ENABLED) {
       console.log('HistoryManager: Nettoyage effectué');
@@ -488,16 +794,20 @@ export class HistoryManager {
   /**
  * Réinitialise complètement l'historique
  * Vide toutes les entrées et met à jour l'affichage
+ * @returns {Promise<boolean>} false si l'historique enregistré n'a pas pu être chargé (voir canOverwrite)
  */
-clear() {
+async clear() {
+  if (!(await this.canOverwrite())) return false;
+  
   this.history = [];
-  this.saveHistory();
+  this.persist(store => store.clear());
   this.updateDisplay();
   this.notifyObservers();
   
   if (CONFIG.DEBUG.ENABLED) {
     console.log('HistoryManager: Historique réinitialisé');
   }
+  return true;
 }
 }
 
@@ -0,0 +1,260 @@
+/**
+ * Schéma versionné des entrées de l'historique, sans DOM
+ * Chaque entrée porte son numéro de version (schemaVersion) ; une entrée plus ancienne passe par la chaîne
+ * de migrations jusqu'à la version courante au lieu d'être écartée
+ * Celles qu'aucune migration ne sait reprendre sont mises en quarantaine (conservées à part, avec la raison)
+ * @module HistorySchema
+ */
+
+import { CONFIG } from './config.js';
+import { GenerationConstraints } from './GenerationConstraints.js';
+import { GroupPattern } from './GroupPattern.js';
+import { HistoryExport } from './HistoryExport.js';
+
+export const HISTORY_SCHEMA_VERSION = 3;
+
+/** Version des entrées enregistrées sans numéro (avant le schéma versionné) */
+const UNVERSIONED = 1;
+
+export const QUARANTINE_REASONS = Object.freeze({
+  NOT_AN_OBJECT: 'not-an-object',
+  INVALID_TEXT: 'invalid-text',
+  INVALID_NOTE: 'invalid-note',
+  INVALID_VERSION: 'invalid-version',
+  NEWER_VERSION: 'newer-version',
+  INVALID_ENTRY: 'invalid-entry'
+});
+
+/**
+ * Entrée qu'une migration ne sait pas reprendre
+ */
+export class HistoryMigrationError extends Error {
+  /**
+   * @param {string} reason - Une des QUARANTINE_REASONS
+   */
+  constructor(reason) {
+    super(`Entrée d'historique non migrable : ${reason}`);
+    this.name = 'HistoryMigrationError';
+    this.reason = reason;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Identifiant d'une entrée qui n'en a pas (historiques antérieurs aux identifiants)
+ * @param {Object} entry
+ * @param {number} index - Rang dans l'historique, pour départager deux entrées de même date
+ * @returns {string}
+ */
+export const legacyEntryId = (entry, index) => `entry_${Number.isFinite(entry.timestamp) ? entry.timestamp : 0}_legacy${index}`;
+
+/**
+ * Migrations successives : MIGRATIONS[n] fait passer une entrée de la version n + 1 à la version n + 2
+ * Chacune reçoit une entrée de la version précédente et son rang, renvoie une nouvelle entrée
+ * ou lève HistoryMigrationError
+ */
+const MIGRATIONS = [
+  // 1 → 2 : identifiant obligatoire, note entière (les notes enregistrées en texte sont relues),
+  // date numérique (les dates ISO sont converties), métadonnées de génération vérifiées une à une
+  (entry, index) => {
+    if (!isPlainObject(entry)) throw new HistoryMigrationError(QUARANTINE_REASONS.NOT_AN_OBJECT);
+
+    const text = typeof entry.text === 'string' ? entry.text.trim() : '';
+    if (!text) throw new HistoryMigrationError(QUARANTINE_REASONS.INVALID_TEXT);
+
+    const note = typeof entry.note === 'string' && entry.note.trim() !== '' ? Number(entry.note) : entry.note;
+    if (!Number.isInteger(note) || note < CONFIG.LIMITS.MIN_RATING || note > CONFIG.LIMITS.MAX_RATING) {
+      throw new HistoryMigrationError(QUARANTINE_REASONS.INVALID_NOTE);
+    }
+
+    const timestamp = typeof entry.timestamp === 'string' ? Date.parse(entry.timestamp) : entry.timestamp;
+    return {
+      schemaVersion: 2,
+      text,
+      note,
+      ...(Number.isFinite(timestamp) ? { timestamp } : {}),
+      id: typeof entry.id === 'string' && entry.id ? entry.id : legacyEntryId({ timestamp }, index),
+      ...HistorySchema.sanitizeMetadata(entry)
+    };
+  },
+  // 2 → 3 : étiquettes (tags) facultatives, remises en forme quand l'entrée en porte déjà
+  (entry) => {
+    const { tags, ...fields } = entry;
+    const normalized = Array.isArray(tags) ? HistorySchema.normalizeTags(tags) : [];
+    return { ...fields, schemaVersion: 3, ...(normalized.length > 0 ? { tags: normalized } : {}) };
+  }
+];
+
+export class HistorySchema {
+
+  /**
+   * Version d'une entrée enregistrée ; UNVERSIONED pour les entrées antérieures au schéma
+   * @param {Object} entry
+   * @returns {number|null} null si le numéro est illisible
+   */
+  static versionOf(entry) {
+    if (!isPlainObject(entry) || entry.schemaVersion === undefined) return UNVERSIONED;
+    return Number.isInteger(entry.schemaVersion) && entry.schemaVersion >= UNVERSIONED ? entry.schemaVersion : null;
+  }
+
+  /**
+   * Entrée complète de la version courante
+   * @param {Object} entry
+   * @returns {boolean}
+   */
+  static isCurrent(entry) {
+    return HistoryExport.isValidEntry(entry) &&
+      entry.schemaVersion === HISTORY_SCHEMA_VERSION &&
+      Number.isInteger(entry.note) &&
+      typeof entry.id === 'string' && entry.id.length > 0 &&
+      (entry.tags === undefined || (Array.isArray(entry.tags) && entry.tags.every(tag => typeof tag === 'string' && tag.length > 0)));
+  }
+
+  /**
+   * Étiquettes d'une entrée : en minuscules, sans « # » initial ni virgule (le séparateur de la saisie et du CSV),
+   * espaces resserrés, sans doublon, MAX_TAGS_PER_ENTRY au plus
+   * @param {Array<string>|string} value - Liste, ou texte séparé par des virgules
+   * @returns {Array<string>}
+   */
+  static normalizeTags(value) {
+    const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+    const tags = items
+      .filter(tag => typeof tag === 'string')
+      .map(tag => tag.replace(/,/g, ' ').replace(/\s+/g, ' ').trim().replace(/^#+/, '').toLowerCase()
+        .slice(0, CONFIG.LIMITS.MAX_TAG_LENGTH).trim())
+      .filter(Boolean);
+    return [...new Set(tags)].slice(0, CONFIG.LIMITS.MAX_TAGS_PER_ENTRY);
+  }
+
+  /**
+   * Métadonnées de génération d'une entrée, chacune vérifiée ; les champs invalides sont ignorés
+   * @param {Object} metadata - Paramètres de génération (seed, wordCount...) ou entrée enregistrée
+   * @returns {Object}
+   */
+  static sanitizeMetadata(metadata) {
+    const sanitized = {};
+    if (!metadata || typeof metadata !== 'object') return sanitized;
+
+    if (Number.isInteger(metadata.seed) && metadata.seed >= 0) sanitized.seed = metadata.seed;
+    if (typeof metadata.combinationIndex === 'string' && /^\d+$/.test(metadata.combinationIndex)) {
+      sanitized.combinationIndex = metadata.combinationIndex;
+    }
+    if (Array.isArray(metadata.words) && metadata.words.every(word => typeof word === 'string')) {
+      sanitized.words = [...metadata.words];
+    }
+    if (typeof metadata.rawText === 'string' && metadata.rawText.length > 0) sanitized.rawText = metadata.rawText;
+    if (typeof metadata.formatMode === 'string') sanitized.formatMode = metadata.formatMode;
+    if (typeof metadata.generationMode === 'string') sanitized.generationMode = metadata.generationMode;
+    if (metadata.constraints && typeof metadata.constraints === 'object') {
+      const constraints = new GenerationConstraints(metadata.constraints);
+      if (!constraints.isEmpty()) sanitized.constraints = constraints.toJSON();
+    }
+    if (Array.isArray(metadata.lineLengths) && metadata.lineLengths.length > 1 &&
+        metadata.lineLengths.every(length => Number.isInteger(length) && length > 0)) {
+      sanitized.lineLengths = [...metadata.lineLengths];
+    }
+    if (metadata.groupPattern && typeof metadata.groupPattern === 'object') {
+      const groupPattern = new GroupPattern(metadata.groupPattern);
+      if (!groupPattern.isEmpty() && groupPattern.malformed.length === 0) sanitized.groupPattern = groupPattern.toJSON();
+    }
+    if (typeof metadata.metricForm === 'string') sanitized.metricForm = metadata.metricForm;
+    if (Array.isArray(metadata.syllableCounts) && metadata.syllableCounts.every(count => Number.isInteger(count) && count >= 0)) {
+      sanitized.syllableCounts = [...metadata.syllableCounts];
+    }
+    if (typeof metadata.learningStrength === 'number' && metadata.learningStrength >= 0 && metadata.learningStrength <= 1) {
+      sanitized.learningStrength = metadata.learningStrength;
+    }
+    if (Array.isArray(metadata.rewrites) && metadata.rewrites.length > 0) {
+      sanitized.rewrites = metadata.rewrites
+        .filter(rewrite => rewrite && typeof rewrite.rule === 'string' && typeof rewrite.from === 'string' && typeof rewrite.to === 'string')
+        .map(({ rule, from, to }) => ({ rule, from, to }));
+    }
+    if (Number.isInteger(metadata.wordCount) && metadata.wordCount > 0) sanitized.wordCount = metadata.wordCount;
+    if (typeof metadata.wordCountSetting === 'string' && /^([1-9]\d*|max|surprise)$/.test(metadata.wordCountSetting)) {
+      sanitized.wordCountSetting = metadata.wordCountSetting;
+    }
+    if (Number.isInteger(metadata.lineCount) && metadata.lineCount > 0) sanitized.lineCount = metadata.lineCount;
+    if (typeof metadata.useSelectedOnly === 'boolean') sanitized.useSelectedOnly = metadata.useSelectedOnly;
+    if (Array.isArray(metadata.tags)) {
+      const tags = HistorySchema.normalizeTags(metadata.tags);
+      if (tags.length > 0) sanitized.tags = tags;
+    }
+
+    return sanitized;
+  }
+
+  /**
+   * Entrée de la version courante réduite à ses champs connus, chacun vérifié (sanitizeMetadata, normalizeTags)
+   * Toute entrée y passe, migrée ou non : une entrée importée déjà à la version courante n'échappe pas aux vérifications
+   * @param {Object} entry - Entrée de la version courante
+   * @returns {Object}
+   * @throws {HistoryMigrationError} Texte vide, note hors limites
+   */
+  static sanitize(entry) {
+    if (!isPlainObject(entry)) throw new HistoryMigrationError(QUARANTINE_REASONS.NOT_AN_OBJECT);
+
+    const text = typeof entry.text === 'string' ? entry.text.trim() : '';
+    if (!text) throw new HistoryMigrationError(QUARANTINE_REASONS.INVALID_TEXT);
+    if (!Number.isInteger(entry.note) || entry.note < CONFIG.LIMITS.MIN_RATING || entry.note > CONFIG.LIMITS.MAX_RATING) {
+      throw new HistoryMigrationError(QUARANTINE_REASONS.INVALID_NOTE);
+    }
+
+    return {
+      schemaVersion: entry.schemaVersion,
+      text,
+      note: entry.note,
+      ...(Number.isFinite(entry.timestamp) ? { timestamp: entry.timestamp } : {}),
+      id: entry.id,
+      ...HistorySchema.sanitizeMetadata(entry)
+    };
+  }
+
+  /**
+   * Amène une entrée à la version courante
+   * @param {*} entry - Entrée enregistrée, de n'importe quelle version
+   * @param {number} [index] - Rang dans l'historique
+   * @returns {{entry: Object, upgraded: boolean}}
+   * @throws {HistoryMigrationError} Version illisible ou plus récente que l'application, entrée irrécupérable
+   */
+  static migrate(entry, index = 0) {
+    const version = HistorySchema.versionOf(entry);
+    if (version === null) throw new HistoryMigrationError(QUARANTINE_REASONS.INVALID_VERSION);
+    if (version > HISTORY_SCHEMA_VERSION) throw new HistoryMigrationError(QUARANTINE_REASONS.NEWER_VERSION);
+
+    const migrated = HistorySchema.sanitize(MIGRATIONS
+      .slice(version - UNVERSIONED)
+      .reduce((current, migration) => migration(current, index), entry));
+
+    if (!HistorySchema.isCurrent(migrated)) throw new HistoryMigrationError(QUARANTINE_REASONS.INVALID_ENTRY);
+    return { entry: migrated, upgraded: version < HISTORY_SCHEMA_VERSION };
+  }
+
+  /**
+   * Migre un historique entier
+   * @param {Array<*>} entries - Entrées enregistrées
+   * @param {Date} [date] - Date de mise en quarantaine
+   * @returns {{entries: Array<Object>, upgraded: number, quarantined: Array<{entry: *, index: number, reason: string, version: number|null, quarantinedAt: number}>}}
+   *   entries : entrées de la version courante, dans l'ordre d'origine
+   */
+  static migrateEntries(entries, date = new Date()) {
+    const migrated = [];
+    const quarantined = [];
+    let upgraded = 0;
+
+    entries.forEach((entry, index) => {
+      try {
+        const result = HistorySchema.migrate(entry, index);
+        migrated.push(result.entry);
+        if (result.upgraded) upgraded++;
+      } catch (error) {
+        if (!(error instanceof HistoryMigrationError)) throw error;
+        quarantined.push({ entry, index, reason: error.reason, version: HistorySchema.versionOf(entry), quarantinedAt: date.getTime() });
+      }
+    });
+
+    return { entries: migrated, upgraded, quarantined };
+  }
+}
+
+export default HistorySchema;
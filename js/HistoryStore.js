@@ -0,0 +1,299 @@
+/**
+ * Stockage de l'historique des combinaisons notées
+ * IndexedDB quand le navigateur le permet (une entrée par enregistrement, index sur la date),
+ * localStorage sinon (tout l'historique sous une seule clé, comme avant)
+ * À chaque ouverture de la base, l'historique resté dans localStorage y est recopié (migré, voir HistorySchema) puis retiré :
+ * celui d'avant la base comme celui écrit par le stockage de repli lors d'une ouverture manquée
+ * Les deux stockages conservent aussi la quarantaine : entrées qu'aucune migration n'a su reprendre
+ * @module HistoryStore
+ */
+
+import { CONFIG, safeLocalStorageGet, safeLocalStorageSet, safeLocalStorageRemove } from './config.js';
+import { HistorySchema } from './HistorySchema.js';
+
+// 2 : magasin de quarantaine ; 3 : index de la note et du texte retirés (la recherche se fait en mémoire, voir HistoryFilter)
+const DATABASE_VERSION = 3;
+const ENTRY_STORE = 'entries';
+const QUARANTINE_STORE = 'quarantine';
+
+export const HISTORY_INDEXES = Object.freeze({
+  TIMESTAMP: 'timestamp'
+});
+
+// Index des versions 1 et 2, qu'aucune requête n'utilisait
+const REMOVED_INDEXES = ['rating', 'text'];
+
+/**
+ * @param {IDBRequest|IDBTransaction} request
+ * @returns {Promise<*>} Résultat de la requête, ou rien pour une transaction terminée
+ */
+const settle = (request) => new Promise((resolve, reject) => {
+  if (typeof IDBTransaction !== 'undefined' && request instanceof IDBTransaction) {
+    request.oncomplete = () => resolve();
+    request.onabort = () => reject(request.error || new Error('Transaction IndexedDB annulée'));
+    request.onerror = () => reject(request.error);
+    return;
+  }
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Historique enregistré dans localStorage, tel quel (entrées de toutes versions)
+ * @returns {Array<*>}
+ */
+const readLocalStorageHistory = () => {
+  const data = safeLocalStorageGet(CONFIG.STORAGE.HISTORY_KEY, []);
+  return Array.isArray(data) ? data : [];
+};
+
+/**
+ * Quarantaine enregistrée dans localStorage (voir HistorySchema.migrateEntries)
+ * @returns {Array<Object>}
+ */
+const readLocalStorageQuarantine = () => {
+  const data = safeLocalStorageGet(CONFIG.STORAGE.HISTORY_QUARANTINE_KEY, []);
+  return Array.isArray(data) ? data : [];
+};
+
+/**
+ * Tout l'historique sous une seule clé localStorage
+ * Chaque écriture réécrit la liste entière : c'est le stockage de repli
+ */
+export class LocalStorageHistoryBackend {
+  constructor() {
+    this.name = 'localStorage';
+    this.entries = [];
+  }
+
+  async load() {
+    this.entries = readLocalStorageHistory();
+    return [...this.entries];
+  }
+
+  async put(entry) {
+    const index = this.entries.findIndex(candidate => candidate.id === entry.id);
+    if (index === -1) {
+      this.entries.push(entry);
+    } else {
+      this.entries[index] = entry;
+    }
+    return this.write();
+  }
+
+  /**
+   * @param {Array<Object>} entries - Entrées ajoutées ou remplacées (par leur id), les autres sont gardées
+   */
+  async putAll(entries) {
+    const ids = new Set(entries.map(entry => entry.id));
+    this.entries = [...this.entries.filter(entry => !ids.has(entry.id)), ...entries];
+    return this.write();
+  }
+
+  async replace(entries) {
+    this.entries = [...entries];
+    return this.write();
+  }
+
+  async clear() {
+    this.entries = [];
+    safeLocalStorageRemove(CONFIG.STORAGE.HISTORY_KEY);
+  }
+
+  /**
+   * @param {Array<Object>} items - Voir HistorySchema.migrateEntries
+   */
+  async quarantine(items) {
+    if (items.length === 0) return;
+    const quarantined = await this.loadQuarantine();
+    if (!safeLocalStorageSet(CONFIG.STORAGE.HISTORY_QUARANTINE_KEY, [...quarantined, ...items])) {
+      throw new Error('Écriture de la quarantaine dans localStorage impossible');
+    }
+  }
+
+  async loadQuarantine() {
+    return readLocalStorageQuarantine();
+  }
+
+  /**
+   * @private
+   */
+  write() {
+    if (!safeLocalStorageSet(CONFIG.STORAGE.HISTORY_KEY, this.entries)) {
+      throw new Error('Écriture de l\'historique dans localStorage impossible');
+    }
+  }
+
+  close() {}
+}
+
+/**
+ * Une entrée par enregistrement, clé id ; pas de limite de taille autre que le quota du navigateur
+ */
+export class IndexedDBHistoryBackend {
+  /**
+   * @param {IDBDatabase} database
+   * @param {number} migrated - Entrées recopiées depuis localStorage à l'ouverture de la base
+   */
+  constructor(database, migrated = 0) {
+    this.name = 'indexedDB';
+    this.database = database;
+    this.migrated = migrated;
+  }
+
+  /**
+   * Ouvre (ou crée) la base, puis y recopie l'historique resté dans localStorage (voir mergeLocalStorage)
+   * Si un autre onglet garde une ancienne version ouverte, l'ouverture attend qu'il la ferme plutôt que d'échouer :
+   * un échec ferait écrire cet onglet dans localStorage et partagerait l'historique entre les deux stockages
+   * @returns {Promise<IndexedDBHistoryBackend>}
+   */
+  static open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(CONFIG.STORAGE.HISTORY_DATABASE, DATABASE_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const database = request.result;
+        if (event.oldVersion < 1) {
+          const store = database.createObjectStore(ENTRY_STORE, { keyPath: 'id' });
+          store.createIndex(HISTORY_INDEXES.TIMESTAMP, 'timestamp');
+        } else if (event.oldVersion < 3) {
+          const store = request.transaction.objectStore(ENTRY_STORE);
+          REMOVED_INDEXES.filter(name => store.indexNames.contains(name)).forEach(name => store.deleteIndex(name));
+        }
+        if (event.oldVersion < 2) {
+          database.createObjectStore(QUARANTINE_STORE, { autoIncrement: true });
+        }
+      };
+      request.onblocked = () => console.warn('Base d\'historique ouverte dans un autre onglet : mise à niveau en attente de sa fermeture');
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const database = request.result;
+        // Laisse un onglet plus récent mettre la base à niveau au lieu de le bloquer
+        database.onversionchange = () => database.close();
+
+        IndexedDBHistoryBackend.mergeLocalStorage(database)
+          .then(migrated => resolve(new IndexedDBHistoryBackend(database, migrated)))
+          .catch(error => {
+            database.close();
+            reject(error);
+          });
+      };
+    });
+  }
+
+  /**
+   * Recopie l'historique et la quarantaine restés dans localStorage, puis les y retire une fois la transaction terminée
+   * Une entrée de même id est remplacée : celle de localStorage a été écrite après
+   * @private
+   * @param {IDBDatabase} database
+   * @returns {Promise<number>} Entrées lues dans localStorage
+   */
+  static async mergeLocalStorage(database) {
+    const legacy = readLocalStorageHistory();
+    const legacyQuarantine = readLocalStorageQuarantine();
+    if (legacy.length === 0 && legacyQuarantine.length === 0) return 0;
+
+    const { entries, quarantined } = HistorySchema.migrateEntries(legacy);
+    const transaction = database.transaction([ENTRY_STORE, QUARANTINE_STORE], 'readwrite');
+    entries.forEach(entry => transaction.objectStore(ENTRY_STORE).put(entry));
+    [...legacyQuarantine, ...quarantined].forEach(item => transaction.objectStore(QUARANTINE_STORE).add(item));
+    await settle(transaction);
+
+    safeLocalStorageRemove(CONFIG.STORAGE.HISTORY_KEY);
+    safeLocalStorageRemove(CONFIG.STORAGE.HISTORY_QUARANTINE_KEY);
+    return legacy.length;
+  }
+
+  /**
+   * @private
+   */
+  transaction(mode) {
+    const transaction = this.database.transaction(ENTRY_STORE, mode);
+    return { transaction, store: transaction.objectStore(ENTRY_STORE) };
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} Du plus ancien au plus récent (index timestamp), puis les entrées sans date
+   */
+  async load() {
+    const { store } = this.transaction('readonly');
+    const [dated, all] = await Promise.all([
+      settle(store.index(HISTORY_INDEXES.TIMESTAMP).getAll()),
+      settle(store.getAll())
+    ]);
+    const datedIds = new Set(dated.map(entry => entry.id));
+    return [...dated, ...all.filter(entry => !datedIds.has(entry.id))];
+  }
+
+  async put(entry) {
+    const { transaction, store } = this.transaction('readwrite');
+    store.put(entry);
+    return settle(transaction);
+  }
+
+  /**
+   * @param {Array<Object>} entries - Entrées ajoutées ou remplacées (par leur id), en une transaction
+   */
+  async putAll(entries) {
+    const { transaction, store } = this.transaction('readwrite');
+    entries.forEach(entry => store.put(entry));
+    return settle(transaction);
+  }
+
+  async replace(entries) {
+    const { transaction, store } = this.transaction('readwrite');
+    store.clear();
+    entries.forEach(entry => store.put(entry));
+    return settle(transaction);
+  }
+
+  async clear() {
+    const { transaction, store } = this.transaction('readwrite');
+    store.clear();
+    return settle(transaction);
+  }
+
+  /**
+   * @param {Array<Object>} items - Voir HistorySchema.migrateEntries
+   */
+  async quarantine(items) {
+    if (items.length === 0) return;
+    const transaction = this.database.transaction(QUARANTINE_STORE, 'readwrite');
+    const store = transaction.objectStore(QUARANTINE_STORE);
+    items.forEach(item => store.add(item));
+    return settle(transaction);
+  }
+
+  async loadQuarantine() {
+    const transaction = this.database.transaction(QUARANTINE_STORE, 'readonly');
+    return settle(transaction.objectStore(QUARANTINE_STORE).getAll());
+  }
+
+  close() {
+    this.database.close();
+  }
+}
+
+export class HistoryStore {
+
+  /**
+   * IndexedDB, ou localStorage quand IndexedDB est absent ou refuse de s'ouvrir (navigation privée, quota...)
+   * @returns {Promise<IndexedDBHistoryBackend|LocalStorageHistoryBackend>}
+   */
+  static async open() {
+    if (typeof indexedDB === 'undefined') return new LocalStorageHistoryBackend();
+
+    try {
+      const backend = await IndexedDBHistoryBackend.open();
+      if (CONFIG.DEBUG.ENABLED && CONFIG.DEBUG.LOG_STORAGE && backend.migrated > 0) {
+        console.log('Historique migré vers IndexedDB:', { entries: backend.migrated });
+      }
+      return backend;
+    } catch (error) {
+      console.warn('IndexedDB indisponible, historique conservé dans localStorage:', error);
+      return new LocalStorageHistoryBackend();
+    }
+  }
+}
+
+export default HistoryStore;
@@ -0,0 +1,198 @@
+/**
+ * Traduction de l'interface, sans DOM : catalogues de messages, pluriels, dates et nombres selon la langue
+ * Le français est la langue de référence : une clé absente d'un autre catalogue y est cherchée
+ * Partagé par la page, le compositeur et la ligne de commande
+ * @module I18n
+ */
+
+import fr from './locales/fr.js';
+import en from './locales/en.js';
+
+/**
+ * Langues de l'interface : balise par défaut, nom dans la langue elle-même et catalogue
+ */
+export const LOCALES = Object.freeze({
+  fr: Object.freeze({ tag: 'fr-FR', label: 'Français', catalogue: fr }),
+  en: Object.freeze({ tag: 'en-GB', label: 'English', catalogue: en })
+});
+
+export const SOURCE_LANGUAGE = 'fr';
+export const DEFAULT_LOCALE = LOCALES[SOURCE_LANGUAGE].tag;
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+const LOCALE_PATTERN = /^([a-z]{2,3})(?:[-_]([a-z]{2}|\d{3}))?/i;
+
+let currentLocale = DEFAULT_LOCALE;
+let currentLanguage = SOURCE_LANGUAGE;
+const pluralRules = new Map();
+
+export class I18n {
+
+  /**
+   * Ramène une balise de langue (« en-US », « fr_CA.UTF-8 »...) à une langue disponible
+   * @param {string} tag
+   * @returns {string|null} Balise retenue (région conservée), ou null si la langue n'est pas traduite
+   */
+  static resolveLocale(tag) {
+    const match = typeof tag === 'string' ? tag.trim().match(LOCALE_PATTERN) : null;
+    if (!match) return null;
+
+    const language = match[1].toLowerCase();
+    if (!LOCALES[language]) return null;
+    return match[2] ? `${language}-${match[2].toUpperCase()}` : LOCALES[language].tag;
+  }
+
+  /**
+   * @param {string} tag - Balise de langue ; une langue non traduite ramène au français
+   * @returns {string} Balise retenue
+   */
+  static setLocale(tag) {
+    currentLocale = I18n.resolveLocale(tag) || DEFAULT_LOCALE;
+    currentLanguage = currentLocale.split('-')[0];
+    return currentLocale;
+  }
+
+  /**
+   * @returns {string} Balise complète (« fr-FR », « en-GB »), pour Intl et toLocaleString()
+   */
+  static getLocale() {
+    return currentLocale;
+  }
+
+  /**
+   * @returns {string} Code de la langue (« fr », « en »), clé de LOCALES
+   */
+  static getLanguage() {
+    return currentLanguage;
+  }
+
+  /**
+   * @returns {Array<{code: string, tag: string, label: string}>}
+   */
+  static languages() {
+    return Object.entries(LOCALES).map(([code, { tag, label }]) => ({ code, tag, label }));
+  }
+
+  /**
+   * @private
+   */
+  static lookup(key, language) {
+    const catalogue = LOCALES[language]?.catalogue;
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogue);
+  }
+
+  /**
+   * @param {string} key - Chemin pointé (« MESSAGES.HISTORY_EMPTY »)
+   * @param {string} [language] - Langue courante par défaut, sans repli sur le français
+   * @returns {boolean}
+   */
+  static has(key, language = currentLanguage) {
+    return I18n.lookup(key, language) !== undefined;
+  }
+
+  /**
+   * Message traduit ; les {paramètres} fournis sont remplacés, les autres restent en place
+   * Une entrée { one, other } choisit sa forme d'après params.count
+   * @param {string} key - Chemin pointé (« MESSAGES.BATCH_SENT »)
+   * @param {Object} [params]
+   * @returns {string} Le message, ou la clé elle-même si aucun catalogue ne la connaît
+   */
+  static t(key, params = {}) {
+    const entry = I18n.lookup(key, currentLanguage) ?? I18n.lookup(key, SOURCE_LANGUAGE);
+    if (entry === undefined) return key;
+
+    const template = typeof entry === 'string' ? entry : I18n.plural(entry, params.count);
+    return I18n.format(template, params);
+  }
+
+  /**
+   * @param {string} template - Texte à {paramètres}
+   * @param {Object} params
+   * @returns {string}
+   */
+  static format(template, params = {}) {
+    return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => (
+      Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : placeholder
+    ));
+  }
+
+  /**
+   * Forme du pluriel selon les règles de la langue (en français, 0 et 1 sont au singulier)
+   * @param {Object<string, string>} forms - { one, other } ; zero, few, many... si la langue en a besoin
+   * @param {number} [count] - Sans nombre, la forme « other »
+   * @returns {string}
+   */
+  static plural(forms, count) {
+    if (typeof count !== 'number' && typeof count !== 'bigint') return forms.other;
+
+    if (!pluralRules.has(currentLocale)) pluralRules.set(currentLocale, new Intl.PluralRules(currentLocale));
+    const category = pluralRules.get(currentLocale).select(Number(count));
+    return forms[category] ?? forms.other;
+  }
+
+  /**
+   * Vue d'une section du catalogue, traduite à la lecture : CONFIG.MESSAGES.X suit la langue courante
+   * Les entrées au pluriel y donnent leur forme « other »
+   * @param {string} name - Section du catalogue français (« MESSAGES »)
+   * @returns {Object<string, string>}
+   */
+  static section(name) {
+    const view = {};
+    Object.keys(LOCALES[SOURCE_LANGUAGE].catalogue[name] || {}).forEach(key => {
+      Object.defineProperty(view, key, { enumerable: true, get: () => I18n.t(`${name}.${key}`) });
+    });
+    return Object.freeze(view);
+  }
+
+  /**
+   * @param {Date|number} date
+   * @param {Intl.DateTimeFormatOptions} [options]
+   * @returns {string}
+   */
+  static formatDate(date, options) {
+    return new Date(date).toLocaleString(currentLocale, options);
+  }
+
+  /**
+   * @param {number|bigint} value
+   * @param {Intl.NumberFormatOptions} [options]
+   * @returns {string}
+   */
+  static formatNumber(value, options) {
+    return value.toLocaleString(currentLocale, options);
+  }
+
+  /**
+   * Nom d'une langue dans la langue de l'interface (« en » → « anglais »)
+   * @param {string} code
+   * @returns {string} Le nom, ou le code si Intl ne le connaît pas
+   */
+  static languageName(code) {
+    try {
+      return new Intl.DisplayNames([currentLocale], { type: 'language' }).of(code) || code;
+    } catch {
+      return code;
+    }
+  }
+
+  /**
+   * Clés du catalogue français qu'une autre langue ne traduit pas
+   * @param {string} language
+   * @param {Array<string>} [sections] - Sections à comparer (toutes par défaut)
+   * @returns {Array<string>}
+   */
+  static missingKeys(language, sections) {
+    const source = LOCALES[SOURCE_LANGUAGE].catalogue;
+    const collect = (node, prefix) => Object.entries(node).flatMap(([key, value]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const isPlural = value && typeof value === 'object' && typeof value.other === 'string';
+      return value && typeof value === 'object' && !isPlural ? collect(value, path) : [path];
+    });
+
+    return (sections || Object.keys(source))
+      .flatMap(section => collect(source[section] || {}, section))
+      .filter(key => !I18n.has(key, language));
+  }
+}
+
+export default I18n;
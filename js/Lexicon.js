@@ -0,0 +1,112 @@
+/**
+ * Lexique du poème original : chaque mot n'y est défini qu'une fois
+ * Configuration, groupes, ordinations, grammaire, compositeur et animation d'accueil en dérivent
+ * @module Lexicon
+ */
+
+import { PARTS_OF_SPEECH as POS } from './FrenchGrammar.js';
+
+/**
+ * Les deux groupes stylistiques du poème : id (repris par chaque mot), nom et couleur
+ */
+export const GROUPS = Object.freeze([
+  Object.freeze({ id: 1, name: 'Groupe 1', color: '#52796f' }),
+  Object.freeze({ id: 2, name: 'Groupe 2', color: '#e76f51' })
+]);
+
+/**
+ * Les 20 mots, dans l'ordre du poème
+ * id : valeur canonique (data-word, historique, graines), text : affichage,
+ * group : id d'un des GROUPS, line : vers du poème original (1 à 5), grammar : métadonnées pour FrenchGrammar
+ * (pos : nature, gender : 'm' | 'f', number : 's' | 'p', person : 1 | 3, determined : déterminant inclus)
+ */
+const ENTRIES = [
+  { id: "Je", group: 1, line: 1, grammar: { pos: POS.SUBJECT_PRONOUN, number: 's', person: 1 } },
+  { id: "suis", group: 1, line: 1, grammar: { pos: POS.VERB, number: 's', person: 1 } },
+  { id: "rêveur", group: 2, line: 1, grammar: { pos: POS.ADJECTIVE, gender: 'm', number: 's' } },
+  { id: "professionnel", group: 1, line: 1, grammar: { pos: POS.ADJECTIVE, gender: 'm', number: 's' } },
+  { id: "dans", group: 1, line: 2, grammar: { pos: POS.PREPOSITION } },
+  { id: "mon", group: 2, line: 2, grammar: { pos: POS.DETERMINER, gender: 'm', number: 's' } },
+  { id: "métier", group: 2, line: 2, grammar: { pos: POS.NOUN, gender: 'm', number: 's' } },
+  { id: "exceptionnel", group: 2, line: 2, grammar: { pos: POS.ADJECTIVE, gender: 'm', number: 's' } },
+  { id: "l'erreur", group: 1, line: 3, grammar: { pos: POS.NOUN, gender: 'f', number: 's', determined: true } },
+  { id: "en", group: 1, line: 3, grammar: { pos: POS.PREPOSITION } },
+  { id: "tout", group: 1, line: 3, grammar: { pos: POS.DETERMINER, gender: 'm', number: 's' } },
+  { id: "genre", group: 1, line: 3, grammar: { pos: POS.NOUN, gender: 'm', number: 's' } },
+  { id: "est", group: 2, line: 3, grammar: { pos: POS.VERB, number: 's', person: 3 } },
+  { id: "proscrite", group: 1, line: 3, grammar: { pos: POS.ADJECTIVE, gender: 'f', number: 's' } },
+  { id: "la", group: 1, line: 4, grammar: { pos: POS.DETERMINER, gender: 'f', number: 's' } },
+  { id: "souveraine", group: 1, line: 4, grammar: { pos: POS.ADJECTIVE, gender: 'f', number: 's' } },
+  { id: "intelligence", group: 1, line: 4, grammar: { pos: POS.NOUN, gender: 'f', number: 's' } },
+  { id: "pour", group: 2, line: 5, grammar: { pos: POS.PREPOSITION } },
+  { id: "moi-même", group: 2, line: 5, grammar: { pos: POS.TONIC_PRONOUN, number: 's', person: 1 } },
+  { id: "grandissant", group: 2, line: 5, grammar: { pos: POS.ADJECTIVE, gender: 'm', number: 's' } }
+];
+
+export const LEXICON = Object.freeze(ENTRIES.map(entry => Object.freeze({
+  ...entry,
+  text: entry.text || entry.id,
+  grammar: Object.freeze(entry.grammar)
+})));
+
+const BY_ID = new Map(LEXICON.map(entry => [entry.id, entry]));
+
+/**
+ * Valeurs canoniques, dans l'ordre du poème
+ */
+export const WORD_IDS = Object.freeze(LEXICON.map(entry => entry.id));
+
+/**
+ * Métadonnées grammaticales indexées par valeur canonique
+ */
+export const WORD_GRAMMAR = Object.freeze(Object.fromEntries(LEXICON.map(entry => [entry.id, entry.grammar])));
+
+/**
+ * Groupe de chaque mot, indexé par valeur canonique
+ */
+export const WORD_GROUP = Object.freeze(Object.fromEntries(LEXICON.map(entry => [entry.id, entry.group])));
+
+/**
+ * Les vers du poème original, mot par mot ({ id, text, group })
+ */
+export const ORIGINAL_POEM_LINES = Object.freeze(
+  [...new Set(LEXICON.map(entry => entry.line))].map(line => Object.freeze(
+    LEXICON.filter(entry => entry.line === line).map(({ id, text, group }) => Object.freeze({ id, text, group }))
+  ))
+);
+
+/**
+ * Ordre de chaque ordination du livre ; display remplace l'affichage d'un mot sans changer sa valeur
+ */
+const ORDINATION_SPECS = {
+  original: {
+    name: 'Ordination Originale',
+    order: WORD_IDS
+  },
+  alternative: {
+    name: 'Ordination Alternative',
+    order: [
+      "Je", "suis", "professionnel", "dans", "l'erreur", "en", "tout", "genre",
+      "proscrite", "la", "souveraine", "intelligence",
+      "rêveur", "mon", "métier", "exceptionnel", "est", "pour", "moi-même", "grandissant"
+    ],
+    display: { "rêveur": "Rêveur" }
+  }
+};
+
+/**
+ * Les deux ordinations du livre, mot par mot (group : id du groupe, dataWord : valeur quand l'affichage diffère)
+ */
+export const ORDINATIONS = Object.freeze(Object.fromEntries(
+  Object.entries(ORDINATION_SPECS).map(([key, { name, order, display = {} }]) => [key, Object.freeze({
+    name,
+    words: Object.freeze(order.map(id => {
+      const entry = BY_ID.get(id);
+      const text = display[id] || entry.text;
+      return Object.freeze(text === entry.id
+        ? { text, group: entry.group }
+        : { text, group: entry.group, dataWord: entry.id });
+    }))
+  })])
+));
+
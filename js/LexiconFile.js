@@ -0,0 +1,317 @@
+/**
+ * Fichier d'échange d'un lexique (JSON) : mots, groupes, ordinations, métadonnées, auteur et version du format
+ * La version 2 nomme et colore les groupes ; un fichier de version 1 reprend les deux groupes du poème
+ * Le champ language (facultatif, « fr » par défaut) annonce une traduction du poème
+ * Le fichier est vérifié champ par champ avant d'atteindre le stockage ou les gestionnaires
+ * @module LexiconFile
+ */
+
+import { CONFIG } from './config.js';
+import { LexiconStore, DEFAULT_LEXICON_LANGUAGE, LANGUAGE_PATTERN } from './LexiconStore.js';
+import { WORD_GRAMMAR } from './Lexicon.js';
+import { PARTS_OF_SPEECH } from './FrenchGrammar.js';
+import { WordGroups } from './WordGroups.js';
+import { I18n } from './I18n.js';
+
+export const LEXICON_FILE_FORMAT = 'quantique-lexique';
+
+export const LEXICON_FILE_VERSION = 2;
+
+const FILE_FIELDS = ['format', 'version', 'name', 'author', 'description', 'language', 'exportedAt', 'groups', 'words', 'ordinations'];
+const GROUP_FIELDS = ['id', 'name', 'color'];
+const WORD_FIELDS = ['text', 'group', 'grammar'];
+
+// Valeurs admises pour chaque trait grammatical (voir Lexicon.js)
+const GRAMMAR_VALUES = Object.freeze({
+  pos: Object.values(PARTS_OF_SPEECH),
+  gender: ['m', 'f'],
+  number: ['s', 'p'],
+  person: [1, 2, 3],
+  determined: [true, false]
+});
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const unknownFields = (object, known) => Object.keys(object).filter(key => !known.includes(key));
+
+// Message rattaché au champ en cause (« words[3].text : mot vide ou absent »)
+const fieldMessage = (field, key, params) => I18n.t('VALIDATION.FILE_FIELD', { field, message: I18n.t(`VALIDATION.${key}`, params) });
+
+export class LexiconFile {
+
+  /**
+   * Contenu du fichier d'un lexique
+   * Les mots connus du poème original reçoivent leurs métadonnées grammaticales, si le lexique est en français
+   * @param {Object} lexicon - Lexique (voir LexiconStore)
+   * @param {Date} [date]
+   * @returns {Object}
+   */
+  static fromLexicon(lexicon, date = new Date()) {
+    const isFrench = (lexicon.language || DEFAULT_LEXICON_LANGUAGE) === DEFAULT_LEXICON_LANGUAGE;
+    return {
+      format: LEXICON_FILE_FORMAT,
+      version: LEXICON_FILE_VERSION,
+      name: lexicon.name,
+      author: lexicon.author || '',
+      description: lexicon.description || '',
+      language: lexicon.language || DEFAULT_LEXICON_LANGUAGE,
+      exportedAt: date.toISOString(),
+      groups: WordGroups.copy(lexicon.groups || WordGroups.defaults()),
+      words: lexicon.words.map(word => {
+        const grammar = word.grammar || (isFrench ? WORD_GRAMMAR[word.text] : undefined);
+        return grammar ? { text: word.text, group: word.group, grammar: { ...grammar } } : { text: word.text, group: word.group };
+      }),
+      ordinations: (lexicon.ordinations || []).map(({ name, order }) => ({ name, order: [...order] }))
+    };
+  }
+
+  /**
+   * @param {Object} lexicon
+   * @param {Date} [date]
+   * @returns {string} JSON indenté
+   */
+  static stringify(lexicon, date = new Date()) {
+    return JSON.stringify(LexiconFile.fromLexicon(lexicon, date), null, 2) + '\n';
+  }
+
+  /**
+   * Nom de fichier dérivé du nom du lexique (« lexique-le-poeme-original.json »)
+   * @param {Object} lexicon
+   * @returns {string}
+   */
+  static fileName(lexicon) {
+    const slug = lexicon.name
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    return `lexique-${slug || 'sans-nom'}.json`;
+  }
+
+  /**
+   * Lit et vérifie un fichier de lexique
+   * @param {string} text - Contenu du fichier
+   * @returns {{errors: Array<string>, warnings: Array<string>, isValid: boolean, lexicon: Object|null}}
+   *   lexicon : { name, author, description, language, groups, words, ordinations } prêt pour LexiconStore.create
+   */
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { errors: [I18n.t('VALIDATION.FILE_NOT_JSON', { reason: error.message })], warnings: [], isValid: false, lexicon: null };
+    }
+
+    const validation = LexiconFile.validate(data);
+    if (!validation.isValid) return { ...validation, lexicon: null };
+
+    return {
+      ...validation,
+      lexicon: {
+        name: data.name.trim(),
+        author: typeof data.author === 'string' ? data.author.trim() : '',
+        description: typeof data.description === 'string' ? data.description.trim() : '',
+        language: data.language ?? DEFAULT_LEXICON_LANGUAGE,
+        groups: data.groups === undefined
+          ? WordGroups.defaults()
+          : data.groups.map(({ id, name, color }) => ({ id, name: name.trim(), color: color.toLowerCase() })),
+        words: data.words.map(word => {
+          const entry = { text: word.text.trim(), group: word.group };
+          if (isPlainObject(word.grammar)) {
+            const grammar = Object.fromEntries(Object.entries(word.grammar).filter(([key]) => key in GRAMMAR_VALUES));
+            if (Object.keys(grammar).length > 0) entry.grammar = grammar;
+          }
+          return entry;
+        }),
+        ordinations: (data.ordinations || []).map(({ name, order }) => ({
+          name: name.trim(),
+          order: order.map(word => word.trim())
+        }))
+      }
+    };
+  }
+
+  /**
+   * Vérifie le contenu d'un fichier de lexique ; chaque message commence par le champ en cause
+   * @param {*} data - Contenu JSON déjà lu
+   * @returns {{errors: Array<string>, warnings: Array<string>, isValid: boolean}}
+   */
+  static validate(data) {
+    const errors = [];
+    const warnings = [];
+    const limits = CONFIG.LIMITS;
+
+    if (!isPlainObject(data)) {
+      errors.push(I18n.t('VALIDATION.FILE_NOT_LEXICON'));
+      return { errors, warnings, isValid: false };
+    }
+
+    if (data.format !== LEXICON_FILE_FORMAT) {
+      errors.push(fieldMessage('format', 'FILE_FORMAT_EXPECTED', { format: LEXICON_FILE_FORMAT }));
+    }
+
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      errors.push(fieldMessage('version', 'FILE_VERSION_INTEGER'));
+    } else if (data.version > LEXICON_FILE_VERSION) {
+      errors.push(fieldMessage('version', 'FILE_VERSION_NEWER', { version: data.version, supported: LEXICON_FILE_VERSION }));
+    }
+
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name) {
+      errors.push(fieldMessage('name', 'FILE_NAME_REQUIRED'));
+    } else if (name.length > limits.MAX_LEXICON_NAME_LENGTH) {
+      errors.push(fieldMessage('name', 'FILE_TOO_LONG', { max: limits.MAX_LEXICON_NAME_LENGTH }));
+    }
+
+    [['author', limits.MAX_LEXICON_AUTHOR_LENGTH], ['description', limits.MAX_LEXICON_DESCRIPTION_LENGTH]].forEach(([field, maxLength]) => {
+      if (data[field] === undefined) return;
+      if (typeof data[field] !== 'string') {
+        errors.push(fieldMessage(field, 'FILE_TEXT_EXPECTED'));
+      } else if (data[field].trim().length > maxLength) {
+        errors.push(fieldMessage(field, 'FILE_TOO_LONG', { max: maxLength }));
+      }
+    });
+
+    if (data.language !== undefined && !LANGUAGE_PATTERN.test(data.language)) {
+      errors.push(fieldMessage('language', 'FILE_LANGUAGE_EXPECTED'));
+    }
+
+    if (data.exportedAt !== undefined && Number.isNaN(Date.parse(data.exportedAt))) {
+      warnings.push(fieldMessage('exportedAt', 'FILE_DATE_UNREADABLE'));
+    }
+
+    unknownFields(data, FILE_FIELDS).forEach(field => warnings.push(fieldMessage(field, 'FILE_UNKNOWN_FIELD')));
+
+    // Sans groupes valides, le groupe de chaque mot ne peut pas être vérifié
+    const groupsValid = LexiconFile.validateGroups(data.groups, errors, warnings);
+    const groupIds = groupsValid ? WordGroups.ids(data.groups ?? WordGroups.defaults()) : null;
+
+    // Les ordinations ne se vérifient que sur des mots valides, sans quoi chaque mot fautif serait signalé deux fois
+    const errorCount = errors.length;
+    LexiconFile.validateWords(data.words, groupIds, errors, warnings);
+    if (errors.length === errorCount) {
+      LexiconFile.validateOrdinations(data.ordinations, data.words, errors);
+    }
+
+    return { errors, warnings, isValid: errors.length === 0 };
+  }
+
+  /**
+   * @private
+   * @returns {boolean} Les groupes sont utilisables (absents compris : ceux du poème s'appliquent)
+   */
+  static validateGroups(groups, errors, warnings) {
+    if (groups === undefined) return true;
+
+    const groupErrors = WordGroups.validate(groups);
+    groupErrors.forEach(({ index, field, message }) => {
+      const path = index === null ? 'groups' : `groups[${index}]${field === 'groups' ? '' : `.${field}`}`;
+      errors.push(I18n.t('VALIDATION.FILE_FIELD', { field: path, message }));
+    });
+
+    if (Array.isArray(groups)) {
+      groups.forEach((group, index) => {
+        if (isPlainObject(group)) {
+          unknownFields(group, GROUP_FIELDS).forEach(key => warnings.push(fieldMessage(`groups[${index}].${key}`, 'FILE_UNKNOWN_FIELD')));
+        }
+      });
+    }
+    return groupErrors.length === 0;
+  }
+
+  /**
+   * @private
+   */
+  static validateWords(words, groupIds, errors, warnings) {
+    const limits = CONFIG.LIMITS;
+
+    if (!Array.isArray(words)) {
+      errors.push(fieldMessage('words', 'FILE_WORDS_EXPECTED'));
+      return;
+    }
+    if (words.length < limits.MIN_LEXICON_WORDS || words.length > limits.MAX_LEXICON_WORDS) {
+      errors.push(fieldMessage('words', 'FILE_WORD_COUNT', { min: limits.MIN_LEXICON_WORDS, max: limits.MAX_LEXICON_WORDS, count: words.length }));
+    }
+
+    const seen = new Set();
+
+    words.forEach((word, index) => {
+      const field = `words[${index}]`;
+
+      if (!isPlainObject(word)) {
+        errors.push(fieldMessage(field, 'FILE_WORD_OBJECT'));
+        return;
+      }
+
+      const text = typeof word.text === 'string' ? word.text.trim() : '';
+      if (!text) {
+        errors.push(fieldMessage(`${field}.text`, 'FILE_WORD_EMPTY'));
+      } else {
+        LexiconStore.validateWord(text, word.group, groupIds).forEach(error => {
+          errors.push(I18n.t('VALIDATION.FILE_FIELD', { field: `${field}.${error.field}`, message: error.message }));
+        });
+        if (seen.has(text.toLowerCase())) {
+          errors.push(fieldMessage(`${field}.text`, 'WORD_DUPLICATE', { text }));
+        }
+        seen.add(text.toLowerCase());
+      }
+
+      if (word.grammar !== undefined) {
+        LexiconFile.validateGrammar(word.grammar, `${field}.grammar`, errors, warnings);
+      }
+      unknownFields(word, WORD_FIELDS).forEach(key => warnings.push(fieldMessage(`${field}.${key}`, 'FILE_UNKNOWN_FIELD')));
+    });
+  }
+
+  /**
+   * @private
+   */
+  static validateGrammar(grammar, field, errors, warnings) {
+    if (!isPlainObject(grammar)) {
+      errors.push(fieldMessage(field, 'FILE_OBJECT_EXPECTED'));
+      return;
+    }
+
+    Object.entries(grammar).forEach(([key, value]) => {
+      if (!(key in GRAMMAR_VALUES)) {
+        warnings.push(fieldMessage(`${field}.${key}`, 'FILE_GRAMMAR_UNKNOWN'));
+      } else if (!GRAMMAR_VALUES[key].includes(value)) {
+        errors.push(fieldMessage(`${field}.${key}`, 'FILE_GRAMMAR_VALUE', { value: JSON.stringify(value), values: GRAMMAR_VALUES[key].join(', ') }));
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  static validateOrdinations(ordinations, words, errors) {
+    if (ordinations === undefined) return;
+
+    if (!Array.isArray(ordinations)) {
+      errors.push(fieldMessage('ordinations', 'FILE_LIST_EXPECTED'));
+      return;
+    }
+    if (ordinations.length > CONFIG.LIMITS.MAX_LEXICON_ORDINATIONS) {
+      errors.push(fieldMessage('ordinations', 'FILE_ORDINATION_COUNT', { max: CONFIG.LIMITS.MAX_LEXICON_ORDINATIONS, count: ordinations.length }));
+    }
+
+    ordinations.forEach((ordination, index) => {
+      const field = `ordinations[${index}]`;
+
+      if (!isPlainObject(ordination)) {
+        errors.push(fieldMessage(field, 'FILE_ORDINATION_OBJECT'));
+        return;
+      }
+      if (Array.isArray(ordination.order) && ordination.order.some(word => typeof word !== 'string')) {
+        errors.push(fieldMessage(`${field}.order`, 'FILE_WORDS_EXPECTED'));
+        return;
+      }
+      LexiconStore.validateOrdination(ordination, words).forEach(error => {
+        errors.push(I18n.t('VALIDATION.FILE_FIELD', { field: `${field}.${error.field}`, message: error.message }));
+      });
+    });
+  }
+}
+
+export default LexiconFile;
@@ -0,0 +1,764 @@
+/**
+ * Gestionnaire des lexiques
+ * Choix du lexique actif et éditeur de sa liste de mots (ajout, retrait, ordre, groupe) et de ses groupes (nom, couleur)
+ * Échange de lexiques par fichier JSON (voir LexiconFile) ; les traductions du poème se chargent comme un import
+ * Le lexique activé est transmis aux abonnés (sélection des mots, ordinations) puis annoncé par un événement
+ * @module LexiconManager
+ */
+
+import { CONFIG } from './config.js';
+import { I18n } from './I18n.js';
+import { NotificationManager } from './NotificationManager.js';
+import { LexiconStore } from './LexiconStore.js';
+import { LexiconFile } from './LexiconFile.js';
+import { WordGroups } from './WordGroups.js';
+
+// Nombre d'erreurs d'import détaillées dans la notification (la liste complète va dans la console)
+const MAX_REPORTED_ERRORS = 3;
+
+export class LexiconManager {
+  constructor(store = new LexiconStore()) {
+    this.store = store;
+    this.activeLexicon = this.store.getActive();
+    this.draft = null;
+    this.observers = [];
+    this.elements = {};
+    this.listHandlers = null;
+    this.groupHandlers = null;
+    this.localeChangeHandler = () => this.render();
+
+    this.init();
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log('LexiconManager initialisé:', this.activeLexicon.name);
+    }
+  }
+
+  init() {
+    const ids = CONFIG.DOM_ELEMENTS;
+    this.elements = {
+      select: document.getElementById(ids.LEXICON_SELECT),
+      name: document.getElementById(ids.LEXICON_NAME_INPUT),
+      author: document.getElementById(ids.LEXICON_AUTHOR_INPUT),
+      words: document.getElementById(ids.LEXICON_WORDS),
+      groups: document.getElementById(ids.LEXICON_GROUPS),
+      newWord: document.getElementById(ids.LEXICON_NEW_WORD_INPUT),
+      newWordGroup: document.getElementById(ids.LEXICON_NEW_WORD_GROUP),
+      addWordButton: document.getElementById(ids.LEXICON_ADD_WORD_BTN),
+      addGroupButton: document.getElementById(ids.LEXICON_ADD_GROUP_BTN),
+      saveButton: document.getElementById(ids.LEXICON_SAVE_BTN),
+      deleteButton: document.getElementById(ids.LEXICON_DELETE_BTN),
+      importInput: document.getElementById(ids.LEXICON_IMPORT_INPUT),
+      translationSelect: document.getElementById(ids.LEXICON_TRANSLATION_SELECT)
+    };
+
+    this.setupEventListeners();
+    this.loadDraft();
+    this.renderTranslations();
+    this.render();
+  }
+
+  /**
+   * Délégation sur la liste : les lignes sont recréées à chaque changement de structure
+   * @private
+   */
+  setupEventListeners() {
+    const { select, words, groups, newWord, name, author, importInput } = this.elements;
+
+    document.addEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.localeChangeHandler);
+
+    if (select) {
+      select.addEventListener('change', () => this.activate(select.value));
+    }
+
+    if (name) {
+      name.addEventListener('input', () => {
+        if (this.draft) this.draft.name = name.value;
+      });
+    }
+
+    if (author) {
+      author.addEventListener('input', () => {
+        if (this.draft) this.draft.author = author.value;
+      });
+    }
+
+    if (importInput) {
+      importInput.addEventListener('change', () => {
+        const [file] = importInput.files;
+        importInput.value = '';
+        if (file) this.importFile(file);
+      });
+    }
+
+    if (newWord) {
+      newWord.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+          event.preventDefault();
+          this.addWord();
+        }
+      });
+    }
+
+    if (groups) {
+      const onGroupClick = (event) => {
+        const button = event.target.closest('button[data-action="remove"]');
+        const row = event.target.closest('[data-index]');
+        if (button && row) this.removeGroup(Number(row.dataset.index));
+      };
+
+      const onGroupInput = (event) => {
+        const row = event.target.closest('[data-index]');
+        const group = row && this.draft ? this.draft.groups[Number(row.dataset.index)] : null;
+        const field = event.target.dataset.field;
+        if (!group || (field !== 'name' && field !== 'color')) return;
+
+        group[field] = event.target.value;
+        WordGroups.decorate(row, this.draft.groups, group.id);
+        this.renderGroupOptions();
+        this.renderWords();
+      };
+
+      groups.addEventListener('click', onGroupClick);
+      groups.addEventListener('input', onGroupInput);
+      this.groupHandlers = { onGroupClick, onGroupInput };
+    }
+
+    if (!words) return;
+
+    const onClick = (event) => {
+      const button = event.target.closest('button[data-action]');
+      const row = event.target.closest('[data-index]');
+      if (!button || !row) return;
+
+      const index = Number(row.dataset.index);
+      if (button.dataset.action === 'up') this.moveWord(index, -1);
+      if (button.dataset.action === 'down') this.moveWord(index, 1);
+      if (button.dataset.action === 'remove') this.removeWord(index);
+    };
+
+    const onInput = (event) => {
+      const row = event.target.closest('[data-index]');
+      if (!row || !this.draft) return;
+
+      const word = this.draft.words[Number(row.dataset.index)];
+      if (!word) return;
+      if (event.target.dataset.field === 'text') {
+        word.text = event.target.value;
+        // Les métadonnées importées décrivaient l'ancien mot
+        delete word.grammar;
+      }
+      if (event.target.dataset.field === 'group') {
+        word.group = Number(event.target.value);
+        WordGroups.decorate(row, this.draft.groups, word.group);
+      }
+    };
+
+    words.addEventListener('click', onClick);
+    words.addEventListener('input', onInput);
+    words.addEventListener('change', onInput);
+    this.listHandlers = { onClick, onInput };
+  }
+
+  /**
+   * Ajoute un abonné, prévenu à chaque activation
+   * @param {Function} callback - (lexique) => void
+   * @returns {Function} Désabonnement
+   */
+  subscribe(callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('L\'abonné doit être une fonction');
+    }
+    this.observers.push(callback);
+    return () => {
+      const index = this.observers.indexOf(callback);
+      if (index > -1) this.observers.splice(index, 1);
+    };
+  }
+
+  getActiveLexicon() {
+    return {
+      ...this.activeLexicon,
+      groups: WordGroups.copy(this.activeLexicon.groups),
+      words: this.activeLexicon.words.map(word => ({ ...word }))
+    };
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean} Le lexique existe (original ou enregistré)
+   */
+  hasLexicon(id) {
+    return this.store.get(id) !== null;
+  }
+
+  /**
+   * Valeurs des mots du lexique actif, dans l'ordre de référence (celui des graines et des numéros)
+   * @returns {Array<string>}
+   */
+  getActiveWords() {
+    return this.activeLexicon.words.map(word => word.text);
+  }
+
+  /**
+   * Active un lexique et le transmet aux abonnés
+   * @param {string} id
+   * @returns {boolean}
+   */
+  activate(id) {
+    const lexicon = this.store.setActive(id);
+    if (!lexicon) {
+      console.error('LexiconManager: Lexique inconnu:', id);
+      return false;
+    }
+
+    this.activeLexicon = lexicon;
+    this.loadDraft();
+    this.render();
+    this.notifyObservers();
+
+    NotificationManager.info(CONFIG.MESSAGES.LEXICON_ACTIVATED
+      .replace('{name}', lexicon.name)
+      .replace('{count}', lexicon.words.length));
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  notifyObservers() {
+    const lexicon = this.getActiveLexicon();
+
+    this.observers.forEach(callback => {
+      try {
+        callback(lexicon);
+      } catch (error) {
+        console.error('Erreur dans un abonné au lexique:', error);
+      }
+    });
+
+    document.dispatchEvent(new CustomEvent(CONFIG.EVENTS.LEXICON_CHANGED, {
+      detail: { lexicon, timestamp: Date.now() }
+    }));
+  }
+
+  /**
+   * Brouillon modifiable du lexique actif (le lexique original reste en lecture seule)
+   * @private
+   */
+  loadDraft() {
+    this.draft = this.activeLexicon.builtIn ? null : this.getActiveLexicon();
+  }
+
+  /**
+   * Copie le lexique actif sous un nouveau nom et l'active
+   * @returns {boolean}
+   */
+  duplicate() {
+    const source = this.draft || this.activeLexicon;
+    const name = this.store.availableName(I18n.t('LEXICON.COPY_NAME', { name: this.activeLexicon.name }));
+    const result = this.store.create(name, source.words, { groups: source.groups, language: source.language });
+
+    if (!result.isValid) {
+      NotificationManager.error(CONFIG.MESSAGES.LEXICON_INVALID.replace('{reasons}', result.errors.join(' ; ')));
+      return false;
+    }
+
+    this.activate(result.lexicon.id);
+    NotificationManager.success(CONFIG.MESSAGES.LEXICON_CREATED.replace('{name}', name));
+    this.elements.name?.focus();
+    return true;
+  }
+
+  addWord() {
+    if (!this.draft) {
+      NotificationManager.warning(CONFIG.MESSAGES.LEXICON_READ_ONLY);
+      return;
+    }
+
+    const input = this.elements.newWord;
+    const text = input ? input.value.trim() : '';
+    if (!text) return;
+
+    const group = Number(this.elements.newWordGroup?.value);
+    const groupIds = WordGroups.ids(this.draft.groups);
+    this.draft.words.push({ text, group: groupIds.includes(group) ? group : groupIds[0] });
+    input.value = '';
+    this.renderWords();
+    input.focus();
+  }
+
+  removeWord(index) {
+    if (!this.draft || !this.draft.words[index]) return;
+
+    this.draft.words.splice(index, 1);
+    this.renderWords();
+  }
+
+  /**
+   * @param {number} index - Position du mot
+   * @param {number} offset - -1 pour monter, 1 pour descendre
+   */
+  moveWord(index, offset) {
+    const target = index + offset;
+    if (!this.draft || target < 0 || target >= this.draft.words.length) return;
+
+    const words = this.draft.words;
+    [words[index], words[target]] = [words[target], words[index]];
+    this.renderWords();
+    this.elements.words?.querySelector(`[data-index="${target}"] button[data-action="${offset < 0 ? 'up' : 'down'}"]`)?.focus();
+  }
+
+  /**
+   * Ajoute un groupe au brouillon, avec la première couleur libre
+   */
+  addGroup() {
+    if (!this.draft) {
+      NotificationManager.warning(CONFIG.MESSAGES.LEXICON_READ_ONLY);
+      return;
+    }
+    if (this.draft.groups.length >= CONFIG.LIMITS.MAX_LEXICON_GROUPS) {
+      NotificationManager.warning(I18n.t('LEXICON.GROUP_LIMIT', { max: CONFIG.LIMITS.MAX_LEXICON_GROUPS }));
+      return;
+    }
+
+    this.draft.groups.push(WordGroups.createGroup(this.draft.groups));
+    this.renderGroups();
+    this.renderGroupOptions();
+    this.renderWords();
+    this.elements.groups?.querySelector(`[data-index="${this.draft.groups.length - 1}"] input[data-field="name"]`)?.focus();
+  }
+
+  /**
+   * Retire un groupe du brouillon ; ses mots rejoignent le premier groupe restant
+   * @param {number} index - Position du groupe
+   */
+  removeGroup(index) {
+    if (!this.draft || !this.draft.groups[index] || this.draft.groups.length < 2) return;
+
+    const [removed] = this.draft.groups.splice(index, 1);
+    const fallback = this.draft.groups[0].id;
+    this.draft.words.forEach(word => {
+      if (word.group === removed.id) word.group = fallback;
+    });
+
+    this.renderGroups();
+    this.renderGroupOptions();
+    this.renderWords();
+  }
+
+  /**
+   * Enregistre le brouillon et réactive le lexique
+   * @returns {boolean}
+   */
+  save() {
+    if (!this.draft) {
+      NotificationManager.warning(CONFIG.MESSAGES.LEXICON_READ_ONLY);
+      return false;
+    }
+
+    const result = this.store.update(this.draft.id, this.draft.name, this.draft.words, {
+      author: this.draft.author,
+      groups: this.draft.groups
+    });
+    if (!result.isValid) {
+      NotificationManager.error(CONFIG.MESSAGES.LEXICON_INVALID.replace('{reasons}', result.errors.join(' ; ')));
+      return false;
+    }
+    if (result.warnings.length > 0) {
+      NotificationManager.warning(CONFIG.MESSAGES.LEXICON_WARNINGS.replace('{warnings}', result.warnings.join(' ; ')));
+    }
+
+    this.activeLexicon = result.lexicon;
+    this.loadDraft();
+    this.render();
+    this.notifyObservers();
+
+    NotificationManager.success(CONFIG.MESSAGES.LEXICON_SAVED.replace('{name}', result.lexicon.name));
+    return true;
+  }
+
+  /**
+   * Supprime le lexique actif après confirmation ; le lexique original reprend la main
+   * @returns {boolean}
+   */
+  deleteActive() {
+    const lexicon = this.activeLexicon;
+    if (lexicon.builtIn) {
+      NotificationManager.warning(CONFIG.MESSAGES.LEXICON_READ_ONLY);
+      return false;
+    }
+    if (!confirm(CONFIG.MESSAGES.LEXICON_DELETE_CONFIRM.replace('{name}', lexicon.name))) return false;
+
+    this.store.remove(lexicon.id);
+    this.activate(this.store.getActive().id);
+    NotificationManager.success(CONFIG.MESSAGES.LEXICON_DELETED.replace('{name}', lexicon.name));
+    return true;
+  }
+
+  /**
+   * Télécharge le lexique actif (tel qu'enregistré) au format JSON
+   * @returns {boolean}
+   */
+  exportActive() {
+    try {
+      const blob = new Blob([LexiconFile.stringify(this.activeLexicon)], { type: 'application/json;charset=utf-8' });
+      this.downloadFile(blob, LexiconFile.fileName(this.activeLexicon));
+      NotificationManager.success(CONFIG.MESSAGES.LEXICON_EXPORTED.replace('{name}', this.activeLexicon.name));
+      return true;
+    } catch (error) {
+      console.error('Erreur lors de l\'export du lexique:', error);
+      NotificationManager.error(I18n.t('LEXICON.EXPORT_ERROR'));
+      return false;
+    }
+  }
+
+  /**
+   * Ouvre le sélecteur de fichier ; l'import se poursuit dans importFile
+   */
+  openImport() {
+    this.elements.importInput?.click();
+  }
+
+  /**
+   * Lit un fichier de lexique choisi par l'utilisateur ; la suite dans importText
+   * @param {File|Blob} file
+   * @returns {Promise<boolean>}
+   */
+  async importFile(file) {
+    const maxSize = CONFIG.LIMITS.MAX_LEXICON_FILE_SIZE;
+    if (file.size > maxSize) {
+      NotificationManager.error(CONFIG.MESSAGES.LEXICON_FILE_TOO_LARGE.replace('{size}', Math.round(maxSize / 1000)));
+      return false;
+    }
+
+    let text;
+    try {
+      text = await file.text();
+    } catch (error) {
+      console.error('Erreur de lecture du fichier de lexique:', error);
+      NotificationManager.error(CONFIG.MESSAGES.LEXICON_IMPORT_INVALID.replace('{reasons}', I18n.t('LEXICON.FILE_UNREADABLE')));
+      return false;
+    }
+
+    return this.importText(text);
+  }
+
+  /**
+   * Vérifie le contenu d'un fichier de lexique puis l'enregistre et l'active
+   * Un fichier invalide est refusé en entier : aucun de ses mots n'atteint le stockage ni la liste de mots
+   * @param {string} text
+   * @returns {boolean}
+   */
+  importText(text) {
+    const parsed = LexiconFile.parse(text);
+    if (!parsed.isValid) {
+      this.reportImportErrors(parsed.errors);
+      return false;
+    }
+
+    const { name, words, ...details } = parsed.lexicon;
+    const availableName = this.store.availableName(name);
+    const warnings = [...parsed.warnings];
+    if (availableName !== name) {
+      warnings.push(I18n.t('VALIDATION.FILE_FIELD', {
+        field: 'name',
+        message: I18n.t('LEXICON.IMPORT_RENAMED', { name, available: availableName })
+      }));
+    }
+
+    const result = this.store.create(availableName, words, details);
+    if (!result.isValid) {
+      this.reportImportErrors(result.errors);
+      return false;
+    }
+
+    this.activate(result.lexicon.id);
+    NotificationManager.success(CONFIG.MESSAGES.LEXICON_IMPORTED
+      .replace('{name}', result.lexicon.name)
+      .replace('{count}', result.lexicon.words.length));
+
+    if (warnings.length > 0) {
+      console.warn('Import du lexique:', warnings);
+      NotificationManager.warning(CONFIG.MESSAGES.LEXICON_WARNINGS.replace('{warnings}', warnings.join(' ; ')));
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  reportImportErrors(errors) {
+    console.warn('Fichier de lexique refusé:', errors);
+
+    const shown = errors.slice(0, MAX_REPORTED_ERRORS);
+    const hidden = errors.length - shown.length;
+    if (hidden > 0) shown.push(I18n.t('LEXICON.MORE_ERRORS', { count: hidden }));
+
+    NotificationManager.error(CONFIG.MESSAGES.LEXICON_IMPORT_INVALID.replace('{reasons}', shown.join(' ; ')));
+  }
+
+  /**
+   * Charge la traduction choisie du poème et l'active
+   * Déjà chargée, elle est simplement réactivée : ses mots ont pu être retravaillés depuis
+   * @param {string} [language] - Langue d'une des CONFIG.LEXICON_TRANSLATIONS (celle du sélecteur par défaut)
+   * @returns {Promise<boolean>}
+   */
+  async loadTranslation(language = this.elements.translationSelect?.value) {
+    const translation = CONFIG.LEXICON_TRANSLATIONS.find(entry => entry.language === language);
+    if (!translation) return false;
+
+    let text;
+    try {
+      const response = await fetch(translation.file);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      text = await response.text();
+    } catch (error) {
+      console.error('Erreur de chargement de la traduction:', error);
+      NotificationManager.error(CONFIG.MESSAGES.LEXICON_TRANSLATION_ERROR.replace('{reason}', error.message));
+      return false;
+    }
+
+    const parsed = LexiconFile.parse(text);
+    const loaded = parsed.isValid && this.store.list().find(lexicon => (
+      lexicon.name === parsed.lexicon.name && lexicon.language === parsed.lexicon.language
+    ));
+    return loaded ? this.activate(loaded.id) : this.importText(text);
+  }
+
+  /**
+   * @private
+   */
+  downloadFile(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(link.href), 100);
+  }
+
+  render() {
+    this.renderSelect();
+    this.elements.words?.setAttribute('lang', (this.draft || this.activeLexicon).language);
+
+    const readOnly = !this.draft;
+    const { name, author, newWord, newWordGroup, addWordButton, addGroupButton, saveButton, deleteButton } = this.elements;
+
+    if (name) {
+      name.value = (this.draft || this.activeLexicon).name;
+      name.disabled = readOnly;
+    }
+    if (author) {
+      author.value = (this.draft || this.activeLexicon).author || '';
+      author.disabled = readOnly;
+    }
+    [newWord, newWordGroup, addWordButton, addGroupButton, saveButton, deleteButton].forEach(element => {
+      if (element) element.disabled = readOnly;
+    });
+
+    this.renderGroups();
+    this.renderGroupOptions();
+    this.renderWords();
+  }
+
+  /**
+   * @private
+   */
+  renderSelect() {
+    const select = this.elements.select;
+    if (!select) return;
+
+    select.innerHTML = '';
+    this.store.list().forEach(lexicon => {
+      const label = I18n.t('LEXICON.OPTION', { name: lexicon.name, count: lexicon.words.length });
+      select.appendChild(new Option(label, lexicon.id, false, lexicon.id === this.activeLexicon.id));
+    });
+  }
+
+  /**
+   * Traductions proposées au chargement
+   * @private
+   */
+  renderTranslations() {
+    const select = this.elements.translationSelect;
+    if (!select) return;
+
+    select.innerHTML = '';
+    CONFIG.LEXICON_TRANSLATIONS.forEach(({ language, label }) => {
+      const option = new Option(label, language);
+      option.lang = language;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * @private
+   */
+  renderGroups() {
+    const list = this.elements.groups;
+    if (!list) return;
+
+    const groups = (this.draft || this.activeLexicon).groups;
+    const readOnly = !this.draft;
+
+    list.innerHTML = '';
+    list.setAttribute('aria-label', I18n.t('LEXICON.GROUPS_LABEL', { count: groups.length }));
+    groups.forEach((group, index) => list.appendChild(this.createGroupRow(groups, group, index, readOnly)));
+  }
+
+  /**
+   * Groupes proposés au nouveau mot
+   * @private
+   */
+  renderGroupOptions() {
+    const select = this.elements.newWordGroup;
+    if (!select) return;
+
+    const current = Number(select.value);
+    const groups = (this.draft || this.activeLexicon).groups;
+    select.innerHTML = '';
+    groups.forEach(({ id, name }) => select.appendChild(new Option(name, String(id), false, id === current)));
+  }
+
+  /**
+   * @private
+   */
+  createGroupRow(groups, group, index, readOnly) {
+    const row = document.createElement('li');
+    row.className = 'lexicon-group';
+    row.dataset.index = String(index);
+    WordGroups.decorate(row, groups, group.id);
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.dataset.field = 'color';
+    color.value = group.color;
+    color.disabled = readOnly;
+    color.setAttribute('aria-label', I18n.t('LEXICON.GROUP_COLOR_LABEL', { number: index + 1 }));
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.dataset.field = 'name';
+    name.value = group.name;
+    name.maxLength = CONFIG.LIMITS.MAX_GROUP_NAME_LENGTH;
+    name.disabled = readOnly;
+    name.setAttribute('aria-label', I18n.t('LEXICON.GROUP_NAME_LABEL', { number: index + 1 }));
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.dataset.action = 'remove';
+    remove.textContent = '✕';
+    remove.disabled = readOnly || groups.length < 2;
+    remove.setAttribute('aria-label', I18n.t('LEXICON.GROUP_REMOVE_LABEL', { number: index + 1 }));
+
+    row.append(color, name, remove);
+    return row;
+  }
+
+  /**
+   * @private
+   */
+  renderWords() {
+    const list = this.elements.words;
+    if (!list) return;
+
+    const { words, groups } = this.draft || this.activeLexicon;
+    const readOnly = !this.draft;
+
+    list.innerHTML = '';
+    list.setAttribute('aria-label', I18n.t('LEXICON.WORDS_LABEL', { count: words.length }));
+    words.forEach((word, index) => list.appendChild(this.createRow(groups, word, index, words.length, readOnly)));
+  }
+
+  /**
+   * @private
+   */
+  createRow(groups, word, index, total, readOnly) {
+    const row = document.createElement('li');
+    row.className = 'lexicon-word';
+    row.dataset.index = String(index);
+    WordGroups.decorate(row, groups, word.group);
+
+    const text = document.createElement('input');
+    text.type = 'text';
+    text.dataset.field = 'text';
+    text.value = word.text;
+    text.maxLength = CONFIG.LIMITS.MAX_LEXICON_WORD_LENGTH;
+    text.disabled = readOnly;
+    text.setAttribute('aria-label', I18n.t('LEXICON.WORD_LABEL', { number: index + 1 }));
+
+    const group = document.createElement('select');
+    group.dataset.field = 'group';
+    group.disabled = readOnly;
+    group.setAttribute('aria-label', I18n.t('LEXICON.WORD_GROUP_LABEL', { number: index + 1 }));
+    groups.forEach(({ id, name }) => {
+      group.appendChild(new Option(name, String(id), false, word.group === id));
+    });
+
+    const actions = [
+      ['up', '↑', I18n.t('LEXICON.MOVE_UP_LABEL', { number: index + 1 }), index === 0],
+      ['down', '↓', I18n.t('LEXICON.MOVE_DOWN_LABEL', { number: index + 1 }), index === total - 1],
+      ['remove', '✕', I18n.t('LEXICON.REMOVE_WORD_LABEL', { number: index + 1 }), false]
+    ].map(([action, label, ariaLabel, disabled]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.action = action;
+      button.textContent = label;
+      button.disabled = readOnly || disabled;
+      button.setAttribute('aria-label', ariaLabel);
+      return button;
+    });
+
+    row.append(text, group, ...actions);
+    return row;
+  }
+
+  validate() {
+    const issues = [];
+    if (!this.elements.select) issues.push('Sélecteur de lexique introuvable');
+    if (!this.elements.words) issues.push('Éditeur de lexique introuvable');
+    if (!this.elements.groups) issues.push('Éditeur des groupes introuvable');
+
+    return { isValid: issues.length === 0, issues, activeLexicon: this.activeLexicon.id };
+  }
+
+  getDebugInfo() {
+    return {
+      activeLexicon: {
+        id: this.activeLexicon.id,
+        name: this.activeLexicon.name,
+        language: this.activeLexicon.language,
+        groups: this.activeLexicon.groups.length,
+        words: this.activeLexicon.words.length
+      },
+      lexicons: this.store.list().map(lexicon => lexicon.name),
+      hasDraft: !!this.draft,
+      observers: this.observers.length,
+      validation: this.validate()
+    };
+  }
+
+  cleanup() {
+    document.removeEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.localeChangeHandler);
+    if (this.elements.words && this.listHandlers) {
+      this.elements.words.removeEventListener('click', this.listHandlers.onClick);
+      this.elements.words.removeEventListener('input', this.listHandlers.onInput);
+      this.elements.words.removeEventListener('change', this.listHandlers.onInput);
+    }
+    this.listHandlers = null;
+    if (this.elements.groups && this.groupHandlers) {
+      this.elements.groups.removeEventListener('click', this.groupHandlers.onGroupClick);
+      this.elements.groups.removeEventListener('input', this.groupHandlers.onGroupInput);
+    }
+    this.groupHandlers = null;
+    this.observers = [];
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log('LexiconManager: Nettoyage effectué');
+    }
+  }
+}
+
+export default LexiconManager;
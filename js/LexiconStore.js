@@ -0,0 +1,371 @@
+/**
+ * Lexiques de l'utilisateur : listes de mots nommées et persistées, dont une seule est active
+ * Le lexique du poème original est toujours disponible et ne se modifie pas : on le duplique pour le retravailler
+ * Un lexique peut porter un auteur, une description et ses propres ordinations (ordres d'affichage de ses mots)
+ * Il déclare sa langue (« fr » par défaut) : une traduction du poème se charge comme un lexique
+ * Il nomme ses groupes stylistiques (voir WordGroups) ; ceux enregistrés avant leur apparition reprennent les deux du poème
+ * Partagé par le générateur et le compositeur (même clé localStorage)
+ * @module LexiconStore
+ */
+
+import { CONFIG, safeLocalStorageGet, safeLocalStorageSet } from './config.js';
+import { ORDINATIONS } from './Lexicon.js';
+import { WordGroups } from './WordGroups.js';
+import { I18n } from './I18n.js';
+
+export const BUILT_IN_LEXICON_ID = 'original';
+
+// Langue du poème original, et des lexiques enregistrés avant que les lexiques ne déclarent la leur
+export const DEFAULT_LEXICON_LANGUAGE = 'fr';
+
+// Code de langue court : « fr », « en », « ita »
+export const LANGUAGE_PATTERN = /^[a-z]{2,3}$/;
+
+// Lettres, chiffres, apostrophe et trait d'union : « l'erreur », « moi-même »
+const WORD_PATTERN = /^[\p{L}\p{M}\d'’-]+$/u;
+
+// Les métadonnées grammaticales n'accompagnent que les mots importés qui en déclarent
+const copyWords = (words) => words.map(word => (word.grammar
+  ? { text: word.text, group: word.group, grammar: { ...word.grammar } }
+  : { text: word.text, group: word.group }));
+
+const copyOrdinations = (ordinations) => (ordinations || []).map(({ name, order }) => ({ name, order: [...order] }));
+
+export class LexiconStore {
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageKey] - Clé localStorage
+   */
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || CONFIG.STORAGE.LEXICONS_KEY;
+    this.lexicons = new Map();
+    this.activeId = BUILT_IN_LEXICON_ID;
+    this.load();
+  }
+
+  /**
+   * Lexique du poème original, dans l'ordination originale, avec les deux ordinations du livre
+   * @returns {{id: string, name: string, builtIn: boolean, author: string, description: string, language: string, groups: Array<Object>, words: Array<Object>, ordinations: Array<Object>}}
+   */
+  static builtIn() {
+    return {
+      id: BUILT_IN_LEXICON_ID,
+      name: 'Le poème original',
+      builtIn: true,
+      author: '',
+      description: '',
+      language: DEFAULT_LEXICON_LANGUAGE,
+      groups: WordGroups.defaults(),
+      words: copyWords(ORDINATIONS.original.words),
+      ordinations: Object.values(ORDINATIONS).map(({ name, words }) => ({
+        name,
+        order: words.map(word => word.dataWord || word.text)
+      }))
+    };
+  }
+
+  /**
+   * Vérifie un lexique avant enregistrement
+   * @param {string} name - Nom du lexique
+   * @param {Array<{text: string, group: number}>} words - Mots, dans l'ordre d'affichage
+   * @param {Array<string>} [takenNames] - Noms déjà pris par d'autres lexiques
+   * @param {Array<{name: string, order: Array<string>}>} [ordinations] - Ordinations propres au lexique
+   * @param {Array<{id: number, name: string, color: string}>} [groups] - Groupes du lexique (ceux du poème par défaut)
+   * @returns {{errors: Array<string>, warnings: Array<string>, isValid: boolean}}
+   */
+  static validate(name, words, takenNames = [], ordinations = [], groups = WordGroups.defaults()) {
+    const errors = [];
+    const warnings = [];
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    const limits = CONFIG.LIMITS;
+
+    if (!trimmedName) {
+      errors.push(I18n.t('VALIDATION.LEXICON_NAME_REQUIRED'));
+    } else if (trimmedName.length > limits.MAX_LEXICON_NAME_LENGTH) {
+      errors.push(I18n.t('VALIDATION.LEXICON_NAME_TOO_LONG', { max: limits.MAX_LEXICON_NAME_LENGTH }));
+    } else if (takenNames.some(taken => taken.toLowerCase() === trimmedName.toLowerCase())) {
+      errors.push(I18n.t('VALIDATION.LEXICON_NAME_TAKEN', { name: trimmedName }));
+    }
+
+    const groupErrors = WordGroups.validate(groups);
+    errors.push(...groupErrors.map(error => error.message));
+
+    if (!Array.isArray(words)) {
+      errors.push(I18n.t('VALIDATION.WORDS_UNREADABLE'));
+      return { errors, warnings, isValid: false };
+    }
+
+    const groupIds = groupErrors.length === 0 ? WordGroups.ids(groups) : null;
+
+    if (words.length < limits.MIN_LEXICON_WORDS || words.length > limits.MAX_LEXICON_WORDS) {
+      errors.push(I18n.t('VALIDATION.WORD_COUNT', { min: limits.MIN_LEXICON_WORDS, max: limits.MAX_LEXICON_WORDS, count: words.length }));
+    }
+
+    const seen = new Set();
+    words.forEach((word, index) => {
+      const text = word && typeof word.text === 'string' ? word.text.trim() : '';
+
+      if (!text) {
+        errors.push(I18n.t('VALIDATION.WORD_EMPTY', { number: index + 1 }));
+        return;
+      }
+      errors.push(...LexiconStore.validateWord(text, word.group, groupIds).map(error => error.message));
+      if (seen.has(text.toLowerCase())) {
+        errors.push(I18n.t('VALIDATION.WORD_DUPLICATE', { text }));
+      }
+      seen.add(text.toLowerCase());
+    });
+
+    if (!Array.isArray(ordinations)) {
+      errors.push(I18n.t('VALIDATION.ORDINATIONS_UNREADABLE'));
+    } else {
+      if (ordinations.length > limits.MAX_LEXICON_ORDINATIONS) {
+        errors.push(I18n.t('VALIDATION.ORDINATION_COUNT', { max: limits.MAX_LEXICON_ORDINATIONS, count: ordinations.length }));
+      }
+      ordinations.forEach(ordination => {
+        errors.push(...LexiconStore.validateOrdination(ordination, words).map(error => error.message));
+      });
+    }
+
+    return { errors, warnings, isValid: errors.length === 0 };
+  }
+
+  /**
+   * Vérifie un mot déjà débarrassé de ses espaces
+   * @param {string} text
+   * @param {number} group
+   * @param {Array<number>|null} [groupIds] - Groupes du lexique (ceux du poème par défaut) ; null si ces groupes sont eux-mêmes invalides
+   * @returns {Array<{field: string, message: string}>} Erreurs par champ (text, group), vide si le mot est valide
+   */
+  static validateWord(text, group, groupIds = WordGroups.ids(WordGroups.defaults())) {
+    const errors = [];
+    const maxLength = CONFIG.LIMITS.MAX_LEXICON_WORD_LENGTH;
+
+    if (text.length > maxLength) {
+      errors.push({ field: 'text', message: I18n.t('VALIDATION.WORD_TOO_LONG', { text, max: maxLength }) });
+    } else if (!WORD_PATTERN.test(text)) {
+      errors.push({ field: 'text', message: I18n.t('VALIDATION.WORD_CHARACTERS', { text }) });
+    }
+    if (groupIds && !groupIds.includes(group)) {
+      errors.push({ field: 'group', message: I18n.t('VALIDATION.WORD_GROUP_UNKNOWN', { text }) });
+    }
+    return errors;
+  }
+
+  /**
+   * Une ordination range chaque mot du lexique exactement une fois
+   * @param {{name: string, order: Array<string>}} ordination
+   * @param {Array<{text: string}>} words - Mots du lexique
+   * @returns {Array<{field: string, message: string}>} Erreurs par champ (name, order), vide si l'ordination est valide
+   */
+  static validateOrdination(ordination, words) {
+    const errors = [];
+    const name = ordination && typeof ordination.name === 'string' ? ordination.name.trim() : '';
+
+    if (!name) {
+      errors.push({ field: 'name', message: I18n.t('VALIDATION.ORDINATION_NAME_REQUIRED') });
+    } else if (name.length > CONFIG.LIMITS.MAX_LEXICON_NAME_LENGTH) {
+      errors.push({ field: 'name', message: I18n.t('VALIDATION.ORDINATION_NAME_TOO_LONG', { name, max: CONFIG.LIMITS.MAX_LEXICON_NAME_LENGTH }) });
+    }
+    const ordinationLabel = name ? I18n.t('VALIDATION.ORDINATION_NAMED', { name }) : I18n.t('VALIDATION.ORDINATION_UNNAMED');
+    if (!ordination || !Array.isArray(ordination.order)) {
+      errors.push({ field: 'order', message: I18n.t('VALIDATION.ORDINATION_NO_ORDER', { ordination: ordinationLabel }) });
+      return errors;
+    }
+
+    const texts = words.map(word => (word && typeof word.text === 'string' ? word.text.trim() : ''));
+    const order = ordination.order.map(text => (typeof text === 'string' ? text.trim() : ''));
+
+    order.filter(text => !texts.includes(text)).forEach(text => {
+      errors.push({ field: 'order', message: I18n.t('VALIDATION.ORDINATION_UNKNOWN_WORD', { ordination: ordinationLabel, text }) });
+    });
+    texts.filter(text => text && !order.includes(text)).forEach(text => {
+      errors.push({ field: 'order', message: I18n.t('VALIDATION.ORDINATION_MISSING_WORD', { ordination: ordinationLabel, text }) });
+    });
+    order.filter((text, index) => order.indexOf(text) !== index).forEach(text => {
+      errors.push({ field: 'order', message: I18n.t('VALIDATION.ORDINATION_DUPLICATE_WORD', { ordination: ordinationLabel, text }) });
+    });
+    return errors;
+  }
+
+  load() {
+    const data = safeLocalStorageGet(this.storageKey, {});
+    const stored = Array.isArray(data.lexicons) ? data.lexicons : [];
+    this.lexicons = new Map();
+
+    stored.forEach(lexicon => {
+      if (!lexicon || typeof lexicon.id !== 'string' || lexicon.id === BUILT_IN_LEXICON_ID) return;
+
+      const takenNames = [LexiconStore.builtIn().name, ...[...this.lexicons.values()].map(other => other.name)];
+      const ordinations = lexicon.ordinations || [];
+      const groups = lexicon.groups || WordGroups.defaults();
+      if (!LexiconStore.validate(lexicon.name, lexicon.words, takenNames, ordinations, groups).isValid) {
+        console.warn('Lexique ignoré (invalide):', lexicon.name);
+        return;
+      }
+
+      this.lexicons.set(lexicon.id, this.toRecord(lexicon.id, lexicon.name, lexicon.words, { ...lexicon, ordinations, groups }));
+    });
+
+    this.activeId = this.lexicons.has(data.activeId) ? data.activeId : BUILT_IN_LEXICON_ID;
+  }
+
+  save() {
+    return safeLocalStorageSet(this.storageKey, {
+      activeId: this.activeId,
+      lexicons: [...this.lexicons.values()].map(({ id, name, author, description, language, groups, words, ordinations }) => ({
+        id, name, author, description, language, groups, words, ordinations
+      }))
+    });
+  }
+
+  /**
+   * @returns {Array<Object>} Lexique original puis lexiques de l'utilisateur
+   */
+  list() {
+    return [LexiconStore.builtIn(), ...[...this.lexicons.values()].map(lexicon => this.get(lexicon.id))];
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null} Copie du lexique
+   */
+  get(id) {
+    if (id === BUILT_IN_LEXICON_ID) return LexiconStore.builtIn();
+
+    const lexicon = this.lexicons.get(id);
+    return lexicon
+      ? { ...lexicon, groups: WordGroups.copy(lexicon.groups), words: copyWords(lexicon.words), ordinations: copyOrdinations(lexicon.ordinations) }
+      : null;
+  }
+
+  getActive() {
+    return this.get(this.activeId);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null} Lexique activé, ou null s'il n'existe pas
+   */
+  setActive(id) {
+    const lexicon = this.get(id);
+    if (!lexicon) return null;
+
+    this.activeId = id;
+    this.save();
+    return lexicon;
+  }
+
+  /**
+   * Enregistrement normalisé (textes sans espaces superflus)
+   * @private
+   */
+  toRecord(id, name, words, details = {}) {
+    return {
+      id,
+      name: name.trim(),
+      builtIn: false,
+      author: typeof details.author === 'string' ? details.author.trim() : '',
+      description: typeof details.description === 'string' ? details.description.trim() : '',
+      language: LANGUAGE_PATTERN.test(details.language) ? details.language : DEFAULT_LEXICON_LANGUAGE,
+      groups: (details.groups ? WordGroups.copy(details.groups) : WordGroups.defaults())
+        .map(group => ({ ...group, name: group.name.trim(), color: group.color.toLowerCase() })),
+      words: copyWords(words).map(word => ({ ...word, text: word.text.trim() })),
+      ordinations: copyOrdinations(details.ordinations).map(({ name: ordinationName, order }) => ({
+        name: ordinationName.trim(),
+        order: order.map(text => text.trim())
+      }))
+    };
+  }
+
+  /**
+   * @private
+   */
+  takenNames(exceptId = null) {
+    return this.list().filter(lexicon => lexicon.id !== exceptId).map(lexicon => lexicon.name);
+  }
+
+  /**
+   * Nom libre dérivé d'un autre (« Copie de X », « Copie de X (2) »…)
+   * @param {string} base
+   * @returns {string}
+   */
+  availableName(base) {
+    const taken = new Set(this.takenNames().map(name => name.toLowerCase()));
+    const stem = base.slice(0, CONFIG.LIMITS.MAX_LEXICON_NAME_LENGTH - 4);
+    let name = base.slice(0, CONFIG.LIMITS.MAX_LEXICON_NAME_LENGTH);
+    for (let suffix = 2; taken.has(name.toLowerCase()); suffix++) {
+      name = `${stem} (${suffix})`;
+    }
+    return name;
+  }
+
+  /**
+   * Enregistre un nouveau lexique
+   * @param {string} name
+   * @param {Array<{text: string, group: number}>} words
+   * @param {{author?: string, description?: string, language?: string, groups?: Array<Object>, ordinations?: Array<Object>}} [details]
+   * @returns {{errors: Array<string>, warnings: Array<string>, isValid: boolean, lexicon: Object|null}}
+   */
+  create(name, words, details = {}) {
+    const validation = LexiconStore.validate(name, words, this.takenNames(), details.ordinations || [], details.groups || WordGroups.defaults());
+    if (!validation.isValid) return { ...validation, lexicon: null };
+
+    if (this.lexicons.size >= CONFIG.LIMITS.MAX_LEXICONS) {
+      const error = I18n.t('VALIDATION.LEXICON_LIMIT', { max: CONFIG.LIMITS.MAX_LEXICONS });
+      return { errors: [error], warnings: validation.warnings, isValid: false, lexicon: null };
+    }
+
+    const id = `lexicon_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this.lexicons.set(id, this.toRecord(id, name, words, details));
+    this.save();
+
+    return { ...validation, lexicon: this.get(id) };
+  }
+
+  /**
+   * Remplace le nom et les mots d'un lexique de l'utilisateur
+   * Ses ordinations sont retirées si elles ne rangent plus exactement les nouveaux mots
+   * @param {string} id
+   * @param {string} name
+   * @param {Array<{text: string, group: number}>} words
+   * @param {{author?: string, description?: string, language?: string, groups?: Array<Object>}} [details] - Remplace les valeurs enregistrées
+   * @returns {{errors: Array<string>, warnings: Array<string>, isValid: boolean, lexicon: Object|null}}
+   */
+  update(id, name, words, details = {}) {
+    const current = this.lexicons.get(id);
+    if (!current) {
+      return { errors: [I18n.t('VALIDATION.LEXICON_NOT_EDITABLE')], warnings: [], isValid: false, lexicon: null };
+    }
+
+    const validation = LexiconStore.validate(name, words, this.takenNames(id), [], details.groups || current.groups);
+    if (!validation.isValid) return { ...validation, lexicon: null };
+
+    let ordinations = current.ordinations;
+    if (ordinations.some(ordination => LexiconStore.validateOrdination(ordination, words).length > 0)) {
+      ordinations = [];
+      validation.warnings.push(I18n.t('VALIDATION.ORDINATIONS_REMOVED'));
+    }
+
+    this.lexicons.set(id, this.toRecord(id, name, words, { ...current, ...details, ordinations }));
+    this.save();
+
+    return { ...validation, lexicon: this.get(id) };
+  }
+
+  /**
+   * Supprime un lexique de l'utilisateur ; s'il était actif, le lexique original reprend la main
+   * @param {string} id
+   * @returns {boolean}
+   */
+  remove(id) {
+    if (!this.lexicons.delete(id)) return false;
+
+    if (this.activeId === id) this.activeId = BUILT_IN_LEXICON_ID;
+    this.save();
+    return true;
+  }
+}
+
+export default LexiconStore;
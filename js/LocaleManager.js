@@ -0,0 +1,143 @@
+/**
+ * Langue de l'interface dans la page : liste de choix, texte fixe traduit, langue enregistrée
+ * Le texte français reste dans le HTML ; les éléments marqués data-i18n="CLÉ" prennent la traduction du catalogue,
+ * data-i18n-attr="aria-label:CLÉ;placeholder:CLÉ" fait de même pour des attributs
+ * Les gestionnaires retraduisent leur texte dynamique sur l'événement localeChanged
+ * @module LocaleManager
+ */
+
+import { CONFIG, safeLocalStorageSet } from './config.js';
+import { I18n, SOURCE_LANGUAGE } from './I18n.js';
+
+const ATTRIBUTE_SEPARATOR = ';';
+
+export class LocaleManager {
+  constructor() {
+    this.select = null;
+    this.sources = new WeakMap();
+    this.changeHandler = (event) => this.setLocale(event.target.value);
+
+    this.init();
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log('LocaleManager initialisé :', I18n.getLocale());
+    }
+  }
+
+  init() {
+    this.select = document.getElementById(CONFIG.DOM_ELEMENTS.LOCALE_SELECT);
+    if (this.select) {
+      this.select.innerHTML = '';
+      I18n.languages().forEach(({ code, label }) => {
+        this.select.appendChild(new Option(label, code, false, code === I18n.getLanguage()));
+      });
+      this.select.addEventListener('change', this.changeHandler);
+    }
+
+    this.apply();
+  }
+
+  /**
+   * Change la langue de l'interface, l'enregistre et prévient les gestionnaires
+   * @param {string} language - Code (« fr », « en ») ou balise complète
+   * @returns {string} Balise retenue
+   */
+  setLocale(language) {
+    const locale = I18n.setLocale(language);
+    safeLocalStorageSet(CONFIG.STORAGE.LOCALE_KEY, locale);
+    this.apply();
+
+    document.dispatchEvent(new CustomEvent(CONFIG.EVENTS.LOCALE_CHANGED, {
+      detail: { locale, language: I18n.getLanguage(), timestamp: Date.now() }
+    }));
+    return locale;
+  }
+
+  /**
+   * Traduit le texte fixe de la page dans la langue courante
+   * @param {ParentNode} [root]
+   */
+  apply(root = document) {
+    document.documentElement.lang = I18n.getLanguage();
+    if (this.select) this.select.value = I18n.getLanguage();
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.translate(element, 'textContent', element.dataset.i18n, element.textContent);
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+      this.parseAttributes(element.dataset.i18nAttr).forEach(([attribute, key]) => {
+        element.setAttribute(attribute, this.translate(element, attribute, key, element.getAttribute(attribute) || ''));
+      });
+    });
+  }
+
+  /**
+   * Traduction d'un texte de la page ; le texte d'origine (français) est gardé pour revenir en arrière
+   * @private
+   */
+  translate(element, slot, key, current) {
+    const sources = this.sources.get(element) || {};
+    if (!(slot in sources)) {
+      sources[slot] = current.trim();
+      this.sources.set(element, sources);
+    }
+    return I18n.getLanguage() !== SOURCE_LANGUAGE && I18n.has(key) ? I18n.t(key) : sources[slot];
+  }
+
+  /**
+   * @private
+   */
+  parseAttributes(value) {
+    return value.split(ATTRIBUTE_SEPARATOR)
+      .map(pair => pair.split(':').map(part => part.trim()))
+      .filter(([attribute, key]) => attribute && key);
+  }
+
+  /**
+   * Clés de la page sans traduction dans une langue
+   * @param {string} language
+   * @returns {Array<string>}
+   */
+  getMissingKeys(language) {
+    const keys = new Set();
+    document.querySelectorAll('[data-i18n]').forEach(element => keys.add(element.dataset.i18n));
+    document.querySelectorAll('[data-i18n-attr]').forEach(element => {
+      this.parseAttributes(element.dataset.i18nAttr).forEach(([, key]) => keys.add(key));
+    });
+    return [...keys].filter(key => !I18n.has(key, language));
+  }
+
+  validate() {
+    const issues = [];
+    const warnings = [];
+    if (!this.select) warnings.push('Choix de langue introuvable');
+
+    I18n.languages()
+      .filter(({ code }) => code !== SOURCE_LANGUAGE)
+      .forEach(({ code }) => {
+        const missing = [...this.getMissingKeys(code), ...I18n.missingKeys(code)];
+        if (missing.length > 0) warnings.push(`${missing.length} clé(s) sans traduction (${code}) : ${missing.slice(0, 5).join(', ')}`);
+      });
+
+    return { isValid: issues.length === 0, issues, warnings };
+  }
+
+  getDebugInfo() {
+    return {
+      locale: I18n.getLocale(),
+      languages: I18n.languages().map(({ code }) => code),
+      validation: this.validate()
+    };
+  }
+
+  cleanup() {
+    if (this.select) this.select.removeEventListener('change', this.changeHandler);
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log('LocaleManager: Nettoyage effectué');
+    }
+  }
+}
+
+export default LocaleManager;
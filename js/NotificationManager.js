@@ -123,7 +123,7 @@ export class NotificationManager {
       const closeButton = document.createElement('button');
       closeButton.innerHTML = '&times;';
       closeButton.className = 'notification-close';
-      closeButton.setAttribute('aria-label', 'Fermer la notification');
+      closeButton.setAttribute('aria-label', CONFIG.MESSAGES.CLOSE_NOTIFICATION);
       closeButton.addEventListener('click', () => this.dismiss());
       notification.appendChild(closeButton);
     }
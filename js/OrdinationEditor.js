@@ -0,0 +1,318 @@
+/**
+ * Éditeur d'ordinations
+ * Range les mots de l'ordination affichée par glisser-déposer (ou flèches), change leurs groupes,
+ * puis enregistre le résultat comme ordination personnalisée (voir OrdinationManager)
+ * @module OrdinationEditor
+ */
+
+import { CONFIG } from './config.js';
+import { NotificationManager } from './NotificationManager.js';
+import { I18n } from './I18n.js';
+import { WordGroups } from './WordGroups.js';
+
+export class OrdinationEditor {
+  /**
+   * @param {OrdinationManager} ordinationManager - Fournit et enregistre les ordinations
+   */
+  constructor(ordinationManager) {
+    if (!ordinationManager) {
+      throw new Error('OrdinationEditor: OrdinationManager requis');
+    }
+
+    this.ordinationManager = ordinationManager;
+    this.draft = null;
+    this.dragIndex = null;
+    this.elements = {};
+    this.listHandlers = null;
+    this.ordinationChangedHandler = () => this.reload();
+    this.localeChangeHandler = () => this.renderWords();
+
+    this.init();
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log('OrdinationEditor initialisé');
+    }
+  }
+
+  init() {
+    const ids = CONFIG.DOM_ELEMENTS;
+    this.elements = {
+      name: document.getElementById(ids.ORDINATION_NAME_INPUT),
+      words: document.getElementById(ids.ORDINATION_WORDS),
+      saveButton: document.getElementById(ids.ORDINATION_SAVE_BTN),
+      deleteButton: document.getElementById(ids.ORDINATION_DELETE_BTN)
+    };
+
+    this.setupEventListeners();
+    this.reload();
+  }
+
+  /**
+   * Délégation sur la liste : les lignes sont recréées à chaque déplacement
+   * @private
+   */
+  setupEventListeners() {
+    const { name, words } = this.elements;
+
+    if (name) {
+      name.addEventListener('input', () => {
+        if (this.draft) this.draft.name = name.value;
+      });
+    }
+
+    document.addEventListener(CONFIG.EVENTS.ORDINATION_CHANGED, this.ordinationChangedHandler);
+    document.addEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.localeChangeHandler);
+
+    if (!words) return;
+
+    const rowIndex = (event) => {
+      const row = event.target.closest('[data-index]');
+      return row ? Number(row.dataset.index) : null;
+    };
+
+    const onClick = (event) => {
+      const button = event.target.closest('button[data-action]');
+      const index = rowIndex(event);
+      if (!button || index === null) return;
+
+      const target = button.dataset.action === 'up' ? index - 1 : index + 1;
+      this.moveWord(index, target);
+      words.querySelector(`[data-index="${target}"] button[data-action="${button.dataset.action}"]`)?.focus();
+    };
+
+    const onChange = (event) => {
+      const index = rowIndex(event);
+      if (index === null || event.target.dataset.field !== 'group' || !this.draft) return;
+
+      const word = this.draft.words[index];
+      word.group = Number(event.target.value);
+      WordGroups.decorate(event.target.closest('[data-index]'), this.draft.groups, word.group);
+    };
+
+    const onDragStart = (event) => {
+      const index = rowIndex(event);
+      if (index === null) return;
+
+      this.dragIndex = index;
+      event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData('text/plain', this.draft.words[index].value);
+      event.target.closest('[data-index]').classList.add('dragging');
+    };
+
+    const onDragOver = (event) => {
+      if (this.dragIndex === null) return;
+
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'move';
+      words.querySelectorAll('.drag-over').forEach(row => row.classList.remove('drag-over'));
+      event.target.closest('[data-index]')?.classList.add('drag-over');
+    };
+
+    const onDrop = (event) => {
+      const target = rowIndex(event);
+      if (this.dragIndex === null || target === null) return;
+
+      event.preventDefault();
+      this.moveWord(this.dragIndex, target);
+    };
+
+    const onDragEnd = () => {
+      this.dragIndex = null;
+      words.querySelectorAll('.dragging, .drag-over').forEach(row => row.classList.remove('dragging', 'drag-over'));
+    };
+
+    words.addEventListener('click', onClick);
+    words.addEventListener('change', onChange);
+    words.addEventListener('dragstart', onDragStart);
+    words.addEventListener('dragover', onDragOver);
+    words.addEventListener('drop', onDrop);
+    words.addEventListener('dragend', onDragEnd);
+    this.listHandlers = { onClick, onChange, onDragStart, onDragOver, onDrop, onDragEnd };
+  }
+
+  /**
+   * Brouillon de l'ordination affichée ; celles du lexique se retravaillent sous un nouveau nom
+   * @private
+   */
+  reload() {
+    const ordination = this.ordinationManager.getOrdination();
+    if (!ordination) return;
+
+    this.draft = { ...ordination, name: ordination.custom ? ordination.name : '', groups: this.ordinationManager.getGroups() };
+    this.render();
+  }
+
+  /**
+   * Déplace un mot du brouillon
+   * @param {number} from - Position actuelle
+   * @param {number} to - Nouvelle position
+   */
+  moveWord(from, to) {
+    if (!this.draft || from === to || to < 0 || to >= this.draft.words.length) return;
+
+    const [word] = this.draft.words.splice(from, 1);
+    this.draft.words.splice(to, 0, word);
+    this.renderWords();
+  }
+
+  /**
+   * Enregistre le brouillon comme nouvelle ordination personnalisée et l'affiche
+   * @returns {boolean}
+   */
+  saveAsNew() {
+    return this.save(null);
+  }
+
+  /**
+   * Remplace l'ordination personnalisée affichée par le brouillon
+   * @returns {boolean}
+   */
+  saveCurrent() {
+    if (!this.draft || !this.draft.custom) {
+      NotificationManager.warning(CONFIG.MESSAGES.ORDINATION_READ_ONLY);
+      return false;
+    }
+    return this.save(this.draft.key);
+  }
+
+  /**
+   * @private
+   */
+  save(key) {
+    if (!this.draft) return false;
+
+    const words = this.draft.words.map(({ value, text, group }) => ({ text: value, group, display: text }));
+    const result = this.ordinationManager.setCustomOrdination(this.draft.name, words, key);
+
+    if (!result.isValid) {
+      NotificationManager.error(CONFIG.MESSAGES.ORDINATION_INVALID.replace('{reasons}', result.errors.join(' ; ')));
+      return false;
+    }
+
+    NotificationManager.success(CONFIG.MESSAGES.ORDINATION_SAVED.replace('{name}', this.draft.name.trim()));
+    return true;
+  }
+
+  /**
+   * Supprime l'ordination personnalisée affichée après confirmation
+   * @returns {boolean}
+   */
+  deleteCurrent() {
+    if (!this.draft || !this.draft.custom) {
+      NotificationManager.warning(CONFIG.MESSAGES.ORDINATION_READ_ONLY);
+      return false;
+    }
+
+    const { key, name } = this.draft;
+    if (!confirm(CONFIG.MESSAGES.ORDINATION_DELETE_CONFIRM.replace('{name}', name))) return false;
+
+    this.ordinationManager.deleteCustomOrdination(key);
+    NotificationManager.success(CONFIG.MESSAGES.ORDINATION_DELETED.replace('{name}', name));
+    return true;
+  }
+
+  render() {
+    const { name, saveButton, deleteButton } = this.elements;
+    const custom = !!this.draft?.custom;
+
+    if (name) {
+      name.value = this.draft ? this.draft.name : '';
+    }
+    [saveButton, deleteButton].forEach(button => {
+      if (button) button.disabled = !custom;
+    });
+
+    this.renderWords();
+  }
+
+  /**
+   * @private
+   */
+  renderWords() {
+    const list = this.elements.words;
+    if (!list || !this.draft) return;
+
+    const words = this.draft.words;
+    list.innerHTML = '';
+    list.setAttribute('aria-label', I18n.t('ORDINATION.EDITOR_LABEL', { count: words.length }));
+    words.forEach((word, index) => list.appendChild(this.createRow(word, index, words.length)));
+  }
+
+  /**
+   * @private
+   */
+  createRow(word, index, total) {
+    const row = document.createElement('li');
+    row.className = 'lexicon-word ordination-word';
+    row.dataset.index = String(index);
+    WordGroups.decorate(row, this.draft.groups, word.group);
+    row.draggable = true;
+
+    const text = document.createElement('span');
+    text.className = 'ordination-word-text';
+    text.textContent = word.text;
+    text.lang = this.ordinationManager.getLanguage();
+
+    const group = document.createElement('select');
+    group.dataset.field = 'group';
+    group.setAttribute('aria-label', I18n.t('ORDINATION.WORD_GROUP_LABEL', { word: word.text }));
+    this.draft.groups.forEach(({ id, name }) => {
+      group.appendChild(new Option(name, String(id), false, word.group === id));
+    });
+
+    const actions = [
+      ['up', '↑', I18n.t('ORDINATION.MOVE_UP_LABEL', { word: word.text }), index === 0],
+      ['down', '↓', I18n.t('ORDINATION.MOVE_DOWN_LABEL', { word: word.text }), index === total - 1]
+    ].map(([action, label, ariaLabel, disabled]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.action = action;
+      button.textContent = label;
+      button.disabled = disabled;
+      button.setAttribute('aria-label', ariaLabel);
+      return button;
+    });
+
+    row.append(text, group, ...actions);
+    return row;
+  }
+
+  validate() {
+    const issues = [];
+    if (!this.elements.words) issues.push('Éditeur d\'ordination introuvable');
+    if (!this.elements.name) issues.push('Champ du nom d\'ordination introuvable');
+
+    return { isValid: issues.length === 0, issues };
+  }
+
+  getDebugInfo() {
+    return {
+      draft: this.draft ? { key: this.draft.key, custom: this.draft.custom, words: this.draft.words.length } : null,
+      dragging: this.dragIndex !== null,
+      validation: this.validate()
+    };
+  }
+
+  cleanup() {
+    document.removeEventListener(CONFIG.EVENTS.ORDINATION_CHANGED, this.ordinationChangedHandler);
+    document.removeEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.localeChangeHandler);
+
+    const list = this.elements.words;
+    if (list && this.listHandlers) {
+      const { onClick, onChange, onDragStart, onDragOver, onDrop, onDragEnd } = this.listHandlers;
+      list.removeEventListener('click', onClick);
+      list.removeEventListener('change', onChange);
+      list.removeEventListener('dragstart', onDragStart);
+      list.removeEventListener('dragover', onDragOver);
+      list.removeEventListener('drop', onDrop);
+      list.removeEventListener('dragend', onDragEnd);
+    }
+    this.listHandlers = null;
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log('OrdinationEditor: Nettoyage effectué');
+    }
+  }
+}
+
+export default OrdinationEditor;
@@ -1,11 +1,40 @@
 /**
  * Gestionnaire d'ordination des mots
- * Gère la permutation entre différents arrangements des mots
+ * Gère le choix entre les arrangements des mots : ceux du lexique et ceux créés par l'utilisateur
+ * Ordination courante et ordinations personnalisées sont enregistrées sous CONFIG.STORAGE.ORDINATION_KEY
  * @module OrdinationManager
  */
 
 import { CONFIG, safeLocalStorageGet, safeLocalStorageSet } from './config.js';
 import { NotificationManager } from './NotificationManager.js';
+import { I18n } from './I18n.js';
+import { ORDINATIONS, WORD_GRAMMAR } from './Lexicon.js';
+import { LexiconStore, DEFAULT_LEXICON_LANGUAGE } from './LexiconStore.js';
+import { WordGroups } from './WordGroups.js';
+
+const DEFAULT_ORDINATION = 'original';
+
+/**
+ * Lit l'état enregistré ; l'ancien format ne contenait que la clé de l'ordination courante
+ * @returns {{current: string, custom: Array<Object>}}
+ */
+const loadOrdinationState = () => {
+  const saved = safeLocalStorageGet(CONFIG.STORAGE.ORDINATION_KEY, null);
+  
+  if (typeof saved === 'string') {
+    return { current: saved, custom: [] };
+  }
+  if (!saved || typeof saved !== 'object') {
+    return { current: DEFAULT_ORDINATION, custom: [] };
+  }
+  
+  const custom = Array.isArray(saved.custom) ? saved.custom.filter(ordination =>
+    ordination && typeof ordination.id === 'string' && typeof ordination.lexiconId === 'string' &&
+    typeof ordination.name === 'string' && Array.isArray(ordination.words)
+  ) : [];
+  
+  return { current: typeof saved.current === 'string' ? saved.current : DEFAULT_ORDINATION, custom };
+};
 
 /**
  * Classe pour gérer les différentes ordinations des mots
@@ -15,70 +44,28 @@ export class OrdinationManager {
   /**
    * Initialise le gestionnaire d'ordination
    * @param {AudioManager} audioManager - Instance du gestionnaire audio
+   * @param {LexiconManager} lexiconManager - Fournit le lexique actif
    */
-  constructor(audioManager) {
+  constructor(audioManager, lexiconManager) {
     if (!audioManager) {
       throw new Error('OrdinationManager: AudioManager requis');
     }
+    if (!lexiconManager) {
+      throw new Error('OrdinationManager: LexiconManager requis');
+    }
     
     this.audioManager = audioManager;
-    this.currentOrdination = 'original';
+    this.lexiconManager = lexiconManager;
+    this.currentOrdination = DEFAULT_ORDINATION;
     this.wordListElement = null;
-    this.toggleButton = null;
-    
-    // Définition des deux ordinations
-    this.ordinations = {
-      original: {
-        name: 'Ordination Originale',
-        words: [
-          { text: "Je", group: 1 },
-          { text: "suis", group: 1 },
-          { text: "rêveur", group: 2 },
-          { text: "professionnel", group: 1 },
-          { text: "dans", group: 1 },
-          { text: "mon", group: 2 },
-          { text: "métier", group: 2 },
-          { text: "exceptionnel", group: 2 },
-          { text: "l'erreur", group: 1 },
-          { text: "en", group: 1 },
-          { text: "tout", group: 1 },
-          { text: "genre", group: 1 },
-          { text: "est", group: 2 },
-          { text: "proscrite", group: 1 },
-          { text: "la", group: 1 },
-          { text: "souveraine", group: 1 },
-          { text: "intelligence", group: 1 },
-          { text: "pour", group: 2 },
-          { text: "moi-même", group: 2 },
-          { text: "grandissant", group: 2 }
-        ]
-      },
-      alternative: {
-        name: 'Ordination Alternative',
-        words: [
-          { text: "Je", group: 1 },
-          { text: "suis", group: 1 },
-          { text: "professionnel", group: 1 },
-          { text: "dans", group: 1 },
-          { text: "l'erreur", group: 1 },
-          { text: "en", group: 1 },
-          { text: "tout", group: 1 },
-          { text: "genre", group: 1 },
-          { text: "proscrite", group: 1 },
-          { text: "la", group: 1 },
-          { text: "souveraine", group: 1 },
-          { text: "intelligence", group: 1 },
-          { text: "Rêveur", group: 2, dataWord: "rêveur" },
-          { text: "mon", group: 2 },
-          { text: "métier", group: 2 },
-          { text: "exceptionnel", group: 2 },
-          { text: "est", group: 2 },
-          { text: "pour", group: 2 },
-          { text: "moi-même", group: 2 },
-          { text: "grandissant", group: 2 }
-        ]
-      }
-    };
+    this.selector = null;
+    this.changeHandler = null;
+    this.localeChangeHandler = () => this.onLocaleChanged();
+    
+    this.lexicon = lexiconManager.getActiveLexicon();
+    this.customOrdinations = loadOrdinationState().custom;
+    this.pruneOrphanOrdinations();
+    this.ordinations = this.buildOrdinations(this.lexicon);
     
     this.init();
     
@@ -93,7 +80,7 @@ export class OrdinationManager {
    */
   init() {
     this.setupDOMReferences();
-    this.createToggleButton();
+    this.createSelector();
     this.setupEventListeners();
     this.loadSavedOrdination();
   }
@@ -116,27 +103,30 @@ export class OrdinationManager {
   }
   
   /**
-   * Crée le bouton de basculement
+   * Crée la liste de choix des ordinations
    * @private
    */
-  createToggleButton() {
+  createSelector() {
     const controlsTop = document.querySelector('.controls-top');
     if (!controlsTop) {
       console.error('OrdinationManager: Conteneur de contrôles non trouvé');
       return;
     }
     
-    this.toggleButton = document.createElement('button');
-    this.toggleButton.id = 'toggleOrdination';
-    this.toggleButton.className = 'secondary';
-    this.toggleButton.innerHTML = '🔄 Permuter l\'ordre';
-    this.toggleButton.setAttribute('aria-label', 'Permuter entre les deux ordinations des mots');
-    this.toggleButton.setAttribute('title', 'Changer l\'arrangement des mots');
+    const label = document.createElement('label');
+    label.className = 'sr-only';
+    label.htmlFor = CONFIG.DOM_ELEMENTS.ORDINATION_SELECT;
+    label.textContent = I18n.t('ORDINATION.SELECT_LABEL');
+    
+    this.selector = document.createElement('select');
+    this.selector.id = CONFIG.DOM_ELEMENTS.ORDINATION_SELECT;
+    this.selector.className = 'ordination-select';
+    this.selector.setAttribute('title', I18n.t('ORDINATION.SELECT_TITLE'));
     
-    controlsTop.appendChild(this.toggleButton);
+    controlsTop.append(label, this.selector);
     
     if (CONFIG.DEBUG.ENABLED) {
-      console.log('OrdinationManager: Bouton de basculement créé');
+      console.log('OrdinationManager: Liste des ordinations créée');
     }
   }
   
@@ -145,12 +135,11 @@ export class OrdinationManager {
    * @private
    */
   setupEventListeners() {
-    if (this.toggleButton) {
-      this.toggleButton.addEventListener('click', (e) => {
-        e.preventDefault();
-        this.toggleOrdination();
-      });
+    if (this.selector) {
+      this.changeHandler = () => this.selectOrdination(this.selector.value);
+      this.selector.addEventListener('change', this.changeHandler);
     }
+    document.addEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.localeChangeHandler);
   }
   
   /**
@@ -158,15 +147,16 @@ export class OrdinationManager {
    * @private
    */
   loadSavedOrdination() {
-  const saved = safeLocalStorageGet(CONFIG.STORAGE.ORDINATION_KEY, 'original');
+  const saved = loadOrdinationState().current;
   
-  if (['original', 'alternative'].includes(saved)) {
+  if (this.ordinations[saved]) {
     this.currentOrdination = saved;
   } else {
-    this.currentOrdination = 'original';
+    this.currentOrdination = DEFAULT_ORDINATION;
   }
   
   this.applyOrdination(this.currentOrdination, false);
+  this.renderSelector();
   
   if (CONFIG.DEBUG.ENABLED) {
     console.log('OrdinationManager: Ordination chargée:', this.currentOrdination);
@@ -174,13 +164,13 @@ export class OrdinationManager {
 }
   
   /**
-   * Sauvegarde l'ordination courante
+   * Sauvegarde l'ordination courante et les ordinations personnalisées
    * @private
    */
   saveOrdination() {
     const success = safeLocalStorageSet(
     CONFIG.STORAGE.ORDINATION_KEY, 
-    this.currentOrdination
+    { current: this.currentOrdination, custom: this.customOrdinations }
   );
   
   if (CONFIG.DEBUG.ENABLED) {
@@ -193,31 +183,37 @@ export class OrdinationManager {
 }
   
   /**
-   * Bascule entre les ordinations
+   * Affiche une autre ordination du lexique actif
+   * @param {string} key - Clé de l'ordination (voir getAllOrdinations)
+   * @returns {boolean}
    */
-  toggleOrdination() {
-    const newOrdination = this.currentOrdination === 'original' ? 'alternative' : 'original';
+  selectOrdination(key) {
+    if (!this.ordinations[key]) {
+      console.error('OrdinationManager: Ordination inconnue:', key);
+      return false;
+    }
+    if (key === this.currentOrdination) return true;
     
     if (CONFIG.DEBUG.ENABLED) {
-      console.log('OrdinationManager: Basculement demandé vers:', newOrdination);
+      console.log('OrdinationManager: Changement demandé vers:', key);
     }
     
     this.addTransitionEffect();
     
     setTimeout(() => {
-      this.applyOrdination(newOrdination, true);
-      this.currentOrdination = newOrdination;
+      this.currentOrdination = key;
+      this.applyOrdination(key, true);
       this.saveOrdination();
-      this.updateButtonDisplay();
+      this.updateSelectorDisplay();
       this.playToggleSound();
       
-      const ordinationName = this.ordinations[newOrdination].name;
-      NotificationManager.show(`Basculé vers : ${ordinationName}`);
+      NotificationManager.show(I18n.t('ORDINATION.SWITCHED', { name: this.ordinations[key].name }));
       
       if (CONFIG.DEBUG.ENABLED) {
-        console.log('OrdinationManager: Basculement effectué vers:', newOrdination);
+        console.log('OrdinationManager: Changement effectué vers:', key);
       }
     }, 150);
+    return true;
   }
   
   /**
@@ -253,17 +249,38 @@ export class OrdinationManager {
    * @private
    */
   generateWordsHTML(words) {
+    const groups = this.getGroups();
+    const language = this.getLanguage();
     const wordsSpans = words.map(word => {
-      const groupClass = `word-group-${word.group}`;
+      const groupAttributes = WordGroups.attributes(groups, word.group);
       // Utiliser dataWord s'il existe, sinon utiliser text
       const dataWordValue = word.dataWord || word.text;
-      return `<span class="${groupClass}" data-word="${dataWordValue}" role="checkbox" aria-checked="true" tabindex="0" aria-label="Mot : ${word.text}">${word.text}</span>`;
+      const ariaLabel = I18n.t('ORDINATION.WORD_LABEL', { word: word.text });
+      return `<span class="word-group" ${groupAttributes} data-word="${dataWordValue}" lang="${language}" role="checkbox" aria-checked="true" tabindex="0" aria-label="${ariaLabel}">${word.text}</span>`;
     }).join('\n          ');
     
-    return `<span class="word-list-label">Mots disponibles :</span>
+    return `<span class="word-list-label">${I18n.t('ORDINATION.AVAILABLE_WORDS')}</span>
           ${wordsSpans}`;
   }
   
+  /**
+   * Retraduit la liste de choix et les libellés de la liste de mots, sans toucher à la sélection
+   * @private
+   */
+  onLocaleChanged() {
+    const label = this.selector?.parentNode?.querySelector(`label[for="${this.selector.id}"]`);
+    if (label) label.textContent = I18n.t('ORDINATION.SELECT_LABEL');
+    this.renderSelector();
+    this.selector?.setAttribute('title', I18n.t('ORDINATION.CURRENT', { name: this.ordinations[this.currentOrdination].name }));
+    
+    if (!this.wordListElement) return;
+    const listLabel = this.wordListElement.querySelector('.word-list-label');
+    if (listLabel) listLabel.textContent = I18n.t('ORDINATION.AVAILABLE_WORDS');
+    this.wordListElement.querySelectorAll('.word-group').forEach(span => {
+      span.setAttribute('aria-label', I18n.t('ORDINATION.WORD_LABEL', { word: span.textContent }));
+    });
+  }
+  
   /**
    * Met à jour le contenu de la liste de mots
    * @param {string} htmlContent - Nouveau contenu HTML
@@ -290,22 +307,46 @@ export class OrdinationManager {
   }
   
   /**
-   * Met à jour l'affichage du bouton
+   * Remplit la liste de choix : ordinations du lexique, puis celles de l'utilisateur
+   * Elle reste masquée tant que le lexique n'a qu'une ordination
    * @private
    */
-  updateButtonDisplay() {
-    if (!this.toggleButton) return;
+  renderSelector() {
+    if (!this.selector) return;
+    
+    this.selector.innerHTML = '';
+    const entries = Object.entries(this.ordinations);
+    const custom = entries.filter(([, ordination]) => ordination.custom);
     
-    const ordinationName = this.ordinations[this.currentOrdination].name;
-    const nextOrdination = this.currentOrdination === 'original' ? 'alternative' : 'original';
-    const nextName = this.ordinations[nextOrdination].name;
+    entries.filter(([, ordination]) => !ordination.custom).forEach(([key, ordination]) => {
+      this.selector.appendChild(new Option(ordination.name, key, false, key === this.currentOrdination));
+    });
+    
+    if (custom.length > 0) {
+      const group = document.createElement('optgroup');
+      group.label = I18n.t('ORDINATION.CUSTOM_GROUP');
+      custom.forEach(([key, ordination]) => {
+        group.appendChild(new Option(ordination.name, key, false, key === this.currentOrdination));
+      });
+      this.selector.appendChild(group);
+    }
+    
+    this.selector.value = this.currentOrdination;
+    this.selector.hidden = entries.length < 2;
+  }
+  
+  /**
+   * @private
+   */
+  updateSelectorDisplay() {
+    if (!this.selector) return;
     
-    this.toggleButton.innerHTML = `🔄 Vers ${nextName.replace('Ordination ', '')}`;
-    this.toggleButton.setAttribute('title', `Actuellement: ${ordinationName}. Cliquer pour passer à : ${nextName}`);
+    this.selector.value = this.currentOrdination;
+    this.selector.setAttribute('title', I18n.t('ORDINATION.CURRENT', { name: this.ordinations[this.currentOrdination].name }));
     
-    this.toggleButton.classList.add('ordination-changed');
+    this.selector.classList.add('ordination-changed');
     setTimeout(() => {
-      this.toggleButton.classList.remove('ordination-changed');
+      this.selector.classList.remove('ordination-changed');
     }, 500);
   }
   
@@ -361,6 +402,185 @@ export class OrdinationManager {
     return this.ordinations[this.currentOrdination].words.map(word => word.text);
   }
   
+  /**
+   * Ordinations d'un lexique : les deux du livre pour le lexique original,
+   * pour un lexique de l'utilisateur l'ordre choisi dans l'éditeur, ou celui de ses propres ordinations (fichier importé),
+   * puis les ordinations personnalisées créées pour ce lexique
+   * @param {Object} lexicon - Lexique { id, builtIn, name, words, ordinations? }
+   * @returns {Object} Ordinations annotées
+   * @private
+   */
+  buildOrdinations(lexicon) {
+    return { ...this.buildLexiconOrdinations(lexicon), ...this.buildCustomOrdinations(lexicon) };
+  }
+  
+  /**
+   * @private
+   */
+  buildLexiconOrdinations(lexicon) {
+    if (!lexicon.builtIn) {
+      const ordinations = lexicon.ordinations || [];
+      if (ordinations.length === 0) {
+        return { original: { name: lexicon.name, words: lexicon.words.map(word => this.withGrammar(word)) } };
+      }
+      
+      const byText = new Map(lexicon.words.map(word => [word.text, word]));
+      return Object.fromEntries(ordinations.slice(0, 2).map((ordination, index) => [
+        index === 0 ? 'original' : 'alternative',
+        { name: ordination.name, words: ordination.order.map(text => this.withGrammar(byText.get(text))) }
+      ]));
+    }
+    
+    return Object.fromEntries(Object.entries(ORDINATIONS).map(([key, ordination]) => [
+      key,
+      { name: ordination.name, words: ordination.words.map(word => this.withGrammar(word)) }
+    ]));
+  }
+  
+  /**
+   * Ordinations personnalisées du lexique ; celles qui ne rangent plus exactement ses mots sont oubliées
+   * @private
+   */
+  buildCustomOrdinations(lexicon) {
+    const byValue = new Map(this.getReferenceWords(lexicon).map(word => [word.dataWord || word.text, word]));
+    const ordinations = {};
+    
+    this.customOrdinations = this.customOrdinations.filter(custom => {
+      if (custom.lexiconId !== lexicon.id) return true;
+      
+      if (!this.validateCustomOrdination(custom.name, custom.words, lexicon).isValid) {
+        console.warn('OrdinationManager: Ordination personnalisée oubliée (mots du lexique modifiés):', custom.name);
+        return false;
+      }
+      
+      ordinations[custom.id] = {
+        name: custom.name,
+        custom: true,
+        words: custom.words.map(({ text, group, display }) => this.withGrammar(
+          typeof display === 'string' && display ? { ...byValue.get(text), text: display, dataWord: text, group } : { ...byValue.get(text), group }
+        ))
+      };
+      return true;
+    });
+    
+    return ordinations;
+  }
+  
+  /**
+   * Mots du lexique dans leur ordre de référence, avec leur valeur data-word
+   * @private
+   */
+  getReferenceWords(lexicon) {
+    return lexicon.builtIn ? ORDINATIONS.original.words : lexicon.words;
+  }
+  
+  /**
+   * Vérifie une ordination personnalisée : nom libre, chaque mot du lexique une fois, groupes connus
+   * @param {string} name
+   * @param {Array<{text: string, group: number}>} words - text : valeur data-word
+   * @param {Object} [lexicon] - Lexique actif par défaut
+   * @returns {{errors: Array<string>, warnings: Array<string>, isValid: boolean}}
+   */
+  validateCustomOrdination(name, words, lexicon = this.lexicon) {
+    const errors = [];
+    const warnings = [];
+    
+    if (!Array.isArray(words)) {
+      errors.push(I18n.t('VALIDATION.WORDS_UNREADABLE'));
+      return { errors, warnings, isValid: false };
+    }
+    
+    const referenceWords = this.getReferenceWords(lexicon).map(word => ({ text: word.dataWord || word.text }));
+    LexiconStore.validateOrdination({ name, order: words.map(word => word && word.text) }, referenceWords)
+      .forEach(error => errors.push(error.message));
+    
+    const groupIds = WordGroups.ids(lexicon.groups || WordGroups.defaults());
+    words.filter(word => word && !groupIds.includes(word.group)).forEach(word => {
+      errors.push(I18n.t('VALIDATION.WORD_GROUP_UNKNOWN', { text: word.text }));
+    });
+    
+    return { errors, warnings, isValid: errors.length === 0 };
+  }
+  
+  /**
+   * Affiche les mots d'un autre lexique
+   * L'ordination enregistrée est conservée pour le retour au lexique qui la propose
+   * @param {Object} lexicon - Lexique activé
+   */
+  setLexicon(lexicon) {
+    this.lexicon = lexicon;
+    this.pruneOrphanOrdinations();
+    this.ordinations = this.buildOrdinations(lexicon);
+    
+    const saved = loadOrdinationState().current;
+    this.currentOrdination = this.ordinations[saved] ? saved : DEFAULT_ORDINATION;
+    
+    this.applyOrdination(this.currentOrdination, false);
+    this.renderSelector();
+  }
+  
+  /**
+   * Oublie les ordinations personnalisées des lexiques supprimés (à la prochaine sauvegarde)
+   * @private
+   */
+  pruneOrphanOrdinations() {
+    this.customOrdinations = this.customOrdinations.filter(custom => this.lexiconManager.hasLexicon(custom.lexiconId));
+  }
+  
+  /**
+   * Complète un mot avec ses métadonnées grammaticales
+   * @param {Object} word - Mot { text, group, dataWord?, grammar? }
+   * @returns {Object} Mot annoté
+   * @private
+   */
+  withGrammar(word) {
+    const known = this.getLanguage() === DEFAULT_LEXICON_LANGUAGE ? WORD_GRAMMAR[word.dataWord || word.text] : null;
+    const grammar = word.grammar || known;
+    return grammar ? { ...grammar, ...word } : { ...word };
+  }
+  
+  /**
+   * Retourne les métadonnées grammaticales d'un mot
+   * @param {string} word - Valeur data-word du mot
+   * @returns {Object|null} { pos, gender, number, person, determined } ou null si inconnu
+   */
+  getWordMetadata(word) {
+    const entry = this.ordinations[this.currentOrdination].words
+      .find(candidate => (candidate.dataWord || candidate.text) === word);
+    
+    if (!entry || !entry.pos) return null;
+    
+    const { pos, gender = null, number = null, person = null, determined = false } = entry;
+    return { pos, gender, number, person, determined };
+  }
+  
+  /**
+   * Langue du lexique actif (« fr » pour le poème original)
+   * @returns {string}
+   */
+  getLanguage() {
+    return this.lexicon.language || DEFAULT_LEXICON_LANGUAGE;
+  }
+  
+  /**
+   * Groupes stylistiques du lexique actif
+   * @returns {Array<{id: number, name: string, color: string}>}
+   */
+  getGroups() {
+    return WordGroups.copy(this.lexicon.groups || WordGroups.defaults());
+  }
+  
+  /**
+   * Groupe d'un mot dans l'ordination courante (une ordination personnalisée peut changer les groupes)
+   * @param {string} word - Valeur data-word du mot
+   * @returns {number|null}
+   */
+  getWordGroup(word) {
+    const entry = this.ordinations[this.currentOrdination].words
+      .find(candidate => (candidate.dataWord || candidate.text) === word);
+    return entry ? entry.group : null;
+  }
+  
   /**
    * Retourne toutes les ordinations disponibles
    * @returns {Object} Toutes les ordinations
@@ -370,24 +590,98 @@ export class OrdinationManager {
   }
   
   /**
-   * Définit une nouvelle ordination personnalisée
+   * Retourne une ordination sous une forme modifiable
+   * @param {string} [key] - Ordination courante par défaut
+   * @returns {{key: string, name: string, custom: boolean, words: Array<{value: string, text: string, group: number}>}|null}
+   */
+  getOrdination(key = this.currentOrdination) {
+    const ordination = this.ordinations[key];
+    if (!ordination) return null;
+    
+    return {
+      key,
+      name: ordination.name,
+      custom: !!ordination.custom,
+      words: ordination.words.map(word => ({ value: word.dataWord || word.text, text: word.text, group: word.group }))
+    };
+  }
+  
+  /**
+   * Enregistre une ordination personnalisée du lexique actif et l'affiche
    * @param {string} name - Nom de l'ordination
-   * @param {Array} words - Liste des mots
+   * @param {Array<{text: string, group: number, display?: string}>} words - Mots dans le nouvel ordre
+   *   (text : valeur data-word ; display : affichage, gardé s'il diffère de celui du lexique, comme « Rêveur »)
+   * @param {string|null} [key] - Ordination personnalisée à remplacer ; une nouvelle est créée sinon
+   * @returns {{errors: Array<string>, warnings: Array<string>, isValid: boolean, key: string|null}}
    */
-  setCustomOrdination(name, words) {
-    if (!name || !Array.isArray(words)) {
-      console.error('OrdinationManager: Paramètres invalides pour l\'ordination personnalisée');
-      return;
+  setCustomOrdination(name, words, key = null) {
+    const existing = key ? this.customOrdinations.find(custom => custom.id === key && custom.lexiconId === this.lexicon.id) : null;
+    if (key && !existing) {
+      return { errors: [I18n.t('ORDINATION.NOT_EDITABLE')], warnings: [], isValid: false, key: null };
+    }
+    
+    const validation = this.validateCustomOrdination(name, words);
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    const taken = Object.entries(this.ordinations)
+      .some(([other, ordination]) => other !== key && ordination.name.toLowerCase() === trimmedName.toLowerCase());
+    if (trimmedName && taken) {
+      validation.errors.push(I18n.t('ORDINATION.NAME_TAKEN', { name: trimmedName }));
+      validation.isValid = false;
+    }
+    if (!validation.isValid) return { ...validation, key: null };
+    
+    if (!existing && this.customOrdinations.length >= CONFIG.LIMITS.MAX_CUSTOM_ORDINATIONS) {
+      const error = I18n.t('ORDINATION.LIMIT', { max: CONFIG.LIMITS.MAX_CUSTOM_ORDINATIONS });
+      return { errors: [error], warnings: validation.warnings, isValid: false, key: null };
     }
     
-    this.ordinations[name] = {
-      name: name,
-      words: words
+    const byValue = new Map(this.getReferenceWords(this.lexicon).map(word => [word.dataWord || word.text, word]));
+    const record = {
+      id: existing ? existing.id : `ordination_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      lexiconId: this.lexicon.id,
+      name: name.trim(),
+      words: words.map(({ text, group, display }) => {
+        const value = text.trim();
+        const shown = typeof display === 'string' ? display.trim() : '';
+        return shown && shown !== byValue.get(value).text ? { text: value, group, display: shown } : { text: value, group };
+      })
     };
     
+    this.customOrdinations = existing
+      ? this.customOrdinations.map(custom => (custom === existing ? record : custom))
+      : [...this.customOrdinations, record];
+    
+    this.ordinations = this.buildOrdinations(this.lexicon);
+    this.currentOrdination = record.id;
+    this.applyOrdination(record.id, false);
+    this.saveOrdination();
+    this.renderSelector();
+    
     if (CONFIG.DEBUG.ENABLED) {
-      console.log('OrdinationManager: Ordination personnalisée ajoutée:', name);
+      console.log('OrdinationManager: Ordination personnalisée enregistrée:', record.name);
+    }
+    
+    return { ...validation, key: record.id };
+  }
+  
+  /**
+   * Supprime une ordination personnalisée ; l'ordination originale reprend la main si elle était affichée
+   * @param {string} key
+   * @returns {boolean}
+   */
+  deleteCustomOrdination(key) {
+    const before = this.customOrdinations.length;
+    this.customOrdinations = this.customOrdinations.filter(custom => custom.id !== key);
+    if (this.customOrdinations.length === before) return false;
+    
+    this.ordinations = this.buildOrdinations(this.lexicon);
+    if (!this.ordinations[this.currentOrdination]) {
+      this.currentOrdination = DEFAULT_ORDINATION;
     }
+    this.applyOrdination(this.currentOrdination, false);
+    this.saveOrdination();
+    this.renderSelector();
+    return true;
   }
   
   /**
@@ -402,8 +696,8 @@ export class OrdinationManager {
       issues.push('Liste de mots manquante');
     }
     
-    if (!this.toggleButton) {
-      issues.push('Bouton de basculement manquant');
+    if (!this.selector) {
+      issues.push('Liste des ordinations manquante');
     }
     
     Object.entries(this.ordinations).forEach(([key, ordination]) => {
@@ -432,11 +726,13 @@ export class OrdinationManager {
   getDebugInfo() {
     return {
       currentOrdination: this.currentOrdination,
+      language: this.getLanguage(),
       ordinationsAvailable: Object.keys(this.ordinations),
+      customOrdinations: this.customOrdinations.length,
       currentWords: this.getCurrentWords(),
       elements: {
         wordListElement: !!this.wordListElement,
-        toggleButton: !!this.toggleButton,
+        selector: !!this.selector,
         audioManager: !!this.audioManager
       },
       validation: this.validate()
@@ -447,16 +743,19 @@ export class OrdinationManager {
    * Nettoie les ressources
    */
   cleanup() {
-    if (this.toggleButton) {
-      this.toggleButton.removeEventListener('click', () => {});
+    if (this.selector && this.changeHandler) {
+      this.selector.removeEventListener('change', this.changeHandler);
     }
+    document.removeEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.localeChangeHandler);
     
-    if (this.toggleButton && this.toggleButton.parentNode) {
-      this.toggleButton.parentNode.removeChild(this.toggleButton);
+    if (this.selector && this.selector.parentNode) {
+      this.selector.parentNode.querySelector(`label[for="${this.selector.id}"]`)?.remove();
+      this.selector.parentNode.removeChild(this.selector);
     }
     
     this.wordListElement = null;
-    this.toggleButton = null;
+    this.selector = null;
+    this.changeHandler = null;
     
     if (CONFIG.DEBUG.ENABLED) {
       console.log('OrdinationManager: Nettoyage effectué');
@@ -0,0 +1,576 @@
+/**
+ * Cœur de la génération, sans DOM : réservoir de mots, tirage, mise en forme, contraintes, groupes et formes métriques
+ * Les réglages arrivent en objet simple ; les gestionnaires du navigateur lisent la page puis délèguent ici,
+ * ce qui permet d'utiliser le même algorithme depuis Node ou un Web Worker
+ * @module PoemEngine
+ */
+
+import { CONFIG } from './config.js';
+import { SeededRandom } from './SeededRandom.js';
+import { Combinatorics } from './Combinatorics.js';
+import { FrenchFormatter, FORMAT_MODES } from './FrenchFormatter.js';
+import { FrenchGrammar, PARTS_OF_SPEECH as POS } from './FrenchGrammar.js';
+import { WORD_GRAMMAR, WORD_GROUP, GROUPS } from './Lexicon.js';
+import { PreferenceModel } from './PreferenceModel.js';
+import { DEFAULT_LEXICON_LANGUAGE } from './LexiconStore.js';
+import { I18n } from './I18n.js';
+import { GenerationConstraints } from './GenerationConstraints.js';
+import { GroupPattern } from './GroupPattern.js';
+import { SyllableCounter, METRIC_FORMS, METRIC_PATTERNS } from './SyllableCounter.js';
+
+export const GENERATION_MODES = Object.freeze({
+  RANDOM: 'random',
+  GRAMMAR: 'grammar',
+  LEARNED: 'learned'
+});
+
+/**
+ * Réglages par défaut, ceux de la page au chargement
+ */
+export const DEFAULT_SETTINGS = Object.freeze({
+  wordCount: 3,
+  lineCount: 1,
+  metricForm: METRIC_FORMS.FREE,
+  generationMode: GENERATION_MODES.RANDOM,
+  learningStrength: 0.5,
+  formatMode: FORMAT_MODES.STRICT,
+  constraints: null,
+  groupPattern: null
+});
+
+const DEFAULT_WORD_COUNT = 3;
+
+/**
+ * Échec de génération dont le message peut être montré tel quel à l'utilisateur
+ */
+export class GenerationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GenerationError';
+  }
+}
+
+export class PoemEngine {
+
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>|Function} [options.lexicon] - Lexique de référence, ou fonction qui le renvoie (CONFIG.WORDS par défaut)
+   * @param {Function} [options.getWordMetadata] - (mot) => métadonnées grammaticales ou null
+   * @param {Function} [options.getWordGroup] - (mot) => id du groupe ou null
+   * @param {Function} [options.getGroups] - () => groupes du lexique [{ id, name }], dans l'ordre d'alternance
+   * @param {Function} [options.getLanguage] - () => langue des mots (« fr » par défaut) ; grammaire, métrique et typographie supposent le français
+   * @param {Function} [options.getPreferenceModel] - () => PreferenceModel entraîné (mode appris)
+   * @param {Function} [options.randomFactory] - (graine) => PRNG exposant next(), nextInt() et seed
+   */
+  constructor(options = {}) {
+    this.lexicon = options.lexicon || CONFIG.WORDS;
+    this.wordMetadataSource = options.getWordMetadata || null;
+    this.wordGroupSource = options.getWordGroup || null;
+    this.groupsSource = options.getGroups || null;
+    this.languageSource = options.getLanguage || null;
+    this.preferenceModelSource = options.getPreferenceModel || null;
+    this.randomFactory = options.randomFactory || ((seed) => new SeededRandom(seed));
+    this.random = null;
+    this.formatter = new FrenchFormatter({ getWordMetadata: word => this.getWordMetadata(word) });
+    this.grammar = new FrenchGrammar();
+    this.preferenceModel = new PreferenceModel({ minRating: CONFIG.LIMITS.MIN_RATING, maxRating: CONFIG.LIMITS.MAX_RATING });
+  }
+
+  getLexicon() {
+    return typeof this.lexicon === 'function' ? this.lexicon() : [...this.lexicon];
+  }
+
+  /**
+   * Remplace le générateur pseudo-aléatoire (doit exposer next(), nextInt() et seed)
+   * @param {Function} factory - (seed) => PRNG
+   */
+  setRandomFactory(factory) {
+    if (typeof factory !== 'function') throw new Error('La fabrique aléatoire doit être une fonction');
+    this.randomFactory = factory;
+  }
+
+  getWordMetadata(word) {
+    if (this.wordMetadataSource) return this.wordMetadataSource(word);
+
+    const grammar = this.isFrench() ? WORD_GRAMMAR[word] : null;
+    if (!grammar) return null;
+
+    const { pos, gender = null, number = null, person = null, determined = false } = grammar;
+    return { pos, gender, number, person, determined };
+  }
+
+  getWordGroup(word) {
+    return this.wordGroupSource ? this.wordGroupSource(word) : WORD_GROUP[word] ?? null;
+  }
+
+  getGroups() {
+    return this.groupsSource ? this.groupsSource() : GROUPS;
+  }
+
+  getLanguage() {
+    return (this.languageSource ? this.languageSource() : null) || DEFAULT_LEXICON_LANGUAGE;
+  }
+
+  isFrench() {
+    return this.getLanguage() === DEFAULT_LEXICON_LANGUAGE;
+  }
+
+  getPreferenceModel() {
+    return this.preferenceModelSource ? this.preferenceModelSource() : this.preferenceModel;
+  }
+
+  /**
+   * Réservoir dans l'ordre du lexique
+   * L'ordre ne dépend pas de l'ordre de sélection, sinon une graine ne serait pas reproductible
+   * @param {Array<string>} [words] - Mots retenus (tout le lexique par défaut)
+   * @returns {Array<string>}
+   */
+  orderPool(words) {
+    const lexicon = this.getLexicon();
+    if (!words) return lexicon;
+
+    const wanted = new Set(words);
+    return lexicon.filter(word => wanted.has(word));
+  }
+
+  /**
+   * Complète et borne les réglages
+   * @param {Object} [settings] - Voir DEFAULT_SETTINGS ; wordCount accepte un nombre, 'max' ou 'surprise'
+   * @returns {Object}
+   */
+  normalizeSettings(settings = {}) {
+    const merged = { ...DEFAULT_SETTINGS, ...settings };
+    const lineCount = parseInt(merged.lineCount, 10);
+    const learningStrength = Number(merged.learningStrength);
+
+    return {
+      ...merged,
+      lineCount: isNaN(lineCount) ? 1 : Math.min(Math.max(lineCount, 1), CONFIG.POEM.MAX_LINES),
+      metricForm: METRIC_PATTERNS[merged.metricForm] ? merged.metricForm : METRIC_FORMS.FREE,
+      generationMode: Object.values(GENERATION_MODES).includes(merged.generationMode) ? merged.generationMode : GENERATION_MODES.RANDOM,
+      learningStrength: Number.isFinite(learningStrength) ? Math.min(Math.max(learningStrength, 0), 1) : DEFAULT_SETTINGS.learningStrength,
+      formatMode: FrenchFormatter.isValidMode(merged.formatMode) ? merged.formatMode : FORMAT_MODES.STRICT
+    };
+  }
+
+  /**
+   * Ramène des contraintes brutes à la graphie du lexique
+   * @param {Object|GenerationConstraints|null} rawConstraints
+   * @returns {GenerationConstraints|null} null si aucune contrainte
+   */
+  resolveConstraints(rawConstraints) {
+    if (!rawConstraints) return null;
+
+    const constraints = rawConstraints instanceof GenerationConstraints
+      ? rawConstraints
+      : new GenerationConstraints(rawConstraints);
+
+    constraints.resolveAgainst(this.getLexicon());
+    return constraints.isEmpty() ? null : constraints;
+  }
+
+  /**
+   * Rattache une répartition par groupes brute au réservoir
+   * @param {Object|string|GroupPattern|null} rawPattern
+   * @param {Array<string>} words - Réservoir
+   * @returns {GroupPattern|null} null si aucune répartition
+   */
+  resolveGroupPattern(rawPattern, words) {
+    if (!rawPattern) return null;
+
+    const pattern = rawPattern instanceof GroupPattern ? rawPattern : new GroupPattern(rawPattern);
+    if (pattern.isEmpty()) return null;
+
+    return pattern.resolveAgainst(words, word => this.getWordGroup(word), this.getGroups());
+  }
+
+  /**
+   * Vérifie les contraintes avant tout tirage
+   * @throws {GenerationError} Liste des contraintes impossibles à satisfaire
+   * @returns {{minLength: number, maxLength: number}} Bornes de longueur possibles
+   */
+  checkConstraints(constraints, words) {
+    const validation = constraints.validate(words);
+
+    if (!validation.isValid) {
+      throw new GenerationError(CONFIG.MESSAGES.CONSTRAINTS_UNSATISFIABLE.replace('{reasons}', validation.errors.join(' ; ')));
+    }
+    validation.warnings.forEach(warning => console.warn('Contraintes :', warning));
+
+    return { minLength: validation.minLength, maxLength: validation.maxLength };
+  }
+
+  /**
+   * Vérifie la répartition par groupes avant tout tirage
+   * @throws {GenerationError} Liste des raisons pour lesquelles elle ne peut pas être respectée
+   * @returns {{minLength: number, maxLength: number}} Bornes de longueur possibles
+   */
+  checkGroupPattern(groupPattern) {
+    const validation = groupPattern.validate();
+
+    if (!validation.isValid) {
+      throw new GenerationError(CONFIG.MESSAGES.GROUP_PATTERN_UNSATISFIABLE.replace('{reasons}', validation.errors.join(' ; ')));
+    }
+
+    return { minLength: validation.minLength, maxLength: validation.maxLength };
+  }
+
+  /**
+   * Vérifie que les réglages (forme, mètre, contraintes, groupes) sont compatibles avec le réservoir
+   * @param {Array<string>} words - Réservoir, dans l'ordre du lexique
+   * @param {Object} [settings]
+   * @throws {GenerationError} Si les réglages ne peuvent pas être satisfaits
+   * @returns {{settings: Object, constraints: GenerationConstraints|null, groupPattern: GroupPattern|null, lengthRange: Object|null, metricForm: string, lineCount: number}}
+   */
+  plan(words, settings = {}) {
+    const normalized = this.normalizeSettings(settings);
+    const constraints = this.resolveConstraints(normalized.constraints);
+    const groupPattern = this.resolveGroupPattern(normalized.groupPattern, words);
+    const constraintsRange = constraints ? this.checkConstraints(constraints, words) : null;
+    const metricForm = normalized.metricForm;
+    const lineCount = metricForm !== METRIC_FORMS.FREE && METRIC_PATTERNS[metricForm].lines
+      ? METRIC_PATTERNS[metricForm].lines
+      : normalized.lineCount;
+
+    if (!this.isFrench()) {
+      const language = I18n.languageName(this.getLanguage());
+      if (normalized.generationMode === GENERATION_MODES.GRAMMAR) {
+        throw new GenerationError(CONFIG.MESSAGES.GRAMMAR_LANGUAGE_UNSUPPORTED.replace('{language}', language));
+      }
+      if (metricForm !== METRIC_FORMS.FREE) {
+        throw new GenerationError(CONFIG.MESSAGES.METRIC_LANGUAGE_UNSUPPORTED.replace('{language}', language));
+      }
+    }
+    if (metricForm !== METRIC_FORMS.FREE && constraints && !constraints.isExclusionOnly()) {
+      throw new GenerationError(CONFIG.MESSAGES.METRIC_CONSTRAINTS_UNSUPPORTED);
+    }
+    if (groupPattern && (constraints || metricForm !== METRIC_FORMS.FREE)) {
+      throw new GenerationError(CONFIG.MESSAGES.GROUP_PATTERN_UNSUPPORTED);
+    }
+
+    const lengthRange = groupPattern ? this.checkGroupPattern(groupPattern) : constraintsRange;
+    if ((lengthRange ? lengthRange.maxLength : words.length) < lineCount) {
+      throw new GenerationError(CONFIG.MESSAGES.NOT_ENOUGH_WORDS_FOR_LINES.replaceAll('{count}', lineCount));
+    }
+
+    return { settings: normalized, constraints, groupPattern, lengthRange, metricForm, lineCount };
+  }
+
+  /**
+   * Tire une combinaison à partir d'une seule graine
+   * @param {Array<string>} words - Réservoir, dans l'ordre du lexique
+   * @param {number} seed - Graine
+   * @param {Object} plan - Résultat de plan()
+   * @returns {Object} Résultat { combination, words, seed, formatting, generationMode, lineLengths, syllableCounts, ... }
+   *   avec le réglage du nombre de mots et de vers : la graine ne rejoue la combinaison qu'avec eux
+   */
+  draw(words, seed, plan) {
+    const result = plan.metricForm === METRIC_FORMS.FREE
+      ? this.createSeededCombination(words, seed, plan)
+      : this.createMetricCombination(words, seed, plan);
+    return { ...result, wordCountSetting: String(plan.settings.wordCount), lineCount: plan.lineCount };
+  }
+
+  /**
+   * Crée une combinaison ; chaque tentative repart d'une graine neuve
+   * afin que la graine retenue suffise à reproduire le résultat
+   * @param {Array<string>} [words] - Réservoir (tout le lexique par défaut)
+   * @param {Object} [settings] - Réglages (voir DEFAULT_SETTINGS)
+   * @param {Object} [options]
+   * @param {number|string} [options.seed] - Graine à rejouer
+   * @param {bigint} [options.index] - Numéro 0-indexé de la combinaison dans tout le lexique
+   * @param {number} [options.maxAttempts] - Nombre de tirages au plus
+   * @param {Function} [options.reject] - (résultat) => true pour retenter (déjà vu par exemple)
+   * @throws {GenerationError}
+   * @returns {Object} Dernier résultat tiré
+   */
+  generate(words = this.getLexicon(), settings = {}, options = {}) {
+    const { seed = null, index = null, maxAttempts = 1, reject = () => false } = options;
+    if (index !== null && index !== undefined) return this.createIndexedCombination(index, settings);
+
+    const plan = this.plan(words, settings);
+    const forcedSeed = seed !== null && seed !== undefined ? SeededRandom.normalizeSeed(seed) : null;
+    const attempts = forcedSeed !== null ? 1 : Math.max(maxAttempts, 1);
+    let result = null;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      result = this.draw(words, forcedSeed ?? SeededRandom.createSeed(), plan);
+      if (!reject(result)) break;
+    }
+
+    return result;
+  }
+
+  /**
+   * Produit plusieurs combinaisons distinctes
+   * @param {Array<string>} words - Réservoir
+   * @param {Object} settings - Réglages
+   * @param {number} count - Nombre voulu
+   * @param {Object} [options]
+   * @param {number} [options.attemptsPerItem] - Tirages autorisés par combinaison voulue
+   * @param {Function} [options.reject] - (résultat) => true pour écarter une combinaison
+   * @throws {GenerationError}
+   * @returns {Array<Object>} Résultats (éventuellement moins que demandé si l'espace s'épuise)
+   */
+  generateBatch(words, settings, count, options = {}) {
+    const attemptsPerItem = options.attemptsPerItem || CONFIG.LIMITS.BATCH_ATTEMPTS_PER_ITEM;
+    const reject = options.reject || (() => false);
+    const plan = this.plan(words, settings);
+    const seen = new Set();
+    const batch = [];
+
+    for (let attempt = 0; batch.length < count && attempt < count * attemptsPerItem; attempt++) {
+      const result = this.draw(words, SeededRandom.createSeed(), plan);
+      if (seen.has(result.combination) || reject(result)) continue;
+
+      seen.add(result.combination);
+      batch.push(result);
+    }
+
+    return batch;
+  }
+
+  /**
+   * Combinaison n° index (0-indexé), numérotée sur tout le lexique
+   */
+  createIndexedCombination(index, settings = {}) {
+    const selectedWords = Combinatorics.unrankAcrossLengths(this.getLexicon(), BigInt(index));
+    return this.buildResult(selectedWords, null, null, this.normalizeSettings(settings).formatMode);
+  }
+
+  /**
+   * Tire nombre de mots, sélection et ordre à partir d'une seule graine
+   * Contraintes et répartition par groupes (jamais les deux à la fois, voir plan) guident le tirage de la même façon
+   * @private
+   */
+  createSeededCombination(words, seed, plan) {
+    this.random = this.randomFactory(seed);
+
+    const { settings, constraints, groupPattern, lengthRange, lineCount } = plan;
+    const rules = constraints || groupPattern;
+    const generationMode = settings.generationMode;
+    const drawnCount = rules
+      ? this.determineConstrainedWordCount(settings.wordCount, lengthRange)
+      : this.determineWordCount(words, settings.wordCount);
+    // Un poème a au moins un mot par vers
+    const wordCount = Math.max(drawnCount, lineCount);
+    const extra = {
+      ...(constraints ? { constraints: constraints.toJSON() } : {}),
+      ...(groupPattern ? { groupPattern: groupPattern.toJSON() } : {})
+    };
+    const build = (selectedWords) => this.buildResult(selectedWords, this.random.seed, generationMode, settings.formatMode, lineCount);
+
+    switch (generationMode) {
+      case GENERATION_MODES.GRAMMAR:
+        return { ...build(this.selectGrammaticalWords(words, wordCount, rules)), ...extra };
+      case GENERATION_MODES.LEARNED: {
+        const learningStrength = settings.learningStrength;
+        return { ...build(this.selectLearnedWords(words, wordCount, learningStrength, rules)), learningStrength, ...extra };
+      }
+      default: {
+        const selectedWords = rules
+          ? rules.arrange(words, wordCount, candidates => candidates[this.random.nextInt(candidates.length)])
+          : this.selectRandomWords(words, wordCount);
+        return { ...build(selectedWords), ...extra };
+      }
+    }
+  }
+
+  /**
+   * Compose des vers au nombre de syllabes imposé par la forme (alexandrin, octosyllabe, haïku)
+   * En mode grammatical, chaque vers doit aussi respecter la grammaire
+   * @throws {GenerationError} Si aucun agencement des mots disponibles ne tombe juste
+   * @private
+   */
+  createMetricCombination(words, seed, plan) {
+    this.random = this.randomFactory(seed);
+
+    const { settings, constraints, metricForm, lineCount } = plan;
+    const pattern = METRIC_PATTERNS[metricForm];
+    const targets = pattern.lines ? [...pattern.syllables] : Array.from({ length: lineCount }, () => pattern.syllables[0]);
+    const pool = constraints ? words.filter(word => !constraints.exclude.includes(word)) : words;
+    const generationMode = settings.generationMode;
+
+    const annotate = (line) => line.map(word => ({ text: word, ...this.getWordMetadata(word) }));
+    const options = generationMode === GENERATION_MODES.GRAMMAR
+      ? {
+          accept: line => this.grammar.check(annotate(line), { partial: true }).isValid,
+          // Les vers sont des groupes de la même phrase : le dernier doit porter le verbe si aucun autre ne l'a fait
+          acceptLine: (line, lines) => this.grammar.check(annotate(line), {
+            requireVerb: lines.length === targets.length - 1 && !annotate(lines.flat()).some(token => token.pos === POS.VERB)
+          }).isValid
+        }
+      : {};
+
+    const lines = SyllableCounter.findLines(pool, targets, this.random, options);
+    if (!lines) {
+      throw new GenerationError(CONFIG.MESSAGES.METRIC_FORM_IMPOSSIBLE
+        .replace('{form}', I18n.t(`GENERATION.METRIC_FORMS.${metricForm}`).toLowerCase())
+        .replace('{syllables}', targets.join('-')));
+    }
+
+    const extra = constraints ? { constraints: constraints.toJSON() } : {};
+    const result = this.buildResult(lines.flat(), this.random.seed, generationMode, settings.formatMode, lines.length, lines);
+    return { ...result, metricForm, ...extra };
+  }
+
+  /**
+   * @private
+   */
+  buildResult(selectedWords, seed, generationMode, formatMode, lineCount = 1, lines = null) {
+    let layout = null;
+    if (lines) {
+      layout = { lines, endings: this.drawLineEndings(lines.length) };
+    } else if (lineCount > 1) {
+      layout = this.layoutPoem(selectedWords, lineCount);
+    }
+
+    this.formatter.setLanguage(this.getLanguage());
+    const formatting = layout
+      ? this.formatter.formatLines(layout.lines, layout.endings, formatMode)
+      : this.formatter.format(selectedWords, formatMode);
+
+    return {
+      combination: formatting.text,
+      words: selectedWords,
+      seed,
+      formatting,
+      generationMode,
+      lineLengths: layout ? layout.lines.map(line => line.length) : null,
+      // Le compte des syllabes suit les règles du français
+      syllableCounts: this.isFrench() ? SyllableCounter.countText(formatting.text) : []
+    };
+  }
+
+  /**
+   * Nombre de mots à tirer pour un réglage ('max', 'surprise' ou un nombre)
+   */
+  determineWordCount(words, wordCount) {
+    switch (wordCount) {
+      case 'surprise': return this.random.nextInt(words.length) + 1;
+      case 'max': return words.length;
+      default: {
+        const count = parseInt(wordCount, 10);
+        return isNaN(count) ? DEFAULT_WORD_COUNT : Math.min(count, words.length);
+      }
+    }
+  }
+
+  /**
+   * Nombre de mots compris dans les bornes autorisées par les contraintes
+   */
+  determineConstrainedWordCount(wordCount, lengthRange) {
+    const { minLength, maxLength } = lengthRange;
+
+    switch (wordCount) {
+      case 'surprise': return minLength + this.random.nextInt(maxLength - minLength + 1);
+      case 'max': return maxLength;
+      default: {
+        const count = parseInt(wordCount, 10);
+        return Math.min(Math.max(isNaN(count) ? DEFAULT_WORD_COUNT : count, minLength), maxLength);
+      }
+    }
+  }
+
+  /**
+   * Découpe les mots tirés en vers, comme les sauts de ligne du poème original
+   * Les coupures et la ponctuation sont tirées avec la même graine que les mots
+   * @param {Array<string>} words - Mots dans l'ordre tiré
+   * @param {number} lineCount - Nombre de vers (au plus un par mot)
+   * @returns {{lines: Array<Array<string>>, endings: Array<string>}}
+   */
+  layoutPoem(words, lineCount) {
+    const gaps = this.shuffleArray(Array.from({ length: words.length - 1 }, (_, i) => i + 1));
+    const breaks = gaps.slice(0, lineCount - 1).sort((a, b) => a - b);
+    const bounds = [0, ...breaks, words.length];
+    const lines = breaks.concat(words.length).map((end, i) => words.slice(bounds[i], end));
+
+    return { lines, endings: this.drawLineEndings(lines.length) };
+  }
+
+  drawLineEndings(lineCount) {
+    const pick = (options) => options[this.random.nextInt(options.length)];
+    return Array.from({ length: lineCount }, (_, i) => pick(i === lineCount - 1 ? CONFIG.POEM.FINAL_ENDINGS : CONFIG.POEM.LINE_ENDINGS));
+  }
+
+  /**
+   * Tire les mots en favorisant les enchaînements et positions les mieux notés
+   * @param {GenerationConstraints|GroupPattern|null} [constraints] - Règles qui encadrent le tirage
+   */
+  selectLearnedWords(words, count, learningStrength, constraints = null) {
+    const model = this.getPreferenceModel();
+
+    return constraints
+      ? constraints.arrange(words, count, (candidates, selected) => model.pick(candidates, selected, this.random, learningStrength))
+      : model.sample(words, count, this.random, learningStrength);
+  }
+
+  /**
+   * Cherche une suite qui respecte la grammaire (déterminant avant le nom, sujet avant le verbe, accords)
+   * @param {GenerationConstraints|GroupPattern|null} [constraints] - Règles qui encadrent le tirage
+   * @throws {GenerationError} Si aucune suite de cette longueur n'existe dans le réservoir
+   */
+  selectGrammaticalWords(words, count, constraints = null) {
+    const pool = words.map(word => ({ text: word, ...this.getWordMetadata(word) }));
+    const accept = constraints ? tokens => constraints.acceptsPrefix(tokens.map(token => token.text), count) : undefined;
+    const sequence = this.grammar.findSequence(pool, count, this.random, { accept });
+
+    if (!sequence) {
+      throw new GenerationError(CONFIG.MESSAGES.NO_GRAMMATICAL_COMBINATION.replace('{count}', count));
+    }
+
+    return sequence.map(token => token.text);
+  }
+
+  selectRandomWords(words, count) {
+    const wordsCopy = [...words];
+    const selectedWords = [];
+
+    for (let i = 0; i < count && wordsCopy.length > 0; i++) {
+      const randomIndex = this.random.nextInt(wordsCopy.length);
+      selectedWords.push(wordsCopy[randomIndex]);
+      wordsCopy.splice(randomIndex, 1);
+    }
+
+    return this.shuffleArray(selectedWords);
+  }
+
+  shuffleArray(array) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = this.random.nextInt(i + 1);
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  /**
+   * Paramètres permettant de rejouer un résultat (ceux que conserve l'historique)
+   * @param {Object} result - Résultat de generate() ou draw()
+   * @returns {Object}
+   */
+  describe(result) {
+    const { formatting } = result;
+
+    return {
+      rawText: formatting.rawText,
+      formatMode: formatting.mode,
+      rewrites: formatting.rewrites.map(rewrite => ({ ...rewrite })),
+      seed: result.seed,
+      combinationIndex: (Combinatorics.rankAcrossLengths(this.getLexicon(), result.words) + 1n).toString(),
+      words: [...result.words],
+      wordCount: result.words.length,
+      wordCountSetting: result.wordCountSetting ?? null,
+      lineCount: result.lineCount ?? null,
+      generationMode: result.generationMode,
+      learningStrength: result.learningStrength ?? null,
+      constraints: result.constraints ?? null,
+      groupPattern: result.groupPattern ?? null,
+      lineLengths: result.lineLengths,
+      metricForm: result.metricForm ?? null,
+      syllableCounts: [...result.syllableCounts]
+    };
+  }
+}
+
+export default PoemEngine;
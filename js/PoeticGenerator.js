@@ -5,6 +5,7 @@
  */
 
 import { CONFIG } from './config.js';
+import { I18n } from './I18n.js';
 import { NotificationManager } from './NotificationManager.js';
 import { AudioManager } from './AudioManager.js';
 import { WordManager } from './WordManager.js';
@@ -13,6 +14,14 @@ import { HistoryManager } from './HistoryManager.js';
 import { RatingManager } from './RatingManager.js';
 import { ShareManager } from './ShareManager.js';
 import { OrdinationManager } from './OrdinationManager.js';
+import { BatchManager } from './BatchManager.js';
+import { AnalyticsManager } from './AnalyticsManager.js';
+import { HistoryImportManager } from './HistoryImportManager.js';
+import { HistoryFilterManager } from './HistoryFilterManager.js';
+import { ChartManager } from './ChartManager.js';
+import { LexiconManager } from './LexiconManager.js';
+import { OrdinationEditor } from './OrdinationEditor.js';
+import { LocaleManager } from './LocaleManager.js';
 
 /**
  * Classe principale qui orchestre toute l'application
@@ -66,7 +75,7 @@ export class PoeticGenerator {
       
       // Notification de démarrage
       setTimeout(() => {
-        NotificationManager.info('Application prête ! 🌟');
+        NotificationManager.info(CONFIG.MESSAGES.APP_READY);
       }, 500);
       
     } catch (error) {
@@ -80,12 +89,18 @@ export class PoeticGenerator {
    * @private
    */
   async initializeIndependentModules() {
+    // LocaleManager - indépendant, traduit le texte fixe de la page avant que les autres ne s'affichent
+    this.managers.locale = new LocaleManager();
+    
     // HistoryManager - complètement indépendant
     this.managers.history = new HistoryManager();
     
     // AudioManager - indépendant
     this.managers.audio = new AudioManager();
     
+    // LexiconManager - indépendant, fournit les mots aux modules suivants
+    this.managers.lexicon = new LexiconManager();
+    
     if (CONFIG.DEBUG.ENABLED) {
       console.log('PoeticGenerator: Modules indépendants initialisés');
     }
@@ -96,11 +111,14 @@ export class PoeticGenerator {
    * @private
    */
   async initializeDependentModules() {
-    // OrdinationManager dépend d'AudioManager - DOIT ÊTRE INITIALISÉ EN PREMIER
-    this.managers.ordination = new OrdinationManager(this.managers.audio);
+    // OrdinationManager dépend d'AudioManager et LexiconManager - DOIT ÊTRE INITIALISÉ EN PREMIER
+    this.managers.ordination = new OrdinationManager(this.managers.audio, this.managers.lexicon);
+    
+    // OrdinationEditor dépend d'OrdinationManager
+    this.managers.ordinationEditor = new OrdinationEditor(this.managers.ordination);
     
-    // WordManager dépend d'AudioManager
-    this.managers.word = new WordManager(this.managers.audio);
+    // WordManager dépend d'AudioManager et LexiconManager
+    this.managers.word = new WordManager(this.managers.audio, this.managers.lexicon);
     
     // CombinationGenerator dépend de WordManager et AudioManager
     this.managers.combination = new CombinationGenerator(
@@ -108,6 +126,21 @@ export class PoeticGenerator {
       this.managers.audio
     );
     
+    // ChartManager dépend d'HistoryManager
+    this.managers.chart = new ChartManager(this.managers.history);
+    
+    // AnalyticsManager dépend d'HistoryManager et WordManager (mots du lexique des anciennes entrées)
+    this.managers.analytics = new AnalyticsManager(
+      this.managers.history,
+      this.managers.word
+    );
+    
+    // HistoryImportManager dépend d'HistoryManager
+    this.managers.historyImport = new HistoryImportManager(this.managers.history);
+    
+    // HistoryFilterManager dépend d'HistoryManager
+    this.managers.historyFilter = new HistoryFilterManager(this.managers.history);
+    
     if (CONFIG.DEBUG.ENABLED) {
       console.log('PoeticGenerator: Modules avec dépendances simples initialisés');
     }
@@ -128,6 +161,12 @@ export class PoeticGenerator {
       this.managers.rating
     );
     
+    // BatchManager dépend de CombinationGenerator ET HistoryManager
+    this.managers.batch = new BatchManager(
+      this.managers.combination,
+      this.managers.history
+    );
+    
     if (CONFIG.DEBUG.ENABLED) {
       console.log('PoeticGenerator: Modules avec références circulaires initialisés');
     }
@@ -141,6 +180,15 @@ export class PoeticGenerator {
     // Connecter CombinationGenerator et RatingManager (référence circulaire)
     this.managers.combination.setRatingManager(this.managers.rating);
     this.managers.rating.setCombinationGenerator(this.managers.combination);
+    this.managers.combination.setOrdinationManager(this.managers.ordination);
+    this.managers.combination.setHistoryManager(this.managers.history);
+    this.managers.history.setGroupSource(this.managers.ordination);
+    
+    // Changement de lexique : les mots d'abord, puis la liste affichée (qui rattache les éléments)
+    this.managers.lexicon.subscribe(lexicon => {
+      this.managers.word.setLexicon(lexicon);
+      this.managers.ordination.setLexicon(lexicon);
+    });
     
     if (CONFIG.DEBUG.ENABLED) {
       console.log('PoeticGenerator: Dépendances circulaires finalisées');
@@ -159,6 +207,25 @@ export class PoeticGenerator {
     [CONFIG.DOM_ELEMENTS.GENERATE_BTN]: () => this.managers.combination.generate(),
     [CONFIG.DOM_ELEMENTS.GENERATE_SELECTED_BTN]: () => this.managers.combination.generate(true),
     [CONFIG.DOM_ELEMENTS.NEW_COMBINATION_BTN]: () => this.managers.combination.generate(),
+    [CONFIG.DOM_ELEMENTS.JUMP_TO_INDEX_BTN]: () => this.managers.combination.jumpToIndex(),
+    [CONFIG.DOM_ELEMENTS.CLEAR_CONSTRAINTS_BTN]: () => this.managers.combination.clearConstraintsPanel(),
+    [CONFIG.DOM_ELEMENTS.FORGET_SEEN_BTN]: () => this.managers.combination.forgetSeenCombinations(),
+    [CONFIG.DOM_ELEMENTS.GENERATE_BATCH_BTN]: () => this.managers.batch.generateBatch(),
+    [CONFIG.DOM_ELEMENTS.GENERATE_BATCH_SELECTED_BTN]: () => this.managers.batch.generateBatch(true),
+    [CONFIG.DOM_ELEMENTS.BATCH_SEND_TO_HISTORY_BTN]: () => this.managers.batch.sendRatedToHistory(),
+    [CONFIG.DOM_ELEMENTS.BATCH_COPY_STARRED_BTN]: () => this.managers.batch.copyStarred(),
+    [CONFIG.DOM_ELEMENTS.BATCH_CLEAR_BTN]: () => this.managers.batch.clear(),
+    [CONFIG.DOM_ELEMENTS.LEXICON_DUPLICATE_BTN]: () => this.managers.lexicon.duplicate(),
+    [CONFIG.DOM_ELEMENTS.LEXICON_ADD_WORD_BTN]: () => this.managers.lexicon.addWord(),
+    [CONFIG.DOM_ELEMENTS.LEXICON_ADD_GROUP_BTN]: () => this.managers.lexicon.addGroup(),
+    [CONFIG.DOM_ELEMENTS.LEXICON_SAVE_BTN]: () => this.managers.lexicon.save(),
+    [CONFIG.DOM_ELEMENTS.LEXICON_DELETE_BTN]: () => this.managers.lexicon.deleteActive(),
+    [CONFIG.DOM_ELEMENTS.LEXICON_EXPORT_BTN]: () => this.managers.lexicon.exportActive(),
+    [CONFIG.DOM_ELEMENTS.LEXICON_IMPORT_BTN]: () => this.managers.lexicon.openImport(),
+    [CONFIG.DOM_ELEMENTS.LEXICON_LOAD_TRANSLATION_BTN]: () => this.managers.lexicon.loadTranslation(),
+    [CONFIG.DOM_ELEMENTS.ORDINATION_SAVE_NEW_BTN]: () => this.managers.ordinationEditor.saveAsNew(),
+    [CONFIG.DOM_ELEMENTS.ORDINATION_SAVE_BTN]: () => this.managers.ordinationEditor.saveCurrent(),
+    [CONFIG.DOM_ELEMENTS.ORDINATION_DELETE_BTN]: () => this.managers.ordinationEditor.deleteCurrent(),
     [CONFIG.DOM_ELEMENTS.COPY_BTN]: () => this.managers.share.copyToClipboard(),
     [CONFIG.DOM_ELEMENTS.SUBMIT_RATING]: () => this.managers.rating.submitRating(),
     [CONFIG.DOM_ELEMENTS.SHARE_TWITTER]: () => this.managers.share.shareOnTwitter(),
@@ -171,6 +238,14 @@ export class PoeticGenerator {
     [CONFIG.DOM_ELEMENTS.RANDOM_SORT]: () => this.managers.history.randomSort(),
     [CONFIG.DOM_ELEMENTS.EXPORT_TXT]: () => this.managers.history.exportTXT(),
     [CONFIG.DOM_ELEMENTS.EXPORT_PDF]: () => this.managers.history.exportPDF(),
+    [CONFIG.DOM_ELEMENTS.EXPORT_CSV]: () => this.managers.history.exportCSV(),
+    [CONFIG.DOM_ELEMENTS.EXPORT_JSON]: () => this.managers.history.exportJSON(),
+    [CONFIG.DOM_ELEMENTS.EXPORT_XML]: () => this.managers.history.exportXML(),
+    [CONFIG.DOM_ELEMENTS.IMPORT_HISTORY]: () => this.managers.historyImport.openImport(),
+    [CONFIG.DOM_ELEMENTS.HISTORY_IMPORT_CONFIRM]: () => this.managers.historyImport.commit(),
+    [CONFIG.DOM_ELEMENTS.HISTORY_IMPORT_CANCEL]: () => this.managers.historyImport.cancel(),
+    [CONFIG.DOM_ELEMENTS.HISTORY_FILTER_RESET]: () => this.managers.historyFilter.reset(),
+    [CONFIG.DOM_ELEMENTS.HISTORY_FILTER_SHARE]: () => this.managers.historyFilter.share(),
     [CONFIG.DOM_ELEMENTS.RESET_CACHE]: () => this.handleResetCache()
   };
   
@@ -179,9 +254,7 @@ export class PoeticGenerator {
     const target = event.target;
     
     // ⚠️ NE PAS intercepter les clics sur les mots (gérés par WordManager)
-    if (target.classList.contains('word-group-1') || 
-        target.classList.contains('word-group-2') ||
-        target.closest('.full-word-list')) {
+    if (target.closest(CONFIG.SELECTORS.WORD_GROUP) || target.closest('.full-word-list')) {
       return; // Laisser WordManager gérer
     }
     
@@ -200,7 +273,7 @@ export class PoeticGenerator {
         handler();
       } catch (error) {
         console.error(`PoeticGenerator: Erreur dans ${button.id}:`, error);
-        NotificationManager.error('Une erreur est survenue. Veuillez réessayer.');
+        NotificationManager.error(CONFIG.MESSAGES.UNEXPECTED_ERROR);
       }
     }
   };
@@ -217,14 +290,13 @@ export class PoeticGenerator {
    * Gère la réinitialisation du cache
    * @private
    */
-  handleResetCache() {
-    if (confirm('⚠️ Êtes-vous sûr de vouloir réinitialiser tout l\'historique ? Cette action est irréversible.')) {
+  async handleResetCache() {
+    if (confirm(CONFIG.MESSAGES.HISTORY_RESET_CONFIRM)) {
       try {
-        this.managers.history.clear();
-        NotificationManager.success('Historique réinitialisé avec succès');
+        if (await this.managers.history.clear()) NotificationManager.success(CONFIG.MESSAGES.HISTORY_RESET);
       } catch (error) {
         console.error('Erreur lors de la réinitialisation:', error);
-        NotificationManager.error('Erreur lors de la réinitialisation');
+        NotificationManager.error(I18n.t('HISTORY.RESET_ERROR'));
       }
     }
   }
@@ -247,7 +319,7 @@ export class PoeticGenerator {
         
       } catch (error) {
         console.error(`PoeticGenerator: Erreur dans le gestionnaire ${buttonId}:`, error);
-        NotificationManager.error('Une erreur est survenue. Veuillez réessayer.');
+        NotificationManager.error(CONFIG.MESSAGES.UNEXPECTED_ERROR);
         
         if (CONFIG.DEBUG.ENABLED) {
           console.error('Stack trace:', error.stack);
@@ -304,7 +376,7 @@ export class PoeticGenerator {
    */
   handleInitializationError(error) {
     // Notification d'erreur à l'utilisateur
-    NotificationManager.error('Erreur lors du chargement de l\'application. Veuillez recharger la page.');
+    NotificationManager.error(CONFIG.MESSAGES.APP_LOAD_ERROR);
     
     // Tentative de nettoyage partiel
     try {
@@ -327,7 +399,7 @@ export class PoeticGenerator {
    * @returns {Object} Résultat de la validation
    */
   validateInitialization() {
-    const expectedManagers = ['audio', 'word', 'combination', 'history', 'rating', 'share', 'ordination'];
+    const expectedManagers = ['audio', 'lexicon', 'word', 'combination', 'history', 'rating', 'share', 'ordination', 'ordinationEditor', 'batch'];
     const actualManagers = Object.keys(this.managers);
     
     const missing = expectedManagers.filter(name => !this.managers[name]);
@@ -371,7 +443,7 @@ export class PoeticGenerator {
   
   /**
    * Récupère un manager spécifique par son nom
-   * @param {string} name - Nom du manager (audio, word, combination, history, rating, share, ordination)
+   * @param {string} name - Nom du manager (audio, lexicon, word, combination, history, rating, share, ordination, ordinationEditor, batch)
    * @returns {Object|null} Le manager demandé ou null si non trouvé
    */
   getManager(name) {
@@ -0,0 +1,162 @@
+/**
+ * Modèle de préférences appris à partir des notes de l'historique
+ * Retient quels enchaînements de mots (bigrammes) et quelles positions ont plu,
+ * puis tire de nouvelles combinaisons qui favorisent ces motifs
+ * @module PreferenceModel
+ */
+
+// Entrées fictives neutres ajoutées à chaque motif : un motif vu une seule fois ne domine pas le tirage
+const PRIOR_WEIGHT = 2;
+
+// Écart maximal de log-probabilité entre deux mots quand l'apprentissage est à 100 %
+const SHARPNESS = 4;
+
+const START = '\u0000début';
+
+export class PreferenceModel {
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.minRating] - Note minimale (déteste)
+   * @param {number} [options.maxRating] - Note maximale (adore)
+   */
+  constructor(options = {}) {
+    this.minRating = options.minRating ?? 1;
+    this.maxRating = options.maxRating ?? 10;
+    this.reset();
+  }
+
+  reset() {
+    this.bigrams = new Map();
+    this.positions = new Map();
+    this.entryCount = 0;
+  }
+
+  /**
+   * Découpe le texte d'une ancienne entrée (sans liste de mots) en mots du lexique
+   * @param {string} text - Texte de la combinaison
+   * @param {Array<string>} lexicon - Mots connus
+   * @returns {Array<string>|null} Mots reconnus, ou null si un morceau est inconnu
+   */
+  static tokenize(text, lexicon) {
+    const byLowerCase = new Map(lexicon.map(word => [word.toLowerCase(), word]));
+    const tokens = String(text).trim().replace(/[.!?…]+$/, '').split(/\s+/).filter(Boolean);
+    const words = tokens.map(token => byLowerCase.get(token.toLowerCase()));
+
+    return words.length > 0 && words.every(Boolean) ? words : null;
+  }
+
+  /**
+   * Poids d'une note, de -1 (note minimale) à +1 (note maximale)
+   */
+  ratingWeight(note) {
+    const middle = (this.minRating + this.maxRating) / 2;
+    return (note - middle) / (this.maxRating - middle);
+  }
+
+  /**
+   * Apprend à partir des entrées notées de l'historique
+   * @param {Array<Object>} history - Entrées { text, note, words? }
+   * @param {Array<string>} lexicon - Mots connus, pour les entrées sans liste de mots
+   * @returns {PreferenceModel}
+   */
+  train(history, lexicon) {
+    this.reset();
+
+    history.forEach(entry => {
+      const words = Array.isArray(entry.words) && entry.words.length > 0
+        ? entry.words
+        : PreferenceModel.tokenize(entry.text, lexicon);
+      if (!words) return;
+
+      const weight = this.ratingWeight(entry.note);
+      words.forEach((word, position) => {
+        this.accumulate(this.bigrams, `${position === 0 ? START : words[position - 1]}\u0000${word}`, weight);
+        this.accumulate(this.positions, `${position}\u0000${word}`, weight);
+      });
+      this.entryCount++;
+    });
+
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  accumulate(table, key, weight) {
+    const stats = table.get(key) || { sum: 0, count: 0 };
+    stats.sum += weight;
+    stats.count++;
+    table.set(key, stats);
+  }
+
+  /**
+   * @private
+   */
+  average(table, key) {
+    const stats = table.get(key);
+    return stats ? stats.sum / (stats.count + PRIOR_WEIGHT) : 0;
+  }
+
+  /**
+   * Attrait d'un mot à une position donnée, après un mot donné (entre -2 et 2)
+   * @param {string|null} previous - Mot précédent, null en début de combinaison
+   * @param {string} word - Mot candidat
+   * @param {number} position - Position 0-indexée
+   * @returns {number}
+   */
+  score(previous, word, position) {
+    return this.average(this.bigrams, `${previous ?? START}\u0000${word}`) +
+      this.average(this.positions, `${position}\u0000${word}`);
+  }
+
+  /**
+   * Tire une combinaison mot par mot en pondérant chaque candidat par son attrait
+   * @param {Array<string>} pool - Mots disponibles
+   * @param {number} count - Nombre de mots voulu
+   * @param {{next: Function}} random - Générateur pseudo-aléatoire
+   * @param {number} strength - 0 : hasard pur, 1 : entièrement appris
+   * @returns {Array<string>}
+   */
+  sample(pool, count, random, strength) {
+    const remaining = [...pool];
+    const selected = [];
+
+    while (selected.length < count && remaining.length > 0) {
+      const word = this.pick(remaining, selected, random, strength);
+      selected.push(remaining.splice(remaining.indexOf(word), 1)[0]);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Choisit le mot suivant d'une combinaison commencée
+   * @param {Array<string>} candidates - Mots possibles à cette place
+   * @param {Array<string>} selected - Début de combinaison
+   * @param {{next: Function}} random - Générateur pseudo-aléatoire
+   * @param {number} strength - 0 : hasard pur, 1 : entièrement appris
+   * @returns {string}
+   */
+  pick(candidates, selected, random, strength) {
+    const previous = selected.length > 0 ? selected[selected.length - 1] : null;
+    const weights = candidates.map(word => Math.exp(strength * SHARPNESS * this.score(previous, word, selected.length)));
+    return candidates[this.pickWeighted(weights, random)];
+  }
+
+  /**
+   * @private
+   */
+  pickWeighted(weights, random) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let threshold = random.next() * total;
+
+    for (let i = 0; i < weights.length; i++) {
+      threshold -= weights[i];
+      if (threshold < 0) return i;
+    }
+    return weights.length - 1;
+  }
+}
+
+export default PreferenceModel;
@@ -6,6 +6,7 @@
 
 import { CONFIG } from './config.js';
 import { NotificationManager } from './NotificationManager.js';
+import { I18n } from './I18n.js';
 
 export class RatingManager {
   constructor(historyManager) {
@@ -66,6 +67,16 @@ export class RatingManager {
     document.addEventListener(CONFIG.EVENTS.COMBINATION_GENERATED, () => {
       this.onCombinationGenerated();
     });
+
+    this.localeChangedHandler = () => this.onLocaleChanged();
+    document.addEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.localeChangedHandler);
+  }
+
+  onLocaleChanged() {
+    this.updateRatingAccessibility(this.isRatingEnabled);
+    if (this.feedbackElement && this.currentRating !== null) {
+      this.feedbackElement.textContent = this.getFeedbackText(this.currentRating);
+    }
   }
   
   validateConfiguration() {
@@ -127,13 +138,13 @@ export class RatingManager {
     
     let message;
     if (!this.combinationGenerator) {
-      message = "Système de génération non disponible.";
+      message = I18n.t('RATING.GENERATOR_UNAVAILABLE');
     } else if (this.combinationGenerator.isCurrentlyGenerating()) {
       message = CONFIG.MESSAGES.GENERATION_NOT_COMPLETE;
     } else if (!this.combinationGenerator.isAnimationFinished()) {
       message = CONFIG.MESSAGES.GENERATION_NOT_COMPLETE;
     } else {
-      message = "Génère d'abord une combinaison avant de noter !";
+      message = I18n.t('RATING.GENERATE_BEFORE_RATING');
     }
     
     NotificationManager.warning(message);
@@ -187,7 +198,7 @@ export class RatingManager {
   handleRatingFocus(event) {
     const rating = parseInt(event.target.value);
     if (this.feedbackElement && this.isValidRating(rating)) {
-      const previewText = `Aperçu: ${this.getFeedbackText(rating)}`;
+      const previewText = I18n.t('RATING.PREVIEW', { feedback: this.getFeedbackText(rating) });
       this.feedbackElement.setAttribute('data-preview', previewText);
     }
   }
@@ -254,7 +265,7 @@ export class RatingManager {
       }
       
       this.updateResultDisplay(combination, rating);
-      this.historyManager.addEntry(combination, rating);
+      this.historyManager.addEntry(combination, rating, this.combinationGenerator.getGenerationMetadata());
       this.disableRating();
       
       NotificationManager.success(CONFIG.MESSAGES.RATING_SUBMITTED);
@@ -283,7 +294,7 @@ export class RatingManager {
       CONFIG.MESSAGES.CHOOSE_RATING
     ) && this.validateCondition(
       this.isRatingEnabled,
-      'Le système de notation n\'est pas activé'
+      I18n.t('RATING.DISABLED')
   );
 }
   
@@ -384,7 +395,7 @@ updateResultDisplay(combination, rating) {
     if (ratingGroup) {
       ratingGroup.setAttribute('aria-disabled', (!enabled).toString());
       ratingGroup.setAttribute('aria-label', 
-        enabled ? 'Noter la combinaison de 1 à 10' : 'Notation désactivée - générez d\'abord une combinaison'
+        enabled ? I18n.t('RATING.ENABLED_LABEL') : I18n.t('RATING.DISABLED_LABEL')
       );
     }
   }
@@ -456,6 +467,7 @@ updateResultDisplay(combination, rating) {
   }
   
   cleanup() {
+    document.removeEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.localeChangedHandler);
     this.ratingInputs.forEach(input => {
       input.removeEventListener('change', () => {});
       input.removeEventListener('focus', () => {});
@@ -0,0 +1,94 @@
+/**
+ * Générateur pseudo-aléatoire à graine
+ * Rend les tirages reproductibles : une même graine produit toujours la même suite de nombres
+ * @module SeededRandom
+ */
+
+const UINT32_RANGE = 0x100000000;
+
+/**
+ * PRNG mulberry32 : rapide, 32 bits d'état, suffisant pour mélanger quelques dizaines de mots
+ */
+export class SeededRandom {
+
+  /**
+   * @param {number|string} [seed] - Graine (nombre, chaîne numérique ou texte libre)
+   */
+  constructor(seed = SeededRandom.createSeed()) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Tire une nouvelle graine au hasard
+   * @returns {number} Entier non signé 32 bits
+   */
+  static createSeed() {
+    return Math.floor(Math.random() * UINT32_RANGE);
+  }
+
+  /**
+   * Convertit une saisie utilisateur en graine 32 bits
+   * Les nombres sont conservés tels quels, les textes libres sont hachés (FNV-1a)
+   * @param {number|string} value - Valeur à convertir
+   * @returns {number} Graine normalisée
+   */
+  static normalizeSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return Math.abs(Math.trunc(value)) % UINT32_RANGE;
+    }
+
+    const text = String(value ?? '').trim();
+    if (/^\d+$/.test(text)) {
+      return Number(BigInt(text) % BigInt(UINT32_RANGE));
+    }
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Lit une graine saisie par l'utilisateur
+   * @param {string} input - Texte saisi
+   * @returns {number|null} Graine ou null si la saisie est vide
+   */
+  static parseSeed(input) {
+    if (input === null || input === undefined) return null;
+    const text = String(input).trim();
+    return text.length > 0 ? SeededRandom.normalizeSeed(text) : null;
+  }
+
+  /**
+   * Retourne un flottant dans [0, 1), comme Math.random()
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32_RANGE;
+  }
+
+  /**
+   * Retourne un entier dans [0, max)
+   * @param {number} max - Borne supérieure exclue
+   * @returns {number}
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Revient au début de la suite
+   */
+  reset() {
+    this.state = this.seed;
+  }
+}
+
+export default SeededRandom;
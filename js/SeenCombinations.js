@@ -0,0 +1,249 @@
+/**
+ * Mémoire persistante des combinaisons déjà vues (générées ou notées)
+ * Sert au mode « jamais deux fois » et à mesurer la part de l'espace déjà explorée
+ * Une combinaison est identifiée par ses mots dans l'ordre, indépendamment de sa mise en forme
+ * Aucune n'est oubliée : sans quoi « jamais deux fois » finirait par en rendre une déjà vue
+ * Forme compacte : chaque mot rencontré reçoit un numéro (dictionnaire words), et une combinaison s'écrit un caractère
+ * par mot ; les numéros ne dépendent pas du lexique actif, à la différence des rangs de Combinatorics
+ * Les ajouts sont enregistrés par lots (CONFIG.PERFORMANCE.SEEN_SAVE_DELAY) ; si localStorage est plein, onSaveError
+ * prévient une fois, jusqu'au prochain enregistrement réussi
+ * @module SeenCombinations
+ */
+
+import { CONFIG, safeLocalStorageGet, safeLocalStorageSet, safeLocalStorageRemove } from './config.js';
+import { PreferenceModel } from './PreferenceModel.js';
+import { Combinatorics } from './Combinatorics.js';
+
+// Premier caractère des numéros de mots : ni caractère de contrôle ni guillemet, rien à échapper en JSON
+const CODE_OFFSET = 0x100;
+
+// Ancien format : les mots de chaque combinaison joints par ce séparateur
+const LEGACY_SEPARATOR = '\u0000';
+
+export class SeenCombinations {
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageKey] - Clé localStorage
+   * @param {Function} [options.onSaveError] - (nombre de combinaisons) => void, quand localStorage refuse l'écriture
+   */
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || CONFIG.STORAGE.SEEN_COMBINATIONS_KEY;
+    this.onSaveError = options.onSaveError || null;
+    this.words = [];
+    this.wordNumbers = new Map();
+    this.keys = new Set();
+    this.neverRepeat = false;
+    this.saveTimer = null;
+    this.saveFailed = false;
+    this.load();
+  }
+
+  /**
+   * Lit la forme compacte, ou l'ancienne liste de combinaisons en clair (convertie au prochain enregistrement)
+   */
+  load() {
+    const data = safeLocalStorageGet(this.storageKey, {});
+    const combinations = Array.isArray(data.combinations) ? data.combinations.filter(key => typeof key === 'string' && key.length > 0) : [];
+
+    this.words = [];
+    this.wordNumbers = new Map();
+    this.keys = new Set();
+    this.neverRepeat = data.neverRepeat === true;
+
+    if (Array.isArray(data.words)) {
+      data.words.forEach(word => this.number(String(word)));
+      combinations
+        .filter(key => [...key].every(character => character.codePointAt(0) - CODE_OFFSET < this.words.length))
+        .forEach(key => this.keys.add(key));
+    } else {
+      combinations.forEach(key => this.keys.add(this.encode(key.split(LEGACY_SEPARATOR), true)));
+    }
+  }
+
+  /**
+   * Enregistre tout de suite (et annule l'enregistrement en attente)
+   * @returns {boolean} false si localStorage a refusé l'écriture
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    const saved = safeLocalStorageSet(this.storageKey, { neverRepeat: this.neverRepeat, words: this.words, combinations: [...this.keys] });
+    if (!saved && typeof localStorage !== 'undefined' && !this.saveFailed && this.onSaveError) {
+      this.onSaveError(this.keys.size);
+    }
+    this.saveFailed = !saved;
+    return saved;
+  }
+
+  /**
+   * Regroupe les ajouts rapprochés en un seul enregistrement
+   * @private
+   */
+  scheduleSave() {
+    if (this.saveTimer !== null) return;
+    this.saveTimer = setTimeout(() => this.save(), CONFIG.PERFORMANCE.SEEN_SAVE_DELAY);
+  }
+
+  /**
+   * Enregistre les ajouts en attente (fermeture de la page, onglet masqué)
+   */
+  flush() {
+    if (this.saveTimer !== null) this.save();
+  }
+
+  /**
+   * Numéro d'un mot dans le dictionnaire, ajouté s'il est nouveau
+   * @private
+   */
+  number(word) {
+    if (!this.wordNumbers.has(word)) {
+      this.wordNumbers.set(word, this.words.length);
+      this.words.push(word);
+    }
+    return this.wordNumbers.get(word);
+  }
+
+  /**
+   * @private
+   * @param {Array<string>} words
+   * @param {boolean} [create] - Numéroter les mots inconnus ; sinon null dès qu'un mot est inconnu (combinaison jamais vue)
+   * @returns {string|null}
+   */
+  encode(words, create = false) {
+    let key = '';
+    for (const word of words) {
+      const number = create ? this.number(word) : this.wordNumbers.get(word);
+      if (number === undefined) return null;
+      key += String.fromCodePoint(CODE_OFFSET + number);
+    }
+    return key;
+  }
+
+  /**
+   * @private
+   */
+  decode(key) {
+    return [...key].map(character => this.words[character.codePointAt(0) - CODE_OFFSET]);
+  }
+
+  get size() {
+    return this.keys.size;
+  }
+
+  setNeverRepeat(enabled) {
+    this.neverRepeat = !!enabled;
+    this.save();
+  }
+
+  /**
+   * @param {Array<string>} words - Mots de la combinaison, dans l'ordre
+   * @returns {boolean}
+   */
+  has(words) {
+    const key = this.encode(words);
+    return key !== null && this.keys.has(key);
+  }
+
+  /**
+   * Retient une ou plusieurs combinaisons
+   * @param {Array<Array<string>>} combinations - Mots de chaque combinaison
+   * @returns {number} Nombre de combinaisons nouvelles
+   */
+  addAll(combinations) {
+    let added = 0;
+
+    combinations.forEach(words => {
+      if (!Array.isArray(words) || words.length === 0) return;
+
+      const key = this.encode(words, true);
+      if (!this.keys.has(key)) added++;
+      this.keys.add(key);
+    });
+
+    if (added > 0) this.scheduleSave();
+    return added;
+  }
+
+  add(words) {
+    return this.addAll([words]);
+  }
+
+  /**
+   * Retient les combinaisons notées de l'historique
+   * @param {Array<Object>} history - Entrées { text, words? }
+   * @param {Array<string>} lexicon - Mots connus, pour les entrées sans liste de mots
+   * @returns {number} Nombre de combinaisons nouvelles
+   */
+  importHistory(history, lexicon) {
+    const combinations = history
+      .map(entry => Array.isArray(entry.words) && entry.words.length > 0
+        ? entry.words
+        : PreferenceModel.tokenize(entry.text, lexicon))
+      .filter(words => words && !this.has(words));
+
+    return combinations.length > 0 ? this.addAll(combinations) : 0;
+  }
+
+  /**
+   * Combinaisons vues qui appartiennent à l'espace d'un réservoir et d'un réglage du nombre de mots
+   * @param {Array<string>} pool - Mots disponibles
+   * @param {number|string} wordCount - Nombre de mots, 'max' ou 'surprise' (comme Combinatorics.countSpace)
+   * @returns {number}
+   */
+  countWithin(pool, wordCount) {
+    const available = new Set(pool);
+    const length = wordCount === 'max' ? pool.length : parseInt(wordCount, 10);
+    const anyLength = wordCount === 'surprise';
+    let count = 0;
+
+    this.keys.forEach(key => {
+      const words = this.decode(key);
+      if ((anyLength || words.length === Math.min(length, pool.length)) && words.every(word => available.has(word))) {
+        count++;
+      }
+    });
+
+    return count;
+  }
+
+  /**
+   * Parcourt les rangs de l'espace (voir Combinatorics) à partir de start, en boucle, jusqu'à une combinaison inédite
+   * Il y a moins de combinaisons vues que de rangs parcourus (size + 1 au plus) : une inédite est trouvée si l'espace n'est pas épuisé
+   * @param {Array<string>} pool - Mots disponibles
+   * @param {number|string} wordCount - Nombre de mots, 'max' ou 'surprise' (comme Combinatorics.countSpace)
+   * @param {bigint} [start] - Rang de départ
+   * @returns {Array<string>|null} Mots de la combinaison, null si toutes celles de l'espace ont été vues
+   */
+  findUnseen(pool, wordCount, start = 0n) {
+    const space = Combinatorics.countSpace(pool.length, wordCount);
+    if (space === 0n) return null;
+
+    const length = wordCount === 'max' ? pool.length : Math.min(parseInt(wordCount, 10), pool.length);
+    const unrank = wordCount === 'surprise'
+      ? index => Combinatorics.unrankAcrossLengths(pool, index)
+      : index => Combinatorics.unrank(pool, length, index);
+    const limit = BigInt(this.keys.size) + 1n;
+    const steps = limit < space ? limit : space;
+
+    for (let step = 0n; step < steps; step++) {
+      const words = unrank((start + step) % space);
+      if (!this.has(words)) return words;
+    }
+    return null;
+  }
+
+  clear() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.saveFailed = false;
+    this.keys.clear();
+    this.words = [];
+    this.wordNumbers.clear();
+    safeLocalStorageRemove(this.storageKey);
+    if (this.neverRepeat) this.save();
+  }
+}
+
+export default SeenCombinations;
@@ -6,6 +6,7 @@
 
 import { CONFIG } from './config.js';
 import { NotificationManager } from './NotificationManager.js';
+import { I18n } from './I18n.js';
 
 export class ShareManager {
   constructor() {
@@ -68,19 +69,19 @@ export class ShareManager {
   }
   
   formatCombinationForSocial(combination, rating, platform) {
-    const ratingText = rating !== null ? ` (Note: ${rating}/10)` : '';
+    const ratingText = rating !== null ? ` ${I18n.t('SHARE.SOCIAL_NOTE', { rating })}` : '';
     const baseText = `${combination}${ratingText}`;
     
-    const hashtags = platform === 'twitter' ? ' #PoésieQuantique #LesÉditionsPhilopitre' : 
-                     platform === 'whatsapp' ? '\n\n Poésie Quantique - Les Éditions Philopitre' :
-                     '\n\n📚 Découvrez la Poésie Quantique avec Les Éditions Philopitre';
+    const hashtags = platform === 'twitter' ? ` ${I18n.t('SHARE.TWITTER_HASHTAGS')}` : 
+                     platform === 'whatsapp' ? `\n\n ${I18n.t('SHARE.WHATSAPP_SIGNATURE')}` :
+                     `\n\n📚 ${I18n.t('SHARE.FACEBOOK_SIGNATURE')}`;
     
     return baseText + hashtags;
   }
   
   formatCombinationForEmail(combination, rating) {
-  const ratingText = rating !== null ? `Note attribuée : ${rating}/10\n\n` : '';
-  return `Voici ma combinaison poétique générée :\n\n"${combination}"\n\n${ratingText}Découvrez la Poésie Quantique sur notre site !\n\n📚 Les Éditions Philopitre`;
+  const ratingText = rating !== null ? `${I18n.t('SHARE.EMAIL_NOTE', { rating })}\n\n` : '';
+  return `${I18n.t('SHARE.EMAIL_INTRO')}\n\n"${combination}"\n\n${ratingText}${I18n.t('SHARE.EMAIL_OUTRO')}\n\n📚 Les Éditions Philopitre`;
   // ↑ Ajout du guillemet fermant manquant
 }
   
@@ -109,7 +110,7 @@ export class ShareManager {
   
   copyToClipboard(text) {
     if (!this.capabilities.clipboard) {
-      NotificationManager.error('Copie non supportée. Sélectionnez et copiez manuellement.');
+      NotificationManager.error(CONFIG.MESSAGES.COPY_UNSUPPORTED);
       return;
     }
     
@@ -161,7 +162,7 @@ export class ShareManager {
     if (!combination) return;
     
     const rating = this.getCurrentRating();
-    const subject = 'Ma combinaison poétique';
+    const subject = I18n.t('SHARE.EMAIL_SUBJECT');
     const body = this.formatCombinationForEmail(combination, rating);
     const url = `${CONFIG.SHARE_URLS.EMAIL}${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
     
@@ -170,7 +171,7 @@ export class ShareManager {
       this.recordShareAction('email', combination);
     } catch (error) {
       console.error('Erreur lors du partage email:', error);
-      NotificationManager.error('Erreur lors de l\'ouverture du client email');
+      NotificationManager.error(I18n.t('SHARE.EMAIL_ERROR'));
     }
   }
   
@@ -179,7 +180,7 @@ export class ShareManager {
     if (!combination) return;
     
     if (!this.capabilities.canvas) {
-      NotificationManager.error('Génération d\'image non supportée sur ce navigateur');
+      NotificationManager.error(I18n.t('SHARE.IMAGE_UNSUPPORTED'));
       return;
     }
     
@@ -197,7 +198,7 @@ export class ShareManager {
       
       const canvas = this.createCombinationCanvas(combination, rating, dateTime);
       this.downloadCanvasAsImage(canvas, CONFIG.EXPORT_FILE_NAMES.IMAGE);
-      NotificationManager.success('Image générée et téléchargée avec succès');
+      NotificationManager.success(I18n.t('SHARE.IMAGE_DOWNLOADED'));
       this.recordShareAction('image', combination);
     } catch (error) {
       console.error('Erreur lors de la génération d\'image:', error);
@@ -260,8 +261,8 @@ export class ShareManager {
   context.textAlign = 'center';
   context.textBaseline = 'middle';
   
-  const words = combination.split(' ');
-  const lines = this.wrapText(context, words, canvas.width - 200);
+  // Chaque vers d'un poème commence une nouvelle ligne
+  const lines = combination.split('\n').flatMap(verse => this.wrapText(context, verse.split(' '), canvas.width - 200));
   const lineHeight = 70;
   const totalHeight = lines.length * lineHeight;
   const startY = (canvas.height - totalHeight) / 2 - 50;
@@ -312,7 +313,7 @@ export class ShareManager {
   context.textAlign = 'center';
   context.textBaseline = 'middle';
   
-  const noteText = `Note : ${rating}/10`;
+  const noteText = I18n.t('SHARE.IMAGE_NOTE', { rating });
   
   // Ombre légère pour relief
   context.shadowColor = 'rgba(0, 0, 0, 0.1)';
@@ -420,7 +421,7 @@ getCurrentCombination() {
   downloadCanvasAsImage(canvas, filename) {
     canvas.toBlob(blob => {
       if (!blob) {
-        NotificationManager.error('Erreur lors de la conversion en image');
+        NotificationManager.error(CONFIG.MESSAGES.IMAGE_CONVERSION_ERROR);
         return;
       }
       
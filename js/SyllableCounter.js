@@ -0,0 +1,170 @@
+/**
+ * Décompte des syllabes à la française (versification)
+ * Tient compte du e muet (compté devant consonne, élidé devant voyelle, muet en fin de vers)
+ * et des élisions (« l'intelligence »), puis cherche des vers d'un nombre de syllabes donné
+ * @module SyllableCounter
+ */
+
+import { FrenchFormatter } from './FrenchFormatter.js';
+
+export const METRIC_FORMS = Object.freeze({
+  FREE: 'free',
+  ALEXANDRIN: 'alexandrin',
+  OCTOSYLLABE: 'octosyllabe',
+  HAIKU: 'haiku'
+});
+
+/**
+ * Syllabes visées par vers ; lines fixe le nombre de vers quand la forme l'impose
+ */
+export const METRIC_PATTERNS = Object.freeze({
+  [METRIC_FORMS.ALEXANDRIN]: { label: 'Alexandrin', syllables: [12] },
+  [METRIC_FORMS.OCTOSYLLABE]: { label: 'Octosyllabe', syllables: [8] },
+  [METRIC_FORMS.HAIKU]: { label: 'Haïku', syllables: [5, 7, 5], lines: 3 }
+});
+
+const DEFAULT_MAX_STEPS = 50000;
+
+const VOWEL_GROUP_PATTERN = /[aeiouyàâäéèêëîïôöùûüœæ]+/g;
+const MUTE_ENDING_PATTERN = /([^aeiouyàâäéèêëîïôöùûüœæ]?)(e|es)$/;
+const VOWEL_PATTERN = /[aeiouyàâäéèêëîïôöùûüœæ]$/;
+
+const phonetics = new FrenchFormatter();
+
+export class SyllableCounter {
+
+  /**
+   * Syllabes d'un mot isolé
+   * @param {string} word - Mot, éventuellement élidé (« l'erreur ») ou composé (« moi-même »)
+   * @returns {{base: number, mute: boolean, afterVowel: boolean}} Syllabes hors e muet final, présence et nature du e muet
+   */
+  static analyzeWord(word) {
+    const parts = String(word).toLowerCase().replace(/^.*['’]/, '').split('-').filter(Boolean);
+    if (parts.length === 0) return { base: 0, mute: false, afterVowel: false };
+
+    const analyses = parts.map(part => SyllableCounter.analyzePart(part));
+    const last = analyses[analyses.length - 1];
+    const base = analyses.reduce((sum, analysis, index) =>
+      sum + analysis.base + (index < analyses.length - 1 && analysis.mute ? 1 : 0), 0);
+
+    return { base, mute: last.mute, afterVowel: last.afterVowel };
+  }
+
+  /**
+   * @private
+   */
+  static analyzePart(part) {
+    // « qu » et « gu » devant e/i ne forment pas de voyelle : que, guide
+    let letters = part.replace(/qu/g, 'q').replace(/gu(?=[eéèêiîy])/g, 'g');
+    let mute = false;
+    let afterVowel = false;
+
+    const match = letters.match(MUTE_ENDING_PATTERN);
+    if (match) {
+      mute = true;
+      afterVowel = match[1] === '' && VOWEL_PATTERN.test(letters.slice(0, -match[2].length));
+      letters = letters.slice(0, -match[2].length);
+    }
+
+    const base = (letters.match(VOWEL_GROUP_PATTERN) || []).length;
+    return { base, mute, afterVowel };
+  }
+
+  /**
+   * Syllabes d'un vers
+   * @param {Array<string>} words - Mots du vers, dans l'ordre
+   * @returns {number}
+   */
+  static countLine(words) {
+    return SyllableCounter.countPrefix(words, true);
+  }
+
+  /**
+   * Syllabes d'un début de vers ; le e muet du dernier mot n'est compté que si le vers s'arrête là
+   * @private
+   */
+  static countPrefix(words, isComplete) {
+    return words.reduce((total, word, index) => {
+      const { base, mute, afterVowel } = SyllableCounter.analyzeWord(word);
+      const next = words[index + 1];
+      const beforeVowel = !!next && phonetics.startsWithVowelSound(next);
+
+      // « la intelligence » se dit « l'intelligence »
+      if (beforeVowel && phonetics.elides(word, next)) return total;
+      if (!mute || afterVowel) return total + base;
+      if (next) return total + base + (beforeVowel ? 0 : 1);
+      // Monosyllabe en fin de vers (« je ») : son e se prononce
+      return total + base + (isComplete && base === 0 ? 1 : 0);
+    }, 0);
+  }
+
+  /**
+   * Syllabes de chaque vers d'un texte mis en forme
+   * @param {string} text - Texte, vers séparés par des retours à la ligne
+   * @returns {Array<number>}
+   */
+  static countText(text) {
+    return String(text).split('\n').map(line => {
+      const words = line.replace(/[.,;:!?…—]/g, ' ').split(/\s+/).filter(Boolean);
+      return SyllableCounter.countLine(words);
+    });
+  }
+
+  /**
+   * Cherche des vers de mots distincts qui tombent juste sur les syllabes visées
+   * @param {Array<string>} pool - Mots disponibles
+   * @param {Array<number>} targets - Syllabes visées pour chaque vers
+   * @param {{nextInt: Function}} random - Générateur pseudo-aléatoire
+   * @param {Object} [options]
+   * @param {number} [options.maxSteps] - Budget d'essais avant abandon
+   * @param {Function} [options.accept] - Filtre sur chaque début de vers (grammaire par exemple)
+   * @param {Function} [options.acceptLine] - Filtre sur chaque vers complet, (line, lines) avec les vers déjà retenus
+   * @returns {Array<Array<string>>|null} Mots de chaque vers, ou null si aucune solution trouvée
+   */
+  static findLines(pool, targets, random, options = {}) {
+    const maxSteps = options.maxSteps || DEFAULT_MAX_STEPS;
+    const accept = options.accept || (() => true);
+    const acceptLine = options.acceptLine || (() => true);
+    let steps = 0;
+
+    const search = (lines, line, remaining) => {
+      const target = targets[lines.length];
+
+      if (line.length > 0 && SyllableCounter.countLine(line) === target && acceptLine(line, lines)) {
+        const done = [...lines, line];
+        if (done.length === targets.length) return done;
+
+        const found = search(done, [], remaining);
+        if (found || steps > maxSteps) return found;
+      }
+
+      for (const candidate of SyllableCounter.shuffle(remaining, random)) {
+        if (++steps > maxSteps) return null;
+
+        const attempt = [...line, candidate];
+        if (SyllableCounter.countPrefix(attempt, false) > target || !accept(attempt)) continue;
+
+        const found = search(lines, attempt, remaining.filter(word => word !== candidate));
+        if (found) return found;
+        if (steps > maxSteps) return null;
+      }
+      return null;
+    };
+
+    return targets.length > 0 ? search([], [], [...pool]) : null;
+  }
+
+  /**
+   * @private
+   */
+  static shuffle(items, random) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = random.nextInt(i + 1);
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+}
+
+export default SyllableCounter;
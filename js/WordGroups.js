@@ -0,0 +1,153 @@
+/**
+ * Groupes stylistiques des mots, sans DOM : chaque lexique nomme ses groupes et leur donne une couleur
+ * Les mots y renvoient par l'id du groupe ; la typographie alterne d'un groupe au suivant
+ * @module WordGroups
+ */
+
+import { CONFIG } from './config.js';
+import { GROUPS } from './Lexicon.js';
+import { I18n } from './I18n.js';
+
+/**
+ * Typographies des groupes, dans l'ordre de la liste (serif italique, puis machine à écrire en capitales)
+ */
+export const GROUP_TYPEFACES = Object.freeze(['serif', 'mono']);
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Couleurs proposées aux groupes ajoutés dans l'éditeur, après celles du poème original
+const PALETTE = ['#52796f', '#e76f51', '#6d597a', '#2a9d8f', '#bc6c25', '#3d5a80', '#9c6644', '#588157'];
+
+export class WordGroups {
+
+  /**
+   * @returns {Array<{id: number, name: string, color: string}>} Groupes du poème original
+   */
+  static defaults() {
+    return WordGroups.copy(GROUPS);
+  }
+
+  /**
+   * @param {Array<Object>} groups
+   * @returns {Array<{id: number, name: string, color: string}>}
+   */
+  static copy(groups) {
+    return groups.map(({ id, name, color }) => ({ id, name, color }));
+  }
+
+  /**
+   * Vérifie la liste des groupes d'un lexique
+   * @param {*} groups
+   * @returns {Array<{index: number|null, field: string, message: string}>} Erreurs par groupe (index) et par champ (id, name, color)
+   */
+  static validate(groups) {
+    const errors = [];
+    const limits = CONFIG.LIMITS;
+
+    if (!Array.isArray(groups)) {
+      return [{ index: null, field: 'groups', message: I18n.t('VALIDATION.GROUPS_UNREADABLE') }];
+    }
+    if (groups.length < 1 || groups.length > limits.MAX_LEXICON_GROUPS) {
+      errors.push({ index: null, field: 'groups', message: I18n.t('VALIDATION.GROUP_COUNT', { max: limits.MAX_LEXICON_GROUPS, count: groups.length }) });
+    }
+
+    const ids = new Set();
+    const names = new Set();
+
+    groups.forEach((group, index) => {
+      const number = index + 1;
+
+      if (!group || typeof group !== 'object') {
+        errors.push({ index, field: 'groups', message: I18n.t('VALIDATION.GROUP_UNREADABLE', { number }) });
+        return;
+      }
+
+      if (!Number.isInteger(group.id) || group.id < 1) {
+        errors.push({ index, field: 'id', message: I18n.t('VALIDATION.GROUP_ID_INVALID', { number }) });
+      } else if (ids.has(group.id)) {
+        errors.push({ index, field: 'id', message: I18n.t('VALIDATION.GROUP_ID_TAKEN', { id: group.id }) });
+      }
+      ids.add(group.id);
+
+      const name = typeof group.name === 'string' ? group.name.trim() : '';
+      if (!name) {
+        errors.push({ index, field: 'name', message: I18n.t('VALIDATION.GROUP_NAME_REQUIRED', { number }) });
+      } else if (name.length > limits.MAX_GROUP_NAME_LENGTH) {
+        errors.push({ index, field: 'name', message: I18n.t('VALIDATION.GROUP_NAME_TOO_LONG', { name, max: limits.MAX_GROUP_NAME_LENGTH }) });
+      } else if (names.has(name.toLowerCase())) {
+        errors.push({ index, field: 'name', message: I18n.t('VALIDATION.GROUP_NAME_TAKEN', { name }) });
+      }
+      names.add(name.toLowerCase());
+
+      if (typeof group.color !== 'string' || !COLOR_PATTERN.test(group.color)) {
+        errors.push({ index, field: 'color', message: I18n.t('VALIDATION.GROUP_COLOR_INVALID', { number }) });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * @param {Array<Object>} groups
+   * @returns {Array<number>}
+   */
+  static ids(groups) {
+    return groups.map(group => group.id);
+  }
+
+  /**
+   * Nom, couleur et typographie d'un groupe ; un id inconnu reçoit une apparence neutre
+   * @param {Array<Object>} groups - Groupes du lexique
+   * @param {number} id
+   * @returns {{id: number, name: string, color: string, typeface: string}}
+   */
+  static appearance(groups, id) {
+    const index = groups.findIndex(group => group.id === id);
+    if (index === -1) {
+      return { id, name: I18n.t('VALIDATION.GROUP_DEFAULT_NAME', { id }), color: PALETTE[0], typeface: GROUP_TYPEFACES[0] };
+    }
+
+    const { name, color } = groups[index];
+    return { id, name, color, typeface: GROUP_TYPEFACES[index % GROUP_TYPEFACES.length] };
+  }
+
+  /**
+   * Attributs HTML d'un élément du groupe (couleur en propriété CSS --group-color)
+   * @param {Array<Object>} groups
+   * @param {number} id
+   * @returns {string}
+   */
+  static attributes(groups, id) {
+    const { color, typeface } = WordGroups.appearance(groups, id);
+    return `data-group="${Number(id)}" data-typeface="${typeface}" style="--group-color: ${color}"`;
+  }
+
+  /**
+   * Même chose que attributes(), sur un élément existant
+   * @param {HTMLElement} element
+   * @param {Array<Object>} groups
+   * @param {number} id
+   * @returns {HTMLElement}
+   */
+  static decorate(element, groups, id) {
+    const { color, typeface } = WordGroups.appearance(groups, id);
+    element.dataset.group = String(id);
+    element.dataset.typeface = typeface;
+    element.style.setProperty('--group-color', color);
+    return element;
+  }
+
+  /**
+   * Nouveau groupe pour l'éditeur : id suivant et première couleur libre de la palette
+   * @param {Array<Object>} groups
+   * @returns {{id: number, name: string, color: string}}
+   */
+  static createGroup(groups) {
+    const id = Math.max(0, ...WordGroups.ids(groups)) + 1;
+    const used = new Set(groups.map(group => group.color.toLowerCase()));
+    const color = PALETTE.find(candidate => !used.has(candidate)) || PALETTE[groups.length % PALETTE.length];
+    return { id, name: I18n.t('VALIDATION.GROUP_DEFAULT_NAME', { id }), color };
+  }
+}
+
+export default WordGroups;
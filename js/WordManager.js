@@ -6,13 +6,15 @@
 
 import { CONFIG } from './config.js';
 import { NotificationManager } from './NotificationManager.js';
+import { I18n } from './I18n.js';
 
 export class WordManager {
-  constructor(audioManager) {
+  constructor(audioManager, lexiconManager) {
     if (!audioManager) throw new Error('AudioManager requis');
+    if (!lexiconManager) throw new Error('LexiconManager requis');
     
     this.audioManager = audioManager;
-    this.words = [...CONFIG.WORDS];
+    this.words = lexiconManager.getActiveWords();
     this.selectedWords = new Set(this.words);
     this.wordElements = [];
     this.wordListElement = null;
@@ -33,6 +35,9 @@ export class WordManager {
     this.validateWords();
     
     document.addEventListener('ordinationChanged', () => this.onOrdinationChanged());
+
+    this.localeChangedHandler = () => this.updateCounter();
+    document.addEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.localeChangedHandler);
   }
   
   onOrdinationChanged() {
@@ -108,6 +113,17 @@ export class WordManager {
     this.updateCounter();
   }
   
+  /**
+   * Remplace les mots par ceux d'un autre lexique ; tous sont sélectionnés
+   * Les éléments sont rattachés au prochain ordinationChanged, quand la liste a été redessinée
+   * @param {Object} lexicon - Lexique activé { words: [{ text }] }
+   */
+  setLexicon(lexicon) {
+    this.words = lexicon.words.map(word => word.text);
+    this.selectedWords = new Set(this.words);
+    this.updateCounter();
+  }
+  
   validateWords() {
     const issues = [];
     
@@ -175,7 +191,7 @@ export class WordManager {
     }
     
     if (this.selectedWords.has(word) && this.selectedWords.size === 1) {
-      NotificationManager.warning('Au moins un mot doit rester sélectionné');
+      NotificationManager.warning(I18n.t('WORDS.KEEP_ONE_SELECTED'));
       return;
     }
     
@@ -218,7 +234,7 @@ export class WordManager {
   
   deselectAllWords() {
     if (this.selectedWords.size === 1) {
-      NotificationManager.warning('Au moins un mot doit rester sélectionné');
+      NotificationManager.warning(I18n.t('WORDS.KEEP_ONE_SELECTED'));
       return;
     }
     
@@ -272,9 +288,13 @@ export class WordManager {
     }
     
     if (this.wordListElement) {
-      this.wordListElement.setAttribute('aria-label', 
-        `${this.selectedWords.size} mots sélectionnés sur ${this.words.length}`);
+      this.wordListElement.setAttribute('aria-label',
+        I18n.t('WORDS.SELECTION_LABEL', { count: this.selectedWords.size, total: this.words.length }));
     }
+    
+    document.dispatchEvent(new CustomEvent(CONFIG.EVENTS.SELECTION_CHANGED, {
+      detail: { totalSelected: this.selectedWords.size, totalWords: this.words.length }
+    }));
   }
   
   playWordSound() {
@@ -318,7 +338,7 @@ export class WordManager {
     const validWords = words.filter(word => this.words.includes(word));
     
     if (validWords.length === 0) {
-      NotificationManager.warning('Aucun mot valide à sélectionner');
+      NotificationManager.warning(I18n.t('WORDS.NO_VALID_WORD'));
       return;
     }
     
@@ -403,6 +423,7 @@ export class WordManager {
     
     document.removeEventListener('keydown', this.globalKeydownHandler);
     document.removeEventListener('ordinationChanged', this.ordinationChangedHandler);
+    document.removeEventListener(CONFIG.EVENTS.LOCALE_CHANGED, this.localeChangedHandler);
     
     this.selectedWords.clear();
     this.wordElements = [];
@@ -4,30 +4,14 @@
 
 // Import du ShareManager pour réutiliser la génération d'image
 import { ShareManager } from './ShareManager.js';
+import { LexiconStore } from './LexiconStore.js';
+import { WordGroups } from './WordGroups.js';
+import { I18n } from './I18n.js';
+import { LocaleManager } from './LocaleManager.js';
+import { CONFIG } from './config.js';
 
-// Configuration des mots
-const WORDS = [
-  { text: "Je", group: 1 },
-  { text: "suis", group: 1 },
-  { text: "rêveur", group: 2 },
-  { text: "professionnel", group: 1 },
-  { text: "dans", group: 1 },
-  { text: "mon", group: 2 },
-  { text: "métier", group: 2 },
-  { text: "exceptionnel", group: 2 },
-  { text: "l'erreur", group: 1 },
-  { text: "en", group: 1 },
-  { text: "tout", group: 1 },
-  { text: "genre", group: 1 },
-  { text: "est", group: 2 },
-  { text: "proscrite", group: 1 },
-  { text: "la", group: 1 },
-  { text: "souveraine", group: 1 },
-  { text: "intelligence", group: 1 },
-  { text: "pour", group: 2 },
-  { text: "moi-même", group: 2 },
-  { text: "grandissant", group: 2 }
-];
+// Mots et groupes du lexique actif (choisi et modifié depuis le générateur)
+const { words: WORDS, groups: GROUPS } = new LexiconStore().getActive();
 
 // Gestionnaire de notifications
 class NotificationManager {
@@ -108,6 +92,7 @@ class PoemComposer {
     
     // Créer une instance de ShareManager pour réutiliser la génération d'image
     this.shareManager = new ShareManager();
+    this.localeManager = new LocaleManager();
     
     this.init();
   }
@@ -133,11 +118,11 @@ class PoemComposer {
 
   createWordElement(wordData) {
     const div = document.createElement('div');
-    div.className = `word-item word-group-${wordData.group}`;
+    div.className = 'word-item';
     div.textContent = wordData.text;
     div.draggable = true;
     div.dataset.word = wordData.text;
-    div.dataset.group = wordData.group;
+    WordGroups.decorate(div, GROUPS, wordData.group);
 
     div.addEventListener('dragstart', (e) => this.onDragStart(e));
     div.addEventListener('dragend', (e) => this.onDragEnd(e));
@@ -156,6 +141,14 @@ class PoemComposer {
     document.getElementById('toggleSound')?.addEventListener('click', () => this.toggleSound());
     document.getElementById('copyPoem')?.addEventListener('click', () => this.copyPoem());
     document.getElementById('sharePoem')?.addEventListener('click', () => this.sharePoem());
+
+    // Texte dynamique retraduit au changement de langue
+    document.addEventListener(CONFIG.EVENTS.LOCALE_CHANGED, () => {
+      this.updatePoemText();
+      this.placedWords.forEach(({ element }) => {
+        element.querySelector('.remove-btn')?.setAttribute('aria-label', I18n.t('COMPOSER.REMOVE_WORD_LABEL'));
+      });
+    });
   }
 
   onDragStart(e) {
@@ -252,7 +245,8 @@ class PoemComposer {
 
   createPlacedWord(word, group, x, y) {
     const wordDiv = document.createElement('div');
-    wordDiv.className = `placed-word word-group-${group}`;
+    wordDiv.className = 'placed-word';
+    WordGroups.decorate(wordDiv, GROUPS, Number(group));
     wordDiv.textContent = word;
     wordDiv.style.left = `${x}px`;
     wordDiv.style.top = `${y}px`;
@@ -262,7 +256,7 @@ class PoemComposer {
     const removeBtn = document.createElement('button');
     removeBtn.className = 'remove-btn';
     removeBtn.innerHTML = '×';
-    removeBtn.setAttribute('aria-label', 'Supprimer ce mot');
+    removeBtn.setAttribute('aria-label', I18n.t('COMPOSER.REMOVE_WORD_LABEL'));
     removeBtn.addEventListener('click', (e) => {
       e.stopPropagation();
       this.removeWord(wordDiv);
@@ -328,7 +322,7 @@ class PoemComposer {
     this.updatePlaceholder();
     this.updatePoemText();
     this.playSound();
-    NotificationManager.show('Mot retiré');
+    NotificationManager.show(I18n.t('COMPOSER.WORD_REMOVED'));
   }
 
   updatePlaceholder() {
@@ -341,7 +335,7 @@ class PoemComposer {
 
   updatePoemText() {
     if (this.placedWords.length === 0) {
-      this.poemText.textContent = 'Commencez à composer...';
+      this.poemText.textContent = I18n.t('COMPOSER.EMPTY_POEM');
       this.poemText.classList.add('empty');
       return;
     }
@@ -366,7 +360,7 @@ class PoemComposer {
 
   clearCanvas() {
     if (this.placedWords.length === 0) {
-      NotificationManager.show('Le tableau est déjà vide');
+      NotificationManager.show(I18n.t('COMPOSER.ALREADY_EMPTY'));
       return;
     }
 
@@ -380,27 +374,27 @@ class PoemComposer {
     this.updatePlaceholder();
     this.updatePoemText();
     this.playSound();
-    NotificationManager.success('Tableau effacé');
+    NotificationManager.success(I18n.t('COMPOSER.CLEARED'));
   }
 
   copyPoem() {
     const poemText = document.getElementById('poemText');
     if (!poemText || poemText.classList.contains('empty')) {
-      NotificationManager.error('Créez d\'abord un poème !');
+      NotificationManager.error(I18n.t('COMPOSER.COMPOSE_FIRST'));
       return;
     }
 
     navigator.clipboard.writeText(poemText.textContent).then(() => {
-      NotificationManager.success('Poème copié dans le presse-papier !');
+      NotificationManager.success(I18n.t('COMPOSER.COPIED'));
     }).catch(() => {
-      NotificationManager.error('Erreur lors de la copie');
+      NotificationManager.error(I18n.t('COMPOSER.COPY_ERROR'));
     });
   }
 
   sharePoem() {
     const poemText = document.getElementById('poemText');
     if (!poemText || poemText.classList.contains('empty')) {
-      NotificationManager.error('Créez d\'abord un poème !');
+      NotificationManager.error(I18n.t('COMPOSER.COMPOSE_FIRST'));
       return;
     }
 
@@ -415,15 +409,15 @@ class PoemComposer {
       );
       
       this.downloadCanvas(canvas, 'mon-poeme-quantique.png');
-      NotificationManager.success('Image générée et téléchargée !');
+      NotificationManager.success(I18n.t('COMPOSER.IMAGE_DOWNLOADED'));
     } catch (error) {
       console.error('Erreur génération image:', error);
-      NotificationManager.error('Erreur lors de la génération de l\'image');
+      NotificationManager.error(CONFIG.MESSAGES.IMAGE_GENERATION_ERROR);
     }
   }
 
   getFormattedDateTime() {
-    return new Date().toLocaleDateString('fr-FR', {
+    return I18n.formatDate(new Date(), {
       year: 'numeric',
       month: 'long',
       day: 'numeric'
@@ -433,7 +427,7 @@ class PoemComposer {
   downloadCanvas(canvas, filename) {
     canvas.toBlob(blob => {
       if (!blob) {
-        NotificationManager.error('Erreur lors de la conversion en image');
+        NotificationManager.error(CONFIG.MESSAGES.IMAGE_CONVERSION_ERROR);
         return;
       }
       
@@ -454,7 +448,7 @@ class PoemComposer {
     const isEnabled = this.audioManager.toggle();
     this.updateSoundButton();
     
-    const message = isEnabled ? 'Son activé ! 🔊' : 'Son désactivé 🔇';
+    const message = isEnabled ? CONFIG.MESSAGES.SOUND_ENABLED : CONFIG.MESSAGES.SOUND_DISABLED;
     NotificationManager.show(message);
   }
 
@@ -463,7 +457,8 @@ class PoemComposer {
     if (!soundBtn || !this.audioManager) return;
 
     const isEnabled = this.audioManager.isEnabled();
-    soundBtn.innerHTML = isEnabled ? '<span aria-hidden="true">🔊</span> Son' : '<span aria-hidden="true">🔇</span> Son';
+    soundBtn.innerHTML = `<span aria-hidden="true">${isEnabled ? '🔊' : '🔇'}</span> <span data-i18n="PAGE.SOUND">Son</span>`;
+    this.localeManager?.apply(soundBtn);
     soundBtn.setAttribute('aria-pressed', isEnabled.toString());
     soundBtn.className = isEnabled ? 'secondary' : 'secondary sound-disabled';
   }
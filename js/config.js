@@ -4,13 +4,12 @@
  * @module Config
  */
 
+import { WORD_IDS } from './Lexicon.js';
+import { I18n } from './I18n.js';
+
 const BASE_CONFIG = {
-  // Mots disponibles pour les combinaisons poétiques
-  WORDS: [
-    "Je", "suis", "rêveur", "professionnel", "dans", "mon", "métier",
-    "exceptionnel", "l'erreur", "en", "tout", "genre", "est", "proscrite",
-    "la", "souveraine", "intelligence", "pour", "moi-même", "grandissant"
-  ],
+  // Mots disponibles pour les combinaisons poétiques (définis dans Lexicon.js)
+  WORDS: [...WORD_IDS],
 
   // Paramètres d'animation
   ANIMATION: {
@@ -27,12 +26,17 @@ const BASE_CONFIG = {
     FADE_DURATION: 500
   },
 
-  // Clés de stockage localStorage
+  // Clés de stockage localStorage (et nom de la base IndexedDB de l'historique)
   STORAGE: {
     HISTORY_KEY: 'poeticHistory',
+    HISTORY_DATABASE: 'poeticHistory',
+    HISTORY_QUARANTINE_KEY: 'poeticHistoryQuarantine',
     SOUND_KEY: 'poeticSoundEnabled',
     PREFERENCES_KEY: 'poeticUserPreferences',
-    ORDINATION_KEY: 'poeticOrdination'
+    ORDINATION_KEY: 'poeticOrdination',
+    SEEN_COMBINATIONS_KEY: 'poeticSeenCombinations',
+    LEXICONS_KEY: 'poeticLexicons',
+    LOCALE_KEY: 'poeticLocale'
   },
 
   // Noms de fichiers d'export
@@ -45,6 +49,11 @@ const BASE_CONFIG = {
     IMAGE: 'combinaison.png'
   },
 
+  // Traductions du poème, livrées comme fichiers de lexique (chemins relatifs à la page)
+  LEXICON_TRANSLATIONS: [
+    { language: 'en', label: 'English', file: 'lexicons/en.json' }
+  ],
+
   // Configuration de l'image générée
   IMAGE_CONFIG: {
     WIDTH: 1080,
@@ -62,7 +71,7 @@ const BASE_CONFIG = {
     TWITTER: 'https://twitter.com/intent/tweet?text=',
     WHATSAPP: 'https://api.whatsapp.com/send?text=',
     FACEBOOK: 'https://www.facebook.com/sharer/sharer.php?u=&quote=',
-    EMAIL: 'mailto:?subject=Ma combinaison poétique&body='
+    EMAIL: 'mailto:?subject='
   },
 
   // Configuration PDF
@@ -78,13 +87,8 @@ const BASE_CONFIG = {
     FONT_FAMILY: 'helvetica'
   },
 
-  // Messages de feedback pour les notes
-  RATING_FEEDBACK: {
-    LOW: "Une combinaison farfelue, non ? Essayons encore...",
-    MEDIUM: "Intrigant ! Pas tout à fait clair, mais intéressant.",
-    HIGH: "De la belle matière poétique ici !",
-    EXCELLENT: "Très réaliste, une combinaison crédible et inspirante !"
-  },
+  // Messages de feedback pour les notes, dans la langue de l'interface (voir js/locales)
+  RATING_FEEDBACK: I18n.section('RATING_FEEDBACK'),
 
   // Seuils pour les notes
   RATING_THRESHOLDS: {
@@ -101,9 +105,62 @@ const BASE_CONFIG = {
     STATISTICS: 'statistics',
     HISTORY: 'history',
     WORD_COUNT_SELECT: 'wordCount',
+    SEED_INPUT: 'seedInput',
+    GENERATION_INFO: 'generationInfo',
+    SPACE_SIZE: 'spaceSize',
+    FORMAT_MODE_SELECT: 'formatMode',
+    GENERATION_MODE_SELECT: 'generationMode',
+    LEARNING_STRENGTH_SLIDER: 'learningStrength',
+    LINE_COUNT_SELECT: 'lineCount',
+    METRIC_FORM_SELECT: 'metricForm',
+    NEVER_REPEAT_CHECKBOX: 'neverRepeat',
+    FORGET_SEEN_BTN: 'forgetSeenBtn',
+    BATCH_COUNT_SELECT: 'batchCount',
+    BATCH_GRID: 'batchGrid',
+    GENERATE_BATCH_BTN: 'generateBatchBtn',
+    GENERATE_BATCH_SELECTED_BTN: 'generateBatchSelectedBtn',
+    BATCH_SEND_TO_HISTORY_BTN: 'batchSendToHistoryBtn',
+    BATCH_COPY_STARRED_BTN: 'batchCopyStarredBtn',
+    BATCH_CLEAR_BTN: 'batchClearBtn',
+    LEXICON_SELECT: 'lexiconSelect',
+    LEXICON_NAME_INPUT: 'lexiconName',
+    LEXICON_WORDS: 'lexiconWords',
+    LEXICON_NEW_WORD_INPUT: 'lexiconNewWord',
+    LEXICON_NEW_WORD_GROUP: 'lexiconNewWordGroup',
+    LEXICON_ADD_WORD_BTN: 'lexiconAddWordBtn',
+    LEXICON_DUPLICATE_BTN: 'lexiconDuplicateBtn',
+    LEXICON_SAVE_BTN: 'lexiconSaveBtn',
+    LEXICON_DELETE_BTN: 'lexiconDeleteBtn',
+    LEXICON_AUTHOR_INPUT: 'lexiconAuthor',
+    LEXICON_EXPORT_BTN: 'lexiconExportBtn',
+    LEXICON_IMPORT_BTN: 'lexiconImportBtn',
+    LEXICON_IMPORT_INPUT: 'lexiconImportInput',
+    LEXICON_GROUPS: 'lexiconGroups',
+    LEXICON_ADD_GROUP_BTN: 'lexiconAddGroupBtn',
+    LEXICON_TRANSLATION_SELECT: 'lexiconTranslationSelect',
+    LEXICON_LOAD_TRANSLATION_BTN: 'lexiconLoadTranslationBtn',
+    ORDINATION_SELECT: 'ordinationSelect',
+    ORDINATION_NAME_INPUT: 'ordinationName',
+    ORDINATION_WORDS: 'ordinationWords',
+    ORDINATION_SAVE_NEW_BTN: 'ordinationSaveNewBtn',
+    ORDINATION_SAVE_BTN: 'ordinationSaveBtn',
+    ORDINATION_DELETE_BTN: 'ordinationDeleteBtn',
+    CONSTRAINT_INCLUDE_INPUT: 'constraintInclude',
+    CONSTRAINT_EXCLUDE_INPUT: 'constraintExclude',
+    CONSTRAINT_FIRST_INPUT: 'constraintFirst',
+    CONSTRAINT_LAST_INPUT: 'constraintLast',
+    CONSTRAINT_POSITIONS_INPUT: 'constraintPositions',
+    CONSTRAINT_MIN_LENGTH_INPUT: 'constraintMinLength',
+    CONSTRAINT_MAX_LENGTH_INPUT: 'constraintMaxLength',
+    CLEAR_CONSTRAINTS_BTN: 'clearConstraintsBtn',
+    GROUP_PATTERN_SELECT: 'groupPatternMode',
+    GROUP_QUOTAS: 'groupQuotas',
+    COMBINATION_INDEX_INPUT: 'combinationIndexInput',
+    JUMP_TO_INDEX_BTN: 'jumpToIndexBtn',
     SELECTED_WORDS_COUNTER: 'selectedWordsCount',
     RESET_ALL_WORDS: 'resetAllWords',
     TOGGLE_SOUND: 'toggleSound',
+    LOCALE_SELECT: 'localeSelect',
     GENERATE_BTN: 'generateBtn',
     GENERATE_SELECTED_BTN: 'generateSelectedBtn',
     NEW_COMBINATION_BTN: 'newCombinationBtn',
@@ -119,11 +176,35 @@ const BASE_CONFIG = {
     RANDOM_SORT: 'randomSort',
     EXPORT_TXT: 'exportTXT',
     EXPORT_PDF: 'exportPDF',
+    EXPORT_CSV: 'exportCSV',
+    EXPORT_JSON: 'exportJSON',
+    EXPORT_XML: 'exportXML',
+    IMPORT_HISTORY: 'importHistory',
+    HISTORY_IMPORT_INPUT: 'historyImportInput',
+    HISTORY_IMPORT_PREVIEW: 'historyImportPreview',
+    HISTORY_IMPORT_MODE: 'historyImportMode',
+    HISTORY_IMPORT_SUMMARY: 'historyImportSummary',
+    HISTORY_IMPORT_LIST: 'historyImportList',
+    HISTORY_IMPORT_CONFIRM: 'historyImportConfirm',
+    HISTORY_IMPORT_CANCEL: 'historyImportCancel',
+    HISTORY_FILTER_PANEL: 'historyFilterPanel',
+    HISTORY_FILTER: 'historyFilter',
+    HISTORY_FILTER_SUMMARY: 'historyFilterSummary',
+    HISTORY_FILTER_RESET: 'historyFilterReset',
+    HISTORY_FILTER_SHARE: 'historyFilterShare',
+    HISTORY_TAG_LIST: 'historyTagList',
     RESET_CACHE: 'resetCache',
     TOTAL_COMBINATIONS: 'totalCombinations',
     AVERAGE_NOTE: 'averageNote',
     BEST_NOTE: 'bestNote',
     WORST_NOTE: 'worstNote',
+    GROUP_STATISTICS: 'groupStatistics',
+    ANALYTICS_PANEL: 'analyticsPanel',
+    HISTORY_ANALYTICS: 'historyAnalytics',
+    DESCRIPTIVE_STATISTICS: 'descriptiveStatistics',
+    TREND_PERIOD_SELECT: 'trendPeriod',
+    RATING_TREND_CHART: 'ratingTrendChart',
+    RATING_DISTRIBUTION_CHART: 'ratingDistributionChart',
     TYPEWRITER_SOUND: 'typewriterSound',
     RATING_INPUTS: '.rating input[type="radio"]',
     RATING_CHECKED: '.rating input[type="radio"]:checked',
@@ -150,59 +231,75 @@ const BASE_CONFIG = {
   SELECTORS: {
     WORD_ELEMENTS: '[data-word]',
     HIDDEN_WORDS: '.word-hidden',
-    WORD_GROUP_1: '.word-group-1',
-    WORD_GROUP_2: '.word-group-2',
+    WORD_GROUP: '.word-group',
     EXISTING_NOTIFICATION: '.notification',
     HISTORY_ENTRIES_NOT_CONTROLS: 'div:not(.history-controls)'
   },
 
-  // Messages utilisateur
-  MESSAGES: {
-    NO_WORDS_AVAILABLE: "Aucun mot n'est disponible !",
-    NO_WORDS_SELECTED: "Aucun mot n'est sélectionné ! Cliquez sur les mots grisés pour les activer.",
-    ALL_WORDS_RESET: "Tous les mots ont été réinitialisés !",
-    SOUND_ENABLED: "Son activé ! 🔊",
-    SOUND_DISABLED: "Son désactivé 🔇",
-    GENERATION_NOT_COMPLETE: "Attends que la génération soit complètement terminée avant de noter !",
-    GENERATION_NOT_FINISHED: "La génération n'est pas encore terminée !",
-    CHOOSE_RATING: "Merci de choisir une note avant d'envoyer.",
-    RATING_SUBMITTED: "Merci pour ta contribution !",
-    COMBINATION_COPIED: "Combinaison copiée dans le presse-papier !",
-    COPY_ERROR: "Erreur lors de la copie. Essayez à nouveau.",
-    GENERATE_FIRST: "Génère d'abord une combinaison !",
-    HISTORY_EMPTY: "L'historique est vide.",
-    PDF_LIBRARY_ERROR: "La bibliothèque jsPDF n'est pas chargée correctement.",
-    PDF_GENERATION_ERROR: "Erreur lors de la génération du PDF.",
-    IMAGE_GENERATION_ERROR: "Erreur lors de la génération de l'image.",
-    CANVAS_ERROR: "Impossible de créer le contexte du canvas",
-    CACHE_RESET_CONFIRM: "Veux-tu vraiment réinitialiser le cache ? Cela effacera toutes les données enregistrées.",
-    CACHE_RESET_SUCCESS: "Le cache a été réinitialisé avec succès!",
-    SELECTED_WORDS_GENERATION: "Combinaison générée avec tous les {count} mots sélectionnés."
+  // Messages utilisateur, dans la langue de l'interface (voir js/locales)
+  MESSAGES: I18n.section('MESSAGES'),
+
+  // Mode poème : découpage en vers et ponctuation de fin de vers
+  POEM: {
+    MAX_LINES: 5,
+    LINE_ENDINGS: ['', '', ',', ';', ' —'],
+    FINAL_ENDINGS: ['.', '.', '!', '…', '?']
+  },
+
+  // Statistiques : évolution des notes (voir HistoryAnalytics.ratingTrend)
+  STATISTICS: {
+    SESSION_GAP: 30 * 60 * 1000,
+    MOVING_AVERAGE_WINDOW: 5,
+    MAX_TREND_POINTS: 60
   },
 
   // Limites et contraintes
   LIMITS: {
-    MAX_HISTORY_ENTRIES: 1000,
     MIN_RATING: 1,
     MAX_RATING: 10,
     MAX_NOTIFICATION_LENGTH: 200,
     MAX_COMBINATION_LENGTH: 500,
     MIN_WORDS_FOR_GENERATION: 1,
-    MAX_RECENT_COMBINATIONS: 10
+    MAX_RECENT_COMBINATIONS: 10,
+    MAX_BATCH_SIZE: 100,
+    BATCH_ATTEMPTS_PER_ITEM: 5,
+    NEVER_REPEAT_MAX_ATTEMPTS: 50,
+    MIN_LEXICON_WORDS: 2,
+    MAX_LEXICON_WORDS: 40,
+    MAX_LEXICON_WORD_LENGTH: 30,
+    MAX_LEXICON_NAME_LENGTH: 40,
+    MAX_LEXICONS: 20,
+    MAX_LEXICON_ORDINATIONS: 2,
+    MAX_LEXICON_AUTHOR_LENGTH: 60,
+    MAX_LEXICON_DESCRIPTION_LENGTH: 200,
+    MAX_LEXICON_FILE_SIZE: 100000,
+    MAX_HISTORY_FILE_SIZE: 10000000,
+    MAX_HISTORY_IMPORT_PREVIEW: 20,
+    MAX_TAG_LENGTH: 30,
+    MAX_TAGS_PER_ENTRY: 10,
+    MAX_CUSTOM_ORDINATIONS: 20,
+    MAX_LEXICON_GROUPS: 8,
+    MAX_GROUP_NAME_LENGTH: 30,
+    MAX_ANALYTICS_PAIRS: 10
   },
 
   // Configuration des événements
   EVENTS: {
     WORD_TOGGLED: 'wordToggled',
+    SELECTION_CHANGED: 'selectionChanged',
     COMBINATION_GENERATED: 'combinationGenerated',
     COMBINATION_RATED: 'combinationRated',
     HISTORY_UPDATED: 'historyUpdated',
+    HISTORY_FILTER_CHANGED: 'historyFilterChanged',
     STATISTICS_UPDATED: 'statisticsUpdated',
     SOUND_TOGGLED: 'soundToggled',
     APP_INITIALIZED: 'appInitialized',
     APP_ERROR: 'appError',
     AUDIO_CONTEXT_CHANGED: 'audioContextChanged',
-    ORDINATION_CHANGED: 'ordinationChanged'
+    ORDINATION_CHANGED: 'ordinationChanged',
+    LEXICON_CHANGED: 'lexiconChanged',
+    LOCALE_CHANGED: 'localeChanged',
+    REPLAY_REQUESTED: 'replayRequested'
   },
 
   // Configuration audio
@@ -218,7 +315,7 @@ const BASE_CONFIG = {
 
   // Format de date/heure
   DATE_FORMAT: {
-    LOCALE: 'fr-FR',
+    get LOCALE() { return I18n.getLocale(); },
     OPTIONS: {
       year: 'numeric',
       month: 'long',
@@ -231,6 +328,7 @@ const BASE_CONFIG = {
   // Configuration de performance
   PERFORMANCE: {
     DEBOUNCE_DELAY: 300,
+    SEEN_SAVE_DELAY: 2000,
     THROTTLE_DELAY: 100,
     MAX_CONCURRENT_ANIMATIONS: 3,
     CLEANUP_INTERVAL: 30000
@@ -421,6 +519,10 @@ const resetUserConfig = () => {
   return success;
 };
 
+// Langue de l'interface : choix enregistré, sinon celle du navigateur (français à défaut de traduction)
+I18n.setLocale(safeLocalStorageGet(CONFIG.STORAGE.LOCALE_KEY, null) ||
+  (typeof navigator !== 'undefined' ? navigator.language : null));
+
 // Freeze de l'objet CONFIG (data seulement)
 Object.freeze(CONFIG);
 
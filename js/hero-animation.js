@@ -2,34 +2,29 @@
  * Animation du titre héro avec le poème original et sauts de ligne exacts
  */
 
+import { ORIGINAL_POEM_LINES, GROUPS } from './Lexicon.js';
+import { WordGroups } from './WordGroups.js';
+import { LocaleManager } from './LocaleManager.js';
+
 console.log('Script hero-animation.js chargé');
 
 document.addEventListener('DOMContentLoaded', function() {
   console.log('DOM chargé - Démarrage animation');
+
+  // Langue de l'interface ; le poème reste en français
+  new LocaleManager();
   
-  // Les 20 mots du poème avec les sauts de ligne aux bons endroits
-  const heroWords = [
-    { text: "Je", group: 1 },
-    { text: "suis", group: 1 },
-    { text: "rêveur", group: 2 },
-    { text: "professionnel", group: 1, lineBreak: true },   // SAUT après "professionnel"
-    { text: "dans", group: 1 },
-    { text: "mon", group: 2 },
-    { text: "métier", group: 2 },
-    { text: "exceptionnel", group: 2, lineBreak: true },    // SAUT après "exceptionnel"
-    { text: "l'erreur", group: 1 },
-    { text: "en", group: 1 },
-    { text: "tout", group: 1 },
-    { text: "genre", group: 1 },
-    { text: "est", group: 2 },
-    { text: "proscrite", group: 1, lineBreak: true },       // SAUT après "proscrite"
-    { text: "la", group: 1 },
-    { text: "souveraine", group: 1 },
-    { text: "intelligence", group: 1, lineBreak: true },    // SAUT après "intelligence"
-    { text: "pour", group: 2 },
-    { text: "moi-même", group: 2 },
-    { text: "grandissant", group: 2 }                        // Dernier mot
-  ];
+  // Les 20 mots du poème, avec un saut de ligne à la fin de chaque vers sauf le dernier
+  const heroWords = ORIGINAL_POEM_LINES.flatMap(function(line, lineIndex) {
+    return line.map(function(word, wordIndex) {
+      const isLastOfLine = wordIndex === line.length - 1;
+      return {
+        text: word.text,
+        group: word.group,
+        lineBreak: isLastOfLine && lineIndex < ORIGINAL_POEM_LINES.length - 1
+      };
+    });
+  });
 
   const animatedTextElement = document.getElementById('heroAnimatedText');
   
@@ -40,13 +35,18 @@ document.addEventListener('DOMContentLoaded', function() {
 
   console.log('✅ Element trouvé, démarrage de l\'animation...');
 
+  animatedTextElement.setAttribute('aria-label', heroWords.map(function(wordData) {
+    return wordData.text;
+  }).join(' '));
+
   const WORD_DELAY = 300; // Délai entre chaque mot (ms)
   const CURSOR_DURATION = 3000; // Durée du curseur (ms)
 
   // Fonction pour créer un mot
   function createWord(wordData) {
     const span = document.createElement('span');
-    span.className = 'hero-word group-' + wordData.group;
+    span.className = 'hero-word';
+    WordGroups.decorate(span, GROUPS, wordData.group);
     span.textContent = wordData.text;
     span.setAttribute('aria-hidden', 'true');
     return span;
@@ -82,7 +82,8 @@ document.addEventListener('DOMContentLoaded', function() {
       // Si c'est le dernier mot, ajouter le point final
       if (index === heroWords.length - 1) {
         const period = document.createElement('span');
-        period.className = 'hero-word group-' + wordData.group;
+        period.className = 'hero-word';
+        WordGroups.decorate(period, GROUPS, wordData.group);
         period.textContent = '.';
         period.setAttribute('aria-hidden', 'true');
         animatedTextElement.appendChild(period);
@@ -0,0 +1,871 @@
+/**
+ * Catalogue anglais
+ * Mêmes clés que le catalogue français (voir I18n.missingKeys) ; PAGE traduit le texte fixe des pages
+ * @module locales/en
+ */
+
+export default {
+  MESSAGES: {
+    APP_READY: "Ready to go! 🌟",
+    APP_LOAD_ERROR: "The application failed to load. Please reload the page.",
+    UNEXPECTED_ERROR: "Something went wrong. Please try again.",
+    HISTORY_RESET: "History cleared",
+    HISTORY_RESET_CONFIRM: "⚠️ Do you really want to clear the whole history? This cannot be undone.",
+    NO_WORDS_AVAILABLE: "No words are available!",
+    NO_WORDS_SELECTED: "No words are selected! Click the greyed-out words to turn them on.",
+    ALL_WORDS_RESET: "All words have been reset!",
+    SOUND_ENABLED: "Sound on! 🔊",
+    SOUND_DISABLED: "Sound off 🔇",
+    GENERATION_NOT_COMPLETE: "Wait until the generation has fully finished before rating!",
+    GENERATION_NOT_FINISHED: "The generation hasn't finished yet!",
+    CHOOSE_RATING: "Please choose a rating before sending.",
+    RATING_SUBMITTED: "Thanks for your contribution!",
+    COMBINATION_COPIED: "Combination copied to the clipboard!",
+    COPY_ERROR: "Copying failed. Please try again.",
+    COPY_UNSUPPORTED: "Copying isn't supported. Select the text and copy it by hand.",
+    CLOSE_NOTIFICATION: "Close the notification",
+    GENERATE_FIRST: "Generate a combination first!",
+    HISTORY_EMPTY: "The history is empty.",
+    PDF_LIBRARY_ERROR: "The jsPDF library didn't load properly.",
+    PDF_GENERATION_ERROR: "The PDF couldn't be generated.",
+    IMAGE_GENERATION_ERROR: "The image couldn't be generated.",
+    IMAGE_CONVERSION_ERROR: "The image conversion failed",
+    CANVAS_ERROR: "Unable to create the canvas context",
+    CACHE_RESET_CONFIRM: "Do you really want to reset the cache? All saved data will be erased.",
+    CACHE_RESET_SUCCESS: "The cache has been reset!",
+    SELECTED_WORDS_GENERATION: {
+      one: "Combination generated with the only selected word.",
+      other: "Combination generated with all {count} selected words."
+    },
+    SEED_REPLAYED: "Combination regenerated from seed {seed}.",
+    REPLAY_DIFFERS: "Seed {seed} replayed with the settings of the entry, but the combination differs: the lexicon, the selection or the ratings (learned mode) have changed since.",
+    INDEX_REACHED: "Here is combination no. {index}!",
+    INDEX_OUT_OF_RANGE: "Enter a combination number between 1 and {max}.",
+    NO_GRAMMATICAL_COMBINATION: "No grammatical sentence of {count} words can be built from these words. Try fewer words or another selection.",
+    CONSTRAINTS_UNSATISFIABLE: "These constraints can't be met: {reasons}.",
+    CONSTRAINTS_CLEARED: "Constraints cleared.",
+    NOT_ENOUGH_WORDS_FOR_LINES: "At least {count} words are needed for {count} lines.",
+    METRIC_FORM_IMPOSSIBLE: "No {form} ({syllables} syllables) can be built from these words. Select more words or reduce the number of lines.",
+    METRIC_CONSTRAINTS_UNSUPPORTED: "Metric forms only accept excluded words as constraints.",
+    METRIC_LANGUAGE_UNSUPPORTED: "Metric forms count French syllables: this lexicon is in {language}.",
+    GRAMMAR_LANGUAGE_UNSUPPORTED: "Grammatical mode follows French grammar: this lexicon is in {language}.",
+    GROUP_PATTERN_UNSATISFIABLE: "This group pattern can't be met: {reasons}.",
+    GROUP_PATTERN_UNSUPPORTED: "A group pattern can't be combined with constraints or metric forms.",
+    BATCH_GENERATED: "{count} combinations generated: rate, star or copy the ones you like.",
+    BATCH_INCOMPLETE: {
+      one: "Only {count} distinct combination out of the {requested} requested with these settings.",
+      other: "Only {count} distinct combinations out of the {requested} requested with these settings."
+    },
+    BATCH_NOTHING_RATED: "Rate at least one combination of the batch before sending it to the history.",
+    BATCH_SENT: {
+      one: "{count} combination added to the history.",
+      other: "{count} combinations added to the history."
+    },
+    BATCH_NOTHING_STARRED: "No starred combination in the batch.",
+    BATCH_COPIED: {
+      one: "{count} starred combination copied!",
+      other: "{count} starred combinations copied!"
+    },
+    NO_UNSEEN_COMBINATION: "No new combination found in {attempts} attempts: widen the selection or change the number of words.",
+    SEEN_COMBINATIONS_FORGOTTEN: "Seen combinations forgotten: the whole space is new again.",
+    SEEN_COMBINATIONS_NOT_SAVED: {
+      one: "Browser storage is full: {count} seen combination is no longer saved and will be forgotten on reload. Free some space (export then clear the history, or forget the seen combinations).",
+      other: "Browser storage is full: {count} seen combinations are no longer saved and will be forgotten on reload. Free some space (export then clear the history, or forget the seen combinations)."
+    },
+    LEXICON_ACTIVATED: "Lexicon “{name}” activated ({count} words).",
+    LEXICON_CREATED: "Lexicon “{name}” created: edit its words, then save.",
+    LEXICON_SAVED: "Lexicon “{name}” saved.",
+    LEXICON_DELETED: "Lexicon “{name}” deleted.",
+    LEXICON_INVALID: "Lexicon not saved: {reasons}.",
+    LEXICON_READ_ONLY: "The original poem's lexicon can't be edited: duplicate it to make your own.",
+    LEXICON_DELETE_CONFIRM: "Delete the lexicon “{name}”? Its words will be lost.",
+    LEXICON_EXPORTED: "Lexicon “{name}” exported.",
+    LEXICON_IMPORTED: "Lexicon “{name}” imported ({count} words).",
+    LEXICON_IMPORT_INVALID: "Lexicon file rejected: {reasons}.",
+    LEXICON_WARNINGS: "Note: {warnings}.",
+    LEXICON_FILE_TOO_LARGE: "Lexicon file too large (at most {size} KB).",
+    LEXICON_TRANSLATION_ERROR: "The translation couldn't be loaded: {reason}.",
+    ORDINATION_SAVED: "Ordination “{name}” saved.",
+    ORDINATION_INVALID: "Ordination not saved: {reasons}.",
+    ORDINATION_READ_ONLY: "This ordination belongs to the lexicon: save your version under a new name.",
+    ORDINATION_DELETED: "Ordination “{name}” deleted.",
+    ORDINATION_DELETE_CONFIRM: "Delete the ordination “{name}”?"
+  },
+
+  RATING_FEEDBACK: {
+    LOW: "A rather far-fetched combination, isn't it? Let's try again...",
+    MEDIUM: "Intriguing! Not quite clear, but interesting.",
+    HIGH: "Some fine poetic material here!",
+    EXCELLENT: "Very true to life: a believable and inspiring combination!"
+  },
+
+  VALIDATION: {
+    LEXICON_NAME_REQUIRED: "The lexicon needs a name",
+    LEXICON_NAME_TOO_LONG: "The name is longer than {max} characters",
+    LEXICON_NAME_TAKEN: "A lexicon called “{name}” already exists",
+    WORDS_UNREADABLE: "The word list can't be read",
+    WORD_COUNT: "A lexicon has between {min} and {max} words ({count} here)",
+    WORD_EMPTY: "Word no. {number} is empty",
+    WORD_DUPLICATE: "“{text}” appears twice",
+    WORD_TOO_LONG: "“{text}” is longer than {max} characters",
+    WORD_CHARACTERS: "“{text}” may only contain letters, digits, an apostrophe or a hyphen",
+    WORD_GROUP_UNKNOWN: "Unknown group for “{text}”",
+    ORDINATIONS_UNREADABLE: "The ordinations can't be read",
+    ORDINATION_COUNT: "At most {max} ordinations ({count} here)",
+    ORDINATION_NAME_REQUIRED: "An ordination needs a name",
+    ORDINATION_NAME_TOO_LONG: "The name of the ordination “{name}” is longer than {max} characters",
+    ORDINATION_NAMED: "The ordination “{name}”",
+    ORDINATION_UNNAMED: "The unnamed ordination",
+    ORDINATION_NO_ORDER: "{ordination} gives no word order",
+    ORDINATION_UNKNOWN_WORD: "{ordination} lists “{text}”, which isn't in the lexicon",
+    ORDINATION_MISSING_WORD: "{ordination} leaves out “{text}”",
+    ORDINATION_DUPLICATE_WORD: "{ordination} lists “{text}” twice",
+    LEXICON_LIMIT: "At most {max} lexicons: delete one first",
+    LEXICON_NOT_EDITABLE: "This lexicon can't be edited",
+    ORDINATIONS_REMOVED: "The lexicon's ordinations were removed: its words have changed",
+
+    GROUPS_UNREADABLE: "The groups can't be read",
+    GROUP_COUNT: "A lexicon has between 1 and {max} groups ({count} here)",
+    GROUP_UNREADABLE: "Group no. {number} can't be read",
+    GROUP_ID_INVALID: "Group no. {number} has no positive whole-number id",
+    GROUP_ID_TAKEN: "The id {id} is used by two groups",
+    GROUP_NAME_REQUIRED: "Group no. {number} has no name",
+    GROUP_NAME_TOO_LONG: "The name of the group “{name}” is longer than {max} characters",
+    GROUP_NAME_TAKEN: "Two groups are called “{name}”",
+    GROUP_COLOR_INVALID: "The colour of group no. {number} must be written #rrggbb",
+    GROUP_DEFAULT_NAME: "Group {id}",
+
+    FILE_FIELD: "{field}: {message}",
+    FILE_NOT_JSON: "The file isn't valid JSON ({reason})",
+    FILE_NOT_LEXICON: "The file doesn't describe a lexicon",
+    FILE_FORMAT_EXPECTED: "“{format}” expected",
+    FILE_VERSION_INTEGER: "whole number expected",
+    FILE_VERSION_NEWER: "{version} is newer than the version this site reads ({supported})",
+    FILE_NAME_REQUIRED: "the lexicon needs a name",
+    FILE_TOO_LONG: "longer than {max} characters",
+    FILE_TEXT_EXPECTED: "text expected",
+    FILE_LANGUAGE_EXPECTED: "language code expected (“fr”, “en”…)",
+    FILE_DATE_UNREADABLE: "unreadable date, ignored",
+    FILE_UNKNOWN_FIELD: "unknown field, ignored",
+    FILE_WORDS_EXPECTED: "list of words expected",
+    FILE_WORD_COUNT: "between {min} and {max} words expected ({count} here)",
+    FILE_WORD_OBJECT: "object { text, group } expected",
+    FILE_WORD_EMPTY: "empty or missing word",
+    FILE_OBJECT_EXPECTED: "object expected",
+    FILE_GRAMMAR_UNKNOWN: "unknown feature, ignored",
+    FILE_GRAMMAR_VALUE: "{value} isn't one of the values {values}",
+    FILE_LIST_EXPECTED: "list expected",
+    FILE_ORDINATION_COUNT: "at most {max} ({count} here)",
+    FILE_ORDINATION_OBJECT: "object { name, order } expected",
+
+    POSITION_UNREADABLE: "Unreadable position: “{entry}” (expected format: 2:word)",
+    WORD_REQUIRED_AND_FORBIDDEN: "“{word}” is both required and excluded",
+    WORD_UNAVAILABLE: "“{word}” isn't available (unknown or unselected word)",
+    FORBIDDEN_WORD_UNAVAILABLE: "“{word}” is excluded but isn't one of the available words",
+    WORD_TWO_PLACES: "“{word}” can't take two places",
+    FIRST_PLACE_CONFLICT: "The first place is requested for both “{first}” and “{other}”",
+    MIN_LENGTH_INVALID: "Invalid minimum length",
+    MAX_LENGTH_INVALID: "Invalid maximum length",
+    LENGTH_RANGE: "The minimum length ({min}) is greater than the maximum length ({max})",
+    LENGTH_IMPOSSIBLE: "At least {min} words would be needed, but at most {max} are possible",
+
+    QUOTA_UNREADABLE: "Unreadable pattern: “{entry}” (expected format: 1:3)",
+    ALTERNATE_NEEDS_TWO_GROUPS: "Alternating needs words from at least two groups",
+    QUOTA_REQUIRED: "Say how many words to take from at least one group",
+    QUOTA_TOO_HIGH: {
+      one: "{requested} words requested from “{group}”, which has only {count} available",
+      other: "{requested} words requested from “{group}”, which has only {count} available"
+    },
+    QUOTA_GROUP: "group {id}",
+    ALTERNATE_SUMMARY: "Alternating groups"
+  },
+
+  LEXICON: {
+    COPY_NAME: "Copy of {name}",
+    OPTION: {
+      one: "{name} ({count} word)",
+      other: "{name} ({count} words)"
+    },
+    GROUP_LIMIT: "At most {max} groups per lexicon",
+    EXPORT_ERROR: "The lexicon couldn't be exported",
+    FILE_UNREADABLE: "unreadable file",
+    IMPORT_RENAMED: "“{name}” already exists, imported as “{available}”",
+    MORE_ERRORS: {
+      one: "and {count} more (see the console)",
+      other: "and {count} more (see the console)"
+    },
+    GROUPS_LABEL: {
+      one: "{count} word group",
+      other: "{count} word groups"
+    },
+    GROUP_COLOR_LABEL: "Colour of group no. {number}",
+    GROUP_NAME_LABEL: "Name of group no. {number}",
+    GROUP_REMOVE_LABEL: "Remove group no. {number} (its words join the first group)",
+    WORDS_LABEL: {
+      one: "{count} word in the lexicon",
+      other: "{count} words in the lexicon"
+    },
+    WORD_LABEL: "Word no. {number}",
+    WORD_GROUP_LABEL: "Group of word no. {number}",
+    MOVE_UP_LABEL: "Move word no. {number} up",
+    MOVE_DOWN_LABEL: "Move word no. {number} down",
+    REMOVE_WORD_LABEL: "Remove word no. {number}"
+  },
+
+  ORDINATION: {
+    SELECT_LABEL: "Word ordination",
+    SELECT_TITLE: "Change how the words are arranged",
+    CURRENT: "Currently: {name}",
+    SWITCHED: "Switched to: {name}",
+    CUSTOM_GROUP: "My ordinations",
+    AVAILABLE_WORDS: "Available words:",
+    WORD_LABEL: "Word: {word}",
+    NOT_EDITABLE: "This ordination can't be edited",
+    NAME_TAKEN: "An ordination called “{name}” already exists",
+    LIMIT: "At most {max} custom ordinations: delete one first",
+    EDITOR_LABEL: "Order of the {count} words",
+    WORD_GROUP_LABEL: "Group of “{word}”",
+    MOVE_UP_LABEL: "Move “{word}” earlier",
+    MOVE_DOWN_LABEL: "Move “{word}” later"
+  },
+
+  CLI: {
+    USAGE: `Usage: quantique <command> [options]
+
+Commands:
+  generate              Generates combinations
+  space                 Gives the size of the combination space
+  words                 Lists the lexicon in an ordination
+  history <file>        Converts a history exported from the site (JSON)
+                        (as CSV, keeps the site's columns whatever the language, so it can be imported again)
+
+Common options:
+  --format <format>     text, json, csv or markdown (text by default)
+  --output <file>       Writes to a file instead of standard output
+  --lexicon <file>      Lexicon exported from the site, or a translation (lexicons/en.json), instead of the original poem
+  --lang <language>     Language of messages and CSV columns: {languages} (from LANG by default);
+                        --locale is a synonym
+  --help                Shows this help
+
+generate:
+  --count <n>           Number of distinct combinations (1 by default, at most {maxCount})
+  --seed <seed>         Seed of the first combination; the next ones use seed + 1, seed + 2…
+  --words <list>        Available words, comma-separated (the whole lexicon by default)
+  --length <n>          Number of words: a number, max or surprise ({defaultLength} by default)
+  --lines <n>           Number of lines (1 to {maxLines})
+  --metric <form>       {metricForms}
+  --mode <mode>         {modes}
+  --strength <0-1>      Weight of learned preferences (learned mode)
+  --history <file>      Rated history that trains the learned mode
+  --raw                 Raw text, without French typography
+  --include <list>      Required words
+  --exclude <list>      Excluded words
+  --first <word>        Required first word
+  --last <word>         Required last word
+  --positions <list>    Words at fixed positions, for instance "2:rêveur,4:est"
+  --groups <pattern>    Group pattern: alternate, or words per group such as "1:3,2:2"
+  --index <n>           Combination no. n of the whole space (other settings are ignored)
+
+space:
+  --words <list>, --length <n>
+
+words:
+  --ordination <name>   {ordinations} (original by default)
+
+history:
+  --filter <filter>     Only the entries kept by a filter from the page: its link, or its parameters
+                        such as "recherche=erreur&note_min=7&du=2024-01-01&mot=moi&etiquette=favori"
+`,
+    INTEGER_EXPECTED: "--{name} expects a whole number between {min} and {max} (got: {value})",
+    CHOICE_EXPECTED: "--{name} expects {choices} (got: {value})",
+    STRENGTH_EXPECTED: "--strength expects a number between 0 and 1 (got: {value})",
+    UNKNOWN_WORDS: "Unknown words: {words}",
+    NO_WORDS: "--words contains no words",
+    HISTORY_UNREADABLE: "Unreadable history ({path}): {reason}",
+    NOT_A_HISTORY: "{path} contains no history (array of entries or object { history })",
+    ENTRIES_IGNORED: {
+      one: "{count} invalid entry ignored",
+      other: "{count} invalid entries ignored"
+    },
+    LEXICON_UNREADABLE: "Unreadable lexicon ({path}): {reason}",
+    LEXICON_INVALID: "Lexicon rejected ({path}): {reasons}",
+    HISTORY_FILE_REQUIRED: "Give the history file: quantique history history.json",
+    FILTER_INVALID: "Invalid --filter: {errors}",
+    UNKNOWN_COMMAND: "Unknown command: {command}",
+    HELP_HINT: "quantique --help for help",
+    SPACE_TEXT: "Available words: {poolSize}\nLength: {wordCount}\nPossible combinations: {space}\nAll lengths together: {allLengths}",
+    SPACE_HEADER: "| Available words | Length | Combinations | All lengths |",
+    WORDS_HEADER: "| # | Word | Group | Part of speech |",
+    SPACE_COLUMNS: "available_words,length,combinations,all_lengths",
+    WORDS_COLUMNS: "position,word,value,group,group_name,part_of_speech",
+    COMBINATION_COLUMNS: "rank,combination,seed,number,words,lines,syllables,form,mode,formatting",
+    INDEX_OUT_OF_RANGE: "--index expects a combination number between 1 and {max} (got: {value})",
+    SEED_LINE: "*Seed {seed} · no. {index}*",
+    HISTORY_TOTAL: {
+      one: "- Total: {count} combination",
+      other: "- Total: {count} combinations"
+    },
+    HISTORY_AVERAGE: "- Average rating: {average}",
+    HISTORY_BEST: "- Best rating: {best}",
+    HISTORY_WORST: "- Worst rating: {worst}",
+    HISTORY_ENTRY: "## {number}. Rating: {note}/10"
+  },
+
+  AUDIO: {
+    ENABLED: "Sound on",
+    DISABLED: "Sound off",
+    ENABLE_LABEL: "Turn the sound on",
+    DISABLE_LABEL: "Turn the sound off"
+  },
+
+  WORDS: {
+    KEEP_ONE_SELECTED: "At least one word must stay selected",
+    NO_VALID_WORD: "No valid word to select",
+    SELECTION_LABEL: "{count} of {total} words selected"
+  },
+
+  RATING: {
+    GENERATOR_UNAVAILABLE: "The generator isn't available.",
+    GENERATE_BEFORE_RATING: "Generate a combination before rating!",
+    PREVIEW: "Preview: {feedback}",
+    DISABLED: "Rating isn't enabled",
+    ENABLED_LABEL: "Rate the combination from 1 to 10",
+    DISABLED_LABEL: "Rating disabled - generate a combination first"
+  },
+
+  GENERATION: {
+    WORD_COUNT_OPTION: {
+      one: "{count} word",
+      other: "{count} words"
+    },
+    ERROR: "The combination couldn't be generated",
+    BATCH_ERROR: "The batch couldn't be generated",
+    NEED_TWO_WORDS: "At least 2 words are needed for varied generation",
+    GROUP_QUOTA_LABEL: "Number of words from the group “{name}” ({count} available)",
+    INFO_SEED: "Seed: {seed}",
+    INFO_INDEX: "Combination no. {index}",
+    INFO_GRAMMAR: "Grammatical",
+    INFO_LINES: "{count} lines",
+    INFO_SYLLABLES: "Syllables: {counts}",
+    INFO_CONSTRAINTS: "With constraints",
+    INFO_LEARNED: "Learned at {strength} ({count} ratings)",
+    INFO_REWRITES: {
+      one: "{count} typographic fix",
+      other: "{count} typographic fixes"
+    },
+    INFO_RAW_TEXT: "Raw text: {text}",
+    METRIC_FORMS: {
+      alexandrin: "Alexandrine",
+      octosyllabe: "Octosyllable",
+      haiku: "Haiku"
+    },
+    SPACE: "Quantum space: {space} possible combinations with {selected} selected words",
+    SPACE_EXPLORED: {
+      one: "{ratio} explored ({seen} already seen)",
+      other: "{ratio} explored ({seen} already seen)"
+    },
+    SPACE_TITLE: "{total} combinations in the whole lexicon, {seen} seen so far",
+    FORGET_SEEN_CONFIRM: "Forget every combination already seen? “Never twice” mode will be able to draw them again."
+  },
+
+  HISTORY: {
+    LOAD_ERROR: "The history couldn't be loaded",
+    SAVE_ERROR: "The history couldn't be saved",
+    WRITE_REFUSED: "The saved history couldn't be loaded: it is neither replaced nor emptied, so that it isn't lost. Reload the page.",
+    QUARANTINED: {
+      one: "{count} history entry couldn't be migrated: it has been set aside",
+      other: "{count} history entries couldn't be migrated: they have been set aside"
+    },
+    STAT_TOTAL: "Rated combinations: {total}",
+    STAT_AVERAGE: "Average rating: {average}",
+    STAT_BEST: "Best rating: {best}",
+    STAT_WORST: "Worst rating: {worst}",
+    GROUP_STATISTIC: {
+      one: "{name}: {count} word ({share}), average rating {average}",
+      other: "{name}: {count} words ({share}), average rating {average}"
+    },
+    ENTRY_NOTE: "(Rating: {note}/10)",
+    ENTRY_LABEL: "Entry {number}: {text}, rated {note} out of 10",
+    ENTRY_CREATED: "Created on {date}",
+    ENTRY_SEED: "Seed {seed}",
+    ENTRY_COPIED: "Combination copied!",
+    REPLAY_LABEL: "Replay entry {number} (seed {seed}) with its settings",
+    EMPTY: "No rated combination yet.",
+    EMPTY_LABEL: "Empty history",
+    LIST_LABEL: "History with {count} combinations",
+    SORTED_ASCENDING: "History sorted by rating, lowest first",
+    SORTED_DESCENDING: "History sorted by rating, highest first",
+    SHUFFLED: "History shuffled",
+    EXPORT_DONE: "{format} export downloaded",
+    EXPORT_ERROR: "The {format} export failed",
+    RESET_ERROR: "The reset failed",
+    PDF_TITLE: "Quantum poetry - Les éditions Philopitre",
+    PDF_SUBTITLE: "History of rated combinations:",
+    TEXT_TITLE: "History of Poetic Combinations",
+    TEXT_GENERATED_ON: "Generated on {date}",
+    TEXT_STATISTICS: "Statistics:\n- Total: {total} combinations\n- Average rating: {average}\n- Best rating: {best}\n- Worst rating: {worst}",
+    TEXT_COMBINATIONS: "Combinations:",
+    TEXT_NOTE: "(Rating: {note}/10)"
+  },
+
+  HISTORY_IMPORT: {
+    FILE_TOO_LARGE: "History file too large (at most {size} MB).",
+    FILE_UNREADABLE: "The file couldn't be read",
+    INVALID: "History file rejected: {reasons}",
+    NOT_JSON: "unreadable JSON file ({reason})",
+    NOT_A_HISTORY: "neither a list of entries nor a history export",
+    WRONG_FORMAT: "format “{format}” instead of “{expected}”",
+    NEWER_VERSION: "version {version} file, newer than the application's ({supported})",
+    CSV_COLUMNS_MISSING: "missing columns: {columns}",
+    NO_VALID_ENTRY: "no valid entry",
+    ENTRY_SKIPPED: "entry {number} skipped: {reason}",
+    REASON_NOT_AN_OBJECT: "not an entry",
+    REASON_INVALID_TEXT: "empty or missing text",
+    REASON_INVALID_NOTE: "missing rating or outside 1 to 10",
+    REASON_INVALID_VERSION: "unreadable version number",
+    REASON_NEWER_VERSION: "version newer than the application's",
+    REASON_INVALID_ENTRY: "incomplete entry",
+    WARNINGS: "History import: {warnings}",
+    MORE_WARNINGS: {
+      one: "and {count} more",
+      other: "and {count} more"
+    },
+    SUMMARY_MERGE: {
+      one: "{count} combination from “{file}” will be added to your history.",
+      other: "{count} combinations from “{file}” will be added to your history."
+    },
+    SUMMARY_REPLACE: {
+      one: "Your history ({current}) will be replaced by {count} combination from “{file}”.",
+      other: "Your history ({current}) will be replaced by {count} combinations from “{file}”."
+    },
+    SUMMARY_DUPLICATES: {
+      one: "{count} duplicate skipped.",
+      other: "{count} duplicates skipped."
+    },
+    NOTHING_TO_ADD: "Every combination from “{file}” is already in your history.",
+    PREVIEW_ENTRY: "{text} ({note}/10)",
+    PREVIEW_MORE: {
+      one: "… and {count} more",
+      other: "… and {count} more"
+    },
+    REPLACE_CONFIRM: {
+      one: "Replace your history ({count} combination) with the imported file? This can't be undone.",
+      other: "Replace your history ({count} combinations) with the imported file? This can't be undone."
+    },
+    MERGED: {
+      one: "{count} combination imported",
+      other: "{count} combinations imported"
+    },
+    REPLACED: {
+      one: "History replaced: {count} combination",
+      other: "History replaced: {count} combinations"
+    }
+  },
+
+  HISTORY_FILTER: {
+    NOTE_INVALID: "The rating must be a whole number from {min} to {max}.",
+    NOTE_RANGE: "The minimum rating ({min}) is above the maximum rating ({max}).",
+    DATE_INVALID: "Unreadable date: {value} (YYYY-MM-DD expected).",
+    DATE_RANGE: "The start date ({from}) comes after the end date ({to}).",
+    WORD_COUNT_INVALID: "The number of words must be a positive whole number.",
+    WORD_COUNT_RANGE: "The minimum number of words ({min}) is above the maximum ({max}).",
+    SUMMARY: {
+      one: "{count} of {total} combinations matches the filters.",
+      other: "{count} of {total} combinations match the filters."
+    },
+    LIST_LABEL: {
+      one: "Filtered history: {count} of {total} combinations",
+      other: "Filtered history: {count} of {total} combinations"
+    },
+    NO_MATCH: "No combination matches the filters.",
+    NOTHING_TO_EXPORT: "No combination matches the filters: nothing to export.",
+    EXPORT_DONE: {
+      one: "{format} export downloaded: {count} filtered combination of {total}",
+      other: "{format} export downloaded: {count} filtered combinations of {total}"
+    },
+    LINK_INVALID: "Part of the link's filter was ignored: {errors}",
+    LINK_COPIED: "Link to the filtered history copied!",
+    TAGS_PROMPT: "Tags for “{text}”, separated by commas (leave empty to remove them):",
+    TAG_FILTER_LABEL: "Filter on the tag {tag}",
+    EDIT_TAGS_LABEL: "Edit the tags of entry {number}",
+    TAG_OPTION: {
+      one: "{tag} ({count} entry)",
+      other: "{tag} ({count} entries)"
+    }
+  },
+
+  SHARE: {
+    SOCIAL_NOTE: "(Rating: {rating}/10)",
+    TWITTER_HASHTAGS: "#QuantumPoetry #LesÉditionsPhilopitre",
+    WHATSAPP_SIGNATURE: "Quantum Poetry - Les Éditions Philopitre",
+    FACEBOOK_SIGNATURE: "Discover Quantum Poetry with Les Éditions Philopitre",
+    EMAIL_SUBJECT: "My poetic combination",
+    EMAIL_INTRO: "Here is the poetic combination I generated:",
+    EMAIL_NOTE: "My rating: {rating}/10",
+    EMAIL_OUTRO: "Discover Quantum Poetry on our website!",
+    EMAIL_ERROR: "The email client couldn't be opened",
+    IMAGE_UNSUPPORTED: "Image generation isn't supported in this browser",
+    IMAGE_DOWNLOADED: "Image generated and downloaded",
+    IMAGE_NOTE: "Rating: {rating}/10"
+  },
+
+  STATISTICS: {
+    MEDIAN: "Median",
+    MODE: "Most frequent rating",
+    STANDARD_DEVIATION: "Standard deviation",
+    QUARTILES: "Quartiles (25% – 75%)",
+    QUARTILES_VALUE: "{first} – {third}",
+    TREND_CAPTION_DAY: {
+      one: "Average rating per day and moving average over {count} day.",
+      other: "Average rating per day and moving average over {count} days."
+    },
+    TREND_CAPTION_SESSION: {
+      one: "Average rating per session and moving average over {count} session.",
+      other: "Average rating per session and moving average over {count} sessions."
+    },
+    TREND_EMPTY: "No dated rating yet: the trend will appear after your first rating.",
+    TREND_POINT: {
+      one: "{date}: {count} rating, average {average} (moving average {moving})",
+      other: "{date}: {count} ratings, average {average} (moving average {moving})"
+    },
+    TREND_TRUNCATED: "Only the last {count} periods out of {total} are shown.",
+    LEGEND_AVERAGE: "Average",
+    LEGEND_MOVING_AVERAGE: "Moving average",
+    DISTRIBUTION_CAPTION: "Rating distribution",
+    DISTRIBUTION_BAR: {
+      one: "Rating {note}: {count} combination",
+      other: "Rating {note}: {count} combinations"
+    }
+  },
+
+  ANALYTICS: {
+    EMPTY: "Rate a few combinations to see the analysis.",
+    SKIPPED: {
+      one: "{count} older entry can't be split into lexicon words: it only counts in the rating distribution.",
+      other: "{count} older entries can't be split into lexicon words: they only count in the rating distribution."
+    },
+    WORDS_CAPTION: "Appearances and average rating of each word",
+    WORD_HEADER: "Word",
+    COMBINATIONS_HEADER: "Combinations",
+    COMBINATIONS_CELL: "{count} ({share})",
+    AVERAGE_HEADER: "Average rating",
+    BEST_POSITION_HEADER: "Best position",
+    POSITIONS_CAPTION: "Average rating of each word by position",
+    POSITION_TITLE: {
+      one: "“{word}” in position {position}: {count} combination, average rating {average}",
+      other: "“{word}” in position {position}: {count} combinations, average rating {average}"
+    },
+    PAIRS_SUMMARY: {
+      one: "Word pairs of the only combination rated {minRating} or more:",
+      other: "Word pairs of the {count} combinations rated {minRating} or more:"
+    },
+    NO_PAIRS: "No combination rated {minRating} or more yet: no pairs to compare.",
+    PAIRS_CAPTION: "Pairs most often together",
+    PAIR_MAP_CAPTION: "Pairs together, word by word",
+    PAIR_HEADER: "Pair",
+    TOGETHER_HEADER: "Together",
+    PAIR: "{first} + {second}",
+    PAIR_TITLE: {
+      one: "“{first}” and “{second}”: together {count} time, average rating {average}",
+      other: "“{first}” and “{second}”: together {count} times, average rating {average}"
+    }
+  },
+
+  BATCH: {
+    EMPTY: "No batch yet.",
+    EMPTY_LABEL: "No batch generated",
+    GRID_LABEL: "Batch of {count} combinations",
+    SEED_TITLE: "Seed {seed}",
+    RATE_LABEL: "Rating of combination {number}",
+    STAR_LABEL: "Star combination {number}",
+    COPY_LABEL: "Copy combination {number}"
+  },
+
+  COMPOSER: {
+    EMPTY_POEM: "Start composing...",
+    REMOVE_WORD_LABEL: "Remove this word",
+    WORD_REMOVED: "Word removed",
+    ALREADY_EMPTY: "The board is already empty",
+    CLEARED: "Board cleared",
+    COMPOSE_FIRST: "Write a poem first!",
+    COPIED: "Poem copied to the clipboard!",
+    COPY_ERROR: "Copying failed",
+    IMAGE_DOWNLOADED: "Image generated and downloaded!"
+  },
+
+  // Texte fixe des pages (attributs data-i18n et data-i18n-attr)
+  PAGE: {
+    TITLE_HOME: "Home - Les éditions Philopitre",
+    TITLE_GENERATOR: "Poetic Combination Generator",
+    TITLE_COMPOSER: "The quantum I - Compose your poem | Les éditions Philopitre",
+    NAV_HOME: "Home",
+    NAV_GENERATOR: "Poetic Combination Generator",
+    NAV_COMPOSER: "Create your own poem",
+    LOCALE_LABEL: "Interface language",
+    FOOTER_RIGHTS: "© All rights reserved — Les éditions augmentées Provoq'émois",
+    FOOTER_VERSION: "Quantum poetry - Version 2.1",
+    FOOTER_GENERATOR_VERSION: "Quantum poetry generator - Version 2.1",
+
+    HERO_SUBTITLE: "Explore augmented literary creativity",
+    ABOUT_TITLE: "About",
+    ABOUT_TEXT: "Les éditions Philopitre offer you a unique literary experience, where technology meets poetry to create new and inspiring combinations.",
+    TOOLS_TITLE: "Our creative tools",
+    TOOL_GENERATOR_TEXT: "Create unique poetic combinations from a carefully chosen selection of words.",
+    TOOL_COMPOSER_TEXT: "Move the words around freely and compose the poem you want to read.",
+    DISCOVER: "Discover →",
+    COMING_SOON: "Coming soon",
+    COMING_SOON_TEXT: "New creative tools are on their way...",
+
+    GENERATOR_HEADING: "Poetic Combination Generator",
+    GENERATOR_SUBTITLE: "An original creation by Les éditions Philopitre",
+    WORD_SELECTION_TITLE: "Word selection",
+
+    LEXICON_SUMMARY: "Lexicons: your own word lists",
+    LEXICON_ACTIVE: "Active lexicon:",
+    LEXICON_DUPLICATE_LABEL: "Create a new lexicon from the active one",
+    LEXICON_DUPLICATE: "Duplicate",
+    LEXICON_DELETE_LABEL: "Delete the active lexicon",
+    DELETE: "Delete",
+    LEXICON_EXPORT_LABEL: "Download the active lexicon as a JSON file",
+    LEXICON_EXPORT: "Export",
+    LEXICON_IMPORT_LABEL: "Import a lexicon from a JSON file",
+    LEXICON_IMPORT: "Import",
+    LEXICON_HELP: "The active lexicon supplies the words of the generator and the composer. The original poem can't be edited: duplicate it to create your lexicon. Export a lexicon to share it; an imported file is checked before it joins your lexicons.",
+    LEXICON_TRANSLATION: "Translation of the poem:",
+    LEXICON_LOAD_TRANSLATION_LABEL: "Add the chosen translation to your lexicons and use it",
+    LEXICON_LOAD_TRANSLATION: "Load",
+    LEXICON_TRANSLATION_HELP: "A translation becomes a lexicon like any other, in its own language: French typography, grammatical mode and metric forms don't apply to it.",
+    NAME: "Name:",
+    AUTHOR: "Author:",
+    LEXICON_GROUPS_HELP: "Groups: each has its own name and colour, and the typeface alternates from one group to the next. Removing a group moves its words to the first one.",
+    LEXICON_GROUPS_LABEL: "Word groups",
+    LEXICON_ADD_GROUP_LABEL: "Add a word group to the lexicon",
+    LEXICON_ADD_GROUP: "Add a group",
+    LEXICON_WORDS_LABEL: "Words of the lexicon",
+    LEXICON_NEW_WORD: "New word",
+    LEXICON_NEW_WORD_GROUP: "Group of the new word",
+    LEXICON_ADD_WORD_LABEL: "Add the word to the lexicon",
+    ADD: "Add",
+    LEXICON_SAVE_LABEL: "Save the lexicon and use it",
+    LEXICON_SAVE: "Save and use",
+
+    ORDINATION_SUMMARY: "Ordinations: arrange the words your way",
+    ORDINATION_HELP: "Drag the words (or use the arrows) to change their order, choose their group, then save: your ordination joins the list next to the sound button.",
+    ORDINATION_NAME_PLACEHOLDER: "Name of your new ordination",
+    ORDINATION_WORDS_LABEL: "Word order",
+    ORDINATION_SAVE_NEW_LABEL: "Save this order as a new ordination",
+    ORDINATION_SAVE_NEW: "Save as new",
+    ORDINATION_SAVE_LABEL: "Replace the displayed ordination with this order",
+    ORDINATION_SAVE: "Update",
+    ORDINATION_DELETE_LABEL: "Delete the displayed ordination",
+
+    CONTROLS_TITLE: "Generation controls",
+    RESET_WORDS_LABEL: "Reset the selection of every word",
+    RESET_WORDS: "Reset all words",
+    WORD_COUNT: "Choose the number of words for your combination:",
+    WORD_COUNT_SURPRISE: "Surprise 🎲",
+    WORD_COUNT_MAX: "Maximum 🌟",
+    WORD_COUNT_HELP: "Choose how many words to use in your poetic combination",
+    LINE_COUNT: "Form:",
+    LINE_COUNT_1: "One sentence ✏️",
+    LINE_COUNT_2: "Couplet (2 lines)",
+    LINE_COUNT_3: "Tercet (3 lines)",
+    LINE_COUNT_4: "Quatrain (4 lines)",
+    LINE_COUNT_5: "Poem in 5 lines, like the original 📜",
+    LINE_COUNT_HELP: "In poem mode, the drawn words are spread over several lines, each with its own length and punctuation. Choose “Maximum” as the number of words for a complete poem",
+    METRIC_FORM: "Metre:",
+    METRIC_FREE: "Free verse 🕊️",
+    METRIC_ALEXANDRIN: "Alexandrine (12 syllables)",
+    METRIC_OCTOSYLLABE: "Octosyllable (8 syllables)",
+    METRIC_HAIKU: "Haiku (5-7-5) 🌸",
+    METRIC_FORM_HELP: "Each line has exactly the number of syllables of the chosen form, counting silent e and elisions as in French verse. The number of words is then set by the metre; a haiku always has three lines",
+    FORMAT_MODE: "Typography:",
+    FORMAT_STRICT: "Strict (elisions, capitals) ✒️",
+    FORMAT_RAW: "Raw (words as they are) 🧱",
+    FORMAT_MODE_HELP: "Strict mode fixes elisions and case, raw mode shows the words untouched",
+    GENERATION_MODE: "Generation mode:",
+    MODE_RANDOM: "Pure chance 🎲",
+    MODE_GRAMMAR: "Grammatical (realistic sentences) 📐",
+    MODE_LEARNED: "Learned from my ratings 🧠",
+    GENERATION_MODE_HELP: "Grammatical mode puts the determiner before the noun and the subject before the verb, and respects agreement. Learned mode favours the word sequences you rated highest",
+    LEARNING_STRENGTH: "Influence of your ratings (learned mode):",
+    LEARNING_RANDOM: "Pure chance",
+    LEARNING_LEARNED: "Fully learned",
+    LEARNING_STRENGTH_HELP: "To the left the words are drawn at random, to the right they follow the patterns of your best-rated combinations",
+    SEED: "Seed (optional) to replay a combination:",
+    SEED_PLACEHOLDER: "e.g. 123456789",
+    SEED_HELP: "Enter the seed of an earlier combination to regenerate it exactly",
+    NEVER_REPEAT: "Never twice",
+    NEVER_REPEAT_HELP: "Leaves out any combination already generated or rated, even on an earlier visit. A seed entered again always replays its combination",
+    FORGET_SEEN_LABEL: "Forget the combinations already seen",
+    FORGET_SEEN: "Forget seen combinations",
+    GENERATION_BUTTONS_LABEL: "Generation buttons",
+    GENERATE: "Generate",
+    GENERATE_SELECTED: "Generate with selected words",
+    GENERATE_HELP: "Generates a poetic combination with the selected number of words",
+    GENERATE_SELECTED_HELP: "Generates a combination using only the words you selected",
+    INDEX_JUMP_LABEL: "Go to a numbered combination",
+    INDEX_JUMP: "Or go straight to combination no.:",
+    INDEX_PLACEHOLDER: "e.g. 4242",
+    JUMP_TO_INDEX_LABEL: "Show the combination with this number",
+    JUMP_TO_INDEX: "Go to combination",
+
+    CONSTRAINTS_SUMMARY: "Constraints (required and excluded words, positions)",
+    CONSTRAINT_INCLUDE: "Required words:",
+    CONSTRAINT_INCLUDE_PLACEHOLDER: "e.g. intelligence, rêveur",
+    CONSTRAINT_EXCLUDE: "Excluded words:",
+    CONSTRAINT_EXCLUDE_PLACEHOLDER: "e.g. métier",
+    CONSTRAINT_FIRST: "First word:",
+    CONSTRAINT_FIRST_PLACEHOLDER: "e.g. Je",
+    CONSTRAINT_LAST: "Last word:",
+    CONSTRAINT_LAST_PLACEHOLDER: "e.g. moi-même",
+    CONSTRAINT_POSITIONS: "Fixed positions:",
+    CONSTRAINT_POSITIONS_PLACEHOLDER: "e.g. 2:suis, 4:dans",
+    CONSTRAINT_MIN_LENGTH: "Minimum length:",
+    CONSTRAINT_MAX_LENGTH: "Maximum length:",
+    CONSTRAINT_POSITIONS_HELP: "Give the position (starting from 1) then the word, separated by a colon; separate the pairs with commas",
+    CLEAR_CONSTRAINTS_LABEL: "Clear every constraint",
+    CLEAR_CONSTRAINTS: "Clear constraints",
+
+    GROUP_PATTERN_SUMMARY: "Groups (alternation, number of words per group)",
+    GROUP_PATTERN: "Pattern:",
+    GROUP_PATTERN_FREE: "Free",
+    GROUP_PATTERN_ALTERNATE: "Alternate the groups",
+    GROUP_PATTERN_QUOTAS: "Number of words per group",
+    GROUP_PATTERN_HELP: "When alternating, two neighbouring words never belong to the same group: the groups follow each other in lexicon order. With a number of words per group, the combination has exactly that many words from each group",
+
+    RESULT_TITLE: "Generation result",
+    RESULT_LABEL: "Generated poetic combination",
+    RESULT_ACTIONS_LABEL: "Combination actions",
+    COPY_LABEL: "Copy the combination to the clipboard",
+    COPY: "Copy the combination",
+    NEW_COMBINATION_LABEL: "Generate a new combination",
+    NEW_COMBINATION: "New combination",
+
+    RATING_TITLE: "Rating the combination",
+    RATING_LEGEND: "Rate how meaningful this combination is:",
+    RATE_1: "Rate 1 out of 10",
+    RATE_2: "Rate 2 out of 10",
+    RATE_3: "Rate 3 out of 10",
+    RATE_4: "Rate 4 out of 10",
+    RATE_5: "Rate 5 out of 10",
+    RATE_6: "Rate 6 out of 10",
+    RATE_7: "Rate 7 out of 10",
+    RATE_8: "Rate 8 out of 10",
+    RATE_9: "Rate 9 out of 10",
+    RATE_10: "Rate 10 out of 10",
+    RATING_HELP: "Choose a rating from 1 to 10 to judge the quality of the generated combination",
+    SUBMIT_RATING_LABEL: "Send your rating",
+    SUBMIT_RATING: "Send the rating",
+
+    BATCH_TITLE: "Generate a batch",
+    BATCH_COUNT: "Batch size:",
+    BATCH_COUNT_10: "10 combinations",
+    BATCH_COUNT_25: "25 combinations",
+    BATCH_COUNT_50: "50 combinations",
+    BATCH_COUNT_100: "100 combinations",
+    BATCH_COUNT_HELP: "The combinations are produced all at once, without animation, with the settings above. Rate the ones you like, then send them to the history together",
+    GENERATE_BATCH_LABEL: "Generate a batch of combinations",
+    GENERATE_BATCH: "Generate the batch",
+    GENERATE_BATCH_SELECTED_LABEL: "Generate a batch with the selected words",
+    GENERATE_BATCH_SELECTED: "Batch from the selection",
+    BATCH_ACTIONS_LABEL: "Batch actions",
+    BATCH_SEND_LABEL: "Send the rated combinations to the history",
+    BATCH_SEND: "Send the rated ones",
+    BATCH_COPY_STARRED_LABEL: "Copy the starred combinations",
+    BATCH_COPY_STARRED: "Copy the starred ones",
+    BATCH_CLEAR_LABEL: "Empty the batch",
+    BATCH_CLEAR: "Empty",
+
+    SHARE_TITLE: "Share the combination",
+    SHARE_TWITTER_LABEL: "Share on Twitter",
+    SHARE_WHATSAPP_LABEL: "Share on WhatsApp",
+    SHARE_FACEBOOK_LABEL: "Share on Facebook",
+    SHARE_EMAIL_LABEL: "Share by email",
+    SHARE_EMAIL: "Email",
+    GENERATE_IMAGE_LABEL: "Download an image of the combination",
+    GENERATE_IMAGE: "Instagram image",
+
+    STATISTICS_TITLE: "Statistics",
+    TOTAL_COMBINATIONS_LABEL: "Total number of rated combinations",
+    AVERAGE_NOTE_LABEL: "Average rating of the combinations",
+    BEST_NOTE_LABEL: "Best rating given",
+    WORST_NOTE_LABEL: "Lowest rating given",
+    GROUP_STATISTICS_LABEL: "Statistics per word group",
+    DESCRIPTIVE_STATISTICS_LABEL: "Descriptive statistics of the ratings",
+    TREND_PERIOD: "Rating trend:",
+    TREND_DAY: "per day",
+    TREND_SESSION: "per session",
+    ANALYTICS_SUMMARY: "Analysis by word (appearances, positions, pairs)",
+
+    HISTORY_TITLE: "Combination history",
+    HISTORY_CONTROLS_LABEL: "History controls",
+    SORT_UP_LABEL: "Sort by rating, lowest first",
+    SORT_UP: "Ascending",
+    SORT_DOWN_LABEL: "Sort by rating, highest first",
+    SORT_DOWN: "Descending",
+    RANDOM_SORT_LABEL: "Shuffle the order",
+    RANDOM_SORT: "Shuffle",
+    EXPORT_TXT_LABEL: "Export the history as text",
+    EXPORT_TXT: "TXT export",
+    EXPORT_PDF_LABEL: "Export the history as PDF",
+    EXPORT_PDF: "PDF export",
+    EXPORT_CSV_LABEL: "Export the history as CSV, for a spreadsheet",
+    EXPORT_CSV: "CSV export",
+    EXPORT_JSON_LABEL: "Export the history and its statistics as JSON",
+    EXPORT_JSON: "JSON export",
+    EXPORT_XML_LABEL: "Export the history and its statistics as XML",
+    EXPORT_XML: "XML export",
+    HISTORY_FILTER_SUMMARY: "Search and filter (text, rating, date, words, tags)",
+    HISTORY_FILTER_LABEL: "Filter the history",
+    HISTORY_FILTER_SEARCH: "Text:",
+    HISTORY_FILTER_SEARCH_PLACEHOLDER: "e.g. mistake \"it's me\"",
+    HISTORY_FILTER_MIN_NOTE: "Minimum rating:",
+    HISTORY_FILTER_MAX_NOTE: "Maximum rating:",
+    HISTORY_FILTER_FROM: "From:",
+    HISTORY_FILTER_TO: "To:",
+    HISTORY_FILTER_MIN_WORDS: "Words, at least:",
+    HISTORY_FILTER_MAX_WORDS: "Words, at most:",
+    HISTORY_FILTER_WORDS: "Contains the words:",
+    HISTORY_FILTER_WORDS_PLACEHOLDER: "e.g. erreur, moi",
+    HISTORY_FILTER_TAGS: "Tags:",
+    HISTORY_FILTER_TAGS_PLACEHOLDER: "e.g. favourite",
+    HISTORY_FILTER_RESET_LABEL: "Clear all filters",
+    HISTORY_FILTER_RESET: "Clear filters",
+    HISTORY_FILTER_SHARE_LABEL: "Copy the link to the filtered history",
+    HISTORY_FILTER_SHARE: "Copy link",
+    IMPORT_HISTORY_LABEL: "Import an exported history (JSON or CSV)",
+    IMPORT_HISTORY: "Import",
+    HISTORY_IMPORT_TITLE: "Import preview",
+    HISTORY_IMPORT_MODE: "What should happen to the file's combinations?",
+    HISTORY_IMPORT_MERGE: "Add them to my history (without duplicates)",
+    HISTORY_IMPORT_REPLACE: "Replace my history",
+    HISTORY_IMPORT_CONFIRM: "Import",
+    HISTORY_IMPORT_CANCEL: "Cancel",
+    RESET_CACHE_LABEL: "Clear the whole history",
+    RESET_CACHE: "Reset cache",
+    HISTORY_LIST_LABEL: "List of earlier combinations",
+
+    ACCESSIBILITY_TITLE: "Accessibility information",
+    ACCESSIBILITY_TEXT: "This application is designed to be accessible to everyone. Use the arrow keys to move through the rating options, and Enter or Space to select items.",
+
+    COMPOSER_HEADING: "The quantum I",
+    COMPOSER_SUBTITLE: "Compose your poem by moving the words freely around the whiteboard",
+    WORD_BANK_LABEL: "Bank of available words",
+    WORD_BANK: "Word bank",
+    WORD_BANK_HELP: "Drag and drop the words onto the whiteboard",
+    CANVAS_TITLE: "Your creative space",
+    CLEAR_CANVAS_LABEL: "Clear every word from the board",
+    CLEAR_CANVAS: "Clear",
+    SOUND_TOGGLE_LABEL: "Turn the sound on or off",
+    SOUND: "Sound",
+    WHITEBOARD_LABEL: "Whiteboard to compose your poem",
+    WHITEBOARD_PLACEHOLDER: "Drag and drop words here to create your quantum poem",
+    POEM_TITLE: "Your poem",
+    POEM_HELP: "Read from left to right, top to bottom",
+    COPY_POEM_LABEL: "Copy the poem to the clipboard",
+    COPY_POEM: "Copy the poem",
+    SHARE_POEM_LABEL: "Share your poem",
+    SHARE_POEM: "Share"
+  }
+};
@@ -0,0 +1,600 @@
+/**
+ * Catalogue français, langue de référence de l'interface
+ * Toute clé absente d'un autre catalogue est cherchée ici ; le texte fixe des pages reste dans le HTML
+ * Une entrée { one, other } se met au pluriel d'après le paramètre {count}
+ * @module locales/fr
+ */
+
+export default {
+  // Messages utilisateur (CONFIG.MESSAGES)
+  MESSAGES: {
+    APP_READY: "Application prête ! 🌟",
+    APP_LOAD_ERROR: "Erreur lors du chargement de l'application. Veuillez recharger la page.",
+    UNEXPECTED_ERROR: "Une erreur est survenue. Veuillez réessayer.",
+    HISTORY_RESET: "Historique réinitialisé avec succès",
+    HISTORY_RESET_CONFIRM: "⚠️ Êtes-vous sûr de vouloir réinitialiser tout l'historique ? Cette action est irréversible.",
+    NO_WORDS_AVAILABLE: "Aucun mot n'est disponible !",
+    NO_WORDS_SELECTED: "Aucun mot n'est sélectionné ! Cliquez sur les mots grisés pour les activer.",
+    ALL_WORDS_RESET: "Tous les mots ont été réinitialisés !",
+    SOUND_ENABLED: "Son activé ! 🔊",
+    SOUND_DISABLED: "Son désactivé 🔇",
+    GENERATION_NOT_COMPLETE: "Attends que la génération soit complètement terminée avant de noter !",
+    GENERATION_NOT_FINISHED: "La génération n'est pas encore terminée !",
+    CHOOSE_RATING: "Merci de choisir une note avant d'envoyer.",
+    RATING_SUBMITTED: "Merci pour ta contribution !",
+    COMBINATION_COPIED: "Combinaison copiée dans le presse-papier !",
+    COPY_ERROR: "Erreur lors de la copie. Essayez à nouveau.",
+    COPY_UNSUPPORTED: "Copie non supportée. Sélectionnez et copiez manuellement.",
+    CLOSE_NOTIFICATION: "Fermer la notification",
+    GENERATE_FIRST: "Génère d'abord une combinaison !",
+    HISTORY_EMPTY: "L'historique est vide.",
+    PDF_LIBRARY_ERROR: "La bibliothèque jsPDF n'est pas chargée correctement.",
+    PDF_GENERATION_ERROR: "Erreur lors de la génération du PDF.",
+    IMAGE_GENERATION_ERROR: "Erreur lors de la génération de l'image.",
+    IMAGE_CONVERSION_ERROR: "Erreur lors de la conversion en image",
+    CANVAS_ERROR: "Impossible de créer le contexte du canvas",
+    CACHE_RESET_CONFIRM: "Veux-tu vraiment réinitialiser le cache ? Cela effacera toutes les données enregistrées.",
+    CACHE_RESET_SUCCESS: "Le cache a été réinitialisé avec succès!",
+    SELECTED_WORDS_GENERATION: {
+      one: "Combinaison générée avec le seul mot sélectionné.",
+      other: "Combinaison générée avec tous les {count} mots sélectionnés."
+    },
+    SEED_REPLAYED: "Combinaison régénérée à partir de la graine {seed}.",
+    REPLAY_DIFFERS: "Graine {seed} rejouée avec les réglages de l'entrée, mais la combinaison diffère : le lexique, la sélection ou les notes (mode appris) ont changé depuis.",
+    INDEX_REACHED: "Voici la combinaison n° {index} !",
+    INDEX_OUT_OF_RANGE: "Saisis un numéro de combinaison entre 1 et {max}.",
+    NO_GRAMMATICAL_COMBINATION: "Aucune phrase grammaticale de {count} mots n'est possible avec ces mots. Essaie avec moins de mots ou une autre sélection.",
+    CONSTRAINTS_UNSATISFIABLE: "Contraintes impossibles à satisfaire : {reasons}.",
+    CONSTRAINTS_CLEARED: "Contraintes effacées.",
+    NOT_ENOUGH_WORDS_FOR_LINES: "Il faut au moins {count} mots pour composer {count} vers.",
+    METRIC_FORM_IMPOSSIBLE: "Impossible de composer un {form} ({syllables} syllabes) avec ces mots. Sélectionne davantage de mots ou réduis le nombre de vers.",
+    METRIC_CONSTRAINTS_UNSUPPORTED: "Les formes métriques n'acceptent que des mots interdits comme contraintes.",
+    METRIC_LANGUAGE_UNSUPPORTED: "Les formes métriques comptent les syllabes du français : ce lexique est en {language}.",
+    GRAMMAR_LANGUAGE_UNSUPPORTED: "Le mode grammatical suit la grammaire française : ce lexique est en {language}.",
+    GROUP_PATTERN_UNSATISFIABLE: "Répartition par groupes impossible : {reasons}.",
+    GROUP_PATTERN_UNSUPPORTED: "La répartition par groupes ne se combine ni avec les contraintes ni avec les formes métriques.",
+    BATCH_GENERATED: "{count} combinaisons générées : note, étoile ou copie celles qui te plaisent.",
+    BATCH_INCOMPLETE: {
+      one: "Seulement {count} combinaison distincte sur {requested} demandées avec ces réglages.",
+      other: "Seulement {count} combinaisons distinctes sur {requested} demandées avec ces réglages."
+    },
+    BATCH_NOTHING_RATED: "Note au moins une combinaison de la série avant de l'envoyer dans l'historique.",
+    BATCH_SENT: {
+      one: "{count} combinaison ajoutée à l'historique.",
+      other: "{count} combinaisons ajoutées à l'historique."
+    },
+    BATCH_NOTHING_STARRED: "Aucune combinaison étoilée dans la série.",
+    BATCH_COPIED: {
+      one: "{count} combinaison étoilée copiée !",
+      other: "{count} combinaisons étoilées copiées !"
+    },
+    NO_UNSEEN_COMBINATION: "Aucune combinaison inédite trouvée en {attempts} essais : élargis la sélection ou change le nombre de mots.",
+    SEEN_COMBINATIONS_FORGOTTEN: "Combinaisons déjà vues oubliées : tout l'espace redevient inédit.",
+    SEEN_COMBINATIONS_NOT_SAVED: {
+      one: "Mémoire du navigateur pleine : {count} combinaison déjà vue n'est plus enregistrée et sera oubliée au rechargement. Libère de la place (exporte puis efface l'historique, ou oublie les combinaisons vues).",
+      other: "Mémoire du navigateur pleine : {count} combinaisons déjà vues ne sont plus enregistrées et seront oubliées au rechargement. Libère de la place (exporte puis efface l'historique, ou oublie les combinaisons vues)."
+    },
+    LEXICON_ACTIVATED: "Lexique « {name} » activé ({count} mots).",
+    LEXICON_CREATED: "Lexique « {name} » créé : modifie ses mots puis enregistre.",
+    LEXICON_SAVED: "Lexique « {name} » enregistré.",
+    LEXICON_DELETED: "Lexique « {name} » supprimé.",
+    LEXICON_INVALID: "Lexique non enregistré : {reasons}.",
+    LEXICON_READ_ONLY: "Le lexique du poème original ne se modifie pas : duplique-le pour créer le tien.",
+    LEXICON_DELETE_CONFIRM: "Supprimer le lexique « {name} » ? Ses mots seront perdus.",
+    LEXICON_EXPORTED: "Lexique « {name} » exporté.",
+    LEXICON_IMPORTED: "Lexique « {name} » importé ({count} mots).",
+    LEXICON_IMPORT_INVALID: "Fichier de lexique refusé : {reasons}.",
+    LEXICON_WARNINGS: "À noter : {warnings}.",
+    LEXICON_FILE_TOO_LARGE: "Fichier de lexique trop lourd (au plus {size} Ko).",
+    LEXICON_TRANSLATION_ERROR: "Impossible de charger la traduction : {reason}.",
+    ORDINATION_SAVED: "Ordination « {name} » enregistrée.",
+    ORDINATION_INVALID: "Ordination non enregistrée : {reasons}.",
+    ORDINATION_READ_ONLY: "Cette ordination vient du lexique : enregistre ta version sous un nouveau nom.",
+    ORDINATION_DELETED: "Ordination « {name} » supprimée.",
+    ORDINATION_DELETE_CONFIRM: "Supprimer l'ordination « {name} » ?"
+  },
+
+  // Messages de feedback pour les notes (CONFIG.RATING_FEEDBACK)
+  RATING_FEEDBACK: {
+    LOW: "Une combinaison farfelue, non ? Essayons encore...",
+    MEDIUM: "Intrigant ! Pas tout à fait clair, mais intéressant.",
+    HIGH: "De la belle matière poétique ici !",
+    EXCELLENT: "Très réaliste, une combinaison crédible et inspirante !"
+  },
+
+  // Vérification des lexiques, groupes, fichiers d'échange et contraintes (modules sans DOM)
+  VALIDATION: {
+    LEXICON_NAME_REQUIRED: "Le lexique doit avoir un nom",
+    LEXICON_NAME_TOO_LONG: "Le nom dépasse {max} caractères",
+    LEXICON_NAME_TAKEN: "Un lexique s'appelle déjà « {name} »",
+    WORDS_UNREADABLE: "La liste de mots est illisible",
+    WORD_COUNT: "Un lexique compte de {min} à {max} mots ({count} ici)",
+    WORD_EMPTY: "Le mot n° {number} est vide",
+    WORD_DUPLICATE: "« {text} » apparaît deux fois",
+    WORD_TOO_LONG: "« {text} » dépasse {max} caractères",
+    WORD_CHARACTERS: "« {text} » ne doit contenir que des lettres, des chiffres, une apostrophe ou un trait d'union",
+    WORD_GROUP_UNKNOWN: "Groupe inconnu pour « {text} »",
+    ORDINATIONS_UNREADABLE: "Les ordinations sont illisibles",
+    ORDINATION_COUNT: "{max} ordinations au plus ({count} ici)",
+    ORDINATION_NAME_REQUIRED: "Une ordination doit avoir un nom",
+    ORDINATION_NAME_TOO_LONG: "Le nom de l'ordination « {name} » dépasse {max} caractères",
+    ORDINATION_NAMED: "L'ordination « {name} »",
+    ORDINATION_UNNAMED: "L'ordination sans nom",
+    ORDINATION_NO_ORDER: "{ordination} ne donne pas d'ordre de mots",
+    ORDINATION_UNKNOWN_WORD: "{ordination} cite « {text} », absent du lexique",
+    ORDINATION_MISSING_WORD: "{ordination} oublie « {text} »",
+    ORDINATION_DUPLICATE_WORD: "{ordination} cite « {text} » deux fois",
+    LEXICON_LIMIT: "{max} lexiques au plus : supprimes-en un d'abord",
+    LEXICON_NOT_EDITABLE: "Ce lexique ne peut pas être modifié",
+    ORDINATIONS_REMOVED: "Les ordinations du lexique ont été retirées : ses mots ont changé",
+
+    GROUPS_UNREADABLE: "Les groupes sont illisibles",
+    GROUP_COUNT: "Un lexique compte de 1 à {max} groupes ({count} ici)",
+    GROUP_UNREADABLE: "Le groupe n° {number} est illisible",
+    GROUP_ID_INVALID: "Le groupe n° {number} n'a pas d'identifiant entier positif",
+    GROUP_ID_TAKEN: "L'identifiant {id} sert à deux groupes",
+    GROUP_NAME_REQUIRED: "Le groupe n° {number} n'a pas de nom",
+    GROUP_NAME_TOO_LONG: "Le nom du groupe « {name} » dépasse {max} caractères",
+    GROUP_NAME_TAKEN: "Deux groupes s'appellent « {name} »",
+    GROUP_COLOR_INVALID: "La couleur du groupe n° {number} doit s'écrire #rrggbb",
+    GROUP_DEFAULT_NAME: "Groupe {id}",
+
+    FILE_FIELD: "{field} : {message}",
+    FILE_NOT_JSON: "Le fichier n'est pas du JSON valide ({reason})",
+    FILE_NOT_LEXICON: "Le fichier ne décrit pas un lexique",
+    FILE_FORMAT_EXPECTED: "« {format} » attendu",
+    FILE_VERSION_INTEGER: "nombre entier attendu",
+    FILE_VERSION_NEWER: "{version} est plus récente que celle que lit ce site ({supported})",
+    FILE_NAME_REQUIRED: "le lexique doit avoir un nom",
+    FILE_TOO_LONG: "dépasse {max} caractères",
+    FILE_TEXT_EXPECTED: "texte attendu",
+    FILE_LANGUAGE_EXPECTED: "code de langue attendu (« fr », « en »…)",
+    FILE_DATE_UNREADABLE: "date illisible, ignorée",
+    FILE_UNKNOWN_FIELD: "champ inconnu, ignoré",
+    FILE_WORDS_EXPECTED: "liste de mots attendue",
+    FILE_WORD_COUNT: "de {min} à {max} mots attendus ({count} ici)",
+    FILE_WORD_OBJECT: "objet { text, group } attendu",
+    FILE_WORD_EMPTY: "mot vide ou absent",
+    FILE_OBJECT_EXPECTED: "objet attendu",
+    FILE_GRAMMAR_UNKNOWN: "trait inconnu, ignoré",
+    FILE_GRAMMAR_VALUE: "{value} n'est pas l'une des valeurs {values}",
+    FILE_LIST_EXPECTED: "liste attendue",
+    FILE_ORDINATION_COUNT: "{max} au plus ({count} ici)",
+    FILE_ORDINATION_OBJECT: "objet { name, order } attendu",
+
+    POSITION_UNREADABLE: "Position illisible : « {entry} » (format attendu : 2:mot)",
+    WORD_REQUIRED_AND_FORBIDDEN: "« {word} » est à la fois imposé et interdit",
+    WORD_UNAVAILABLE: "« {word} » n'est pas disponible (mot inconnu ou non sélectionné)",
+    FORBIDDEN_WORD_UNAVAILABLE: "« {word} » est interdit mais ne fait pas partie des mots disponibles",
+    WORD_TWO_PLACES: "« {word} » ne peut pas occuper deux places",
+    FIRST_PLACE_CONFLICT: "La première place est demandée à la fois pour « {first} » et « {other} »",
+    MIN_LENGTH_INVALID: "Longueur minimale invalide",
+    MAX_LENGTH_INVALID: "Longueur maximale invalide",
+    LENGTH_RANGE: "La longueur minimale ({min}) dépasse la longueur maximale ({max})",
+    LENGTH_IMPOSSIBLE: "Il faudrait au moins {min} mots, mais {max} au plus sont possibles",
+
+    QUOTA_UNREADABLE: "Répartition illisible : « {entry} » (format attendu : 1:3)",
+    ALTERNATE_NEEDS_TWO_GROUPS: "Il faut des mots d'au moins deux groupes pour les alterner",
+    QUOTA_REQUIRED: "Indique combien de mots prendre dans au moins un groupe",
+    QUOTA_TOO_HIGH: {
+      one: "{requested} mots demandés dans « {group} », qui n'en a que {count} de disponible",
+      other: "{requested} mots demandés dans « {group} », qui n'en a que {count} de disponibles"
+    },
+    QUOTA_GROUP: "groupe {id}",
+    ALTERNATE_SUMMARY: "Groupes alternés"
+  },
+
+  LEXICON: {
+    COPY_NAME: "Copie de {name}",
+    OPTION: {
+      one: "{name} ({count} mot)",
+      other: "{name} ({count} mots)"
+    },
+    GROUP_LIMIT: "{max} groupes au plus par lexique",
+    EXPORT_ERROR: "Erreur lors de l'export du lexique",
+    FILE_UNREADABLE: "fichier illisible",
+    IMPORT_RENAMED: "« {name} » existe déjà, importé sous « {available} »",
+    MORE_ERRORS: {
+      one: "et {count} autre (voir la console)",
+      other: "et {count} autres (voir la console)"
+    },
+    GROUPS_LABEL: {
+      one: "{count} groupe de mots",
+      other: "{count} groupes de mots"
+    },
+    GROUP_COLOR_LABEL: "Couleur du groupe n° {number}",
+    GROUP_NAME_LABEL: "Nom du groupe n° {number}",
+    GROUP_REMOVE_LABEL: "Retirer le groupe n° {number} (ses mots rejoignent le premier groupe)",
+    WORDS_LABEL: {
+      one: "{count} mot dans le lexique",
+      other: "{count} mots dans le lexique"
+    },
+    WORD_LABEL: "Mot n° {number}",
+    WORD_GROUP_LABEL: "Groupe du mot n° {number}",
+    MOVE_UP_LABEL: "Monter le mot n° {number}",
+    MOVE_DOWN_LABEL: "Descendre le mot n° {number}",
+    REMOVE_WORD_LABEL: "Retirer le mot n° {number}"
+  },
+
+  ORDINATION: {
+    SELECT_LABEL: "Ordination des mots",
+    SELECT_TITLE: "Changer l'arrangement des mots",
+    CURRENT: "Actuellement : {name}",
+    SWITCHED: "Basculé vers : {name}",
+    CUSTOM_GROUP: "Mes ordinations",
+    AVAILABLE_WORDS: "Mots disponibles :",
+    WORD_LABEL: "Mot : {word}",
+    NOT_EDITABLE: "Cette ordination ne peut pas être modifiée",
+    NAME_TAKEN: "Une ordination s'appelle déjà « {name} »",
+    LIMIT: "{max} ordinations personnalisées au plus : supprimes-en une d'abord",
+    EDITOR_LABEL: "Ordre des {count} mots",
+    WORD_GROUP_LABEL: "Groupe de « {word} »",
+    MOVE_UP_LABEL: "Avancer « {word} »",
+    MOVE_DOWN_LABEL: "Reculer « {word} »"
+  },
+
+  // Ligne de commande (cli/quantique.js)
+  CLI: {
+    USAGE: `Usage : quantique <commande> [options]
+
+Commandes :
+  generate              Génère des combinaisons
+  space                 Donne la taille de l'espace des combinaisons
+  words                 Liste le lexique dans une ordination
+  history <fichier>     Convertit un historique exporté du site (JSON)
+                        (en CSV, colonnes du site quelle que soit la langue, pour pouvoir le réimporter)
+
+Options communes :
+  --format <format>     text, json, csv ou markdown (text par défaut)
+  --output <fichier>    Écrit dans un fichier plutôt que sur la sortie standard
+  --lexicon <fichier>   Lexique exporté du site ou traduction (lexicons/en.json) à la place du poème original
+  --lang <langue>       Langue des messages et des colonnes CSV : {languages} (d'après LANG par défaut) ;
+                        --locale est un synonyme
+  --help                Affiche cette aide
+
+generate :
+  --count <n>           Nombre de combinaisons distinctes (1 par défaut, {maxCount} au plus)
+  --seed <graine>       Graine de la première combinaison, les suivantes prennent graine + 1, graine + 2…
+  --words <liste>       Mots disponibles, séparés par des virgules (tout le lexique par défaut)
+  --length <n>          Nombre de mots : un nombre, max ou surprise ({defaultLength} par défaut)
+  --lines <n>           Nombre de vers (1 à {maxLines})
+  --metric <forme>      {metricForms}
+  --mode <mode>         {modes}
+  --strength <0-1>      Poids des préférences apprises (mode learned)
+  --history <fichier>   Historique noté qui entraîne le mode learned
+  --raw                 Texte brut, sans mise en forme française
+  --include <liste>     Mots imposés
+  --exclude <liste>     Mots interdits
+  --first <mot>         Premier mot imposé
+  --last <mot>          Dernier mot imposé
+  --positions <liste>   Mots à position fixe, par exemple "2:rêveur,4:est"
+  --groups <motif>      Répartition par groupes : alternate, ou mots par groupe comme "1:3,2:2"
+  --index <n>           Combinaison n° n de l'espace complet (les autres réglages sont ignorés)
+
+space :
+  --words <liste>, --length <n>
+
+words :
+  --ordination <nom>    {ordinations} (original par défaut)
+
+history :
+  --filter <filtre>     Seulement les entrées d'un filtre de la page : son lien, ou ses paramètres
+                        comme "recherche=erreur&note_min=7&du=2024-01-01&mot=moi&etiquette=favori"
+`,
+    INTEGER_EXPECTED: "--{name} attend un entier entre {min} et {max} (reçu : {value})",
+    CHOICE_EXPECTED: "--{name} attend {choices} (reçu : {value})",
+    STRENGTH_EXPECTED: "--strength attend un nombre entre 0 et 1 (reçu : {value})",
+    UNKNOWN_WORDS: "Mots inconnus : {words}",
+    NO_WORDS: "--words ne contient aucun mot",
+    HISTORY_UNREADABLE: "Historique illisible ({path}) : {reason}",
+    NOT_A_HISTORY: "{path} ne contient pas d'historique (tableau d'entrées ou objet { history })",
+    ENTRIES_IGNORED: {
+      one: "{count} entrée invalide ignorée",
+      other: "{count} entrées invalides ignorées"
+    },
+    LEXICON_UNREADABLE: "Lexique illisible ({path}) : {reason}",
+    LEXICON_INVALID: "Lexique refusé ({path}) : {reasons}",
+    HISTORY_FILE_REQUIRED: "Indique le fichier d'historique : quantique history historique.json",
+    FILTER_INVALID: "--filter invalide : {errors}",
+    UNKNOWN_COMMAND: "Commande inconnue : {command}",
+    HELP_HINT: "quantique --help pour l'aide",
+    SPACE_TEXT: "Mots disponibles : {poolSize}\nLongueur : {wordCount}\nCombinaisons possibles : {space}\nToutes longueurs confondues : {allLengths}",
+    SPACE_HEADER: "| Mots disponibles | Longueur | Combinaisons | Toutes longueurs |",
+    WORDS_HEADER: "| # | Mot | Groupe | Nature |",
+    SPACE_COLUMNS: "mots_disponibles,longueur,combinaisons,toutes_longueurs",
+    WORDS_COLUMNS: "position,mot,valeur,groupe,nom_groupe,nature",
+    COMBINATION_COLUMNS: "rang,combinaison,graine,numero,mots,vers,syllabes,forme,mode,mise_en_forme",
+    INDEX_OUT_OF_RANGE: "--index attend un numéro de combinaison entre 1 et {max} (reçu : {value})",
+    SEED_LINE: "*Graine {seed} · n° {index}*",
+    HISTORY_TOTAL: {
+      one: "- Total : {count} combinaison",
+      other: "- Total : {count} combinaisons"
+    },
+    HISTORY_AVERAGE: "- Note moyenne : {average}",
+    HISTORY_BEST: "- Meilleure note : {best}",
+    HISTORY_WORST: "- Pire note : {worst}",
+    HISTORY_ENTRY: "## {number}. Note : {note}/10"
+  },
+
+  AUDIO: {
+    ENABLED: "Son activé",
+    DISABLED: "Son désactivé",
+    ENABLE_LABEL: "Activer le son",
+    DISABLE_LABEL: "Désactiver le son"
+  },
+
+  WORDS: {
+    KEEP_ONE_SELECTED: "Au moins un mot doit rester sélectionné",
+    NO_VALID_WORD: "Aucun mot valide à sélectionner",
+    SELECTION_LABEL: "{count} mots sélectionnés sur {total}"
+  },
+
+  RATING: {
+    GENERATOR_UNAVAILABLE: "Système de génération non disponible.",
+    GENERATE_BEFORE_RATING: "Génère d'abord une combinaison avant de noter !",
+    PREVIEW: "Aperçu: {feedback}",
+    DISABLED: "Le système de notation n'est pas activé",
+    ENABLED_LABEL: "Noter la combinaison de 1 à 10",
+    DISABLED_LABEL: "Notation désactivée - générez d'abord une combinaison"
+  },
+
+  GENERATION: {
+    WORD_COUNT_OPTION: {
+      one: "{count} mot",
+      other: "{count} mots"
+    },
+    ERROR: "Erreur lors de la génération de la combinaison",
+    BATCH_ERROR: "Erreur lors de la génération de la série",
+    NEED_TWO_WORDS: "Au moins 2 mots sont nécessaires pour une génération variée",
+    GROUP_QUOTA_LABEL: "Nombre de mots du groupe « {name} » ({count} disponibles)",
+    INFO_SEED: "Graine : {seed}",
+    INFO_INDEX: "Combinaison n° {index}",
+    INFO_GRAMMAR: "Grammaticale",
+    INFO_LINES: "{count} vers",
+    INFO_SYLLABLES: "Syllabes : {counts}",
+    INFO_CONSTRAINTS: "Sous contraintes",
+    INFO_LEARNED: "Apprise à {strength} ({count} notes)",
+    INFO_REWRITES: {
+      one: "{count} retouche typographique",
+      other: "{count} retouches typographiques"
+    },
+    INFO_RAW_TEXT: "Texte brut : {text}",
+    METRIC_FORMS: {
+      alexandrin: "Alexandrin",
+      octosyllabe: "Octosyllabe",
+      haiku: "Haïku"
+    },
+    SPACE: "Espace quantique : {space} combinaisons possibles avec {selected} mots sélectionnés",
+    SPACE_EXPLORED: {
+      one: "{ratio} exploré ({seen} déjà vue)",
+      other: "{ratio} exploré ({seen} déjà vues)"
+    },
+    SPACE_TITLE: "{total} combinaisons au total dans le lexique, {seen} déjà vues en tout",
+    FORGET_SEEN_CONFIRM: "Oublier toutes les combinaisons déjà vues ? Le mode « jamais deux fois » pourra les retirer."
+  },
+
+  HISTORY: {
+    LOAD_ERROR: "Erreur lors du chargement de l'historique",
+    SAVE_ERROR: "Erreur lors de la sauvegarde de l'historique",
+    WRITE_REFUSED: "L'historique enregistré n'a pas pu être chargé : il n'est ni remplacé ni vidé, pour ne pas le perdre. Recharge la page.",
+    QUARANTINED: {
+      one: "{count} entrée de l'historique n'a pas pu être migrée : elle est conservée à part",
+      other: "{count} entrées de l'historique n'ont pas pu être migrées : elles sont conservées à part"
+    },
+    STAT_TOTAL: "Total des combinaisons notées : {total}",
+    STAT_AVERAGE: "Note moyenne : {average}",
+    STAT_BEST: "Meilleure note : {best}",
+    STAT_WORST: "Pire note : {worst}",
+    GROUP_STATISTIC: {
+      one: "{name} : {count} mot ({share}), note moyenne {average}",
+      other: "{name} : {count} mots ({share}), note moyenne {average}"
+    },
+    ENTRY_NOTE: "(Note : {note}/10)",
+    ENTRY_LABEL: "Entrée {number}: {text}, notée {note} sur 10",
+    ENTRY_CREATED: "Créé le {date}",
+    ENTRY_SEED: "Graine {seed}",
+    ENTRY_COPIED: "Combinaison copiée !",
+    REPLAY_LABEL: "Rejouer l'entrée {number} (graine {seed}) avec ses réglages",
+    EMPTY: "Aucune combinaison notée pour le moment.",
+    EMPTY_LABEL: "Historique vide",
+    LIST_LABEL: "Historique avec {count} combinaisons",
+    SORTED_ASCENDING: "Historique trié par note croissant",
+    SORTED_DESCENDING: "Historique trié par note décroissant",
+    SHUFFLED: "Historique mélangé aléatoirement",
+    EXPORT_DONE: "Export {format} téléchargé avec succès",
+    EXPORT_ERROR: "Erreur lors de l'export {format}",
+    RESET_ERROR: "Erreur lors de la réinitialisation",
+    PDF_TITLE: "La poésie quantique - Les éditions Philopitre",
+    PDF_SUBTITLE: "Historique des combinaisons notées :",
+    TEXT_TITLE: "Historique des Combinaisons Poétiques",
+    TEXT_GENERATED_ON: "Généré le {date}",
+    TEXT_STATISTICS: "Statistiques:\n- Total: {total} combinaisons\n- Note moyenne: {average}\n- Meilleure note: {best}\n- Pire note: {worst}",
+    TEXT_COMBINATIONS: "Combinaisons:",
+    TEXT_NOTE: "(Note: {note}/10)"
+  },
+
+  HISTORY_IMPORT: {
+    FILE_TOO_LARGE: "Fichier d'historique trop lourd (au plus {size} Mo).",
+    FILE_UNREADABLE: "Lecture du fichier impossible",
+    INVALID: "Fichier d'historique refusé : {reasons}",
+    NOT_JSON: "fichier JSON illisible ({reason})",
+    NOT_A_HISTORY: "ni tableau d'entrées ni export de l'historique",
+    WRONG_FORMAT: "format « {format} » au lieu de « {expected} »",
+    NEWER_VERSION: "fichier de version {version}, plus récente que celle de l'application ({supported})",
+    CSV_COLUMNS_MISSING: "colonnes absentes : {columns}",
+    NO_VALID_ENTRY: "aucune entrée valide",
+    ENTRY_SKIPPED: "entrée {number} ignorée : {reason}",
+    REASON_NOT_AN_OBJECT: "ce n'est pas une entrée",
+    REASON_INVALID_TEXT: "texte vide ou absent",
+    REASON_INVALID_NOTE: "note absente ou hors de 1 à 10",
+    REASON_INVALID_VERSION: "numéro de version illisible",
+    REASON_NEWER_VERSION: "version plus récente que celle de l'application",
+    REASON_INVALID_ENTRY: "entrée incomplète",
+    WARNINGS: "Import de l'historique : {warnings}",
+    MORE_WARNINGS: {
+      one: "et {count} autre",
+      other: "et {count} autres"
+    },
+    SUMMARY_MERGE: {
+      one: "{count} combinaison de « {file} » sera ajoutée à ton historique.",
+      other: "{count} combinaisons de « {file} » seront ajoutées à ton historique."
+    },
+    SUMMARY_REPLACE: {
+      one: "Ton historique ({current}) sera remplacé par {count} combinaison de « {file} ».",
+      other: "Ton historique ({current}) sera remplacé par {count} combinaisons de « {file} »."
+    },
+    SUMMARY_DUPLICATES: {
+      one: "{count} doublon ignoré.",
+      other: "{count} doublons ignorés."
+    },
+    NOTHING_TO_ADD: "Toutes les combinaisons de « {file} » sont déjà dans ton historique.",
+    PREVIEW_ENTRY: "{text} ({note}/10)",
+    PREVIEW_MORE: {
+      one: "… et {count} autre",
+      other: "… et {count} autres"
+    },
+    REPLACE_CONFIRM: {
+      one: "Remplacer ton historique ({count} combinaison) par le fichier importé ? Cette action est irréversible.",
+      other: "Remplacer ton historique ({count} combinaisons) par le fichier importé ? Cette action est irréversible."
+    },
+    MERGED: {
+      one: "{count} combinaison importée",
+      other: "{count} combinaisons importées"
+    },
+    REPLACED: {
+      one: "Historique remplacé : {count} combinaison",
+      other: "Historique remplacé : {count} combinaisons"
+    }
+  },
+
+  HISTORY_FILTER: {
+    NOTE_INVALID: "La note doit être un entier de {min} à {max}.",
+    NOTE_RANGE: "La note minimale ({min}) dépasse la note maximale ({max}).",
+    DATE_INVALID: "Date illisible : {value} (AAAA-MM-JJ attendu).",
+    DATE_RANGE: "La date de début ({from}) suit la date de fin ({to}).",
+    WORD_COUNT_INVALID: "Le nombre de mots doit être un entier positif.",
+    WORD_COUNT_RANGE: "Le nombre de mots minimal ({min}) dépasse le maximal ({max}).",
+    SUMMARY: {
+      one: "{count} combinaison sur {total} correspond aux filtres.",
+      other: "{count} combinaisons sur {total} correspondent aux filtres."
+    },
+    LIST_LABEL: {
+      one: "Historique filtré : {count} combinaison sur {total}",
+      other: "Historique filtré : {count} combinaisons sur {total}"
+    },
+    NO_MATCH: "Aucune combinaison ne correspond aux filtres.",
+    NOTHING_TO_EXPORT: "Aucune combinaison ne correspond aux filtres : rien à exporter.",
+    EXPORT_DONE: {
+      one: "Export {format} téléchargé : {count} combinaison filtrée sur {total}",
+      other: "Export {format} téléchargé : {count} combinaisons filtrées sur {total}"
+    },
+    LINK_INVALID: "Filtre du lien en partie ignoré : {errors}",
+    LINK_COPIED: "Lien de l'historique filtré copié !",
+    TAGS_PROMPT: "Étiquettes de « {text} », séparées par des virgules (vide pour les retirer) :",
+    TAG_FILTER_LABEL: "Filtrer sur l'étiquette {tag}",
+    EDIT_TAGS_LABEL: "Modifier les étiquettes de l'entrée {number}",
+    TAG_OPTION: {
+      one: "{tag} ({count} entrée)",
+      other: "{tag} ({count} entrées)"
+    }
+  },
+
+  SHARE: {
+    SOCIAL_NOTE: "(Note: {rating}/10)",
+    TWITTER_HASHTAGS: "#PoésieQuantique #LesÉditionsPhilopitre",
+    WHATSAPP_SIGNATURE: "Poésie Quantique - Les Éditions Philopitre",
+    FACEBOOK_SIGNATURE: "Découvrez la Poésie Quantique avec Les Éditions Philopitre",
+    EMAIL_SUBJECT: "Ma combinaison poétique",
+    EMAIL_INTRO: "Voici ma combinaison poétique générée :",
+    EMAIL_NOTE: "Note attribuée : {rating}/10",
+    EMAIL_OUTRO: "Découvrez la Poésie Quantique sur notre site !",
+    EMAIL_ERROR: "Erreur lors de l'ouverture du client email",
+    IMAGE_UNSUPPORTED: "Génération d'image non supportée sur ce navigateur",
+    IMAGE_DOWNLOADED: "Image générée et téléchargée avec succès",
+    IMAGE_NOTE: "Note : {rating}/10"
+  },
+
+  STATISTICS: {
+    MEDIAN: "Médiane",
+    MODE: "Note la plus fréquente",
+    STANDARD_DEVIATION: "Écart type",
+    QUARTILES: "Quartiles (25 % – 75 %)",
+    QUARTILES_VALUE: "{first} – {third}",
+    TREND_CAPTION_DAY: {
+      one: "Note moyenne par jour et moyenne mobile sur {count} jour.",
+      other: "Note moyenne par jour et moyenne mobile sur {count} jours."
+    },
+    TREND_CAPTION_SESSION: {
+      one: "Note moyenne par séance et moyenne mobile sur {count} séance.",
+      other: "Note moyenne par séance et moyenne mobile sur {count} séances."
+    },
+    TREND_EMPTY: "Pas encore de note datée : l'évolution apparaîtra après ta première note.",
+    TREND_POINT: {
+      one: "{date} : {count} note, moyenne {average} (moyenne mobile {moving})",
+      other: "{date} : {count} notes, moyenne {average} (moyenne mobile {moving})"
+    },
+    TREND_TRUNCATED: "Seules les {count} dernières périodes sur {total} sont affichées.",
+    LEGEND_AVERAGE: "Moyenne",
+    LEGEND_MOVING_AVERAGE: "Moyenne mobile",
+    DISTRIBUTION_CAPTION: "Répartition des notes",
+    DISTRIBUTION_BAR: {
+      one: "Note {note} : {count} combinaison",
+      other: "Note {note} : {count} combinaisons"
+    }
+  },
+
+  ANALYTICS: {
+    EMPTY: "Note quelques combinaisons pour voir apparaître l'analyse.",
+    SKIPPED: {
+      one: "{count} ancienne entrée ne se découpe pas en mots du lexique : elle n'est comptée que dans la répartition des notes.",
+      other: "{count} anciennes entrées ne se découpent pas en mots du lexique : elles ne sont comptées que dans la répartition des notes."
+    },
+    WORDS_CAPTION: "Apparitions et note moyenne de chaque mot",
+    WORD_HEADER: "Mot",
+    COMBINATIONS_HEADER: "Combinaisons",
+    COMBINATIONS_CELL: "{count} ({share})",
+    AVERAGE_HEADER: "Note moyenne",
+    BEST_POSITION_HEADER: "Meilleure position",
+    POSITIONS_CAPTION: "Note moyenne de chaque mot selon sa position",
+    POSITION_TITLE: {
+      one: "« {word} » en position {position} : {count} combinaison, note moyenne {average}",
+      other: "« {word} » en position {position} : {count} combinaisons, note moyenne {average}"
+    },
+    PAIRS_SUMMARY: {
+      one: "Paires de mots de la seule combinaison notée {minRating} ou plus :",
+      other: "Paires de mots des {count} combinaisons notées {minRating} ou plus :"
+    },
+    NO_PAIRS: "Aucune combinaison notée {minRating} ou plus pour l'instant : pas encore de paires à comparer.",
+    PAIRS_CAPTION: "Paires les plus souvent réunies",
+    PAIR_MAP_CAPTION: "Paires réunies, mot par mot",
+    PAIR_HEADER: "Paire",
+    TOGETHER_HEADER: "Réunis",
+    PAIR: "{first} + {second}",
+    PAIR_TITLE: {
+      one: "« {first} » et « {second} » : réunis {count} fois, note moyenne {average}",
+      other: "« {first} » et « {second} » : réunis {count} fois, note moyenne {average}"
+    }
+  },
+
+  BATCH: {
+    EMPTY: "Aucune série pour le moment.",
+    EMPTY_LABEL: "Aucune série générée",
+    GRID_LABEL: "Série de {count} combinaisons",
+    SEED_TITLE: "Graine {seed}",
+    RATE_LABEL: "Note de la combinaison {number}",
+    STAR_LABEL: "Étoiler la combinaison {number}",
+    COPY_LABEL: "Copier la combinaison {number}"
+  },
+
+  COMPOSER: {
+    EMPTY_POEM: "Commencez à composer...",
+    REMOVE_WORD_LABEL: "Supprimer ce mot",
+    WORD_REMOVED: "Mot retiré",
+    ALREADY_EMPTY: "Le tableau est déjà vide",
+    CLEARED: "Tableau effacé",
+    COMPOSE_FIRST: "Créez d'abord un poème !",
+    COPIED: "Poème copié dans le presse-papier !",
+    COPY_ERROR: "Erreur lors de la copie",
+    IMAGE_DOWNLOADED: "Image générée et téléchargée !"
+  }
+};
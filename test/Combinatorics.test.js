@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Combinatorics } from '../js/Combinatorics.js';
+
+const POOL = ['Je', 'suis', 'rêveur', 'moi'];
+
+test('compte les arrangements, par longueur et toutes longueurs confondues', () => {
+  assert.equal(Combinatorics.countArrangements(4, 2), 12n);
+  assert.equal(Combinatorics.countArrangements(4, 5), 0n);
+  assert.equal(Combinatorics.countAllArrangements(4), 64n);
+  assert.equal(Combinatorics.countSpace(4, 'max'), 24n);
+  assert.equal(Combinatorics.countSpace(4, 'surprise'), 64n);
+  assert.equal(Combinatorics.countSpace(4, '9'), 24n);
+  assert.equal(Combinatorics.countArrangements(20, 20), 2432902008176640000n);
+});
+
+test('le déclassement est l\'inverse du classement', () => {
+  for (let index = 0n; index < 64n; index++) {
+    const words = Combinatorics.unrankAcrossLengths(POOL, index);
+    assert.equal(Combinatorics.rankAcrossLengths(POOL, words), index);
+  }
+  assert.deepEqual(Combinatorics.unrankAcrossLengths(POOL, 0n), ['Je']);
+  assert.deepEqual(Combinatorics.unrankAcrossLengths(POOL, 4n), ['Je', 'suis']);
+  assert.deepEqual(Combinatorics.unrankAcrossLengths(POOL, 63n), ['moi', 'rêveur', 'suis', 'Je']);
+});
+
+test('refuse les rangs hors de l\'espace et les mots répétés', () => {
+  assert.throws(() => Combinatorics.unrankAcrossLengths(POOL, 64n), RangeError);
+  assert.throws(() => Combinatorics.unrank(POOL, 2, -1n), RangeError);
+  assert.throws(() => Combinatorics.rank(POOL, ['Je', 'Je']), /répété/);
+});
+
+test('lit un numéro saisi avec des séparateurs de milliers', () => {
+  assert.equal(Combinatorics.parseIndex('1 234 567'), 1234567n);
+  assert.equal(Combinatorics.parseIndex('1.000'), 1000n);
+  assert.equal(Combinatorics.parseIndex('-3'), null);
+  assert.equal(Combinatorics.parseIndex(''), null);
+});
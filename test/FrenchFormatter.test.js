@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FrenchFormatter, FORMAT_MODES, REWRITE_RULES } from '../js/FrenchFormatter.js';
+
+const formatter = new FrenchFormatter();
+const format = (text) => formatter.format(text.split(' ')).text;
+
+test('élide devant une voyelle ou un h muet', () => {
+  assert.equal(format('la intelligence'), "L'intelligence.");
+  assert.equal(format('je aime'), "J'aime.");
+  assert.equal(format('la homme'), "L'homme.");
+  assert.equal(format('la haine'), 'La haine.');
+});
+
+test('élide selon la nature du mot suivant', () => {
+  assert.equal(format('je est'), 'Je est.');
+  assert.equal(format('souveraine la en'), 'Souveraine la en.');
+  assert.equal(format('de intelligence'), 'De intelligence.');
+  assert.equal(format('la intelligence est'), "L'intelligence est.");
+
+  const custom = new FrenchFormatter({ getWordMetadata: word => (word === 'ai' ? { pos: 'verb', person: 1, number: 's' } : null) });
+  assert.equal(custom.format(['je', 'ai']).text, "J'ai.");
+});
+
+test("l'élision passe avant la contraction", () => {
+  assert.equal(format('de le homme'), "De l'homme.");
+  assert.equal(format('à le intelligence'), "À l'intelligence.");
+  assert.equal(format('rêveur de le homme'), "Rêveur de l'homme.");
+  assert.equal(format('de le métier'), 'Du métier.');
+  assert.equal(format('à le hasard'), 'Au hasard.');
+  assert.equal(format('de les intelligences'), 'Des intelligences.');
+  assert.equal(format('à les hommes'), 'Aux hommes.');
+});
+
+test('retire le déterminant en double devant un mot élidé, et seulement lui', () => {
+  assert.equal(format("la l'erreur"), "L'erreur.");
+  assert.equal(format("Je l'erreur"), "Je l'erreur.");
+  assert.equal(format("mon l'erreur est"), "L'erreur est.");
+  assert.equal(format("de le l'erreur"), "De l'erreur.");
+  assert.equal(format("dans l'erreur"), "Dans l'erreur.");
+  assert.equal(format("de l'erreur"), "De l'erreur.");
+
+  const { rewrites } = formatter.format(['la', "l'erreur"]);
+  assert.deepEqual(rewrites.find(rewrite => rewrite.rule === REWRITE_RULES.DUPLICATE), { rule: REWRITE_RULES.DUPLICATE, from: "la l'erreur", to: "l'erreur", index: 0 });
+});
+
+test('consigne les retouches et garde le texte brut', () => {
+  const result = formatter.format(['de', 'le', 'homme']);
+  assert.equal(result.rawText, 'de le homme.');
+  assert.deepEqual(result.rewrites.map(rewrite => rewrite.rule), [REWRITE_RULES.ELISION, REWRITE_RULES.CAPITALIZATION]);
+});
+
+test('le mode brut se contente de joindre les mots', () => {
+  assert.equal(formatter.format(['la', 'intelligence'], FORMAT_MODES.RAW).text, 'la intelligence.');
+});
+
+test("hors du français, ni élision ni contraction", () => {
+  const english = new FrenchFormatter({ language: 'en' });
+  assert.equal(english.format(['de', 'le', 'homme']).text, 'De le homme.');
+});
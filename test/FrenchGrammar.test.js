@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FrenchGrammar, GRAMMAR_RULES } from '../js/FrenchGrammar.js';
+import { WORD_GRAMMAR, WORD_IDS } from '../js/Lexicon.js';
+import { SeededRandom } from '../js/SeededRandom.js';
+
+const grammar = new FrenchGrammar();
+const annotate = (words) => words.map(word => ({ text: word, ...WORD_GRAMMAR[word] }));
+const check = (text, options) => grammar.check(annotate(text.split(' ')), options);
+const rules = (text, options) => check(text, options).violations.map(violation => violation.rule);
+
+test('accepte les phrases du poème', () => {
+  assert.ok(check('Je suis rêveur professionnel').isValid);
+  assert.ok(check("l'erreur est proscrite").isValid);
+  assert.ok(check('dans mon métier exceptionnel', { requireVerb: false }).isValid);
+  assert.ok(check('la souveraine intelligence est proscrite').isValid);
+});
+
+test('un déterminant doit introduire un nom', () => {
+  assert.ok(rules('la proscrite').includes(GRAMMAR_RULES.DETERMINER_HEAD));
+  assert.ok(rules('tout professionnel rêveur').includes(GRAMMAR_RULES.DETERMINER_HEAD));
+  assert.ok(rules('la proscrite est', { requireVerb: false }).includes(GRAMMAR_RULES.DETERMINER_HEAD));
+});
+
+test('un seul groupe nominal sujet devant le verbe, les autres introduits par une préposition', () => {
+  assert.deepEqual(rules("mon grandissant genre l'erreur est proscrite"), [GRAMMAR_RULES.SINGLE_SUBJECT]);
+  assert.ok(rules("je l'erreur est").includes(GRAMMAR_RULES.SINGLE_SUBJECT));
+  assert.ok(rules("Je l'erreur est").includes(GRAMMAR_RULES.SINGLE_SUBJECT));
+  assert.ok(check("dans mon métier l'erreur est proscrite").isValid);
+  assert.ok(check('pour moi-même la souveraine intelligence est proscrite').isValid);
+  assert.ok(check("l'erreur est proscrite en tout genre").isValid);
+});
+
+test('la phrase complète a besoin d\'un verbe', () => {
+  assert.deepEqual(rules("mon grandissant genre l'erreur"), [GRAMMAR_RULES.MAIN_VERB]);
+  assert.ok(check("mon grandissant genre l'erreur", { requireVerb: false }).isValid);
+  assert.ok(check('mon métier est exceptionnel').isValid);
+});
+
+test('un préfixe peut encore attendre son nom et son verbe', () => {
+  assert.ok(check('la', { partial: true }).isValid);
+  assert.ok(check('la souveraine', { partial: true }).isValid);
+  assert.ok(check('mon grandissant genre', { partial: true }).isValid);
+  assert.equal(check('la proscrite est', { partial: true }).isValid, false);
+});
+
+test('la recherche ne rend que des phrases complètes, rejouables avec la même graine', () => {
+  const pool = annotate(WORD_IDS);
+  for (const length of [2, 4, 6]) {
+    const sequence = grammar.findSequence(pool, length, new SeededRandom(length));
+    assert.equal(sequence.length, length);
+    assert.ok(grammar.check(sequence).isValid);
+    assert.deepEqual(grammar.findSequence(pool, length, new SeededRandom(length)), sequence);
+  }
+  assert.equal(grammar.findSequence(pool, 1, new SeededRandom(1)), null);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HistoryAnalytics } from '../js/HistoryAnalytics.js';
+
+const notes = (...values) => values.map((note, index) => ({ text: `Entrée ${index}`, note }));
+
+test('résume la répartition des notes', () => {
+  const stats = HistoryAnalytics.ratingStatistics(notes(2, 4, 4, 4, 5, 5, 7, 9));
+  assert.equal(stats.distribution[4], 3);
+  assert.equal(stats.distribution[10], 0);
+  assert.equal(stats.median, 4.5);
+  assert.equal(stats.mode, 4);
+  assert.equal(stats.standardDeviation, 2);
+  assert.equal(stats.firstQuartile, 4);
+  assert.equal(stats.thirdQuartile, 5.5);
+});
+
+test('à égalité, la note la plus haute est la plus fréquente, quel que soit l\'ordre', () => {
+  assert.equal(HistoryAnalytics.ratingStatistics(notes(8, 3, 8, 3)).mode, 8);
+  assert.equal(HistoryAnalytics.ratingStatistics(notes(3, 3, 8, 8)).mode, 8);
+  assert.equal(HistoryAnalytics.ratingStatistics(notes(1, 5, 10)).mode, 10);
+});
+
+test('un historique vide n\'a pas de note la plus fréquente', () => {
+  assert.equal(HistoryAnalytics.ratingStatistics([]).mode, null);
+});
+
+const LEXICON = ['Je', 'suis', 'rêveur', 'moi-même'];
+
+test('par mot : combinaisons, part, note moyenne et meilleure position ; les textes illisibles sont comptés à part', () => {
+  const history = [
+    { text: 'Je suis rêveur.', note: 8, words: ['Je', 'suis', 'rêveur'] },
+    { text: 'Rêveur je suis.', note: 4 },
+    { text: 'Je rêve.', note: 10 },
+    { text: '', note: 6, words: [] }
+  ];
+  const stats = HistoryAnalytics.wordStatistics(history, LEXICON);
+
+  assert.equal(stats.analysed, 2);
+  assert.equal(stats.skipped, 2);
+  assert.equal(stats.positions, 3);
+  assert.deepEqual(stats.words.map(({ word }) => word), LEXICON);
+
+  const reveur = stats.words.find(({ word }) => word === 'rêveur');
+  assert.equal(reveur.combinations, 2);
+  assert.equal(reveur.share, 1);
+  assert.equal(reveur.average, 6);
+  assert.deepEqual(reveur.positions, [{ count: 1, average: 4 }, { count: 0, average: null }, { count: 1, average: 8 }]);
+  assert.equal(reveur.bestPosition, 2);
+
+  const moi = stats.words.find(({ word }) => word === 'moi-même');
+  assert.equal(moi.combinations, 0);
+  assert.equal(moi.average, null);
+  assert.equal(moi.bestPosition, null);
+});
+
+test('les mots d\'un autre lexique suivent ceux du lexique actif', () => {
+  const stats = HistoryAnalytics.wordStatistics([{ text: 'I dream', note: 7, words: ['I', 'dream'] }], LEXICON);
+  assert.deepEqual(stats.words.map(({ word }) => word), [...LEXICON, 'I', 'dream']);
+});
+
+test('paires des combinaisons les mieux notées, rangées dans l\'ordre du lexique', () => {
+  const history = [
+    { text: 'Rêveur je suis.', note: 9, words: ['rêveur', 'Je', 'suis'] },
+    { text: 'Suis je.', note: 8, words: ['suis', 'Je'] },
+    { text: 'Je suis moi-même.', note: 3, words: ['Je', 'suis', 'moi-même'] }
+  ];
+  const stats = HistoryAnalytics.pairStatistics(history, LEXICON);
+
+  assert.equal(stats.minRating, 8);
+  assert.equal(stats.combinations, 2);
+  assert.deepEqual(stats.words, ['Je', 'suis', 'rêveur']);
+  assert.deepEqual(stats.pairs, [
+    { words: ['Je', 'suis'], count: 2, average: 8.5 },
+    { words: ['Je', 'rêveur'], count: 1, average: 9 },
+    { words: ['suis', 'rêveur'], count: 1, average: 9 }
+  ]);
+  assert.equal(HistoryAnalytics.pairStatistics(history, LEXICON, { minRating: 10 }).pairs.length, 0);
+});
+
+test('évolution des notes par jour et par séance, avec moyenne mobile', () => {
+  const at = (day, hour, minute = 0) => new Date(2024, 0, day, hour, minute).getTime();
+  const history = [
+    { text: 'c', note: 2, timestamp: at(2, 9) },
+    { text: 'a', note: 6, timestamp: at(1, 10) },
+    { text: 'b', note: 8, timestamp: at(1, 10, 20) },
+    { text: 'd', note: 10, timestamp: at(1, 22) },
+    { text: 'sans date', note: 1 }
+  ];
+
+  const days = HistoryAnalytics.ratingTrend(history, { period: 'day', window: 2 });
+  assert.deepEqual(days.map(({ count, average }) => ({ count, average })), [{ count: 3, average: 8 }, { count: 1, average: 2 }]);
+  assert.equal(days[0].start, at(1, 10));
+  assert.equal(days[0].end, at(1, 22));
+  assert.equal(days[1].movingAverage, 6.5);
+
+  const sessions = HistoryAnalytics.ratingTrend(history, { period: 'session', window: 1, sessionGap: 30 * 60 * 1000 });
+  assert.deepEqual(sessions.map(({ count, average, movingAverage }) => [count, average, movingAverage]), [[2, 7, 7], [1, 10, 10], [1, 2, 2]]);
+});
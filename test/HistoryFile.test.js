@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HistoryFile } from '../js/HistoryFile.js';
+import { HISTORY_SCHEMA_VERSION } from '../js/HistorySchema.js';
+
+const HISTORY = [
+  { schemaVersion: HISTORY_SCHEMA_VERSION, id: 'entry_1', text: 'Je suis rêveur, moi.', note: 8, timestamp: 1700000000000, seed: 42, tags: ['favori'] },
+  { schemaVersion: HISTORY_SCHEMA_VERSION, id: 'entry_2', text: 'L\'erreur est proscrite.', note: 3, timestamp: 1700000100000 }
+];
+
+test('relit son propre export JSON', () => {
+  const { isValid, entries, warnings } = HistoryFile.parse(HistoryFile.toJSON(HISTORY), 'historique.json');
+  assert.equal(isValid, true);
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(entries, HISTORY);
+});
+
+test('relit son propre export CSV, guillemets et apostrophes compris', () => {
+  const { isValid, entries } = HistoryFile.parse(HistoryFile.toCSV(HISTORY), 'historique.csv');
+  assert.equal(isValid, true);
+  assert.deepEqual(entries.map(({ text, note, timestamp, seed, id }) => ({ text, note, timestamp, seed, id })),
+    HISTORY.map(({ text, note, timestamp, seed, id }) => ({ text, note, timestamp, seed, id })));
+});
+
+test('lit un CSV de tableur français, séparé par des points-virgules', () => {
+  const { isValid, entries } = HistoryFile.parse('﻿combinaison;note\n"Je suis; moi";7\n', 'export.csv');
+  assert.equal(isValid, true);
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].text, 'Je suis; moi');
+  assert.equal(entries[0].note, 7);
+  assert.ok(entries[0].id);
+});
+
+test('écarte les entrées invalides et refuse un fichier sans historique', () => {
+  const partial = HistoryFile.parse(JSON.stringify([HISTORY[0], { text: '', note: 5 }]));
+  assert.equal(partial.isValid, true);
+  assert.equal(partial.entries.length, 1);
+  assert.equal(partial.warnings.length, 1);
+
+  assert.equal(HistoryFile.parse('{ pas du json', 'historique.json').isValid, false);
+  assert.equal(HistoryFile.parse('{"format": "autre", "history": []}').isValid, false);
+  assert.equal(HistoryFile.parse('texte\nJe suis', 'historique.csv').isValid, false);
+});
+
+test('ne garde que les entrées absentes de l\'historique', () => {
+  const { added, duplicates } = HistoryFile.newEntries([HISTORY[0]], [{ ...HISTORY[0], id: 'autre' }, HISTORY[1], HISTORY[1]]);
+  assert.deepEqual(added, [HISTORY[1]]);
+  assert.equal(duplicates, 2);
+});
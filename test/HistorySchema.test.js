@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HistorySchema, HISTORY_SCHEMA_VERSION, QUARANTINE_REASONS, HistoryMigrationError } from '../js/HistorySchema.js';
+
+const current = (fields = {}) => ({ schemaVersion: HISTORY_SCHEMA_VERSION, text: 'Je suis rêveur.', note: 7, timestamp: 1700000000000, id: 'entry_1', ...fields });
+
+test('migre une entrée sans version jusqu\'à la version courante', () => {
+  const { entry, upgraded } = HistorySchema.migrate({ text: ' Je suis rêveur. ', note: '7', timestamp: '2024-01-02T03:04:05.000Z', seed: 42 }, 3);
+
+  assert.equal(upgraded, true);
+  assert.equal(entry.schemaVersion, HISTORY_SCHEMA_VERSION);
+  assert.equal(entry.text, 'Je suis rêveur.');
+  assert.equal(entry.note, 7);
+  assert.equal(entry.timestamp, Date.parse('2024-01-02T03:04:05.000Z'));
+  assert.equal(entry.id, `entry_${entry.timestamp}_legacy3`);
+  assert.equal(entry.seed, 42);
+});
+
+test('remet en forme les étiquettes d\'une entrée de version 2', () => {
+  const { entry } = HistorySchema.migrate({ ...current(), schemaVersion: 2, tags: ['#Amour', 'amour', ' nuit  blanche '] });
+  assert.deepEqual(entry.tags, ['amour', 'nuit blanche']);
+});
+
+test('vérifie aussi les entrées déjà à la version courante', () => {
+  const { entry, upgraded } = HistorySchema.migrate(current({
+    seed: -1,
+    words: ['Je', 3],
+    constraints: 'tout',
+    tags: ['#Amour', 12],
+    wordCountSetting: 'surprise',
+    lineCount: 2,
+    injected: '<script>'
+  }));
+
+  assert.equal(upgraded, false);
+  assert.equal(entry.seed, undefined);
+  assert.equal(entry.words, undefined);
+  assert.equal(entry.constraints, undefined);
+  assert.equal(entry.injected, undefined);
+  assert.deepEqual(entry.tags, ['amour']);
+  assert.equal(entry.wordCountSetting, 'surprise');
+  assert.equal(entry.lineCount, 2);
+});
+
+test('met en quarantaine les entrées irrécupérables, avec la raison', () => {
+  const reasons = [
+    ['texte', QUARANTINE_REASONS.NOT_AN_OBJECT],
+    [{ text: '  ', note: 5 }, QUARANTINE_REASONS.INVALID_TEXT],
+    [{ text: 'Je', note: 11 }, QUARANTINE_REASONS.INVALID_NOTE],
+    [current({ note: 7.5 }), QUARANTINE_REASONS.INVALID_NOTE],
+    [current({ schemaVersion: HISTORY_SCHEMA_VERSION + 1 }), QUARANTINE_REASONS.NEWER_VERSION],
+    [current({ schemaVersion: 'trois' }), QUARANTINE_REASONS.INVALID_VERSION],
+    [current({ id: '' }), QUARANTINE_REASONS.INVALID_ENTRY]
+  ];
+
+  reasons.forEach(([entry, reason]) => {
+    assert.throws(() => HistorySchema.migrate(entry), error => error instanceof HistoryMigrationError && error.reason === reason);
+  });
+
+  const date = new Date(1700000000000);
+  const result = HistorySchema.migrateEntries([current(), { text: '', note: 5 }, { text: 'Je suis', note: 4 }], date);
+  assert.equal(result.entries.length, 2);
+  assert.equal(result.upgraded, 1);
+  assert.deepEqual(result.quarantined, [{ entry: { text: '', note: 5 }, index: 1, reason: QUARANTINE_REASONS.INVALID_TEXT, version: 1, quarantinedAt: date.getTime() }]);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PoemEngine } from '../js/PoemEngine.js';
+
+const engine = new PoemEngine();
+
+test('une graine rejoue la combinaison avec les réglages décrits', () => {
+  const settings = { wordCount: 'surprise', lineCount: 2 };
+  const first = engine.generate(undefined, settings, { seed: 1234 });
+  const description = engine.describe(first);
+
+  assert.equal(description.wordCountSetting, 'surprise');
+  assert.equal(description.lineCount, 2);
+
+  const replayed = engine.generate(undefined, { wordCount: description.wordCountSetting, lineCount: description.lineCount }, { seed: description.seed });
+  assert.equal(replayed.combination, first.combination);
+  assert.deepEqual(replayed.words, first.words);
+});
+
+test('le numéro de combinaison rend toujours les mêmes mots', () => {
+  const result = engine.generate(undefined, {}, { index: 20n });
+  assert.deepEqual(result.words, ['Je', 'suis']);
+  assert.equal(engine.describe(result).combinationIndex, '21');
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SeenCombinations } from '../js/SeenCombinations.js';
+import { Combinatorics } from '../js/Combinatorics.js';
+
+const POOL = ['Je', 'suis', 'rêveur', 'professionnel'];
+
+/**
+ * localStorage en mémoire, qui compte ses écritures et peut refuser celles qui dépassent un quota
+ */
+const useStorage = (quota = Infinity) => {
+  const items = new Map();
+  const storage = {
+    writes: 0,
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => {
+      if (value.length > quota) throw new Error('QuotaExceededError');
+      storage.writes++;
+      items.set(key, value);
+    },
+    removeItem: key => items.delete(key)
+  };
+  globalThis.localStorage = storage;
+  return storage;
+};
+
+test("n'oublie aucune combinaison vue", () => {
+  const seen = new SeenCombinations({ storageKey: 'testSeen' });
+  const all = Array.from({ length: 24 }, (_, index) => Combinatorics.unrank(POOL, 4, index));
+  for (let i = 0; i < 50; i++) seen.addAll(all);
+  assert.equal(seen.size, 24);
+  assert.ok(all.every(words => seen.has(words)));
+});
+
+test('parcourt les rangs jusqu\'à une combinaison inédite', () => {
+  const seen = new SeenCombinations({ storageKey: 'testSeen' });
+  seen.addAll(Array.from({ length: 11 }, (_, index) => Combinatorics.unrank(POOL, 2, index)));
+
+  assert.deepEqual(seen.findUnseen(POOL, 2, 0n), Combinatorics.unrank(POOL, 2, 11));
+  assert.deepEqual(seen.findUnseen(POOL, 2, 5n), Combinatorics.unrank(POOL, 2, 11));
+  assert.equal(seen.findUnseen(POOL, 2, 3n).length, 2);
+
+  seen.add(Combinatorics.unrank(POOL, 2, 11));
+  assert.equal(seen.findUnseen(POOL, 2, 7n), null);
+  assert.equal(seen.findUnseen(POOL, 'surprise', 0n).length, 1);
+});
+
+test('enregistre par lots, sous une forme compacte relue à l\'identique', (t) => {
+  t.after(() => delete globalThis.localStorage);
+  const storage = useStorage();
+  const seen = new SeenCombinations({ storageKey: 'testSeen' });
+  const all = Array.from({ length: 24 }, (_, index) => Combinatorics.unrank(POOL, 4, index));
+
+  all.forEach(words => seen.add(words));
+  assert.equal(storage.writes, 0);
+  seen.flush();
+  assert.equal(storage.writes, 1);
+
+  const stored = storage.getItem('testSeen');
+  assert.equal(stored.split('rêveur').length - 1, 1);
+  assert.ok(stored.length < all.map(words => words.join(' ')).join('').length);
+
+  const reloaded = new SeenCombinations({ storageKey: 'testSeen' });
+  assert.equal(reloaded.size, 24);
+  assert.ok(all.every(words => reloaded.has(words)));
+  assert.equal(reloaded.has(['Je', 'inconnu']), false);
+  assert.equal(reloaded.countWithin(POOL, 4), 24);
+});
+
+test('reprend l\'ancien format en clair', (t) => {
+  t.after(() => delete globalThis.localStorage);
+  const storage = useStorage();
+  storage.setItem('testSeen', JSON.stringify({ neverRepeat: true, combinations: ['Je\u0000suis', 'rêveur'] }));
+
+  const seen = new SeenCombinations({ storageKey: 'testSeen' });
+  assert.equal(seen.neverRepeat, true);
+  assert.ok(seen.has(['Je', 'suis']));
+  assert.ok(seen.has(['rêveur']));
+  assert.equal(seen.has(['suis', 'Je']), false);
+});
+
+test('prévient une fois quand le quota est atteint, jusqu\'au prochain enregistrement réussi', (t) => {
+  t.after(() => delete globalThis.localStorage);
+  useStorage(120);
+  const failures = [];
+  const seen = new SeenCombinations({ storageKey: 'testSeen', onSaveError: count => failures.push(count) });
+
+  seen.add(['Je']);
+  seen.flush();
+  assert.deepEqual(failures, []);
+
+  Array.from({ length: 24 }, (_, index) => Combinatorics.unrank(POOL, 4, index)).forEach(words => seen.add(words));
+  seen.flush();
+  seen.add(['suis']);
+  seen.flush();
+  assert.deepEqual(failures, [25]);
+
+  seen.clear();
+  seen.add(['Je']);
+  seen.flush();
+  assert.deepEqual(failures, [25]);
+});
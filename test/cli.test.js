@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { HistoryFile } from '../js/HistoryFile.js';
+
+const CLI = fileURLToPath(new URL('../cli/quantique.js', import.meta.url));
+
+/**
+ * Lance la commande comme dans un terminal français
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+const run = (...args) => {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], {
+    encoding: 'utf8',
+    env: { ...process.env, LC_ALL: '', LC_MESSAGES: '', LANG: 'fr_FR.UTF-8' }
+  });
+  return { status, stdout, stderr };
+};
+
+test('une graine donne toujours la même combinaison', () => {
+  const first = run('generate', '--seed', '42', '--count', '3', '--format', 'json');
+  assert.equal(first.status, 0, first.stderr);
+
+  const items = JSON.parse(first.stdout);
+  assert.deepEqual(items.map(item => item.seed), [42, 43, 44]);
+  assert.equal(run('generate', '--seed', '42', '--count', '3', '--format', 'json').stdout, first.stdout);
+});
+
+test('une graine négative se donne avec ou sans signe égal', () => {
+  const separate = run('generate', '--seed', '-5', '--format', 'json');
+  assert.equal(separate.status, 0, separate.stderr);
+  assert.equal(separate.stdout, run('generate', '--seed=-5', '--format', 'json').stdout);
+});
+
+test('la longueur de l\'espace ne dépasse pas le nombre de mots disponibles', () => {
+  const summary = JSON.parse(run('space', '--words', 'Je,suis', '--length', '5', '--format', 'json').stdout);
+  assert.deepEqual(summary, { poolSize: 2, wordCount: 2, space: '2', allLengths: '4' });
+});
+
+test('les colonnes CSV suivent la langue des messages', () => {
+  assert.match(run('space', '--length', '3', '--format', 'csv').stdout, /^mots_disponibles,longueur,combinaisons,toutes_longueurs\n/);
+  assert.match(run('space', '--length', '3', '--format', 'csv', '--lang', 'en').stdout, /^available_words,length,combinations,all_lengths\n/);
+  assert.match(run('generate', '--seed', '1', '--format', 'csv', '--locale', 'en').stdout, /^rank,combination,seed,number,/);
+  assert.match(run('words', '--format', 'csv').stdout, /^position,mot,valeur,groupe,nom_groupe,nature\n/);
+});
+
+test('une saisie invalide sort en erreur avec un message de la ligne de commande', () => {
+  const result = run('generate', '--index', '0');
+  assert.equal(result.status, 2);
+  assert.match(result.stderr, /--index attend un numéro de combinaison entre 1 et \d+ \(reçu : 0\)/);
+  assert.match(result.stderr, /quantique --help/);
+
+  assert.equal(run('generate', '--lang', 'xx').status, 2);
+  assert.equal(run('inconnue').status, 2);
+});
+
+test('l\'historique converti en CSV se réimporte sur le site, quelle que soit la langue', () => {
+  const directory = mkdtempSync(join(tmpdir(), 'quantique-'));
+  try {
+    const json = join(directory, 'historique.json');
+    const csv = join(directory, 'historique.csv');
+    writeFileSync(json, JSON.stringify([
+      { text: 'Je suis rêveur.', note: 8, timestamp: 1700000000000 },
+      { text: 'L\'erreur est proscrite.', note: 3, timestamp: 1700000100000 }
+    ]));
+
+    assert.equal(run('history', json, '--filter', 'note_min=5', '--format', 'csv', '--lang', 'en', '--output', csv).status, 0);
+    const { isValid, entries } = HistoryFile.parse(readFileSync(csv, 'utf8'), 'historique.csv');
+    assert.equal(isValid, true);
+    assert.deepEqual(entries.map(({ text, note, timestamp }) => ({ text, note, timestamp })), [{ text: 'Je suis rêveur.', note: 8, timestamp: 1700000000000 }]);
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+});